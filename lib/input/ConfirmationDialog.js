@@ -8,6 +8,8 @@
  *   - Hard confirmation: OVFY only
  *   - Countdown confirmation: With timer, auto-executes
  *
+ * Buttons request one via `confirm: soft|hard|countdown` (see showForButton).
+ *
  * Dialog Structure (14 lines, overrides current page):
  *   Line 1:  ACTION TITLE
  *   Line 2:  ⚠️  WARNING (if hard)
@@ -21,6 +23,9 @@
  * @author Felix Hummel
  */
 
+/** Default countdown of countdown confirmations requested by buttons (s) */
+const DEFAULT_COUNTDOWN = 5;
+
 class ConfirmationDialog {
     /**
      * @param {object} adapter - ioBroker adapter instance
@@ -51,6 +56,9 @@ class ConfirmationDialog {
         /** Cancellation callback */
         this.onCancel = null;
 
+        /** Button action, runs after the dialog is cleared and the page restored (see showForButton) */
+        this.afterConfirm = null;
+
         /** Countdown timer handle */
         this.countdownTimer = null;
 
@@ -60,6 +68,9 @@ class ConfirmationDialog {
         /** Display columns */
         this.columns = adapter.config.display?.columns || 24;
 
+        /** Owning DeviceSession (null = standalone) */
+        this.session = null;
+
         this.adapter.log.debug('ConfirmationDialog initialized');
     }
 
@@ -69,7 +80,7 @@ class ConfirmationDialog {
      *
      * @param {string} title - Action title (e.g., "GERÄT AUSSCHALTEN")
      * @param {string|string[]} details - Details to show (string or array of lines)
-     * @param {Function} onConfirm - Callback on confirmation
+     * @param {Function|null} onConfirm - Callback on confirmation
      * @param {Function} onCancel - Callback on cancellation
      * @returns {Promise<void>}
      */
@@ -89,7 +100,7 @@ class ConfirmationDialog {
         this.onCancel = onCancel;
 
         // Update runtime state
-        await this.adapter.setStateAsync('runtime.confirmationPending', true, true);
+        await this.setPendingState(true);
 
         // Render dialog
         await this.renderDialog();
@@ -102,7 +113,7 @@ class ConfirmationDialog {
      * @param {string} title - Action title (e.g., "ALLE DATEN LÖSCHEN")
      * @param {string} warning - Warning message (e.g., "ACHTUNG: NICHT RÜCKGÄNGIG")
      * @param {string|string[]} details - Details to show
-     * @param {Function} onConfirm - Callback on confirmation
+     * @param {Function|null} onConfirm - Callback on confirmation
      * @returns {Promise<void>}
      */
     async showHardConfirmation(title, warning, details, onConfirm) {
@@ -121,7 +132,7 @@ class ConfirmationDialog {
         this.onCancel = null; // Hard confirmations cannot be canceled via LSK
 
         // Update runtime state
-        await this.adapter.setStateAsync('runtime.confirmationPending', true, true);
+        await this.setPendingState(true);
 
         // Render dialog
         await this.renderDialog();
@@ -133,7 +144,7 @@ class ConfirmationDialog {
      *
      * @param {string} title - Action title
      * @param {number} seconds - Countdown duration in seconds
-     * @param {Function} onConfirm - Callback on confirmation
+     * @param {Function|null} onConfirm - Callback on confirmation
      * @param {Function} onCancel - Callback on cancellation
      * @returns {Promise<void>}
      */
@@ -154,7 +165,7 @@ class ConfirmationDialog {
         this.onCancel = onCancel;
 
         // Update runtime state
-        await this.adapter.setStateAsync('runtime.confirmationPending', true, true);
+        await this.setPendingState(true);
 
         // Start countdown timer
         this.startCountdown();
@@ -163,6 +174,33 @@ class ConfirmationDialog {
         await this.renderDialog();
     }
 
+    /**
+     * Show the confirmation configured on a button
+     *
+     * @param {object} buttonConfig - Button with confirm (soft|hard|countdown), confirmTitle, confirmDetails, confirmSeconds
+     * @param {string|string[]} defaultDetails - Details if the button has none (what will happen)
+     * @param {Function} onConfirm - Runs the button action (after the dialog is cleared, so a
+     *     navigation is not overwritten by the restored page)
+     * @returns {Promise<void>}
+     */
+    async showForButton(buttonConfig, defaultDetails, onConfirm) {
+        const title = buttonConfig.confirmTitle || 'AKTION BESTAETIGEN';
+        const details = buttonConfig.confirmDetails || defaultDetails;
+        const onCancel = async () => {
+            this.adapter.log.debug(`Button action canceled: ${title}`);
+        };
+
+        if (buttonConfig.confirm === 'hard') {
+            await this.showHardConfirmation(title, 'BESTAETIGUNG ERFORDERLICH', details, null);
+        } else if (buttonConfig.confirm === 'countdown') {
+            const seconds = Number(buttonConfig.confirmSeconds) || DEFAULT_COUNTDOWN;
+            await this.showCountdownConfirmation(title, seconds, null, onCancel);
+        } else {
+            await this.showSoftConfirmation(title, details, null, onCancel);
+        }
+        this.afterConfirm = onConfirm;
+    }
+
     /**
      * Start countdown timer
      */
@@ -241,6 +279,7 @@ class ConfirmationDialog {
         }
 
         // Execute callback
+        const afterConfirm = this.afterConfirm;
         if (this.onConfirm) {
             try {
                 await this.onConfirm();
@@ -251,6 +290,15 @@ class ConfirmationDialog {
 
         // Clear dialog
         await this.clear();
+
+        // Button action only after the page is restored, so it can switch pages
+        if (afterConfirm) {
+            try {
+                await afterConfirm();
+            } catch (error) {
+                this.adapter.log.error(`Confirmed action failed: ${error.message}`);
+            }
+        }
     }
 
     /**
@@ -306,13 +354,14 @@ class ConfirmationDialog {
         this.details = [];
         this.onConfirm = null;
         this.onCancel = null;
+        this.afterConfirm = null;
         this.countdownSeconds = null;
 
         // Update runtime state
-        await this.adapter.setStateAsync('runtime.confirmationPending', false, true);
+        await this.setPendingState(false);
 
         // Re-render current page
-        await this.adapter.renderCurrentPage();
+        await this.adapter.renderCurrentPage(this.session?.deviceId);
     }
 
     /**
@@ -562,6 +611,28 @@ class ConfirmationDialog {
     getType() {
         return this.dialogType;
     }
+
+    /**
+     * Write pending flag (per device when owned by a session)
+     *
+     * @param {boolean} pending - Whether a confirmation is pending
+     * @returns {Promise<void>}
+     */
+    async setPendingState(pending) {
+        const stateId = this.session
+            ? `devices.${this.session.deviceId}.actions.confirmationPending`
+            : 'runtime.confirmationPending';
+        await this.adapter.setStateAsync(stateId, pending, true);
+    }
+
+    /**
+     * Set owning DeviceSession (for dependency injection)
+     *
+     * @param {object} session - DeviceSession instance
+     */
+    setSession(session) {
+        this.session = session;
+    }
 }
 
 module.exports = ConfirmationDialog;
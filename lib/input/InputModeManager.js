@@ -23,10 +23,14 @@
  *   3. Boolean → toggle immediately (no scratchpad)
  *   4. Number/String + scratchpad content → validate & write
  *   5. Number/String + scratchpad empty → ignore
+ *   Buttons with a value action (set/step/cycle) take precedence over steps 3-5.
+ *   Steps 3/4 ask for confirmation first if the side's button has `confirm` set.
  *
  * @author Felix Hummel
  */
 
+const { VALUE_ACTIONS, requiresConfirmation, describeButtonAction } = require('../utils/buttonAction');
+
 class InputModeManager {
     /**
      * @param {object} adapter - ioBroker adapter instance
@@ -50,6 +54,9 @@ class InputModeManager {
         /** Double-CLR window in ms */
         this.doubleCLRWindow = 1000; // 1 second
 
+        /** Owning DeviceSession (null = standalone, use adapter config) */
+        this.session = null;
+
         this.adapter.log.debug('InputModeManager initialized');
     }
 
@@ -138,16 +145,14 @@ class InputModeManager {
 
         // Priority 2: Navigate to parent page
         if (this.mode === 'normal' || this.mode === 'input') {
-            const currentPageState = await this.adapter.getStateAsync('runtime.currentPage');
-            const currentPageId = currentPageState?.val;
+            const currentPageId = await this.getCurrentPageId();
             if (currentPageId) {
-                const pages = this.adapter.config.pages || [];
-                const currentPage = pages.find((p) => p.id === currentPageId);
+                const currentPage = this.findPageConfig(currentPageId);
                 if (currentPage && currentPage.parent) {
-                    const parentPage = pages.find((p) => p.id === currentPage.parent);
+                    const parentPage = this.findPageConfig(currentPage.parent);
                     if (parentPage) {
                         this.lastCLRPress = now;
-                        await this.adapter.switchToPage(parentPage.id);
+                        await this.adapter.switchToPage(parentPage.id, this.session?.deviceId);
                         this.adapter.log.info(`Navigate to parent: ${parentPage.id}`);
                         return;
                     }
@@ -173,9 +178,9 @@ class InputModeManager {
         await this.scratchpadManager.renderError('← ZURUECK ZU HAUPTMENUE', 'amber', 500);
 
         // Jump to first page (home)
-        const firstPage = this.adapter.config.pages?.[0];
+        const firstPage = this.getPages()[0];
         if (firstPage) {
-            await this.adapter.switchToPage(firstPage.id);
+            await this.adapter.switchToPage(firstPage.id, this.session?.deviceId);
             this.adapter.log.info('Emergency exit to home page');
         }
     }
@@ -196,8 +201,7 @@ class InputModeManager {
         this.adapter.log.debug(`LSK pressed: ${side} line ${lineNumber} (mode: ${this.mode})`);
 
         // Get current page
-        const currentPageState = await this.adapter.getStateAsync('runtime.currentPage');
-        const currentPageId = currentPageState?.val;
+        const currentPageId = await this.getCurrentPageId();
 
         if (!currentPageId) {
             this.adapter.log.warn('No current page set');
@@ -211,8 +215,10 @@ class InputModeManager {
             return;
         }
 
-        // Find line config
-        const lineConfig = pageConfig.lines?.find((l) => l.row === lineNumber);
+        // Find line config as displayed (visibility and pagination applied)
+        const lineConfig = this.session
+            ? await this.session.pageRenderer.getLineAtRow(currentPageId, lineNumber)
+            : pageConfig.lines?.find((l) => l.row === lineNumber);
         if (!lineConfig) {
             this.adapter.log.debug(`No line config for row ${lineNumber}`);
             return;
@@ -221,10 +227,13 @@ class InputModeManager {
         // Get field config (supports both old and new line format)
         let buttonField = null;
         let displayField = null;
+        let sideButton = null;
 
         // New format: left.button / right.button / left.display / right.display
         if (lineConfig.left || lineConfig.right) {
             const sideConfig = side === 'left' ? lineConfig.left : lineConfig.right;
+            // Datapoint lines keep confirm settings and value actions on a button without target
+            sideButton = sideConfig?.button || null;
             if (
                 sideConfig?.button &&
                 sideConfig.button.type !== 'empty' &&
@@ -247,11 +256,23 @@ class InputModeManager {
             }
         }
 
+        // Priority 0: Value actions (set/step/cycle) configured on the button act on the displayed
+        // datapoint (same stale-target reasoning as below), or on the button target without one
+        if (sideButton?.type === 'datapoint' && VALUE_ACTIONS.includes(sideButton.action)) {
+            const target =
+                displayField?.type === 'datapoint' && displayField.source ? displayField.source : sideButton.target;
+            if (target) {
+                await this.executeFieldAction({ ...sideButton, target });
+                return;
+            }
+        }
+
         // Priority 1: Datapoint display → metadata-driven interaction (toggle/write)
         // This takes priority over datapoint buttons because the Admin UI often leaves
         // stale button targets when the display source is changed.
-        if (displayField && displayField.type === 'datapoint' && displayField.source) {
-            await this.handleDatapointLSK(displayField);
+        // Read-only readouts (Quick Access info slots) fall through to their button.
+        if (displayField && displayField.type === 'datapoint' && displayField.source && !displayField.readOnly) {
+            await this.handleDatapointLSK(displayField, sideButton);
             return;
         }
 
@@ -268,9 +289,10 @@ class InputModeManager {
      * Handle LSK on a datapoint display field using ioBroker metadata
      *
      * @param {object} displayField - Display config with type='datapoint' and source
+     * @param {object|null} [buttonField] - Button of the same side (confirm settings)
      * @returns {Promise<void>}
      */
-    async handleDatapointLSK(displayField) {
+    async handleDatapointLSK(displayField, buttonField = null) {
         const source = displayField.source;
         const meta = this.adapter.datapointMeta?.get(source);
 
@@ -288,7 +310,7 @@ class InputModeManager {
 
         // Boolean → toggle immediately
         if (meta.type === 'boolean') {
-            await this.toggleBoolean(source);
+            await this.confirmIfRequired(buttonField, displayField, () => this.toggleBoolean(source));
             return;
         }
 
@@ -298,13 +320,52 @@ class InputModeManager {
                 this.adapter.log.debug('Scratchpad empty, nothing to write');
                 return;
             }
-            await this.writeFromScratchpad(source, meta);
+            await this.confirmIfRequired(buttonField, displayField, () => this.writeFromScratchpad(source, meta));
             return;
         }
 
         this.adapter.log.debug(`Unsupported datapoint type "${meta.type}" for ${source}`);
     }
 
+    /**
+     * Run a datapoint action, after the confirmation configured on the button (if any)
+     *
+     * @param {object|null} buttonField - Button with confirm settings
+     * @param {object} displayField - Datapoint display the action writes to
+     * @param {Function} action - Toggle/write action
+     * @returns {Promise<void>}
+     */
+    async confirmIfRequired(buttonField, displayField, action) {
+        if (!requiresConfirmation(buttonField)) {
+            await action();
+            return;
+        }
+        if (!this.session) {
+            this.adapter.log.warn(`${displayField.source} requires confirmation but has no device - not written`);
+            return;
+        }
+        await this.session.confirmationDialog.showForButton(
+            buttonField,
+            describeButtonAction(buttonField, displayField),
+            action
+        );
+    }
+
+    /**
+     * Write a datapoint; with a device session the write is tracked until acknowledged (WriteTracker)
+     *
+     * @param {string} source - ioBroker state ID
+     * @param {any} value - Value to write
+     * @returns {Promise<void>}
+     */
+    async writeState(source, value) {
+        if (this.session) {
+            await this.session.writeTracker.write(source, value);
+        } else {
+            await this.adapter.setForeignStateAsync(source, value);
+        }
+    }
+
     /**
      * Toggle a boolean datapoint
      *
@@ -315,7 +376,7 @@ class InputModeManager {
         try {
             const state = await this.adapter.getForeignStateAsync(source);
             const newVal = !state?.val;
-            await this.adapter.setForeignStateAsync(source, newVal);
+            await this.writeState(source, newVal);
             this.adapter.log.info(`Toggled ${source}: ${newVal}`);
 
             // No explicit re-render needed — setForeignStateAsync triggers
@@ -355,7 +416,7 @@ class InputModeManager {
 
             // Write number
             try {
-                await this.adapter.setForeignStateAsync(source, num);
+                await this.writeState(source, num);
                 this.adapter.log.info(`Written ${source}: ${num}`);
                 this.scratchpadManager.clear();
                 this.mode = 'normal';
@@ -367,7 +428,7 @@ class InputModeManager {
         } else if (meta.type === 'string') {
             // Write string as-is
             try {
-                await this.adapter.setForeignStateAsync(source, content);
+                await this.writeState(source, content);
                 this.adapter.log.info(`Written ${source}: "${content}"`);
                 this.scratchpadManager.clear();
                 this.mode = 'normal';
@@ -395,6 +456,10 @@ class InputModeManager {
         if (button.type === 'navigation' || button.type === 'datapoint') {
             return !!button.target;
         }
+        // Macro buttons need steps (stored or compact Admin UI string)
+        if (button.type === 'macro') {
+            return (Array.isArray(button.steps) && button.steps.length > 0) || !!button.macro;
+        }
         return true;
     }
 
@@ -408,7 +473,7 @@ class InputModeManager {
         this.adapter.log.debug(`Execute field action: ${field.type} ${field.action}`);
 
         // Delegate to adapter's executeButtonAction
-        await this.adapter.executeButtonAction(field);
+        await this.adapter.executeButtonAction(field, this.session?.deviceId);
     }
 
     /**
@@ -470,8 +535,32 @@ class InputModeManager {
      * @returns {object|null}
      */
     findPageConfig(pageId) {
-        const pages = this.adapter.config.pages || [];
-        return pages.find((p) => p.id === pageId) || null;
+        if (this.session) {
+            return this.session.findPage(pageId);
+        }
+        return this.getPages().find((p) => p.id === pageId) || null;
+    }
+
+    /**
+     * Get pages of the owning session (or adapter config when standalone)
+     *
+     * @returns {Array<object>}
+     */
+    getPages() {
+        return (this.session ? this.session.pages : this.adapter.config.pages) || [];
+    }
+
+    /**
+     * Get current page ID of the owning session (or global runtime state when standalone)
+     *
+     * @returns {Promise<string|null>}
+     */
+    async getCurrentPageId() {
+        if (this.session) {
+            return this.session.currentPage;
+        }
+        const currentPageState = await this.adapter.getStateAsync('runtime.currentPage');
+        return currentPageState?.val || null;
     }
 
     /**
@@ -483,6 +572,15 @@ class InputModeManager {
         this.validationEngine = validationEngine;
         this.adapter.log.debug('ValidationEngine injected into InputModeManager');
     }
+
+    /**
+     * Set owning DeviceSession (for dependency injection)
+     *
+     * @param {object} session - DeviceSession instance
+     */
+    setSession(session) {
+        this.session = session;
+    }
 }
 
 module.exports = InputModeManager;
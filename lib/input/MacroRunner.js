@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Macro Runner
+ *
+ * Executes `macro` buttons and function keys: an ordered list of steps
+ * (set state, wait, navigate, notification, LED), see utils/macro.js for the format.
+ *
+ * Behaviour:
+ *   - Steps with an `if` condition are skipped unless the condition holds
+ *   - A failing step is logged; with `abortOnError` the remaining steps are not run
+ *   - Only one macro runs per device at a time (further presses are ignored)
+ *
+ * Confirmation (`confirm` on the button) is handled by executeButtonAction before the macro runs.
+ *
+ * @author Felix Hummel
+ */
+
+const { getMacroSteps } = require('../utils/macro');
+const { evaluateCondition } = require('../utils/condition');
+
+/** Upper bound for a single wait step (ms) */
+const MAX_WAIT_MS = 600000;
+
+class MacroRunner {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+
+        /** Devices with a running macro ('*' = no device) */
+        this.running = new Set();
+    }
+
+    /**
+     * Run a macro button or function key
+     *
+     * @param {object} config - Macro config: { steps } or { macro } (compact string)
+     * @param {string|null} [deviceId] - Originating device (null = all devices)
+     * @returns {Promise<boolean>} False if the macro is invalid, was aborted or is already running
+     */
+    async run(config, deviceId = null) {
+        let steps;
+        try {
+            steps = getMacroSteps(config);
+        } catch (error) {
+            this.adapter.log.error(`Invalid macro: ${error.message}`);
+            return false;
+        }
+
+        if (steps.length === 0) {
+            this.adapter.log.warn('Macro has no steps');
+            return false;
+        }
+
+        return this.execute(steps, deviceId);
+    }
+
+    /**
+     * Execute macro steps in order
+     *
+     * @param {Array<object>} steps - Macro steps
+     * @param {string|null} [deviceId] - Originating device (null = all devices)
+     * @returns {Promise<boolean>} False if the macro was aborted or is already running
+     */
+    async execute(steps, deviceId = null) {
+        const key = deviceId || '*';
+        if (this.running.has(key)) {
+            this.adapter.log.warn(`Macro already running on ${deviceId || 'all devices'} - ignored`);
+            return false;
+        }
+
+        this.running.add(key);
+        try {
+            for (let i = 0; i < steps.length; i++) {
+                const step = steps[i];
+
+                if (step.if?.source && !(await this.checkCondition(step.if))) {
+                    this.adapter.log.debug(`Macro step ${i + 1} (${step.type}) skipped - condition not met`);
+                    continue;
+                }
+
+                try {
+                    await this.executeStep(step, deviceId);
+                } catch (error) {
+                    this.adapter.log.warn(`Macro step ${i + 1} (${step.type}) failed: ${error.message}`);
+                    if (step.abortOnError) {
+                        this.adapter.log.warn(`Macro aborted at step ${i + 1}`);
+                        return false;
+                    }
+                }
+            }
+            this.adapter.log.debug(`Macro finished (${steps.length} steps)`);
+            return true;
+        } finally {
+            this.running.delete(key);
+        }
+    }
+
+    /**
+     * Execute a single step
+     *
+     * @param {object} step - Macro step
+     * @param {string|null} deviceId - Originating device (null = all devices)
+     * @returns {Promise<void>}
+     */
+    async executeStep(step, deviceId) {
+        switch (step.type) {
+            case 'setState':
+                if (!step.id) {
+                    throw new Error('setState step has no state ID');
+                }
+                await this.adapter.setForeignStateAsync(step.id, step.value);
+                break;
+
+            case 'wait':
+                await this.wait(step.ms);
+                break;
+
+            case 'navigate':
+                if (!step.target) {
+                    throw new Error('navigate step has no target page');
+                }
+                await this.adapter.switchToPage(step.target, deviceId);
+                break;
+
+            case 'notification':
+                for (const session of await this.adapter.resolveSessions(deviceId)) {
+                    await this.adapter.showNotificationForDevice(session.deviceId, String(step.text ?? ''));
+                }
+                break;
+
+            case 'led':
+                if (!step.name) {
+                    throw new Error('led step has no LED name');
+                }
+                for (const session of await this.adapter.resolveSessions(deviceId)) {
+                    await this.adapter.handleLEDChange(session.deviceId, step.name, step.value);
+                    await this.adapter.setStateAsync(`devices.${session.deviceId}.leds.${step.name}`, step.value, true);
+                }
+                break;
+
+            default:
+                throw new Error(`Unknown step type: ${step.type}`);
+        }
+    }
+
+    /**
+     * Check a step condition against the current value of its source state
+     *
+     * @param {object} condition - { source, condition } (condition defaults to "== true")
+     * @returns {Promise<boolean>}
+     */
+    async checkCondition(condition) {
+        const state = await this.adapter.getCachedForeignState(condition.source);
+        if (!state) {
+            return false;
+        }
+        return evaluateCondition(condition.condition || '== true', state.val);
+    }
+
+    /**
+     * Wait using the adapter timer (cleared on unload)
+     *
+     * @param {number} ms - Milliseconds (clamped to MAX_WAIT_MS)
+     * @returns {Promise<void>}
+     */
+    wait(ms) {
+        const delay = Math.min(Math.max(Number(ms) || 0, 0), MAX_WAIT_MS);
+        return new Promise((resolve) => this.adapter.setTimeout(resolve, delay));
+    }
+}
+
+module.exports = MacroRunner;
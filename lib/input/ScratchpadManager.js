@@ -59,6 +59,9 @@ class ScratchpadManager {
         /** Whether an error message is currently showing in scratchpad */
         this.errorShowing = false;
 
+        /** Owning DeviceSession (null = standalone) */
+        this.session = null;
+
         this.adapter.log.debug('ScratchpadManager initialized');
     }
 
@@ -382,17 +385,13 @@ class ScratchpadManager {
 
                 await this.displayPublisher.publishLine(14, display, color);
 
-                // Sync scratchpad state to active device
-                const activeDeviceId = this.adapter.displayPublisher?.deviceId;
-                if (activeDeviceId) {
-                    const mode = this.adapter.inputModeManager ? this.adapter.inputModeManager.getMode() : 'normal';
-                    await this.adapter.setStateAsync(
-                        `devices.${activeDeviceId}.scratchpad.content`,
-                        this.content,
-                        true
-                    );
-                    await this.adapter.setStateAsync(`devices.${activeDeviceId}.scratchpad.mode`, mode, true);
-                    await this.adapter.setStateAsync(`devices.${activeDeviceId}.scratchpad.valid`, this.isValid, true);
+                // Sync scratchpad state to the owning device
+                if (this.session) {
+                    const deviceId = this.session.deviceId;
+                    const mode = this.session.inputModeManager.getMode();
+                    await this.adapter.setStateAsync(`devices.${deviceId}.scratchpad.content`, this.content, true);
+                    await this.adapter.setStateAsync(`devices.${deviceId}.scratchpad.mode`, mode, true);
+                    await this.adapter.setStateAsync(`devices.${deviceId}.scratchpad.valid`, this.isValid, true);
                 }
 
                 resolve();
@@ -406,19 +405,20 @@ class ScratchpadManager {
      * No auto-timeout — error persists until CLR.
      *
      * @param {string} message - Error message (e.g. 'FORMAT ERROR', 'ENTRY OUT OF RANGE')
+     * @param {string} [color] - Message color (amber for cautions like 'NO ACK')
      * @returns {Promise<void>}
      */
-    async showError(message) {
+    async showError(message, color = 'white') {
         this.savedContent = this.content;
         this.content = message;
         this.errorShowing = true;
         this.isValid = false;
-        this.color = 'white'; // Airbus: errors show in white
+        this.color = color; // Airbus: errors show in white
         this.errorMessage = message;
 
         this.adapter.log.info(`Scratchpad error: "${message}" (saved: "${this.savedContent}")`);
 
-        await this.render('white');
+        await this.render(color);
     }
 
     /**
@@ -436,7 +436,7 @@ class ScratchpadManager {
         // Auto-clear after 3 seconds
         this.adapter.setTimeout(async () => {
             // Re-render current page to restore Line 13
-            await this.adapter.renderCurrentPage();
+            await this.adapter.renderCurrentPage(this.session?.deviceId);
         }, 3000);
     }
 
@@ -455,7 +455,7 @@ class ScratchpadManager {
         // Auto-clear after 2 seconds
         this.adapter.setTimeout(async () => {
             // Re-render current page to restore Line 13
-            await this.adapter.renderCurrentPage();
+            await this.adapter.renderCurrentPage(this.session?.deviceId);
         }, 2000);
     }
 
@@ -467,6 +467,15 @@ class ScratchpadManager {
     async renderPlaceholder() {
         await this.render('white');
     }
+
+    /**
+     * Set owning DeviceSession (for dependency injection)
+     *
+     * @param {object} session - DeviceSession instance
+     */
+    setSession(session) {
+        this.session = session;
+    }
 }
 
 module.exports = ScratchpadManager;
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * Write Tracker
+ *
+ * Tracks datapoint writes of a device until the target adapter confirms them (ack=true).
+ *
+ * Behaviour:
+ *   - While a write is pending, lines showing the datapoint are drawn in PENDING_COLOR
+ *   - No ack within writeAck.timeout → retry up to writeAck.retries times
+ *   - Still no ack → "NO ACK" in amber on the scratchpad (CLR clears it, Airbus pattern)
+ *   - writeAck.timeout = 0 disables tracking
+ *   - States no adapter acknowledges (0_userdata.*, javascript.*) are written untracked
+ *
+ * @author Felix Hummel
+ */
+
+/** Line color of datapoints with a pending write */
+const PENDING_COLOR = 'magenta';
+
+/** Default ack timeout (ms) */
+const DEFAULT_TIMEOUT = 5000;
+
+/** Namespaces of user and script states: nobody sets ack=true there */
+const UNACKED_NAMESPACES = ['0_userdata.', 'javascript.'];
+
+class WriteTracker {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} scratchpadManager - ScratchpadManager of the device
+     */
+    constructor(adapter, scratchpadManager) {
+        this.adapter = adapter;
+        this.scratchpadManager = scratchpadManager;
+
+        /** Pending writes: stateId → { value, retriesLeft, timer } */
+        this.pending = new Map();
+
+        /** Owning DeviceSession (null = standalone) */
+        this.session = null;
+    }
+
+    /**
+     * Get timeout/retry settings from the adapter config
+     *
+     * @returns {{timeout: number, retries: number}}
+     */
+    getSettings() {
+        const writeAck = this.adapter.config.writeAck || {};
+        const timeout = Number(writeAck.timeout ?? DEFAULT_TIMEOUT);
+        const retries = Number(writeAck.retries ?? 0);
+        return {
+            timeout: Number.isFinite(timeout) ? Math.max(0, timeout) : DEFAULT_TIMEOUT,
+            retries: Number.isFinite(retries) ? Math.max(0, Math.floor(retries)) : 0,
+        };
+    }
+
+    /**
+     * Check whether an adapter acknowledges writes to a state
+     *
+     * @param {string} stateId - Foreign state ID
+     * @returns {boolean}
+     */
+    expectsAck(stateId) {
+        return !UNACKED_NAMESPACES.some((prefix) => stateId.startsWith(prefix));
+    }
+
+    /**
+     * Write a foreign state and track it until acknowledged
+     * Write errors are thrown to the caller (shown as SCHREIBFEHLER there).
+     *
+     * @param {string} stateId - Foreign state ID
+     * @param {any} value - Value to write
+     * @returns {Promise<void>}
+     */
+    async write(stateId, value) {
+        const { timeout, retries } = this.getSettings();
+        if (timeout <= 0 || !this.expectsAck(stateId)) {
+            await this.adapter.setForeignStateAsync(stateId, value);
+            return;
+        }
+
+        // Pending before the write: the ack may arrive before setForeignStateAsync resolves
+        this.cancel(stateId);
+        this.pending.set(stateId, { value, retriesLeft: retries, timer: this.startTimer(stateId, timeout) });
+        try {
+            await this.adapter.setForeignStateAsync(stateId, value);
+        } catch (error) {
+            this.cancel(stateId);
+            throw error;
+        }
+        await this.renderLine(stateId);
+    }
+
+    /**
+     * Start the ack timer of a pending write
+     *
+     * @param {string} stateId - Foreign state ID
+     * @param {number} timeout - Timeout (ms)
+     * @returns {any} Timer handle
+     */
+    startTimer(stateId, timeout) {
+        return this.adapter.setTimeout(() => {
+            this.handleTimeout(stateId).catch((error) => {
+                this.adapter.log.error(`Write ack check failed for ${stateId}: ${error.message}`);
+            });
+        }, timeout);
+    }
+
+    /**
+     * Ack timeout: retry or report "NO ACK"
+     *
+     * @param {string} stateId - Foreign state ID
+     * @returns {Promise<void>}
+     */
+    async handleTimeout(stateId) {
+        const entry = this.pending.get(stateId);
+        if (!entry) {
+            return;
+        }
+
+        if (entry.retriesLeft > 0) {
+            entry.retriesLeft--;
+            this.adapter.log.info(`No ack for ${stateId} - retrying write (${entry.retriesLeft} retries left)`);
+            try {
+                await this.adapter.setForeignStateAsync(stateId, entry.value);
+            } catch (error) {
+                this.adapter.log.warn(`Retry of ${stateId} failed: ${error.message}`);
+            }
+            entry.timer = this.startTimer(stateId, this.getSettings().timeout || DEFAULT_TIMEOUT);
+            return;
+        }
+
+        this.pending.delete(stateId);
+        this.adapter.log.warn(`No ack for ${stateId} (value ${JSON.stringify(entry.value)}) - device offline?`);
+        await this.scratchpadManager.showError('NO ACK', 'amber');
+        await this.renderLine(stateId);
+    }
+
+    /**
+     * Handle a state update; an ack=true update completes the pending write.
+     * Call before re-rendering so the line drops the pending color.
+     *
+     * @param {string} stateId - Foreign state ID
+     * @param {ioBroker.State|null|undefined} state - New state
+     * @returns {boolean} True if a pending write was acknowledged
+     */
+    handleStateChange(stateId, state) {
+        if (!state?.ack || !this.pending.has(stateId)) {
+            return false;
+        }
+        this.cancel(stateId);
+        this.adapter.log.debug(`Write to ${stateId} acknowledged`);
+        return true;
+    }
+
+    /**
+     * Check whether a write to a state is waiting for its ack
+     *
+     * @param {string} stateId - Foreign state ID
+     * @returns {boolean}
+     */
+    isPending(stateId) {
+        return this.pending.has(stateId);
+    }
+
+    /**
+     * Stop tracking a write
+     *
+     * @param {string} stateId - Foreign state ID
+     */
+    cancel(stateId) {
+        const entry = this.pending.get(stateId);
+        if (entry) {
+            this.adapter.clearTimeout(entry.timer);
+            this.pending.delete(stateId);
+        }
+    }
+
+    /**
+     * Re-render the lines showing a state (pending color on/off)
+     *
+     * @param {string} stateId - Foreign state ID
+     * @returns {Promise<void>}
+     */
+    async renderLine(stateId) {
+        if (this.session) {
+            await this.session.renderSourceChange(stateId);
+        }
+    }
+
+    /**
+     * Stop all ack timers
+     */
+    dispose() {
+        for (const stateId of [...this.pending.keys()]) {
+            this.cancel(stateId);
+        }
+    }
+
+    /**
+     * Set owning DeviceSession (for dependency injection)
+     *
+     * @param {object} session - DeviceSession instance
+     */
+    setSession(session) {
+        this.session = session;
+    }
+}
+
+WriteTracker.PENDING_COLOR = PENDING_COLOR;
+
+module.exports = WriteTracker;
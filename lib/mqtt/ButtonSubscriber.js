@@ -8,14 +8,17 @@
  *   - Map LSK buttons to page lines (LSK1 → row 1/2, LSK2 → row 3/4, etc.)
  *   - Execute button actions (navigation only for now)
  *   - Trigger page switches
+ *   - Route events to the per-device session of the originating MCDU
  *
  * @author Felix Hummel
  */
 
+const { QUICK_ACCESS_PAGE_ID } = require('../utils/quickAccess');
+
 class ButtonSubscriber {
     /**
      * @param {object} adapter - ioBroker adapter instance
-     * @param {object} mqttClient - MqttClient instance
+     * @param {object} mqttClient - Transport (MqttClient or TransportRouter)
      * @param {object|null} inputModeManager - InputModeManager instance (optional)
      */
     constructor(adapter, mqttClient, inputModeManager = null) {
@@ -134,21 +137,15 @@ class ButtonSubscriber {
                 return;
             }
 
-            // Switch active device if button arrives from a different device
-            if (this.adapter.displayPublisher) {
-                if (this.adapter.displayPublisher.deviceId !== deviceId) {
-                    this.adapter.displayPublisher.setDevice(deviceId);
-                    await this.adapter.loadDevicePagesIntoConfig(deviceId);
-                    await this.adapter.initializeRuntime();
-                    this.adapter.log.info(`Switched active device to ${deviceId} (button event)`);
-                }
-            }
+            // Resolve the session of the originating device (own page, scratchpad, dialogs)
+            const session = await this.adapter.getDeviceSession(deviceId);
+            const confirmationDialog = session ? session.confirmationDialog : this.confirmationDialog;
 
             // Priority 1: Check if confirmation dialog is active
-            if (this.confirmationDialog && this.confirmationDialog.isActive()) {
+            if (confirmationDialog && confirmationDialog.isActive()) {
                 // Confirmation dialog is active - only handle confirmation keys
                 if (button === 'OVFY' || button === 'LSK6L' || button === 'LSK6R') {
-                    await this.confirmationDialog.handleResponse(button);
+                    await confirmationDialog.handleResponse(button);
                 } else {
                     this.adapter.log.debug(`Button ${button} ignored - confirmation active`);
                 }
@@ -159,22 +156,22 @@ class ButtonSubscriber {
             // Handle LSK buttons
             if (button.startsWith('LSK')) {
                 // Handle LSK buttons
-                await this.handleLskButton(button);
+                await this.handleLskButton(button, session);
             } else if (button === 'CLR') {
                 // Handle CLR key (context-aware)
-                await this.handleCLRKey();
+                await this.handleCLRKey(session);
             } else if (button === 'OVFY') {
                 // Handle OVFY key (confirm)
                 await this.handleOVFYKey();
             } else if (this.isFunctionKey(button)) {
                 // Handle function keys (e.g., MENU, DIR, etc.)
-                await this.handleFunctionKey(button);
+                await this.handleFunctionKey(button, session);
             } else if (button === 'PLUSMINUS') {
                 // Handle PLUSMINUS toggle
-                await this.handlePlusMinus();
+                await this.handlePlusMinus(session);
             } else if (this.isKeypadButton(button)) {
                 // Handle keypad input (0-9, A-Z, DOT, SLASH, SPACE)
-                await this.handleKeypadButton(button);
+                await this.handleKeypadButton(button, session);
             } else if (button === 'BRT' || button === 'DIM') {
                 // Handle BRT/DIM brightness control
                 await this.handleBrightness(deviceId, button);
@@ -211,15 +208,7 @@ class ButtonSubscriber {
                 return;
             }
 
-            // Switch active device if keypad event arrives from a different device
-            if (deviceId && this.adapter.displayPublisher) {
-                if (this.adapter.displayPublisher.deviceId !== deviceId) {
-                    this.adapter.displayPublisher.setDevice(deviceId);
-                    await this.adapter.loadDevicePagesIntoConfig(deviceId);
-                    await this.adapter.initializeRuntime();
-                    this.adapter.log.info(`Switched active device to ${deviceId} (keypad event)`);
-                }
-            }
+            const session = deviceId ? await this.adapter.getDeviceSession(deviceId) : null;
 
             // Map key to character
             const char = this.keypadMap.get(key);
@@ -229,8 +218,9 @@ class ButtonSubscriber {
             }
 
             // Delegate to InputModeManager if available
-            if (this.inputModeManager) {
-                await this.inputModeManager.handleKeyInput(char);
+            const inputModeManager = this.getInputModeManager(session);
+            if (inputModeManager) {
+                await inputModeManager.handleKeyInput(char);
             } else {
                 this.adapter.log.warn('InputModeManager not available - keypad input ignored');
             }
@@ -242,11 +232,13 @@ class ButtonSubscriber {
     /**
      * Handle CLR key press (context-aware)
      *
+     * @param {object|null} [session] - DeviceSession of the originating device
      * @returns {Promise<void>}
      */
-    async handleCLRKey() {
-        if (this.inputModeManager) {
-            await this.inputModeManager.handleCLR();
+    async handleCLRKey(session = null) {
+        const inputModeManager = this.getInputModeManager(session);
+        if (inputModeManager) {
+            await inputModeManager.handleCLR();
         } else {
             // Fallback: navigate back
             const previousPageState = await this.adapter.getStateAsync('runtime.previousPage');
@@ -275,12 +267,12 @@ class ButtonSubscriber {
      * Handle LSK button press
      *
      * @param {string} button - Button name (e.g., "LSK1L")
+     * @param {object|null} [session] - DeviceSession of the originating device
      * @returns {Promise<void>}
      */
-    async handleLskButton(button) {
+    async handleLskButton(button, session = null) {
         // Get current page
-        const currentPageState = await this.adapter.getStateAsync('runtime.currentPage');
-        const currentPageId = currentPageState?.val;
+        const currentPageId = await this.getCurrentPageId(session);
 
         if (!currentPageId) {
             this.adapter.log.warn('No current page set');
@@ -288,7 +280,7 @@ class ButtonSubscriber {
         }
 
         // Find page config
-        const pageConfig = this.findPageConfig(currentPageId);
+        const pageConfig = this.findPageConfig(currentPageId, session);
         if (!pageConfig) {
             this.adapter.log.error(`Page config not found: ${currentPageId}`);
             return;
@@ -301,8 +293,8 @@ class ButtonSubscriber {
             return;
         }
 
-        // Find line config (rows already migrated by loadDevicePagesIntoConfig)
-        const lineConfig = pageConfig.lines?.find((l) => l.row === row);
+        // Find line config as displayed (visibility and pagination applied)
+        const lineConfig = await this.findLineConfig(pageConfig, row, session);
         if (!lineConfig) {
             this.adapter.log.debug(`No line config for row ${row}`);
             return;
@@ -312,8 +304,9 @@ class ButtonSubscriber {
         const side = button.endsWith('L') ? 'left' : 'right';
 
         // If InputModeManager available, delegate LSK handling
-        if (this.inputModeManager) {
-            await this.inputModeManager.handleLSK(side, row);
+        const inputModeManager = this.getInputModeManager(session);
+        if (inputModeManager) {
+            await inputModeManager.handleLSK(side, row);
         } else {
             // Fallback: Execute button action directly (Phase 1 behavior)
             const buttonConfig = this.getButtonConfig(lineConfig, side);
@@ -323,26 +316,47 @@ class ButtonSubscriber {
                 return;
             }
 
-            await this.executeButtonAction(buttonConfig);
+            await this.executeButtonAction(buttonConfig, session?.deviceId);
+        }
+    }
+
+    /**
+     * Find the line config shown on a row.
+     * With a session the renderer's layout is used, so hidden or paged-out lines cannot be triggered.
+     *
+     * @param {object} pageConfig - Page configuration
+     * @param {number} row - Data row
+     * @param {object|null} [session] - DeviceSession of the originating device
+     * @returns {Promise<object|null>}
+     */
+    async findLineConfig(pageConfig, row, session = null) {
+        if (session) {
+            return session.pageRenderer.getLineAtRow(pageConfig.id, row);
         }
+        return pageConfig.lines?.find((l) => l.row === row) || null;
     }
 
     /**
      * Handle function key press (MENU, DIR, INIT, PREV_PAGE, NEXT_PAGE, etc.)
      *
      * @param {string} button - Button name
+     * @param {object|null} [session] - DeviceSession of the originating device
      * @returns {Promise<void>}
      */
-    async handleFunctionKey(button) {
+    async handleFunctionKey(button, session = null) {
         this.adapter.log.debug(`Function key: ${button}`);
 
+        const deviceId = session?.deviceId;
+        const inputModeManager = this.getInputModeManager(session);
+        const pageRenderer = session ? session.pageRenderer : this.adapter.pageRenderer;
+
         // Clear edit mode for function keys (except PREV/NEXT PAGE)
         // Note: input mode and scratchpad are NOT cleared — only CLR does that
         if (button !== 'PREV_PAGE' && button !== 'NEXT_PAGE') {
-            if (this.inputModeManager) {
-                const currentMode = this.inputModeManager.getMode();
+            if (inputModeManager) {
+                const currentMode = inputModeManager.getMode();
                 if (currentMode === 'edit') {
-                    await this.inputModeManager.setState('normal');
+                    await inputModeManager.setState('normal');
                     this.adapter.log.debug(`${button} cleared edit mode`);
                 }
             }
@@ -351,30 +365,27 @@ class ButtonSubscriber {
         // PREV_PAGE and NEXT_PAGE: hardcoded pagination logic (not configurable)
         if (button === 'PREV_PAGE') {
             this.adapter.log.debug('PREV_PAGE key');
-            if (this.adapter.pageRenderer && this.adapter.pageRenderer.currentPageOffset > 0) {
-                this.adapter.pageRenderer.currentPageOffset--;
-                await this.adapter.renderCurrentPage();
+            if (pageRenderer && pageRenderer.currentPageOffset > 0) {
+                pageRenderer.currentPageOffset--;
+                await this.adapter.renderCurrentPage(deviceId);
             } else {
-                await this.adapter.navigatePrevious();
+                await this.adapter.navigatePrevious(deviceId);
             }
             return;
         }
         if (button === 'NEXT_PAGE') {
             this.adapter.log.debug('NEXT_PAGE key');
-            if (
-                this.adapter.pageRenderer &&
-                this.adapter.pageRenderer.currentPageOffset < this.adapter.pageRenderer.totalPages - 1
-            ) {
-                this.adapter.pageRenderer.currentPageOffset++;
-                await this.adapter.renderCurrentPage();
+            if (pageRenderer && pageRenderer.currentPageOffset < pageRenderer.totalPages - 1) {
+                pageRenderer.currentPageOffset++;
+                await this.adapter.renderCurrentPage(deviceId);
             } else {
-                await this.adapter.navigateNext();
+                await this.adapter.navigateNext(deviceId);
             }
             return;
         }
 
         // Config-driven function key handling
-        const functionKeys = this.adapter.config.functionKeys || [];
+        const functionKeys = (session ? session.functionKeys : this.adapter.config.functionKeys) || [];
         const keyConfig = functionKeys.find((fk) => fk.key === button);
 
         if (!keyConfig || !keyConfig.enabled) {
@@ -385,18 +396,28 @@ class ButtonSubscriber {
         switch (keyConfig.action) {
             case 'navigateHome':
                 this.adapter.log.info(`${button} key - navigating to home page`);
-                await this.adapter.navigateHome();
+                await this.adapter.navigateHome(deviceId);
                 break;
 
             case 'gotoPage':
                 if (keyConfig.targetPageId) {
                     this.adapter.log.info(`${button} key - navigating to ${keyConfig.targetPageId}`);
-                    await this.adapter.switchToPage(keyConfig.targetPageId);
+                    await this.adapter.switchToPage(keyConfig.targetPageId, deviceId);
                 } else {
                     this.adapter.log.debug(`${button} key - no target page configured`);
                 }
                 break;
 
+            case 'quickAccess':
+                this.adapter.log.info(`${button} key - opening quick access`);
+                await this.adapter.switchToPage(QUICK_ACCESS_PAGE_ID, deviceId);
+                break;
+
+            case 'macro':
+                this.adapter.log.info(`${button} key - running macro`);
+                await this.adapter.executeButtonAction({ ...keyConfig, type: 'macro' }, deviceId);
+                break;
+
             default:
                 this.adapter.log.debug(`Unknown action for ${button}: ${keyConfig.action}`);
                 break;
@@ -448,9 +469,10 @@ class ButtonSubscriber {
      * Handle keypad button from buttons/event topic
      *
      * @param {string} button - Button name (e.g., "A", "1", "DOT")
+     * @param {object|null} [session] - DeviceSession of the originating device
      * @returns {Promise<void>}
      */
-    async handleKeypadButton(button) {
+    async handleKeypadButton(button, session = null) {
         let char;
         if (button.length === 1) {
             char = button; // A-Z, 0-9
@@ -462,8 +484,9 @@ class ButtonSubscriber {
             char = ' ';
         }
 
-        if (char && this.inputModeManager) {
-            await this.inputModeManager.handleKeyInput(char);
+        const inputModeManager = this.getInputModeManager(session);
+        if (char && inputModeManager) {
+            await inputModeManager.handleKeyInput(char);
         }
     }
 
@@ -473,19 +496,21 @@ class ButtonSubscriber {
      * If scratchpad has content without sign → prepend minus
      * If scratchpad is empty → insert minus
      *
+     * @param {object|null} [session] - DeviceSession of the originating device
      * @returns {Promise<void>}
      */
-    async handlePlusMinus() {
-        if (!this.inputModeManager) {
+    async handlePlusMinus(session = null) {
+        const inputModeManager = this.getInputModeManager(session);
+        if (!inputModeManager) {
             return;
         }
 
-        const scratchpad = this.inputModeManager.getScratchpad();
+        const scratchpad = inputModeManager.getScratchpad();
         const content = scratchpad.getContent();
 
         if (content.length === 0) {
             // Empty scratchpad: insert minus (Airbus convention)
-            await this.inputModeManager.handleKeyInput('-');
+            await inputModeManager.handleKeyInput('-');
         } else if (content.startsWith('-')) {
             // Has minus → toggle to plus (remove minus)
             scratchpad.set(content.substring(1));
@@ -505,10 +530,11 @@ class ButtonSubscriber {
      * Execute button action
      *
      * @param {object} buttonConfig - Button configuration
+     * @param {string} [deviceId] - Originating device ID
      * @returns {Promise<void>}
      */
-    async executeButtonAction(buttonConfig) {
-        await this.adapter.executeButtonAction(buttonConfig);
+    async executeButtonAction(buttonConfig, deviceId) {
+        await this.adapter.executeButtonAction(buttonConfig, deviceId);
     }
 
     /**
@@ -540,11 +566,38 @@ class ButtonSubscriber {
      * Find page configuration by ID
      *
      * @param {string} pageId - Page ID
+     * @param {object|null} [session] - DeviceSession (null = adapter config)
+     * @returns {object|null}
+     */
+    findPageConfig(pageId, session = null) {
+        if (session) {
+            return session.findPage(pageId);
+        }
+        return (this.adapter.config.pages || []).find((p) => p.id === pageId) || null;
+    }
+
+    /**
+     * Get current page ID of a session (or global runtime state without session)
+     *
+     * @param {object|null} session - DeviceSession
+     * @returns {Promise<string|null>}
+     */
+    async getCurrentPageId(session) {
+        if (session) {
+            return session.currentPage;
+        }
+        const currentPageState = await this.adapter.getStateAsync('runtime.currentPage');
+        return currentPageState?.val || null;
+    }
+
+    /**
+     * Get InputModeManager of a session (or the injected one without session)
+     *
+     * @param {object|null} session - DeviceSession
      * @returns {object|null}
      */
-    findPageConfig(pageId) {
-        const pages = this.adapter.config.pages || [];
-        return pages.find((p) => p.id === pageId) || null;
+    getInputModeManager(session) {
+        return session ? session.inputModeManager : this.inputModeManager;
     }
 
     /**
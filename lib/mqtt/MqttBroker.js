@@ -0,0 +1,241 @@
+'use strict';
+
+/**
+ * Embedded MQTT Broker
+ *
+ * Optional Aedes broker inside the adapter for setups without mosquitto or the
+ * ioBroker MQTT adapter. The adapter's MqttClient connects to it on 127.0.0.1,
+ * the Pi client connects to the adapter host on the configured port.
+ * Features:
+ *   - Configurable port; username and password are required (it listens on all interfaces)
+ *   - Optional persistence of retained messages across adapter restarts
+ *
+ * @author Felix Hummel
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createBroker } = require('aedes');
+
+/** Delay before writing retained message changes to disk (ms) */
+const PERSIST_DELAY = 5000;
+
+class MqttBroker {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} config - Embedded broker configuration
+     * @param {number|string} [config.port] - TCP port (default: 1883)
+     * @param {string} config.username - Username (required)
+     * @param {string} config.password - Password (required)
+     * @param {boolean} [config.persistence] - Keep retained messages across restarts (default: true)
+     * @param {string} [config.retainedFile] - Retained message file (required for persistence)
+     */
+    constructor(adapter, config) {
+        this.adapter = adapter;
+        this.config = config || {};
+        this.port = Number(this.config.port) || 1883;
+        this.persistence = this.config.persistence !== false && !!this.config.retainedFile;
+
+        /** Aedes instance */
+        this.aedes = null;
+
+        /** TCP server */
+        this.server = null;
+
+        /** Retained messages by topic: {payload, qos} */
+        this.retained = new Map();
+
+        /** Pending persist timer */
+        this.persistTimer = null;
+    }
+
+    /**
+     * Start the broker and listen on the configured port
+     *
+     * @returns {Promise<void>}
+     */
+    async start() {
+        // Button events run datapoint writes and macros, so never accept anonymous clients from the LAN
+        if (!this.config.username || !this.config.password) {
+            throw new Error('Embedded MQTT broker requires a username and password (embeddedBroker.username/password)');
+        }
+
+        const aedes = createBroker({ id: `iobroker-${this.adapter.namespace}` });
+        aedes.authenticate = (client, username, password, done) => done(null, this.authenticate(username, password));
+        aedes.on('publish', (packet) => this.trackRetained(packet));
+        aedes.on('clientError', (client, error) => {
+            this.adapter.log.debug(`Embedded broker client ${client?.id} error: ${error.message}`);
+        });
+        this.aedes = aedes;
+
+        if (this.persistence) {
+            await this.restoreRetained();
+        }
+
+        const server = net.createServer(aedes.handle);
+        this.server = server;
+        await this.listen(server);
+        server.on('error', (error) => this.adapter.log.error(`Embedded MQTT broker error: ${error.message}`));
+
+        const hosts = this.getHostAddresses().map((address) => `mqtt://${address}:${this.port}`);
+        const hint = hosts.length > 0 ? ` - point the Pi client to ${hosts.join(' or ')}` : '';
+        this.adapter.log.info(`Embedded MQTT broker listening on port ${this.port}${hint}`);
+    }
+
+    /**
+     * Listen on the configured port
+     *
+     * @param {net.Server} server - TCP server of the broker
+     * @returns {Promise<void>}
+     */
+    listen(server) {
+        return new Promise((resolve, reject) => {
+            const onError = (error) => {
+                server.close();
+                reject(new Error(`Embedded MQTT broker cannot listen on port ${this.port}: ${error.message}`));
+            };
+            server.once('error', onError);
+            server.listen(this.port, () => {
+                server.removeListener('error', onError);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop the broker, writing pending retained messages first
+     */
+    stop() {
+        if (this.persistTimer) {
+            this.adapter.clearTimeout(this.persistTimer);
+            this.persistTimer = null;
+            this.persistRetained();
+        }
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+        if (this.aedes) {
+            this.aedes.close();
+            this.aedes = null;
+        }
+    }
+
+    /**
+     * Check client credentials
+     *
+     * @param {string} [username] - Username sent by the client
+     * @param {Buffer} [password] - Password sent by the client
+     * @returns {boolean} True if the client may connect
+     */
+    authenticate(username, password) {
+        if (!this.config.username || !this.config.password) {
+            return false;
+        }
+        return username === this.config.username && String(password || '') === (this.config.password || '');
+    }
+
+    /**
+     * Keep track of retained messages for persistence
+     *
+     * @param {object} packet - Aedes publish packet
+     */
+    trackRetained(packet) {
+        if (!this.persistence || !packet.retain || packet.topic.startsWith('$SYS')) {
+            return;
+        }
+        if (packet.payload.length === 0) {
+            this.retained.delete(packet.topic);
+        } else {
+            this.retained.set(packet.topic, { payload: packet.payload.toString(), qos: packet.qos });
+        }
+        if (!this.persistTimer) {
+            this.persistTimer = this.adapter.setTimeout(() => {
+                this.persistTimer = null;
+                this.persistRetained();
+            }, PERSIST_DELAY);
+        }
+    }
+
+    /**
+     * Load retained messages from disk into the broker
+     *
+     * @returns {Promise<void>}
+     */
+    async restoreRetained() {
+        const file = this.config.retainedFile;
+        if (!file || !fs.existsSync(file)) {
+            return;
+        }
+
+        let stored;
+        try {
+            stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            this.adapter.log.warn(`Ignoring unreadable retained messages file ${file}: ${error.message}`);
+            return;
+        }
+
+        for (const [topic, message] of Object.entries(stored || {})) {
+            if (!message || typeof message.payload !== 'string') {
+                continue;
+            }
+            const packet = {
+                cmd: 'publish',
+                topic,
+                payload: Buffer.from(message.payload),
+                qos: message.qos || 0,
+                retain: true,
+            };
+            await this.storeRetained(packet);
+            this.retained.set(topic, { payload: message.payload, qos: packet.qos });
+        }
+        this.adapter.log.debug(`Restored ${this.retained.size} retained MQTT messages`);
+    }
+
+    /**
+     * Put a retained message into the broker's store
+     *
+     * @param {object} packet - Publish packet with retain flag
+     * @returns {Promise<void>}
+     */
+    storeRetained(packet) {
+        // The persistence layer is not part of the aedes typings
+        const { persistence } = /** @type {any} */ (this.aedes);
+        return new Promise((resolve, reject) =>
+            persistence.storeRetained(packet, (error) => (error ? reject(error) : resolve()))
+        );
+    }
+
+    /**
+     * Write retained messages to disk
+     */
+    persistRetained() {
+        const file = this.config.retainedFile;
+        if (!file) {
+            return;
+        }
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(Object.fromEntries(this.retained)));
+        } catch (error) {
+            this.adapter.log.warn(`Failed to store retained MQTT messages: ${error.message}`);
+        }
+    }
+
+    /**
+     * External IPv4 addresses of this host (for the Pi client hint)
+     *
+     * @returns {string[]} IP addresses
+     */
+    getHostAddresses() {
+        return Object.values(os.networkInterfaces())
+            .flatMap((ifaces) => ifaces || [])
+            .filter((iface) => iface.family === 'IPv4' && !iface.internal)
+            .map((iface) => iface.address);
+    }
+}
+
+module.exports = MqttBroker;
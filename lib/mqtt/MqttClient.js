@@ -6,11 +6,33 @@
  * Manages connection to MQTT broker and provides pub/sub interface.
  * Handles reconnection and error recovery.
  *
+ * Transports: mqtt (TCP), mqtts (TLS), ws / wss (MQTT over WebSocket, plain / TLS).
+ * TLS options (CA, client certificate and key) are read from file paths.
+ *
  * @author Felix Hummel
  */
 
+const fs = require('fs');
 const mqtt = require('mqtt');
 
+/** Supported protocols and their default ports */
+const PROTOCOLS = { mqtt: 1883, mqtts: 8883, ws: 80, wss: 443 };
+
+/**
+ * Read a TLS file (CA, certificate or key)
+ *
+ * @param {string} filePath - File path
+ * @param {string} label - File kind (for error messages)
+ * @returns {Buffer} File content
+ */
+function readTlsFile(filePath, label) {
+    try {
+        return fs.readFileSync(filePath);
+    } catch (error) {
+        throw new Error(`Cannot read TLS ${label} file "${filePath}": ${error.message}`);
+    }
+}
+
 class MqttClient {
     /**
      * @param {object} adapter - ioBroker adapter instance
@@ -20,6 +42,13 @@ class MqttClient {
      * @param {string} [config.username] - Username
      * @param {string} [config.password] - Password
      * @param {string} [config.topicPrefix] - Topic prefix
+     * @param {string} [config.protocol] - mqtt | mqtts | ws | wss (default: mqtt)
+     * @param {string} [config.wsPath] - WebSocket path (ws/wss only, default: /mqtt)
+     * @param {string} [config.clientId] - Client ID override (default: iobroker-mcdu-{instance})
+     * @param {string} [config.caFile] - CA certificate file (mqtts/wss)
+     * @param {string} [config.certFile] - Client certificate file (mqtts/wss)
+     * @param {string} [config.keyFile] - Client key file (mqtts/wss)
+     * @param {boolean} [config.rejectUnauthorized] - Verify the broker certificate (default: true)
      */
     constructor(adapter, config) {
         this.adapter = adapter;
@@ -29,6 +58,47 @@ class MqttClient {
         this.topicPrefix = config.topicPrefix || 'mcdu';
     }
 
+    /**
+     * Build broker URL and connect options from the configuration
+     *
+     * @returns {{url: string, options: import('mqtt').IClientOptions}} Broker URL and mqtt.connect() options
+     * @throws {Error} If a configured TLS file cannot be read
+     */
+    buildConnection() {
+        const protocol = PROTOCOLS[this.config.protocol] ? this.config.protocol : 'mqtt';
+        const port = this.config.port || PROTOCOLS[protocol];
+        let path = '';
+        if (protocol === 'ws' || protocol === 'wss') {
+            path = this.config.wsPath || '/mqtt';
+            path = path.startsWith('/') ? path : `/${path}`;
+        }
+        const url = `${protocol}://${this.config.broker}:${port}${path}`;
+
+        const clientId = typeof this.config.clientId === 'string' ? this.config.clientId.trim() : '';
+        /** @type {import('mqtt').IClientOptions} */
+        const options = {
+            clientId: clientId || `iobroker-mcdu-${this.adapter.instance}`,
+            keepalive: 60,
+            clean: true,
+            reconnectPeriod: 5000, // Auto-reconnect every 5 seconds on disconnect
+        };
+
+        if (protocol === 'mqtts' || protocol === 'wss') {
+            if (this.config.caFile) {
+                options.ca = readTlsFile(this.config.caFile, 'CA');
+            }
+            if (this.config.certFile) {
+                options.cert = readTlsFile(this.config.certFile, 'certificate');
+            }
+            if (this.config.keyFile) {
+                options.key = readTlsFile(this.config.keyFile, 'key');
+            }
+            options.rejectUnauthorized = this.config.rejectUnauthorized !== false;
+        }
+
+        return { url, options };
+    }
+
     /**
      * Connect to MQTT broker
      *
@@ -49,17 +119,18 @@ class MqttClient {
         }
 
         return new Promise((resolve, reject) => {
-            const url = `mqtt://${this.config.broker}:${this.config.port}`;
+            let url;
+            let options;
+            try {
+                ({ url, options } = this.buildConnection());
+            } catch (error) {
+                this.adapter.log.error(`MQTT configuration error: ${error.message}`);
+                reject(error);
+                return;
+            }
 
             this.adapter.log.info(`Connecting to MQTT broker: ${url}`);
 
-            const options = {
-                clientId: `iobroker-mcdu-${this.adapter.instance}`,
-                keepalive: 60,
-                clean: true,
-                reconnectPeriod: 5000, // Auto-reconnect every 5 seconds on disconnect
-            };
-
             // Only add credentials if they're provided (non-empty strings)
             if (this.config.username && this.config.username.trim() !== '') {
                 options.username = this.config.username;
@@ -83,6 +154,9 @@ class MqttClient {
                 `MQTT options: ${JSON.stringify({
                     ...options,
                     password: options.password ? '***' : undefined,
+                    ca: options.ca ? 'configured' : undefined,
+                    cert: options.cert ? 'configured' : undefined,
+                    key: options.key ? 'configured' : undefined,
                     will: 'configured',
                 })}`
             );
@@ -15,7 +15,7 @@
 class DisplayPublisher {
     /**
      * @param {object} adapter - ioBroker adapter instance
-     * @param {object} mqttClient - MqttClient instance
+     * @param {object} mqttClient - Transport (MqttClient or TransportRouter)
      * @param {string|null} deviceId - Target device ID (null = use from method calls)
      */
     constructor(adapter, mqttClient, deviceId = null) {
@@ -38,6 +38,12 @@ class DisplayPublisher {
         /** Last published content */
         this.lastContent = null;
 
+        /** Display rows (lines per full update) */
+        this.rows = adapter.config.display?.rows || 14;
+
+        /** Display columns (characters per line) */
+        this.columns = adapter.config.display?.columns || 24;
+
         /** Processing flag */
         this.processing = false;
     }
@@ -52,31 +58,19 @@ class DisplayPublisher {
     }
 
     /**
-     * Publish full display update (all 14 lines)
+     * Publish full display update (all rows, 14 on the MCDU)
      *
-     * @param {Array<object>} lines - Array of 14 line objects {text, color}
+     * @param {Array<object>} lines - Array of line objects {text, color, size?}, one per row
      * @returns {Promise<void>}
      */
     async publishFullDisplay(lines) {
-        if (!Array.isArray(lines) || lines.length !== 14) {
-            this.adapter.log.error(`Invalid lines array: expected 14, got ${lines?.length}`);
+        if (!Array.isArray(lines) || lines.length !== this.rows) {
+            this.adapter.log.error(`Invalid lines array: expected ${this.rows}, got ${lines?.length}`);
             return;
         }
 
         const payload = {
-            lines: lines.map((line) => {
-                const entry = {
-                    text: this.padOrTruncate(line.text || '', 24),
-                    color: this.validateColor(line.color || 'white'),
-                };
-                if (line.segments && Array.isArray(line.segments)) {
-                    entry.segments = line.segments.map((seg) => ({
-                        text: seg.text || '',
-                        color: this.validateColor(seg.color || 'white'),
-                    }));
-                }
-                return entry;
-            }),
+            lines: lines.map((line) => this.buildLineEntry(line.text, line.color, line.segments, line.size)),
             timestamp: Date.now(),
         };
 
@@ -99,21 +93,22 @@ class DisplayPublisher {
     /**
      * Publish single line update
      *
-     * @param {number} lineNumber - Line number (1-14)
-     * @param {string} text - Line text (24 chars)
+     * @param {number} lineNumber - Line number (1-rows)
+     * @param {string} text - Line text (padded to the display columns)
      * @param {string} color - Color name
+     * @param {Array<object>|null} segments - Optional colored segments [{text, color, size?}]
+     * @param {string|null} size - Font size ('small' or 'large', default large)
      * @returns {Promise<void>}
      */
-    async publishLine(lineNumber, text, color) {
-        if (lineNumber < 1 || lineNumber > 14) {
+    async publishLine(lineNumber, text, color, segments = null, size = null) {
+        if (lineNumber < 1 || lineNumber > this.rows) {
             this.adapter.log.error(`Invalid line number: ${lineNumber}`);
             return;
         }
 
         const payload = {
             lineNumber,
-            text: this.padOrTruncate(text || '', 24),
-            color: this.validateColor(color || 'white'),
+            ...this.buildLineEntry(text, color, segments, size),
             timestamp: Date.now(),
         };
 
@@ -238,6 +233,12 @@ class DisplayPublisher {
                 this.lastContent = update.payload;
             }
 
+            // Patch cached line so the next full update is compared against what is shown
+            if (update.type === 'line' && this.lastContent?.lines) {
+                const { lineNumber, text, color, size, segments } = update.payload;
+                this.lastContent.lines[lineNumber - 1] = this.buildLineEntry(text, color, segments, size);
+            }
+
             this.adapter.log.debug(`Published ${update.type} update to ${topic}`);
         } catch (error) {
             this.adapter.log.error(`Failed to publish ${update.type} update to ${topic}: ${error.message}`);
@@ -255,11 +256,15 @@ class DisplayPublisher {
             return false;
         }
 
-        for (let i = 0; i < 14; i++) {
+        for (let i = 0; i < this.rows; i++) {
             const lastLine = this.lastContent.lines[i];
             const newLine = payload.lines[i];
 
-            if (lastLine.text !== newLine.text || lastLine.color !== newLine.color) {
+            if (
+                lastLine.text !== newLine.text ||
+                lastLine.color !== newLine.color ||
+                (lastLine.size || 'large') !== (newLine.size || 'large')
+            ) {
                 return false;
             }
             // Compare segments if present
@@ -273,6 +278,40 @@ class DisplayPublisher {
         return true;
     }
 
+    /**
+     * Build a normalized line entry {text, color, size?, segments?}
+     *
+     * The large font is the display default, so only size 'small' is sent.
+     *
+     * @param {string} text - Line text
+     * @param {string} color - Color name
+     * @param {Array<object>|null} segments - Optional colored segments
+     * @param {string|null} [size] - Font size ('small' or 'large')
+     * @returns {object}
+     */
+    buildLineEntry(text, color, segments, size) {
+        const entry = {
+            text: this.padOrTruncate(text || '', this.columns),
+            color: this.validateColor(color || 'white'),
+        };
+        if (this.validateSize(size) === 'small') {
+            entry.size = 'small';
+        }
+        if (segments && Array.isArray(segments)) {
+            entry.segments = segments.map((seg) => {
+                const segment = {
+                    text: seg.text || '',
+                    color: this.validateColor(seg.color || 'white'),
+                };
+                if (this.validateSize(seg.size) === 'small') {
+                    segment.size = 'small';
+                }
+                return segment;
+            });
+        }
+        return entry;
+    }
+
     /**
      * Pad or truncate text to exact length
      *
@@ -298,6 +337,16 @@ class DisplayPublisher {
         return validColors.includes(color) ? color : 'white';
     }
 
+    /**
+     * Validate font size
+     *
+     * @param {string|null} [size] - Font size
+     * @returns {string} 'small' or 'large'
+     */
+    validateSize(size) {
+        return size === 'small' ? 'small' : 'large';
+    }
+
     /**
      * Sleep for specified milliseconds
      *
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * LED Controller
+ *
+ * Drives the indicator LEDs of one device from its LED mapping (see utils/ledMapping.js):
+ * each assigned LED follows a foreign state and lights up while its condition holds.
+ *
+ * Behaviour:
+ *   - Source changes arrive via handleStateChange (main.onStateChange, subscribed data sources)
+ *   - Output goes through adapter.handleLEDChange; devices.{id}.leds.{LED} mirrors on/off (ack=true)
+ *   - Blink patterns are generated here, the client only sees brightness changes:
+ *       slow  → 1 Hz on/off
+ *       fast  → 4 Hz on/off
+ *       pulse → brightness ramps up and down (2 s period)
+ *   - A script writing leds.{LED} still works; the mapping takes over again on the next source change
+ *
+ * @author Felix Hummel
+ */
+
+const { getActiveLedAssignments } = require('../utils/ledMapping');
+const { evaluateCondition } = require('../utils/condition');
+
+/** Blink patterns: tick interval (ms) and brightness factor per tick */
+const PATTERNS = {
+    slow: { interval: 500, levels: [1, 0] },
+    fast: { interval: 125, levels: [1, 0] },
+    pulse: { interval: 200, levels: [0.2, 0.4, 0.6, 0.8, 1, 0.8, 0.6, 0.4, 0.2, 0] },
+};
+
+class LedController {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {string} deviceId - Device ID
+     */
+    constructor(adapter, deviceId) {
+        this.adapter = adapter;
+        this.deviceId = deviceId;
+
+        /** Active assignments (enabled, with source) */
+        this.assignments = [];
+
+        /** LED state: led → { on, timer, tick } */
+        this.leds = new Map();
+    }
+
+    /**
+     * Replace the LED mapping. LEDs are re-evaluated on the next refresh();
+     * LEDs that were lit by an assignment that no longer exists are switched off.
+     *
+     * @param {Array<object>|null} mapping - LED mapping (storage format)
+     * @returns {Promise<void>}
+     */
+    async setMapping(mapping) {
+        const wasOn = [...this.leds.entries()].filter(([, led]) => led.on).map(([ledName]) => ledName);
+        this.stopAll();
+        this.assignments = getActiveLedAssignments(mapping);
+
+        for (const ledName of wasOn) {
+            if (!this.assignments.some((entry) => entry.led === ledName)) {
+                await this.adapter.handleLEDChange(this.deviceId, ledName, 0);
+                await this.adapter.setStateAsync(`devices.${this.deviceId}.leds.${ledName}`, false, true);
+            }
+        }
+    }
+
+    /**
+     * Get the state IDs the assigned LEDs follow
+     *
+     * @returns {Array<string>}
+     */
+    getSources() {
+        return [...new Set(this.assignments.map((entry) => entry.source))];
+    }
+
+    /**
+     * Evaluate all assignments against the current source values (after load or reconnect)
+     *
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        for (const entry of this.assignments) {
+            try {
+                const state = await this.adapter.getCachedForeignState(entry.source);
+                await this.apply(entry, state);
+            } catch (error) {
+                this.adapter.log.warn(`LED ${entry.led} on ${this.deviceId}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Handle a source state change
+     *
+     * @param {string} stateId - Changed foreign state ID
+     * @param {ioBroker.State|null|undefined} state - New state
+     * @returns {Promise<void>}
+     */
+    async handleStateChange(stateId, state) {
+        for (const entry of this.assignments) {
+            if (entry.source === stateId) {
+                await this.apply(entry, state);
+            }
+        }
+    }
+
+    /**
+     * Switch a LED on/off according to its condition (unchanged LEDs keep their blink phase)
+     *
+     * @param {object} entry - Assignment
+     * @param {ioBroker.State|null|undefined} state - Source state
+     * @returns {Promise<void>}
+     */
+    async apply(entry, state) {
+        const on = state ? evaluateCondition(entry.condition, state.val) : false;
+        if (this.leds.get(entry.led)?.on === on) {
+            return;
+        }
+
+        this.stop(entry.led);
+        const led = { on, timer: null, tick: 0 };
+        this.leds.set(entry.led, led);
+
+        this.adapter.log.debug(`LED ${entry.led} on ${this.deviceId}: ${on ? 'on' : 'off'} (${entry.source})`);
+        await this.adapter.setStateAsync(`devices.${this.deviceId}.leds.${entry.led}`, on, true);
+
+        const pattern = on ? PATTERNS[entry.blink] : null;
+        if (!pattern) {
+            await this.adapter.handleLEDChange(this.deviceId, entry.led, on ? entry.brightness : 0);
+            return;
+        }
+
+        await this.adapter.handleLEDChange(this.deviceId, entry.led, Math.round(entry.brightness * pattern.levels[0]));
+        led.timer = this.adapter.setInterval(() => {
+            led.tick = (led.tick + 1) % pattern.levels.length;
+            const brightness = Math.round(entry.brightness * pattern.levels[led.tick]);
+            this.adapter.handleLEDChange(this.deviceId, entry.led, brightness).catch((error) => {
+                this.adapter.log.warn(`LED ${entry.led} blink failed: ${error.message}`);
+            });
+        }, pattern.interval);
+    }
+
+    /**
+     * Stop the blink timer of a LED and forget its state
+     *
+     * @param {string} ledName - LED name
+     */
+    stop(ledName) {
+        const led = this.leds.get(ledName);
+        if (led?.timer) {
+            this.adapter.clearInterval(led.timer);
+        }
+        this.leds.delete(ledName);
+    }
+
+    /**
+     * Stop all blink timers
+     */
+    stopAll() {
+        for (const ledName of [...this.leds.keys()]) {
+            this.stop(ledName);
+        }
+    }
+
+    /**
+     * Stop all timers (session teardown)
+     */
+    dispose() {
+        this.stopAll();
+    }
+}
+
+module.exports = LedController;
@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * List Page Builder
+ *
+ * Generates the lines of `layout: 'list'` pages at render time:
+ *   - From enums: members of all listed enums (e.g. enum.rooms.living ∩ enum.functions.light)
+ *   - From an object ID pattern (e.g. hm-rpc.0.*.STATE)
+ *
+ * Enum members that are devices/channels are expanded to their primary state
+ * (writable switch, then level, then any writable state).
+ *
+ * Each generated row is a datapoint display showing the name and the value, so the
+ * LSK toggles booleans and writes scratchpad values like any other datapoint line.
+ * Resolved state lists are cached for a short time to keep object lookups off the render path.
+ *
+ * @author Felix Hummel
+ */
+
+/** How long resolved state lists are reused (ms) */
+const LIST_CACHE_TTL = 60000;
+
+class ListPageBuilder {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+
+        /** Resolved items by page ID: { key, items: [{id, name}], expires } */
+        this.cache = new Map();
+    }
+
+    /**
+     * Build line configs for a list page
+     *
+     * @param {object} pageConfig - Page configuration with layout 'list'
+     * @returns {Promise<Array<object>>} Nested line configs (rows 3..13, then 100+ for further pages)
+     */
+    async buildLines(pageConfig) {
+        const items = await this.getItems(pageConfig);
+        const display = pageConfig.list?.display || {};
+
+        return items.map((item, i) => ({
+            row: i < 6 ? 3 + i * 2 : 100 + i,
+            left: {
+                label: '',
+                display: { ...display, type: 'datapoint', source: item.id, text: item.name },
+                button: { type: 'empty' },
+            },
+            right: { label: '', display: { type: 'empty' }, button: { type: 'empty' } },
+        }));
+    }
+
+    /**
+     * Get the (cached) items of a list page
+     *
+     * @param {object} pageConfig - Page configuration
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async getItems(pageConfig) {
+        const key = JSON.stringify(pageConfig.list || {});
+        const cached = this.cache.get(pageConfig.id);
+        if (cached && cached.key === key && cached.expires > Date.now()) {
+            return cached.items;
+        }
+
+        let items = [];
+        try {
+            items = await this.resolveItems(pageConfig.list || {});
+
+            // Subscribe so values update live and LSKs find the datapoint metadata
+            const lines = items.map((item) => ({ left: { display: { type: 'datapoint', source: item.id } } }));
+            await this.adapter.subscribeToDataSources([{ id: pageConfig.id, lines }]);
+        } catch (error) {
+            this.adapter.log.error(`List page ${pageConfig.id}: ${error.message}`);
+        }
+
+        this.cache.set(pageConfig.id, { key, items, expires: Date.now() + LIST_CACHE_TTL });
+        this.adapter.log.debug(`List page ${pageConfig.id}: ${items.length} items`);
+        return items;
+    }
+
+    /**
+     * Resolve list source to state items, sorted by name
+     *
+     * @param {object} list - { enums } or { pattern }
+     * @returns {Promise<Array<{id: string, name: string}>>}
+     */
+    async resolveItems(list) {
+        let items;
+        if (list.pattern) {
+            const objects = (await this.adapter.getForeignObjectsAsync(list.pattern, 'state')) || {};
+            items = Object.entries(objects).map(([id, obj]) => ({ id, name: this.getName(obj, id) }));
+        } else if (Array.isArray(list.enums) && list.enums.length > 0) {
+            items = [];
+            for (const memberId of await this.resolveEnumMembers(list.enums)) {
+                const item = await this.resolveMemberState(memberId);
+                if (item) {
+                    items.push(item);
+                }
+            }
+        } else {
+            return [];
+        }
+
+        const seen = new Set();
+        return items
+            .filter((item) => !seen.has(item.id) && seen.add(item.id))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Intersect the members of several enums.
+     * Members match if they are equal or one contains the other (device ⊃ channel ⊃ state);
+     * the more specific ID is kept.
+     *
+     * @param {Array<string>} enumIds - Enum object IDs
+     * @returns {Promise<Array<string>>} Member IDs
+     */
+    async resolveEnumMembers(enumIds) {
+        let result = null;
+        for (const enumId of enumIds) {
+            const obj = await this.adapter.getForeignObjectAsync(enumId);
+            const members = obj?.common?.members || [];
+            if (!obj) {
+                this.adapter.log.warn(`Enum not found: ${enumId}`);
+            }
+
+            if (result === null) {
+                result = [...members];
+                continue;
+            }
+
+            const next = [];
+            for (const a of result) {
+                for (const b of members) {
+                    if (a === b || a.startsWith(`${b}.`)) {
+                        next.push(a);
+                    } else if (b.startsWith(`${a}.`)) {
+                        next.push(b);
+                    }
+                }
+            }
+            result = next;
+        }
+        return result || [];
+    }
+
+    /**
+     * Map an enum member to the state shown in the list.
+     * States are used directly; devices/channels use their primary state and their own name.
+     *
+     * @param {string} memberId - Enum member ID
+     * @returns {Promise<{id: string, name: string}|null>}
+     */
+    async resolveMemberState(memberId) {
+        const obj = await this.adapter.getForeignObjectAsync(memberId);
+        if (!obj) {
+            return null;
+        }
+        if (obj.type === 'state') {
+            return { id: memberId, name: this.getName(obj, memberId) };
+        }
+
+        const states = (await this.adapter.getForeignObjectsAsync(`${memberId}.*`, 'state')) || {};
+        const entries = Object.entries(states);
+        const writable = entries.filter(([, s]) => s?.common?.write !== false);
+        const byRole = (prefix) => writable.find(([, s]) => String(s?.common?.role || '').startsWith(prefix));
+        const primary = byRole('switch') || byRole('level') || writable[0] || entries[0];
+        if (!primary) {
+            return null;
+        }
+        return { id: primary[0], name: this.getName(obj, memberId) };
+    }
+
+    /**
+     * Get display name of an object (multi-language names: de, en, first)
+     *
+     * @param {object} obj - ioBroker object
+     * @param {string} id - Object ID (fallback: last ID segment)
+     * @returns {string}
+     */
+    getName(obj, id) {
+        const name = obj?.common?.name;
+        const fallback = id.split('.').pop() || id;
+        if (name && typeof name === 'object') {
+            return name.de || name.en || Object.values(name)[0] || fallback;
+        }
+        return name ? String(name) : fallback;
+    }
+
+    /**
+     * Drop cached items (all pages or one page)
+     *
+     * @param {string} [pageId] - Page ID
+     */
+    invalidate(pageId) {
+        if (pageId) {
+            this.cache.delete(pageId);
+        } else {
+            this.cache.clear();
+        }
+    }
+}
+
+module.exports = ListPageBuilder;
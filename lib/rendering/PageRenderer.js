@@ -9,14 +9,30 @@
  *   - Left/right column display composition
  *   - Fetch data from ioBroker states
  *   - Format values with sprintf
+ *   - Map values to text/color (valueMap, falls back to common.states)
  *   - Sub-labels (left.label / right.label on even rows)
  *   - Reserve Line 14 for scratchpad
+ *   - Row ↔ state dependency index for line-level re-rendering
+ *   - Conditional line visibility (visibleIf per side)
+ *   - Generated list pages (layout 'list', see ListPageBuilder)
+ *   - Pending writes (not yet acknowledged) drawn in WriteTracker.PENDING_COLOR
+ *   - Font size per side: small sub-labels, large data (display.sizeLabel / sizeData)
+ *   - Status bar widgets on row 1 (breadcrumb, clock, alerts, online, page x/y, datapoint)
  *
  * @author Felix Hummel
  */
 
 const sprintf = require('sprintf-js').sprintf;
-const { normalizeLine, getDisplayText } = require('../utils/lineNormalizer');
+const { normalizeLine, getDisplayText, EMPTY_SIDE } = require('../utils/lineNormalizer');
+const { normalizeValueMap, lookupValue } = require('../utils/valueMap');
+const { evaluateCondition } = require('../utils/condition');
+const ListPageBuilder = require('./ListPageBuilder');
+const { PENDING_COLOR } = require('../input/WriteTracker');
+const { normalizeStatusBar, layoutStatusBar } = require('../utils/statusBar');
+
+/** Default font sizes, as on the real MCDU */
+const LABEL_SIZE = 'small';
+const DATA_SIZE = 'large';
 
 class PageRenderer {
     /**
@@ -52,6 +68,33 @@ class PageRenderer {
 
         /** Total pages for pagination */
         this.totalPages = 1;
+
+        /** Owning DeviceSession (null = standalone, use adapter config) */
+        this.session = null;
+
+        /** Page ID of the last successful full render (null = nothing to update incrementally) */
+        this.renderedPageId = null;
+
+        /** Lines of the last render (index 0 = row 1), kept in sync by incremental updates */
+        this.lastLines = null;
+
+        /** Row → line config shown on that row in the last render */
+        this.rowLines = new Map();
+
+        /** State ID → Set of rows depending on it */
+        this.sourceRows = new Map();
+
+        /** State IDs used by visibleIf conditions on the rendered page (changes re-layout the page) */
+        this.visibilitySources = new Set();
+
+        /** Status bar widgets (row 1) */
+        this.statusBarWidgets = normalizeStatusBar(null);
+
+        /** Last read states of the status bar widgets */
+        this.statusValues = new Map();
+
+        /** Line generator for layout 'list' pages */
+        this.listBuilder = new ListPageBuilder(adapter);
     }
 
     /**
@@ -63,6 +106,7 @@ class PageRenderer {
     async renderPage(pageId) {
         try {
             this.adapter.log.debug(`Rendering page: ${pageId}`);
+            this.resetDependencyIndex();
 
             const pageConfig = this.findPageConfig(pageId);
             if (!pageConfig) {
@@ -71,37 +115,18 @@ class PageRenderer {
                 return;
             }
 
-            if (!pageConfig.lines || pageConfig.lines.length === 0) {
+            if (pageConfig.layout !== 'list' && (!pageConfig.lines || pageConfig.lines.length === 0)) {
                 this.adapter.log.warn(`Page ${pageId} has no lines configured`);
                 await this.renderEmptyPage();
                 return;
             }
 
-            // Normalize all lines to current format
-            const normalizedLines = pageConfig.lines.map((l) => normalizeLine(l));
-
-            // Pagination: collect items with display content on either side
-            const oddRows = [3, 5, 7, 9, 11, 13];
-            const allOddItems = normalizedLines.filter((l) => this.lineHasDisplay(l));
-            const itemsPerPage = 6;
-
-            if (allOddItems.length > itemsPerPage) {
-                this.totalPages = Math.ceil(allOddItems.length / itemsPerPage);
-                this.currentPageOffset = Math.min(this.currentPageOffset, this.totalPages - 1);
-            } else {
-                this.totalPages = 1;
-                this.currentPageOffset = 0;
-            }
-
-            // Build paginated line map
-            const paginatedMap = new Map();
-            if (this.totalPages > 1) {
-                const startIdx = this.currentPageOffset * itemsPerPage;
-                const pageItems = allOddItems.slice(startIdx, startIdx + itemsPerPage);
-                pageItems.forEach((item, i) => {
-                    paginatedMap.set(oddRows[i], item);
-                });
-            }
+            this.collectVisibilitySources(pageConfig);
+            await this.loadStatusBarValues();
+            const layout = await this.buildLayout(pageConfig, this.currentPageOffset);
+            this.totalPages = layout.totalPages;
+            this.currentPageOffset = layout.pageOffset;
+            const rowMap = layout.rowMap;
 
             const lines = [];
 
@@ -109,12 +134,7 @@ class PageRenderer {
                 try {
                     // Even rows (2,4,6,8,10,12): render sub-labels for the NEXT odd row
                     if (row % 2 === 0 && row >= 2 && row <= 12) {
-                        const nextOddRow = row + 1;
-                        const nextLineConfig =
-                            this.totalPages > 1
-                                ? paginatedMap.get(nextOddRow)
-                                : normalizedLines.find((l) => l.row === nextOddRow);
-                        lines.push(this.renderSubLabel(nextLineConfig));
+                        lines.push(this.renderSubLabel(rowMap.get(row + 1)));
                         continue;
                     }
 
@@ -124,11 +144,8 @@ class PageRenderer {
                         continue;
                     }
 
-                    // For odd rows, use paginated map if pagination active
-                    const lineConfig =
-                        this.totalPages > 1 && oddRows.includes(row)
-                            ? paginatedMap.get(row) || null
-                            : normalizedLines.find((l) => l.row === row);
+                    const lineConfig = rowMap.get(row) || null;
+                    this.indexLine(row, lineConfig);
                     const lineContent = await this.renderLine(pageId, lineConfig, row);
                     lines.push(lineContent);
                 } catch (lineError) {
@@ -151,6 +168,8 @@ class PageRenderer {
             }
 
             await this.displayPublisher.publishFullDisplay(lines);
+            this.renderedPageId = pageId;
+            this.lastLines = lines;
             this.adapter.log.debug(`Page rendered: ${pageId}`);
         } catch (error) {
             this.adapter.log.error(`Failed to render page ${pageId}: ${error.message}`);
@@ -179,6 +198,135 @@ class PageRenderer {
         return 'empty';
     }
 
+    /**
+     * Resolve which line is shown on each row of a page.
+     * Applies visibleIf conditions first, then paginates the remaining data lines,
+     * so hidden lines neither take a slot nor can be triggered via LSK.
+     *
+     * @param {object} pageConfig - Page configuration
+     * @param {number} pageOffset - Requested pagination offset
+     * @returns {Promise<{rowMap: Map<number, object>, totalPages: number, pageOffset: number}>}
+     */
+    async buildLayout(pageConfig, pageOffset) {
+        const configuredLines =
+            pageConfig.layout === 'list' ? await this.listBuilder.buildLines(pageConfig) : pageConfig.lines || [];
+
+        const visibleLines = [];
+        for (const line of configuredLines) {
+            const visible = await this.applyVisibility(normalizeLine(line));
+            if (visible) {
+                visibleLines.push(visible);
+            }
+        }
+
+        // Pagination: collect items with display content on either side
+        const oddRows = [3, 5, 7, 9, 11, 13];
+        const allOddItems = visibleLines.filter((l) => this.lineHasDisplay(l));
+        const itemsPerPage = 6;
+
+        let totalPages = 1;
+        let offset = 0;
+        if (allOddItems.length > itemsPerPage) {
+            totalPages = Math.ceil(allOddItems.length / itemsPerPage);
+            offset = Math.min(pageOffset, totalPages - 1);
+        }
+
+        const rowMap = new Map();
+        if (totalPages > 1) {
+            const startIdx = offset * itemsPerPage;
+            allOddItems.slice(startIdx, startIdx + itemsPerPage).forEach((item, i) => {
+                rowMap.set(oddRows[i], item);
+            });
+        }
+        for (const line of visibleLines) {
+            if (totalPages > 1 && oddRows.includes(line.row)) {
+                continue;
+            }
+            if (!rowMap.has(line.row)) {
+                rowMap.set(line.row, line);
+            }
+        }
+
+        return { rowMap, totalPages, pageOffset: offset };
+    }
+
+    /**
+     * Apply visibleIf of both sides: hidden sides become empty.
+     *
+     * @param {object} line - Normalized line config
+     * @returns {Promise<object|null>} Line to show, null if nothing of it remains visible
+     */
+    async applyVisibility(line) {
+        const leftVisible = await this.isSideVisible(line.left);
+        const rightVisible = await this.isSideVisible(line.right);
+        if (leftVisible && rightVisible) {
+            return line;
+        }
+
+        const visible = {
+            ...line,
+            left: leftVisible ? line.left : EMPTY_SIDE,
+            right: rightVisible ? line.right : EMPTY_SIDE,
+        };
+        const sideUsed = (side) =>
+            this.effectiveDisplayType(side.display) !== 'empty' || (side.button?.type || 'empty') !== 'empty';
+        return sideUsed(visible.left) || sideUsed(visible.right) ? visible : null;
+    }
+
+    /**
+     * Evaluate the visibleIf condition of a line side.
+     * visibleIf: { source: 'alarm.0.armed', condition: '== true' } — a missing state hides the side.
+     *
+     * @param {object} side - Line side config
+     * @returns {Promise<boolean>}
+     */
+    async isSideVisible(side) {
+        const visibleIf = side?.visibleIf;
+        if (!visibleIf?.source) {
+            return true;
+        }
+        const state = await this.adapter.getCachedForeignState(visibleIf.source);
+        if (!state) {
+            return false;
+        }
+        return evaluateCondition(visibleIf.condition || '== true', state.val);
+    }
+
+    /**
+     * Remember the visibleIf sources of a page so their changes trigger a full re-render
+     *
+     * @param {object} pageConfig - Page configuration
+     */
+    collectVisibilitySources(pageConfig) {
+        for (const line of pageConfig.lines || []) {
+            for (const side of [line.left, line.right]) {
+                if (side?.visibleIf?.source) {
+                    this.visibilitySources.add(side.visibleIf.source);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the line config an LSK on this row refers to.
+     * Uses the last render when it shows this page, otherwise resolves the layout (visibility + pagination).
+     *
+     * @param {string} pageId - Page ID
+     * @param {number} row - Data row (3-13)
+     * @returns {Promise<object|null>} Line config, null if the row is empty or hidden
+     */
+    async getLineAtRow(pageId, row) {
+        if (this.renderedPageId === pageId) {
+            return this.rowLines.get(row) || null;
+        }
+        const pageConfig = this.findPageConfig(pageId);
+        if (!pageConfig) {
+            return null;
+        }
+        const layout = await this.buildLayout(pageConfig, this.currentPageOffset);
+        return layout.rowMap.get(row) || null;
+    }
+
     /**
      * Check if a normalized line has any display content
      *
@@ -198,13 +346,15 @@ class PageRenderer {
      * Render sub-label row (even rows) for left.label + right.label
      *
      * @param {object|null} lineConfig - Normalized line config for the next odd row
-     * @returns {object} Line object {text, color}
+     * @returns {object} Line object {text, color, size?}
      */
     renderSubLabel(lineConfig) {
         const leftLabel = lineConfig?.left?.label || '';
         const rightLabel = lineConfig?.right?.label || '';
         const leftColLabel = lineConfig?.left?.display?.colLabel || this.defaultColor;
         const rightColLabel = lineConfig?.right?.display?.colLabel || this.defaultColor;
+        const leftSizeLabel = lineConfig?.left?.display?.sizeLabel || LABEL_SIZE;
+        const rightSizeLabel = lineConfig?.right?.display?.sizeLabel || LABEL_SIZE;
 
         let text;
         if (leftLabel && rightLabel) {
@@ -221,18 +371,21 @@ class PageRenderer {
             text = '';
         }
 
-        const result = {
-            text: this.padOrTruncate(text, this.columns),
-            color: leftColLabel,
-        };
+        const result = this.withSize(
+            {
+                text: this.padOrTruncate(text, this.columns),
+                color: leftColLabel,
+            },
+            leftLabel || !rightLabel ? leftSizeLabel : rightSizeLabel
+        );
 
-        // Per-side label colors: emit segments when left and right differ
-        if (leftLabel && rightLabel && leftColLabel !== rightColLabel) {
+        // Per-side label colors/sizes: emit segments when left and right differ
+        if (leftLabel && rightLabel && (leftColLabel !== rightColLabel || leftSizeLabel !== rightSizeLabel)) {
             const leftText = leftLabel.padEnd(this.halfWidth);
             const rightText = rightLabel.padStart(this.halfWidth);
             result.segments = [
-                { text: leftText, color: leftColLabel },
-                { text: rightText, color: rightColLabel },
+                this.withSize({ text: leftText, color: leftColLabel }, leftSizeLabel),
+                this.withSize({ text: rightText, color: rightColLabel }, rightSizeLabel),
             ];
         }
 
@@ -275,90 +428,188 @@ class PageRenderer {
     }
 
     /**
-     * Render status bar for row 13
+     * Prepare status bar text: control characters are dropped, everything else is left to the
+     * glyph encoder of the client (tokens, look-alikes, transliteration, see mcdu-client/lib/glyphs.js).
+     * NFC keeps accented characters at one column for the width calculation.
      *
-     * @param {string} pageId - Current page ID
-     * @param text
-     * @returns {object} Line object {text, color}
+     * @param {string} text - Text
+     * @returns {string}
      */
-    sanitizeAscii(text) {
-        return text
-            .replace(/[äàáâãåÄÀÁÂÃÅ]/g, (c) => (c === c.toUpperCase() ? 'A' : 'a'))
-            .replace(/[éèêëÉÈÊË]/g, (c) => (c === c.toUpperCase() ? 'E' : 'e'))
-            .replace(/[íìîïÍÌÎÏ]/g, (c) => (c === c.toUpperCase() ? 'I' : 'i'))
-            .replace(/[öóòôõÖÓÒÔÕ]/g, (c) => (c === c.toUpperCase() ? 'O' : 'o'))
-            .replace(/[üúùûÜÚÙÛ]/g, (c) => (c === c.toUpperCase() ? 'U' : 'u'))
-            .replace(/ß/g, 'ss')
-            .replace(/[^\x20-\x7E°Δ←↑→↓▶◀□◇]/g, '?');
+    sanitizeText(text) {
+        return String(text)
+            .normalize('NFC')
+            .replace(/\p{Cc}/gu, '');
     }
 
+    /**
+     * Render status bar for row 1 from the status bar widgets
+     *
+     * @param {string} pageId - Current page ID
+     * @returns {object} Line object {text, color, segments?}
+     */
     renderStatusBar(pageId) {
-        // Build breadcrumb display from adapter's breadcrumb array
-        const breadcrumb = this.adapter.breadcrumb || [];
+        const pageConfig = this.findPageConfig(pageId);
+        const parts = this.statusBarWidgets.map((widget) => {
+            const part = { position: widget.position, text: '', color: widget.color || this.defaultColor };
+            const state = this.statusValues.get(this.getStatusBarSource(widget));
+
+            if (widget.type === 'breadcrumb') {
+                part.color = widget.color || pageConfig?.pageNameColor || this.defaultColor;
+                part.fit = (maxLength) => this.renderBreadcrumb(pageId, maxLength);
+            } else if (widget.type === 'clock') {
+                const now = new Date();
+                part.text = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+            } else if (widget.type === 'page') {
+                const totalPages = this.totalPages || 1;
+                part.text = totalPages > 1 ? `${(this.currentPageOffset || 0) + 1}/${totalPages}` : '';
+            } else if (widget.type === 'alerts') {
+                const count = Number(state?.val) || 0;
+                part.text = count > 0 ? `${this.sanitizeText(widget.text || 'MSG')} ${count}` : '';
+                part.color = widget.color || 'amber';
+            } else if (widget.type === 'online') {
+                part.text = this.sanitizeText(widget.text || 'LINK');
+                part.color = state?.val ? widget.color || 'green' : 'amber';
+            } else if (widget.type === 'datapoint') {
+                part.text = this.sanitizeText(
+                    `${widget.text ? `${widget.text} ` : ''}${this.formatStatusValue(widget, state)}`
+                );
+            }
+            return part;
+        });
+
+        return layoutStatusBar(parts, this.columns);
+    }
+
+    /**
+     * Render the breadcrumb ("HOME > KLIMA > WOHN") or the page name into a maximum length
+     *
+     * @param {string} pageId - Current page ID
+     * @param {number} maxLength - Space left by the other status bar widgets
+     * @returns {string}
+     */
+    renderBreadcrumb(pageId, maxLength) {
+        // Build breadcrumb display from session (or adapter) breadcrumb array
+        const breadcrumb = (this.session ? this.session.breadcrumb : this.adapter.breadcrumb) || [];
         let breadcrumbText;
 
         if (breadcrumb.length > 1) {
             // Show breadcrumb chain: "HOME > KLIMA > WOHN"
-            breadcrumbText = breadcrumb.map((b) => this.sanitizeAscii(b.name.toUpperCase())).join(' > ');
+            breadcrumbText = breadcrumb.map((b) => this.sanitizeText(b.name.toUpperCase())).join(' > ');
         } else {
             // Single page (root) - just show page name
             const pageConfig = this.findPageConfig(pageId);
-            breadcrumbText = this.sanitizeAscii((pageConfig?.name || pageId).toUpperCase());
+            breadcrumbText = this.sanitizeText((pageConfig?.name || pageId).toUpperCase());
         }
 
-        const now = new Date();
-        const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-
-        const pageOffset = this.currentPageOffset || 0;
-        const totalPages = this.totalPages || 1;
-        const pageIndicator = totalPages > 1 ? ` ${pageOffset + 1}/${totalPages}` : '';
-
-        const rightPart = `${pageIndicator} ${time}`;
-        const maxNameLen = this.columns - rightPart.length;
-
         // Truncation strategy for breadcrumb
-        if (breadcrumbText.length > maxNameLen && breadcrumb.length > 2) {
+        if (breadcrumbText.length > maxLength && breadcrumb.length > 2) {
             // Try shortening intermediate segments to first 4 chars
-            const shortened = breadcrumb
+            breadcrumbText = breadcrumb
                 .map((b, i) => {
+                    const name = this.sanitizeText(b.name.toUpperCase());
                     if (i === 0 || i === breadcrumb.length - 1) {
-                        return this.sanitizeAscii(b.name.toUpperCase());
+                        return name;
                     }
-                    const name = this.sanitizeAscii(b.name.toUpperCase());
                     return name.length > 4 ? name.substring(0, 4) : name;
                 })
                 .join(' > ');
-            breadcrumbText = shortened;
         }
 
         // Final truncation if still too long
-        const truncatedName =
-            breadcrumbText.length > maxNameLen ? breadcrumbText.substring(0, maxNameLen) : breadcrumbText;
+        return breadcrumbText.length > maxLength ? breadcrumbText.substring(0, maxLength) : breadcrumbText;
+    }
 
-        const padding = this.columns - truncatedName.length - rightPart.length;
-        const statusText = truncatedName + ' '.repeat(Math.max(0, padding)) + rightPart;
+    /**
+     * Format the value of a datapoint widget (sprintf format + unit)
+     *
+     * @param {object} widget - Status bar widget
+     * @param {object|null|undefined} state - Source state
+     * @returns {string}
+     */
+    formatStatusValue(widget, state) {
+        if (state?.val === null || state?.val === undefined) {
+            return '---';
+        }
+        let value = String(state.val);
+        if (widget.format) {
+            try {
+                value = sprintf(widget.format, state.val);
+            } catch (error) {
+                this.adapter.log.debug(`Status bar format error on ${widget.source}: ${error.message}`);
+            }
+        }
+        return `${value}${widget.unit}`;
+    }
 
-        const pageConfig = this.findPageConfig(pageId);
-        const nameColor = pageConfig?.pageNameColor || this.defaultColor;
-        const timeColor = this.defaultColor;
+    /**
+     * Set the status bar widgets
+     *
+     * @param {Array<object>|null} widgets - Widgets (null = default layout)
+     */
+    setStatusBar(widgets) {
+        this.statusBarWidgets = normalizeStatusBar(widgets);
+    }
 
-        const result = {
-            text: this.padOrTruncate(statusText, this.columns),
-            color: nameColor,
-        };
+    /**
+     * Get the state a status bar widget shows
+     *
+     * @param {object} widget - Status bar widget
+     * @returns {string|null} State ID
+     */
+    getStatusBarSource(widget) {
+        if (widget.source || widget.type === 'datapoint') {
+            return widget.source || null;
+        }
+        if (widget.type === 'online') {
+            return `${this.adapter.namespace}.info.connection`;
+        }
+        if (widget.type === 'alerts' && this.session) {
+            return `${this.adapter.namespace}.devices.${this.session.deviceId}.notifications.unread`;
+        }
+        return null;
+    }
 
-        // Emit segments when page name color differs from time color
-        if (nameColor !== timeColor) {
-            const namePartLen = truncatedName.length + Math.max(0, padding);
-            const namePart = statusText.substring(0, namePartLen);
-            const timePart = statusText.substring(namePartLen);
-            result.segments = [
-                { text: namePart, color: nameColor },
-                { text: timePart, color: timeColor },
-            ];
+    /**
+     * Get the states the status bar depends on
+     *
+     * @returns {Array<string>} State IDs
+     */
+    getStatusBarSources() {
+        return [...new Set(this.statusBarWidgets.map((widget) => this.getStatusBarSource(widget)).filter(Boolean))];
+    }
+
+    /**
+     * Read the status bar states (renderStatusBar itself is synchronous)
+     *
+     * @returns {Promise<void>}
+     */
+    async loadStatusBarValues() {
+        for (const source of this.getStatusBarSources()) {
+            try {
+                this.statusValues.set(source, await this.adapter.getCachedForeignState(source));
+            } catch (error) {
+                this.adapter.log.debug(`Status bar source ${source} not readable: ${error.message}`);
+            }
         }
+    }
 
-        return result;
+    /**
+     * Re-render the status bar of the shown page as a single line update (clock, alerts, ...)
+     *
+     * @returns {Promise<boolean>} True if the line was published
+     */
+    async refreshStatusBar() {
+        if (!this.renderedPageId || !this.lastLines) {
+            return false;
+        }
+        await this.loadStatusBarValues();
+        const line = this.renderStatusBar(this.renderedPageId);
+        if (this.isSameLine(this.lastLines[0], line)) {
+            return false;
+        }
+        this.lastLines[0] = line;
+        await this.displayPublisher.publishLine(1, line.text, line.color, line.segments, line.size);
+        return true;
     }
 
     /**
@@ -404,6 +655,7 @@ class PageRenderer {
 
         let text;
         let color;
+        let size = DATA_SIZE;
 
         let segments = null;
 
@@ -413,22 +665,25 @@ class PageRenderer {
             const rightText = rightResult.text.substring(0, this.halfWidth).padStart(this.halfWidth);
             text = leftText + rightText;
             color = leftResult.color;
+            size = leftResult.size;
 
-            // Per-side colors: when left and right differ, emit segments
-            if (leftResult.color !== rightResult.color) {
+            // Per-side colors/sizes: when left and right differ, emit segments
+            if (leftResult.color !== rightResult.color || leftResult.size !== rightResult.size) {
                 segments = [
-                    { text: leftText, color: leftResult.color },
-                    { text: rightText, color: rightResult.color },
+                    this.withSize({ text: leftText, color: leftResult.color }, leftResult.size),
+                    this.withSize({ text: rightText, color: rightResult.color }, rightResult.size),
                 ];
             }
         } else if (leftHasContent) {
             // Only left: use full width, left-aligned
             text = this.alignText(leftResult.text, normalized.left?.display?.align || 'left', this.columns);
             color = leftResult.color;
+            size = leftResult.size;
         } else if (rightHasContent) {
             // Only right: use full width, right-aligned
             text = this.alignText(rightResult.text, normalized.right?.display?.align || 'right', this.columns);
             color = rightResult.color;
+            size = rightResult.size;
         } else {
             text = this.padOrTruncate('', this.columns);
             color = this.defaultColor;
@@ -437,7 +692,7 @@ class PageRenderer {
         // Ensure exact width
         text = this.padOrTruncate(text, this.columns);
 
-        const result = { text, color };
+        const result = this.withSize({ text, color }, size);
         if (segments) {
             result.segments = segments;
         }
@@ -449,12 +704,12 @@ class PageRenderer {
      *
      * @param {object|null} displayConfig - Display configuration (left or right side)
      * @param {number} row - Row number
-     * @returns {Promise<object>} {text: string, color: string}
+     * @returns {Promise<object>} {text: string, color: string, size: string}
      */
     async renderSideDisplay(displayConfig, row) {
         const type = this.effectiveDisplayType(displayConfig);
         if (type === 'empty') {
-            return { text: '', color: this.defaultColor };
+            return { text: '', color: this.defaultColor, size: DATA_SIZE };
         }
 
         let text = '';
@@ -468,7 +723,7 @@ class PageRenderer {
             color = result.color;
         }
 
-        return { text, color };
+        return { text, color, size: displayConfig.sizeData || DATA_SIZE };
     }
 
     /**
@@ -487,7 +742,7 @@ class PageRenderer {
         }
 
         try {
-            const state = await this.adapter.getForeignStateAsync(source);
+            const state = await this.adapter.getCachedForeignState(source);
 
             if (!state) {
                 this.adapter.log.warn(`Data source not found: ${source}`);
@@ -503,8 +758,12 @@ class PageRenderer {
                 return { text: `${prefix}OFFLINE`, color: 'amber' };
             }
 
+            const mapped = lookupValue(this.resolveValueMap(displayConfig), value);
+
             let formattedValue = '';
-            if (value !== null && value !== undefined) {
+            if (mapped) {
+                formattedValue = mapped.text;
+            } else if (value !== null && value !== undefined) {
                 if (format) {
                     try {
                         formattedValue = sprintf(format, value);
@@ -524,14 +783,15 @@ class PageRenderer {
             }
 
             const prefix = label ? `${label} ` : '';
-            const suffix = unit ? ` ${unit}` : '';
+            // Mapped values are complete texts ("EIN"), a unit would only clutter them
+            const suffix = unit && !mapped ? ` ${unit}` : '';
             let content = `${prefix}${formattedValue}${suffix}`;
 
             if (content.length > this.columns) {
                 content = `${content.substring(0, this.columns - 3)}...`;
             }
 
-            let color = displayConfig.colData || this.defaultColor;
+            let color = mapped?.color || displayConfig.colData || this.defaultColor;
 
             if (displayConfig.colorRules && Array.isArray(displayConfig.colorRules)) {
                 const ruleColor = this.evaluateColorRules(value, displayConfig.colorRules);
@@ -540,6 +800,10 @@ class PageRenderer {
                 }
             }
 
+            if (this.session?.writeTracker?.isPending(source)) {
+                color = PENDING_COLOR;
+            }
+
             return { text: content, color: color };
         } catch (error) {
             this.adapter.log.error(`Error rendering datapoint ${source}: ${error.message}`);
@@ -547,6 +811,146 @@ class PageRenderer {
         }
     }
 
+    /**
+     * Resolve the value map of a datapoint display.
+     * Explicit display.valueMap wins; otherwise the object's common.states (cached in datapointMeta) is used.
+     *
+     * @param {object} displayConfig - Display configuration
+     * @returns {object|null} Normalized value map
+     */
+    resolveValueMap(displayConfig) {
+        const explicit = normalizeValueMap(displayConfig.valueMap);
+        if (explicit) {
+            return explicit;
+        }
+        return normalizeValueMap(this.adapter.datapointMeta?.get(displayConfig.source)?.states);
+    }
+
+    /**
+     * Re-render only the rows that depend on a changed state.
+     * Publishes changed lines via DisplayPublisher.publishLine instead of a full display update.
+     *
+     * @param {string} stateId - Changed foreign state ID
+     * @returns {Promise<number>} Number of lines published (all rows if the page was re-rendered)
+     */
+    async renderSourceChange(stateId) {
+        if (this.getStatusBarSources().includes(stateId)) {
+            await this.refreshStatusBar();
+        }
+
+        // Visibility changes move lines around (pagination), so re-render the whole page
+        if (this.renderedPageId && this.visibilitySources.has(stateId)) {
+            await this.renderPage(this.renderedPageId);
+            return this.rows;
+        }
+
+        const rows = this.sourceRows.get(stateId);
+        if (!rows || !this.renderedPageId || !this.lastLines) {
+            return 0;
+        }
+
+        let published = 0;
+        for (const row of rows) {
+            try {
+                const line = await this.renderLine(this.renderedPageId, this.rowLines.get(row), row);
+                const previous = this.lastLines[row - 1];
+                if (this.isSameLine(previous, line)) {
+                    continue;
+                }
+                this.lastLines[row - 1] = line;
+                await this.displayPublisher.publishLine(row, line.text, line.color, line.segments, line.size);
+                published++;
+            } catch (error) {
+                this.adapter.log.warn(`Failed to re-render line ${row}: ${error.message}`);
+            }
+        }
+
+        this.adapter.log.debug(`State ${stateId} changed: ${published}/${rows.size} line(s) republished`);
+        return published;
+    }
+
+    /**
+     * Record which state IDs a rendered row depends on
+     *
+     * @param {number} row - Row number
+     * @param {object|null} lineConfig - Line configuration shown on that row
+     */
+    indexLine(row, lineConfig) {
+        if (!lineConfig) {
+            return;
+        }
+        this.rowLines.set(row, lineConfig);
+
+        for (const stateId of this.collectLineSources(lineConfig)) {
+            if (!this.sourceRows.has(stateId)) {
+                this.sourceRows.set(stateId, new Set());
+            }
+            this.sourceRows.get(stateId).add(row);
+        }
+    }
+
+    /**
+     * Collect state IDs a line's rendered text depends on
+     *
+     * @param {object} lineConfig - Line configuration (any format)
+     * @returns {Array<string>} State IDs
+     */
+    collectLineSources(lineConfig) {
+        const normalized = normalizeLine(lineConfig);
+        const sources = [];
+        for (const side of [normalized.left, normalized.right]) {
+            const display = side?.display;
+            if (display && this.effectiveDisplayType(display) === 'datapoint' && display.source) {
+                sources.push(display.source);
+            }
+        }
+        return sources;
+    }
+
+    /**
+     * Forget the dependency index of the previous render
+     */
+    resetDependencyIndex() {
+        this.renderedPageId = null;
+        this.lastLines = null;
+        this.rowLines.clear();
+        this.sourceRows.clear();
+        this.visibilitySources.clear();
+    }
+
+    /**
+     * Compare two rendered lines (text, color, size and segments)
+     *
+     * @param {object|undefined} a - Line object
+     * @param {object|undefined} b - Line object
+     * @returns {boolean}
+     */
+    isSameLine(a, b) {
+        if (!a || !b) {
+            return false;
+        }
+        return (
+            a.text === b.text &&
+            a.color === b.color &&
+            a.size === b.size &&
+            JSON.stringify(a.segments || null) === JSON.stringify(b.segments || null)
+        );
+    }
+
+    /**
+     * Set the font size of a line or segment. Large is the display default and left out.
+     *
+     * @param {object} line - Line or segment object {text, color}
+     * @param {string} size - Font size ('small' or 'large')
+     * @returns {object} The same object
+     */
+    withSize(line, size) {
+        if (size === 'small') {
+            line.size = 'small';
+        }
+        return line;
+    }
+
     /**
      * Find page configuration by ID
      *
@@ -554,8 +958,10 @@ class PageRenderer {
      * @returns {object|null}
      */
     findPageConfig(pageId) {
-        const pages = this.adapter.config.pages || [];
-        return pages.find((p) => p.id === pageId) || null;
+        if (this.session) {
+            return this.session.findPage(pageId);
+        }
+        return (this.adapter.config.pages || []).find((p) => p.id === pageId) || null;
     }
 
     /**
@@ -602,22 +1008,24 @@ class PageRenderer {
 
     invalidateCache(pageId) {
         this.pageCache.delete(pageId);
+        this.listBuilder.invalidate(pageId);
     }
 
     clearCache() {
         this.pageCache.clear();
+        this.listBuilder.invalidate();
     }
 
     /**
-     * Evaluate color rules for a value
+     * Evaluate color rules for a value (first matching rule wins)
      *
      * @param {any} value - Value to evaluate
-     * @param {Array} colorRules - Array of color rules
+     * @param {Array} colorRules - Array of color rules {condition, color}
      * @returns {string|null}
      */
     evaluateColorRules(value, colorRules) {
         for (const rule of colorRules) {
-            if (this.evaluateCondition(value, rule.condition)) {
+            if (evaluateCondition(rule.condition, value)) {
                 return rule.color;
             }
         }
@@ -625,46 +1033,21 @@ class PageRenderer {
     }
 
     /**
-     * Evaluate condition string against a value
+     * Set scratchpad manager (for dependency injection)
      *
-     * @param {any} value - Value to evaluate
-     * @param {string} condition - Condition string
-     * @returns {boolean}
+     * @param {object} scratchpadManager - ScratchpadManager instance
      */
-    evaluateCondition(value, condition) {
-        try {
-            const numValue = parseFloat(value);
-            const isNumeric = !isNaN(numValue);
-            let expression = condition;
-
-            if (isNumeric) {
-                expression = expression.replace(/([<>=!]+)\s*(\d+\.?\d*)/g, (match, op, compareValue) => {
-                    return `${numValue} ${op} ${compareValue}`;
-                });
-            } else {
-                expression = expression.replace(/==\s*["']?([^"'\s]+)["']?/g, (match, compareValue) => {
-                    return `"${value}" === "${compareValue}"`;
-                });
-                expression = expression.replace(/!=\s*["']?([^"'\s]+)["']?/g, (match, compareValue) => {
-                    return `"${value}" !== "${compareValue}"`;
-                });
-            }
-
-            const result = new Function(`return ${expression}`)();
-            return Boolean(result);
-        } catch (error) {
-            this.adapter.log.error(`Color rule evaluation failed for condition "${condition}": ${error.message}`);
-            return false;
-        }
+    setScratchpadManager(scratchpadManager) {
+        this.scratchpadManager = scratchpadManager;
     }
 
     /**
-     * Set scratchpad manager (for dependency injection)
+     * Set owning DeviceSession (for dependency injection)
      *
-     * @param {object} scratchpadManager - ScratchpadManager instance
+     * @param {object} session - DeviceSession instance
      */
-    setScratchpadManager(scratchpadManager) {
-        this.scratchpadManager = scratchpadManager;
+    setSession(session) {
+        this.session = session;
     }
 }
 
@@ -0,0 +1,437 @@
+'use strict';
+
+/**
+ * Device Session
+ *
+ * Per-device render session. Each connected MCDU gets its own session so
+ * that several panels (e.g. kitchen and hallway) can show different pages
+ * independently of which device pressed a key last.
+ *
+ * A session owns:
+ *   - Its page configuration (pages, function keys, start page, default color)
+ *   - The generated Quick Access (DIR) page, see utils/quickAccess.js
+ *   - Current/previous page and breadcrumb
+ *   - DisplayPublisher bound to the device topic
+ *   - PageRenderer (with its own pagination offset)
+ *   - ScratchpadManager, InputModeManager, ConfirmationDialog
+ *   - WriteTracker (pending datapoint writes until acknowledged)
+ *   - LedController (LED assignments from config.ledMapping)
+ *   - Status bar widgets from config.statusBar (empty = breadcrumb, page x/y, clock)
+ *   - Display geometry announced by the client's device profile
+ *
+ * Source of truth for the current page is devices.{id}.navigation.currentPage.
+ *
+ * @author Felix Hummel
+ */
+
+const DisplayPublisher = require('../rendering/DisplayPublisher');
+const PageRenderer = require('../rendering/PageRenderer');
+const ScratchpadManager = require('../input/ScratchpadManager');
+const InputModeManager = require('../input/InputModeManager');
+const ConfirmationDialog = require('../input/ConfirmationDialog');
+const WriteTracker = require('../input/WriteTracker');
+const LedController = require('../rendering/LedController');
+const { validatePageConditions } = require('../utils/condition');
+const {
+    QUICK_ACCESS_PAGE_ID,
+    normalizeQuickAccess,
+    buildQuickAccessPage,
+    validateQuickAccess,
+} = require('../utils/quickAccess');
+
+/** Rows the page layout needs: status bar, 6 LSK label/data pairs, scratchpad */
+const LAYOUT_ROWS = 14;
+
+/** Narrowest display the status bar and LSK columns fit on */
+const MIN_COLUMNS = 16;
+
+class DeviceSession {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} mqttClient - Transport (MqttClient or TransportRouter)
+     * @param {string} deviceId - Device ID
+     * @param {object|null} validationEngine - Shared ValidationEngine instance (optional)
+     */
+    constructor(adapter, mqttClient, deviceId, validationEngine = null) {
+        this.adapter = adapter;
+        this.deviceId = deviceId;
+
+        /** Device page configuration (nested format) */
+        this.pages = [];
+
+        /** Device function key configuration */
+        this.functionKeys = [];
+
+        /** Preferred start page ID */
+        this.startPage = '';
+
+        /** Quick Access configuration (storage format) */
+        this.quickAccess = normalizeQuickAccess(null);
+
+        /** Generated Quick Access page */
+        this.quickAccessPage = buildQuickAccessPage(this.quickAccess);
+
+        /** Current page ID */
+        this.currentPage = null;
+
+        /** Previous page ID (for back navigation) */
+        this.previousPage = null;
+
+        /** Breadcrumb path from root to current page */
+        this.breadcrumb = [];
+
+        /** Splash screen timeout */
+        this.splashTimeout = null;
+
+        /** Notification auto-clear timeout */
+        this.notificationTimeout = null;
+
+        // Per-device components
+        this.displayPublisher = new DisplayPublisher(adapter, mqttClient, deviceId);
+        this.pageRenderer = new PageRenderer(adapter, this.displayPublisher);
+        this.confirmationDialog = new ConfirmationDialog(adapter, this.displayPublisher);
+        this.scratchpadManager = new ScratchpadManager(adapter, this.displayPublisher);
+        this.inputModeManager = new InputModeManager(adapter, this.scratchpadManager, validationEngine);
+        this.writeTracker = new WriteTracker(adapter, this.scratchpadManager);
+        this.ledController = new LedController(adapter, deviceId);
+
+        this.pageRenderer.setScratchpadManager(this.scratchpadManager);
+        this.pageRenderer.setSession(this);
+        this.confirmationDialog.setSession(this);
+        this.scratchpadManager.setSession(this);
+        this.inputModeManager.setSession(this);
+        this.writeTracker.setSession(this);
+    }
+
+    /**
+     * Load device configuration and navigation state from the object tree
+     *
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const prefix = `devices.${this.deviceId}`;
+
+        const pagesState = await this.adapter.getStateAsync(`${prefix}.config.pages`);
+        this.setPages(this.parseJsonArray(pagesState?.val, `${prefix}.config.pages`));
+
+        // Fall back to adapter defaults when the device has no function keys stored
+        const fkState = await this.adapter.getStateAsync(`${prefix}.config.functionKeys`);
+        const functionKeys = this.parseJsonArray(fkState?.val, `${prefix}.config.functionKeys`);
+        this.functionKeys = functionKeys.length > 0 ? functionKeys : this.adapter.config.functionKeys || [];
+
+        const startPageState = await this.adapter.getStateAsync(`${prefix}.config.startPage`);
+        this.startPage = startPageState?.val || '';
+
+        const quickAccessState = await this.adapter.getStateAsync(`${prefix}.config.quickAccess`);
+        this.setQuickAccess(this.parseJsonObject(quickAccessState?.val, `${prefix}.config.quickAccess`));
+
+        const ledMappingState = await this.adapter.getStateAsync(`${prefix}.config.ledMapping`);
+        await this.ledController.setMapping(this.parseJsonArray(ledMappingState?.val, `${prefix}.config.ledMapping`));
+
+        const statusBarState = await this.adapter.getStateAsync(`${prefix}.config.statusBar`);
+        this.pageRenderer.setStatusBar(
+            statusBarState?.val ? this.parseJsonArray(statusBarState.val, `${prefix}.config.statusBar`) : null
+        );
+
+        const colorState = await this.adapter.getStateAsync(`${prefix}.config.defaultColor`);
+        if (colorState?.val) {
+            this.pageRenderer.defaultColor = colorState.val;
+        }
+
+        const currentState = await this.adapter.getStateAsync(`${prefix}.navigation.currentPage`);
+        const previousState = await this.adapter.getStateAsync(`${prefix}.navigation.previousPage`);
+        this.currentPage = currentState?.val || null;
+        this.previousPage = previousState?.val || null;
+
+        await this.ensureValidPage();
+
+        this.adapter.log.debug(
+            `Session ${this.deviceId}: ${this.pages.length} pages, current page "${this.currentPage || ''}"`
+        );
+    }
+
+    /**
+     * Replace the page configuration.
+     * Parses all conditions once so rendering only evaluates them; invalid ones are logged and never match.
+     *
+     * @param {Array<object>} pages - Pages in nested format
+     */
+    setPages(pages) {
+        this.pages = pages;
+        for (const error of validatePageConditions(pages)) {
+            this.adapter.log.warn(`Session ${this.deviceId}: invalid condition in ${error}`);
+        }
+    }
+
+    /**
+     * Replace the Quick Access configuration and rebuild its page.
+     * Invalid actions are logged; they still render but do nothing useful when pressed.
+     *
+     * @param {object|null} config - Quick Access config (storage format)
+     */
+    setQuickAccess(config) {
+        this.quickAccess = normalizeQuickAccess(config);
+        this.quickAccessPage = buildQuickAccessPage(this.quickAccess);
+        for (const error of validateQuickAccess(this.quickAccess)) {
+            this.adapter.log.warn(`Session ${this.deviceId}: invalid quick access slot ${error}`);
+        }
+    }
+
+    /**
+     * Apply the display geometry announced by the client (device profile).
+     * Missing values keep the adapter defaults; unsupported ones are logged and ignored.
+     *
+     * @param {object|null} display - Announced geometry {rows, columns}
+     * @returns {boolean} True if the geometry changed
+     */
+    setGeometry(display) {
+        const rows = Number(display?.rows) || this.adapter.config.display?.rows || LAYOUT_ROWS;
+        const columns = Number(display?.columns) || this.adapter.config.display?.columns || 24;
+
+        if (rows !== LAYOUT_ROWS || !Number.isInteger(columns) || columns < MIN_COLUMNS) {
+            this.adapter.log.warn(
+                `Session ${this.deviceId}: unsupported display geometry ${rows}x${columns} (needs ${LAYOUT_ROWS} rows and at least ${MIN_COLUMNS} columns), keeping ${this.pageRenderer.rows}x${this.pageRenderer.columns}`
+            );
+            return false;
+        }
+        if (rows === this.pageRenderer.rows && columns === this.pageRenderer.columns) {
+            return false;
+        }
+
+        this.pageRenderer.rows = rows;
+        this.pageRenderer.columns = columns;
+        this.pageRenderer.halfWidth = Math.floor(columns / 2);
+        this.displayPublisher.rows = rows;
+        this.displayPublisher.columns = columns;
+        this.confirmationDialog.columns = columns;
+        this.displayPublisher.lastContent = null;
+        this.adapter.log.debug(`Session ${this.deviceId}: display geometry ${rows}x${columns}`);
+        return true;
+    }
+
+    /**
+     * Get all renderable pages: configured pages plus the generated Quick Access page
+     *
+     * @returns {Array<object>}
+     */
+    getAllPages() {
+        return [...this.pages, this.quickAccessPage];
+    }
+
+    /**
+     * Make sure the current page exists in this device's pages.
+     * Falls back to the start page, then to the first page.
+     *
+     * @returns {Promise<void>}
+     */
+    async ensureValidPage() {
+        if (this.currentPage && this.findPage(this.currentPage)) {
+            this.breadcrumb = this.buildBreadcrumb(this.currentPage);
+            return;
+        }
+
+        const previous = this.currentPage;
+        const target = this.startPage && this.findPage(this.startPage) ? this.startPage : this.pages[0]?.id;
+        if (!target) {
+            this.currentPage = null;
+            this.breadcrumb = [];
+            return;
+        }
+
+        await this.setCurrentPage(target);
+        this.adapter.log.info(
+            `Session ${this.deviceId}: current page set to ${target} (startPage=${this.startPage || 'none'}, previous "${previous || ''}" not found in ${this.pages.length} pages)`
+        );
+    }
+
+    /**
+     * Set current page and persist navigation states.
+     * Does not render — callers decide when to render.
+     *
+     * @param {string} pageId - Target page ID
+     * @returns {Promise<void>}
+     */
+    async setCurrentPage(pageId) {
+        const prefix = `devices.${this.deviceId}`;
+
+        if (this.currentPage && this.currentPage !== pageId) {
+            this.previousPage = this.currentPage;
+            this.pageRenderer.currentPageOffset = 0;
+            await this.adapter.setStateAsync(`${prefix}.navigation.previousPage`, this.previousPage, true);
+        }
+
+        this.currentPage = pageId;
+        this.breadcrumb = this.buildBreadcrumb(pageId);
+
+        await this.adapter.setStateAsync(`${prefix}.navigation.currentPage`, pageId, true);
+        await this.adapter.setStateAsync(`${prefix}.display.currentPage`, pageId, true);
+    }
+
+    /**
+     * Render current page to this device
+     * Error boundary: renders a blank display if rendering fails
+     *
+     * @returns {Promise<void>}
+     */
+    async render() {
+        try {
+            if (!this.currentPage) {
+                this.adapter.log.warn(`No current page to render on ${this.deviceId}`);
+                return;
+            }
+
+            // Confirmation dialog owns the display while active
+            if (this.confirmationDialog.isActive()) {
+                this.adapter.log.debug(`Render skipped on ${this.deviceId} (confirmation active)`);
+                return;
+            }
+
+            await this.pageRenderer.renderPage(this.currentPage);
+        } catch (error) {
+            this.adapter.log.error(`Failed to render current page on ${this.deviceId}: ${error.message}`);
+            this.adapter.log.error(error.stack);
+
+            // Fallback: Try to render a blank display to avoid frozen screen
+            try {
+                const { rows, columns } = this.displayPublisher;
+                const blankLines = Array(rows).fill({ text: ' '.repeat(columns), color: 'white' });
+                await this.displayPublisher.publishFullDisplay(blankLines);
+                this.adapter.log.debug('Blank display rendered as fallback');
+            } catch (fallbackError) {
+                this.adapter.log.error(`Fallback rendering also failed: ${fallbackError.message}`);
+            }
+        }
+    }
+
+    /**
+     * Update only the lines of the current page that depend on a changed state
+     *
+     * @param {string} stateId - Changed foreign state ID
+     * @returns {Promise<void>}
+     */
+    async renderSourceChange(stateId) {
+        if (!this.currentPage || this.confirmationDialog.isActive()) {
+            return;
+        }
+        try {
+            await this.pageRenderer.renderSourceChange(stateId);
+        } catch (error) {
+            this.adapter.log.error(`Failed to update lines on ${this.deviceId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find page configuration by ID
+     *
+     * @param {string} pageId - Page ID
+     * @returns {object|null}
+     */
+    findPage(pageId) {
+        const page = this.pages.find((p) => p.id === pageId);
+        if (page) {
+            return page;
+        }
+        // A configured page with the same ID wins over the generated one
+        return pageId === QUICK_ACCESS_PAGE_ID ? this.quickAccessPage : null;
+    }
+
+    /**
+     * Build breadcrumb path for a page by walking parent chain
+     *
+     * @param {string} pageId - Current page ID
+     * @returns {Array<{id: string, name: string}>} Breadcrumb path from root to current
+     */
+    buildBreadcrumb(pageId) {
+        const breadcrumb = [];
+        let currentId = pageId;
+        const visited = new Set(); // Prevent infinite loops
+
+        while (currentId && !visited.has(currentId)) {
+            visited.add(currentId);
+            const page = this.findPage(currentId);
+            if (!page) {
+                break;
+            }
+            breadcrumb.unshift({ id: page.id, name: page.name || page.id });
+            currentId = page.parent || null;
+        }
+
+        return breadcrumb;
+    }
+
+    /**
+     * Check whether the session is in a state where periodic re-renders would disturb the user
+     *
+     * @returns {boolean}
+     */
+    isBusy() {
+        return this.inputModeManager.getMode() !== 'normal' || this.confirmationDialog.isActive();
+    }
+
+    /**
+     * Parse a JSON array state value
+     *
+     * @param {any} value - State value
+     * @param {string} stateId - State ID (for logging)
+     * @returns {Array}
+     */
+    parseJsonArray(value, stateId) {
+        if (!value) {
+            return [];
+        }
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            this.adapter.log.warn(`Invalid JSON in ${stateId}: ${e.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Parse a JSON object state value
+     *
+     * @param {any} value - State value
+     * @param {string} stateId - State ID (for logging)
+     * @returns {object|null}
+     */
+    parseJsonObject(value, stateId) {
+        if (!value) {
+            return null;
+        }
+        try {
+            const parsed = JSON.parse(value);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+        } catch (e) {
+            this.adapter.log.warn(`Invalid JSON in ${stateId}: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Stop all timers owned by this session
+     */
+    dispose() {
+        if (this.splashTimeout) {
+            this.adapter.clearTimeout(this.splashTimeout);
+            this.splashTimeout = null;
+        }
+        if (this.notificationTimeout) {
+            this.adapter.clearTimeout(this.notificationTimeout);
+            this.notificationTimeout = null;
+        }
+        if (this.confirmationDialog.countdownTimer) {
+            this.adapter.clearInterval(this.confirmationDialog.countdownTimer);
+            this.confirmationDialog.countdownTimer = null;
+        }
+        if (this.scratchpadManager.renderTimer) {
+            this.adapter.clearTimeout(this.scratchpadManager.renderTimer);
+            this.scratchpadManager.renderTimer = null;
+        }
+        this.writeTracker.dispose();
+        this.ledController.dispose();
+        this.displayPublisher.clearQueue();
+    }
+}
+
+module.exports = DeviceSession;
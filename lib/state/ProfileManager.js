@@ -0,0 +1,179 @@
+'use strict';
+
+/**
+ * Profile Manager
+ *
+ * Named configuration profiles per device (e.g. "Day", "Guest", "Night").
+ * A profile bundles pages, function keys, start page, LED mapping and default color.
+ *
+ * Storage:
+ *   devices.{id}.config.profiles      → { "Day": { pages, functionKeys, startPage, ledMapping, defaultColor }, ... }
+ *   devices.{id}.config.activeProfile → name of the profile currently applied ('' = profiles not used)
+ *
+ * The live configuration stays in devices.{id}.config.pages, .functionKeys, ... (what the session loads).
+ * Switching profile snapshots the live configuration into the active profile, then copies the
+ * target profile into the live states. Switching to an unknown name creates it from the live configuration.
+ *
+ * @author Felix Hummel
+ */
+
+/** Live config states bundled in a profile (profile field → state below devices.{id}.config) */
+const PROFILE_FIELDS = {
+    pages: { state: 'pages', json: true, def: [] },
+    functionKeys: { state: 'functionKeys', json: true, def: [] },
+    startPage: { state: 'startPage', json: false, def: '' },
+    ledMapping: { state: 'ledMapping', json: true, def: [] },
+    defaultColor: { state: 'defaultColor', json: false, def: 'white' },
+};
+
+class ProfileManager {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     */
+    constructor(adapter) {
+        this.adapter = adapter;
+    }
+
+    /**
+     * Get the name of the active profile
+     *
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<string>} Profile name, '' if none
+     */
+    async getActiveProfile(deviceId) {
+        const state = await this.adapter.getStateAsync(`devices.${deviceId}.config.activeProfile`);
+        return typeof state?.val === 'string' ? state.val.trim() : '';
+    }
+
+    /**
+     * Read all stored profiles of a device
+     *
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<object>} Profile name → profile
+     */
+    async getProfiles(deviceId) {
+        const stateId = `devices.${deviceId}.config.profiles`;
+        const state = await this.adapter.getStateAsync(stateId);
+        if (!state?.val) {
+            return {};
+        }
+        try {
+            const parsed = JSON.parse(state.val);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (e) {
+            this.adapter.log.warn(`Invalid JSON in ${stateId}: ${e.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Read the live configuration of a device as a profile
+     *
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<object>} Profile { pages, functionKeys, startPage, ledMapping, defaultColor }
+     */
+    async captureProfile(deviceId) {
+        const profile = {};
+        for (const [field, { state: name, json, def }] of Object.entries(PROFILE_FIELDS)) {
+            const stateId = `devices.${deviceId}.config.${name}`;
+            const state = await this.adapter.getStateAsync(stateId);
+            profile[field] = def;
+            if (state?.val === undefined || state?.val === null || state.val === '') {
+                continue;
+            }
+            if (!json) {
+                profile[field] = state.val;
+                continue;
+            }
+            try {
+                const parsed = JSON.parse(state.val);
+                profile[field] = Array.isArray(parsed) ? parsed : def;
+            } catch (e) {
+                this.adapter.log.warn(`Invalid JSON in ${stateId}: ${e.message}`);
+            }
+        }
+        return profile;
+    }
+
+    /**
+     * Write a profile to the live configuration states (missing fields get their defaults)
+     *
+     * @param {string} deviceId - Device ID
+     * @param {object} profile - Profile
+     * @returns {Promise<void>}
+     */
+    async applyProfile(deviceId, profile) {
+        for (const [field, { state: name, json, def }] of Object.entries(PROFILE_FIELDS)) {
+            const value = profile?.[field] ?? def;
+            await this.adapter.setStateAsync(
+                `devices.${deviceId}.config.${name}`,
+                json ? JSON.stringify(value) : value,
+                true
+            );
+        }
+    }
+
+    /**
+     * Store the live configuration under a profile name and mark it active
+     * (used after the Admin UI saved the configuration)
+     *
+     * @param {string} deviceId - Device ID
+     * @param {string} name - Profile name ('' = profiles not used, nothing stored)
+     * @returns {Promise<void>}
+     */
+    async storeProfile(deviceId, name) {
+        const profileName = String(name || '').trim();
+        if (profileName) {
+            const profiles = await this.getProfiles(deviceId);
+            profiles[profileName] = await this.captureProfile(deviceId);
+            await this.saveProfiles(deviceId, profiles);
+        }
+        await this.adapter.setStateAsync(`devices.${deviceId}.config.activeProfile`, profileName, true);
+    }
+
+    /**
+     * Switch the live configuration to another profile.
+     * The live configuration is kept in the previously active profile first.
+     *
+     * @param {string} deviceId - Device ID
+     * @param {string} name - Target profile name ('' = keep the live configuration, detach from profiles)
+     * @returns {Promise<{name: string, created: boolean}>} Applied profile; created if it did not exist yet
+     */
+    async switchProfile(deviceId, name) {
+        const profileName = String(name || '').trim();
+        const current = await this.getActiveProfile(deviceId);
+        const profiles = await this.getProfiles(deviceId);
+        const live = await this.captureProfile(deviceId);
+
+        if (current) {
+            profiles[current] = live;
+        }
+
+        let created = false;
+        if (profileName && !profiles[profileName]) {
+            profiles[profileName] = live;
+            created = true;
+        } else if (profileName && profileName !== current) {
+            await this.applyProfile(deviceId, profiles[profileName]);
+        }
+
+        await this.saveProfiles(deviceId, profiles);
+        await this.adapter.setStateAsync(`devices.${deviceId}.config.activeProfile`, profileName, true);
+        return { name: profileName, created };
+    }
+
+    /**
+     * Persist the profiles of a device
+     *
+     * @param {string} deviceId - Device ID
+     * @param {object} profiles - Profile name → profile
+     * @returns {Promise<void>}
+     */
+    async saveProfiles(deviceId, profiles) {
+        await this.adapter.setStateAsync(`devices.${deviceId}.config.profiles`, JSON.stringify(profiles), true);
+    }
+}
+
+ProfileManager.PROFILE_FIELDS = PROFILE_FIELDS;
+
+module.exports = ProfileManager;
@@ -166,6 +166,14 @@ class StateTreeManager {
             write: false,
         });
 
+        await this.createDeviceState(deviceId, 'info.model', {
+            name: 'Device Model',
+            type: 'string',
+            role: 'info.hardware',
+            read: true,
+            write: false,
+        });
+
         await this.createDeviceState(deviceId, 'info.lastSeen', {
             name: 'Last Seen',
             type: 'number',
@@ -459,6 +467,15 @@ class StateTreeManager {
             write: false,
             def: '{}', // {notificationId: {message, type, duration}}
         });
+
+        await this.createDeviceState(deviceId, 'notifications.unread', {
+            name: 'Unread Alerts (warnings/errors since last clear)',
+            type: 'number',
+            role: 'value',
+            read: true,
+            write: true,
+            def: 0,
+        });
     }
 
     /**
@@ -498,6 +515,15 @@ class StateTreeManager {
             write: true,
             def: false,
         });
+
+        await this.createDeviceState(deviceId, 'actions.confirmationPending', {
+            name: 'Confirmation Dialog Pending',
+            type: 'boolean',
+            role: 'indicator',
+            read: true,
+            write: false,
+            def: false,
+        });
     }
 
     /**
@@ -548,6 +574,51 @@ class StateTreeManager {
             write: true,
             def: '',
         });
+
+        await this.createDeviceState(deviceId, 'config.ledMapping', {
+            name: 'LED Assignments (JSON)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: true,
+            def: '[]',
+        });
+
+        await this.createDeviceState(deviceId, 'config.statusBar', {
+            name: 'Status Bar Widgets (JSON, empty = default)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: true,
+            def: '',
+        });
+
+        await this.createDeviceState(deviceId, 'config.quickAccess', {
+            name: 'Quick Access Configuration (JSON)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: true,
+            def: '{}',
+        });
+
+        await this.createDeviceState(deviceId, 'config.profiles', {
+            name: 'Configuration Profiles (JSON)',
+            type: 'string',
+            role: 'json',
+            read: true,
+            write: true,
+            def: '{}',
+        });
+
+        await this.createDeviceState(deviceId, 'config.activeProfile', {
+            name: 'Active Configuration Profile',
+            type: 'string',
+            role: 'text',
+            read: true,
+            write: true,
+            def: '',
+        });
     }
 
     /**
@@ -6,9 +6,99 @@
  * Provides access to built-in page templates for quick setup.
  * Templates can be loaded via admin UI to populate page configurations.
  *
+ * Templates declare named parameters for the states they need and use them as
+ * placeholders in any string field (usually display.source / button.target):
+ *   "parameters": [{ "name": "livingRoomLight", "label": "Living room light", "role": "switch.light", "type": "boolean" }]
+ *   "source": "{{livingRoomLight}}"
+ * Unresolved placeholders become empty strings (the field is left for the user to fill).
+ *
+ * User templates (saveAsTemplate) are stored in the adapter's file storage as
+ * {namespace}/templates/{id}.json with IDs prefixed "user-"; built-in templates are read-only.
+ *
  * @author Felix Hummel <hummelimages@googlemail.com>
  */
 
+const { slugifyPageId } = require('../utils/slugify');
+const { normalizeBundleConfig, remapConfig, collectStateIds } = require('../utils/configBundle');
+
+/** Directory of user templates in the adapter's file storage */
+const USER_TEMPLATE_DIR = 'templates';
+
+/** ID prefix of user templates */
+const USER_TEMPLATE_PREFIX = 'user-';
+
+/** Placeholder syntax: {{name}} */
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+/** Maximum number of suggested states per parameter */
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Replace placeholders in all strings of a value
+ *
+ * @param {any} value - Template value (object, array, string, ...)
+ * @param {object} values - Parameter name → state ID
+ * @param {Set<string>} unresolved - Collects placeholders without value
+ * @returns {any} Copy with placeholders replaced
+ */
+function substitute(value, values, unresolved) {
+    if (typeof value === 'string') {
+        return value.replace(PLACEHOLDER, (match, name) => {
+            if (values[name]) {
+                return String(values[name]);
+            }
+            unresolved.add(name);
+            return '';
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => substitute(item, values, unresolved));
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = substitute(item, values, unresolved);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Split a camelCase parameter name into lowercase words ("livingRoomLight" → living, room, light)
+ *
+ * @param {string} name - Parameter name
+ * @returns {Array<string>}
+ */
+function nameWords(name) {
+    return name
+        .split(/(?=[A-Z])|[^A-Za-z0-9]+/)
+        .map((word) => word.toLowerCase())
+        .filter((word) => word.length > 2);
+}
+
+/**
+ * Build a camelCase parameter name from a line label or state ID
+ *
+ * @param {string} text - Label or state ID
+ * @param {Set<string>} taken - Names in use
+ * @returns {string}
+ */
+function parameterName(text, taken) {
+    const words = slugifyPageId(text).split('-').filter(Boolean);
+    let name = words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.substring(1))).join('');
+    if (!/^[a-z]/.test(name)) {
+        name = `state${name}`;
+    }
+    let candidate = name;
+    let counter = 2;
+    while (taken.has(candidate)) {
+        candidate = `${name}${counter++}`;
+    }
+    taken.add(candidate);
+    return candidate;
+}
+
 class TemplateLoader {
     /**
      * @param {object} adapter - ioBroker adapter instance
@@ -16,6 +106,9 @@ class TemplateLoader {
     constructor(adapter) {
         this.adapter = adapter;
         this.templates = this.loadTemplates();
+
+        /** User templates from file storage (see loadUserTemplates) */
+        this.userTemplates = {};
     }
 
     /**
@@ -46,7 +139,7 @@ class TemplateLoader {
      * @returns {object|null} Template data or null if not found
      */
     getTemplate(templateId) {
-        const template = this.templates[templateId];
+        const template = this.findTemplate(templateId);
 
         if (!template) {
             this.adapter.log.warn(`Template '${templateId}' not found`);
@@ -63,35 +156,327 @@ class TemplateLoader {
      * @returns {Array<object>} Array of template metadata
      */
     getTemplateList() {
-        return Object.keys(this.templates).map((id) => ({
-            id: id,
-            name: this.templates[id].name,
-            description: this.templates[id].description,
-            preview: this.templates[id].preview || null,
+        const list = (templates, user) =>
+            Object.keys(templates).map((id) => ({
+                id: id,
+                name: templates[id].name,
+                description: templates[id].description,
+                preview: templates[id].preview || null,
+                user,
+            }));
+        return [...list(this.templates, false), ...list(this.userTemplates, true)];
+    }
+
+    /**
+     * Find a built-in or user template without logging
+     *
+     * @param {string} templateId - Template identifier
+     * @returns {object|null}
+     */
+    findTemplate(templateId) {
+        return this.templates[templateId] || this.userTemplates[templateId] || null;
+    }
+
+    /**
+     * Read the user templates from the adapter's file storage
+     *
+     * @returns {Promise<void>}
+     */
+    async loadUserTemplates() {
+        this.userTemplates = {};
+        let files = [];
+        try {
+            files = await this.adapter.readDirAsync(this.adapter.namespace, USER_TEMPLATE_DIR);
+        } catch {
+            return; // No templates saved yet
+        }
+
+        for (const file of files || []) {
+            if (file.isDir || !file.file.endsWith('.json')) {
+                continue;
+            }
+            try {
+                const { file: data } = await this.adapter.readFileAsync(
+                    this.adapter.namespace,
+                    `${USER_TEMPLATE_DIR}/${file.file}`
+                );
+                const template = JSON.parse(data.toString());
+                this.userTemplates[file.file.replace(/\.json$/, '')] = template;
+            } catch (err) {
+                this.adapter.log.warn(`Failed to load user template ${file.file}: ${err.message}`);
+            }
+        }
+        this.adapter.log.debug(`Loaded ${Object.keys(this.userTemplates).length} user templates`);
+    }
+
+    /**
+     * Save pages as a user template.
+     * Datapoint IDs are turned into parameters (default), removed, or kept as they are.
+     *
+     * @param {object} options - Template options
+     * @param {string} options.name - Template name
+     * @param {string} [options.description] - Description
+     * @param {Array<object>} options.pages - Pages in nested format
+     * @param {string} [options.datapoints] - 'parameterize' (default) | 'strip' | 'keep'
+     * @returns {Promise<string>} Template ID
+     */
+    async saveUserTemplate({ name, description = '', pages, datapoints = 'parameterize' }) {
+        const templateName = String(name || '').trim();
+        if (!templateName) {
+            throw new Error('Template name is required');
+        }
+        if (!Array.isArray(pages) || pages.length === 0) {
+            throw new Error('No pages selected');
+        }
+
+        const config = normalizeBundleConfig({ pages });
+        const parameters = [];
+        const states = {};
+
+        if (datapoints !== 'keep') {
+            // Line labels name the parameters ("WOHNZIMMER" → wohnzimmer)
+            const labels = new Map();
+            for (const page of config.pages) {
+                for (const line of page.lines || []) {
+                    for (const side of [line.left, line.right]) {
+                        const id =
+                            (side?.display?.type === 'datapoint' && side.display.source) ||
+                            (side?.button?.type === 'datapoint' && side.button.target);
+                        if (id && !labels.has(id)) {
+                            labels.set(id, side.label || side.display?.text || '');
+                        }
+                    }
+                }
+            }
+
+            const taken = new Set();
+            for (const id of collectStateIds(config)) {
+                if (datapoints === 'strip') {
+                    states[id] = '';
+                    continue;
+                }
+                // Without a line label: name from the last ID parts ("scene.0.cooking" → sceneCooking)
+                const label = labels.get(id) || id;
+                const nameSource =
+                    labels.get(id) ||
+                    id
+                        .split('.')
+                        .filter((part) => !/^\d+$/.test(part))
+                        .slice(-2)
+                        .join(' ');
+                const param = { name: parameterName(nameSource, taken), label, role: '', type: '' };
+                const obj = await this.adapter.getForeignObjectAsync(id);
+                param.role = obj?.common?.role || '';
+                param.type = obj?.common?.type || '';
+                parameters.push(param);
+                states[id] = `{{${param.name}}}`;
+            }
+        }
+
+        let id = `${USER_TEMPLATE_PREFIX}${slugifyPageId(templateName) || 'template'}`;
+        for (let counter = 2; this.findTemplate(id); counter++) {
+            id = `${USER_TEMPLATE_PREFIX}${slugifyPageId(templateName) || 'template'}-${counter}`;
+        }
+
+        const template = {
+            name: templateName,
+            description,
+            version: '1.0.0',
+            author: '',
+            preview: null,
+            parameters,
+            pages: remapConfig(config, { states }).pages,
+        };
+        await this.writeUserTemplate(id, template);
+        this.adapter.log.info(`Saved user template '${templateName}' as ${id} (${parameters.length} parameters)`);
+        return id;
+    }
+
+    /**
+     * Rename a user template
+     *
+     * @param {string} templateId - User template ID
+     * @param {string} name - New name
+     * @returns {Promise<void>}
+     */
+    async renameUserTemplate(templateId, name) {
+        const template = this.getUserTemplate(templateId);
+        const templateName = String(name || '').trim();
+        if (!templateName) {
+            throw new Error('Template name is required');
+        }
+        await this.writeUserTemplate(templateId, { ...template, name: templateName });
+        this.adapter.log.info(`Renamed user template ${templateId} to '${templateName}'`);
+    }
+
+    /**
+     * Delete a user template
+     *
+     * @param {string} templateId - User template ID
+     * @returns {Promise<void>}
+     */
+    async deleteUserTemplate(templateId) {
+        this.getUserTemplate(templateId);
+        await this.adapter.delFileAsync(this.adapter.namespace, `${USER_TEMPLATE_DIR}/${templateId}.json`);
+        delete this.userTemplates[templateId];
+        this.adapter.log.info(`Deleted user template ${templateId}`);
+    }
+
+    /**
+     * Get a user template, rejecting built-in and unknown IDs
+     *
+     * @param {string} templateId - Template ID
+     * @returns {object} Template
+     * @throws {Error} If the ID is not a user template
+     */
+    getUserTemplate(templateId) {
+        if (this.templates[templateId]) {
+            throw new Error(`Template '${templateId}' is built-in and cannot be changed`);
+        }
+        const template = this.userTemplates[templateId];
+        if (!template) {
+            throw new Error(`Template '${templateId}' not found`);
+        }
+        return template;
+    }
+
+    /**
+     * Write a user template to file storage
+     *
+     * @param {string} templateId - User template ID
+     * @param {object} template - Template data
+     * @returns {Promise<void>}
+     */
+    async writeUserTemplate(templateId, template) {
+        // File storage needs a meta object for the instance namespace
+        await this.adapter.setForeignObjectNotExistsAsync(this.adapter.namespace, {
+            type: 'meta',
+            common: { name: 'MCDU user files', type: 'meta.user' },
+            native: {},
+        });
+        await this.adapter.writeFileAsync(
+            this.adapter.namespace,
+            `${USER_TEMPLATE_DIR}/${templateId}.json`,
+            JSON.stringify(template, null, 2)
+        );
+        this.userTemplates[templateId] = template;
+    }
+
+    /**
+     * Get the parameters of a template.
+     * Placeholders used in the pages but not declared are added without role/type.
+     *
+     * @param {string} templateId - Template identifier
+     * @returns {Array<{name: string, label: string, role: string, type: string}>}
+     */
+    getParameters(templateId) {
+        const template = this.findTemplate(templateId);
+        if (!template) {
+            return [];
+        }
+
+        const parameters = (template.parameters || []).map((param) => ({
+            name: param.name,
+            label: param.label || param.name,
+            role: param.role || '',
+            type: param.type || '',
         }));
+
+        const used = new Set();
+        substitute(template.pages || [], {}, used);
+        for (const name of used) {
+            if (!parameters.some((param) => param.name === name)) {
+                parameters.push({ name, label: name, role: '', type: '' });
+            }
+        }
+        return parameters;
     }
 
     /**
-     * Merge template pages into existing configuration
+     * Suggest states from the object database for template parameters.
+     * Candidates match the parameter's role (exact role first, then same role family)
+     * and type; ties are broken by how many words of the parameter name appear in ID and name.
      *
-     * @param {Array} existingPages - Current page configuration
-     * @param {string} templateId - Template to merge
-     * @returns {Array} Updated page configuration
+     * @param {Array<object>} parameters - Parameters (see getParameters)
+     * @returns {Promise<object>} Parameter name → suggested state IDs (best first)
+     */
+    async suggestParameters(parameters) {
+        const suggestions = {};
+        if (!parameters.some((param) => param.role)) {
+            return suggestions;
+        }
+
+        const objects = (await this.adapter.getForeignObjectsAsync('*', 'state')) || {};
+        const ownPrefix = `${this.adapter.namespace}.`;
+
+        for (const param of parameters) {
+            if (!param.role) {
+                suggestions[param.name] = [];
+                continue;
+            }
+            const family = param.role.split('.')[0];
+            const words = nameWords(param.name);
+            const candidates = [];
+
+            for (const [id, obj] of Object.entries(objects)) {
+                const role = obj?.common?.role || '';
+                if (id.startsWith(ownPrefix) || (role !== param.role && role.split('.')[0] !== family)) {
+                    continue;
+                }
+                if (param.type && obj.common.type && obj.common.type !== param.type) {
+                    continue;
+                }
+                const name = typeof obj.common.name === 'object' ? JSON.stringify(obj.common.name) : obj.common.name;
+                const text = `${id} ${name || ''}`.toLowerCase();
+                const score = (role === param.role ? 10 : 0) + words.filter((word) => text.includes(word)).length;
+                candidates.push({ id, score });
+            }
+
+            candidates.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+            suggestions[param.name] = candidates.slice(0, MAX_SUGGESTIONS).map((c) => c.id);
+        }
+        return suggestions;
+    }
+
+    /**
+     * Get template pages with parameter values substituted
+     *
+     * @param {string} templateId - Template identifier
+     * @param {object} [values] - Parameter name → state ID
+     * @returns {{pages: Array<object>, unresolved: Array<string>}} Pages; parameters left without value
      */
-    mergeTemplate(existingPages, templateId) {
+    resolveTemplate(templateId, values = {}) {
         const template = this.getTemplate(templateId);
 
         if (!template) {
             throw new Error(`Template '${templateId}' not found`);
         }
 
+        const unresolved = new Set();
+        const pages = substitute(template.pages || [], values || {}, unresolved);
+        return { pages, unresolved: [...unresolved] };
+    }
+
+    /**
+     * Merge template pages into existing configuration
+     *
+     * @param {Array} existingPages - Current page configuration
+     * @param {string} templateId - Template to merge
+     * @param {object} [values] - Parameter name → state ID (placeholders without value become empty)
+     * @returns {Array} Updated page configuration
+     */
+    mergeTemplate(existingPages, templateId, values = {}) {
+        const { pages, unresolved } = this.resolveTemplate(templateId, values);
+
         // Get existing page IDs
         const existingIds = new Set(existingPages.map((p) => p.id));
 
         // Add template pages that don't already exist
-        const newPages = template.pages.filter((p) => !existingIds.has(p.id));
+        const newPages = pages.filter((p) => !existingIds.has(p.id));
 
-        this.adapter.log.info(`Merging template '${template.name}': ${newPages.length} new pages`);
+        this.adapter.log.info(
+            `Merging template '${templateId}': ${newPages.length} new pages${unresolved.length > 0 ? `, unresolved parameters: ${unresolved.join(', ')}` : ''}`
+        );
 
         return [...existingPages, ...newPages];
     }
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Transport Router
+ *
+ * Common transport interface used by sessions, publishers and subscribers.
+ * Wraps the enabled transports (MqttClient and/or WebSocketTransport), all of
+ * which implement connect/disconnect/publish/subscribe/unsubscribe with the
+ * same topic contract.
+ *
+ * Routing: each device is served by the transport it last talked over (its
+ * choice is made in the Pi client configuration). Devices not seen yet use the
+ * first transport. Adapter-wide topics (adapter/*) go to all transports.
+ *
+ * @author Felix Hummel
+ */
+
+class TransportRouter {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} transports - Enabled transports
+     * @param {object} [transports.mqtt] - MqttClient instance
+     * @param {object} [transports.websocket] - WebSocketTransport instance
+     */
+    constructor(adapter, transports) {
+        this.adapter = adapter;
+
+        /** Enabled transports by name, in routing priority */
+        this.transports = new Map(Object.entries(transports).filter(([, transport]) => !!transport));
+        if (this.transports.size === 0) {
+            throw new Error('No transport enabled (enable MQTT or the WebSocket transport)');
+        }
+
+        const [first] = this.transports.values();
+        this.topicPrefix = first.topicPrefix || 'mcdu';
+
+        /** Transport name by device ID */
+        this.routes = new Map();
+
+        const websocket = this.transports.get('websocket');
+        if (websocket) {
+            websocket.onDeviceConnected = (deviceId) => this.setRoute(deviceId, 'websocket');
+        }
+    }
+
+    /**
+     * True if any transport is connected
+     *
+     * @returns {boolean} Connection state
+     */
+    get connected() {
+        return [...this.transports.values()].some((transport) => transport.connected);
+    }
+
+    /**
+     * Connect all transports
+     *
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        for (const transport of this.transports.values()) {
+            await transport.connect();
+        }
+    }
+
+    /**
+     * Disconnect all transports
+     */
+    disconnect() {
+        for (const transport of this.transports.values()) {
+            transport.disconnect();
+        }
+    }
+
+    /**
+     * Name of the transport serving a device
+     *
+     * @param {string} deviceId - Device ID
+     * @returns {string} Transport name (mqtt | websocket)
+     */
+    getDeviceTransport(deviceId) {
+        return this.routes.get(deviceId) || this.transports.keys().next().value;
+    }
+
+    /**
+     * Remember the transport a device talks over
+     *
+     * @param {string} deviceId - Device ID
+     * @param {string} name - Transport name
+     */
+    setRoute(deviceId, name) {
+        if (this.routes.get(deviceId) !== name) {
+            this.routes.set(deviceId, name);
+            this.adapter.log.debug(`Device ${deviceId} uses ${name} transport`);
+        }
+    }
+
+    /**
+     * Device ID of a full topic ({prefix}/{deviceId}/...), null for adapter topics
+     *
+     * @param {string} topic - Topic (with or without prefix)
+     * @returns {string|null} Device ID
+     */
+    getTopicDevice(topic) {
+        const parts = topic.startsWith(`${this.topicPrefix}/`)
+            ? topic.substring(this.topicPrefix.length + 1).split('/')
+            : topic.split('/');
+        return parts[0] && parts[0] !== 'adapter' && parts.length > 1 ? parts[0] : null;
+    }
+
+    /**
+     * Publish on the transport of the addressed device (adapter topics: all transports)
+     *
+     * @param {string} topic - Topic (with or without prefix)
+     * @param {string|Buffer} payload - Message payload
+     * @param {object} [options] - Publish options (qos, retain)
+     * @returns {Promise<void>}
+     */
+    async publish(topic, payload, options = {}) {
+        const deviceId = this.getTopicDevice(topic);
+        if (!deviceId) {
+            await Promise.all([...this.transports.values()].map((t) => t.publish(topic, payload, options)));
+            return;
+        }
+        await this.transports.get(this.getDeviceTransport(deviceId)).publish(topic, payload, options);
+    }
+
+    /**
+     * Subscribe on all transports; incoming messages update the device route
+     *
+     * @param {string} topic - Topic pattern (without prefix)
+     * @param {Function} handler - Message handler (topic, message) => void
+     * @param {object} [options] - Subscribe options
+     * @returns {Promise<void>}
+     */
+    async subscribe(topic, handler, options = {}) {
+        for (const [name, transport] of this.transports) {
+            await transport.subscribe(
+                topic,
+                (receivedTopic, message) => {
+                    const deviceId = this.getTopicDevice(receivedTopic);
+                    if (deviceId) {
+                        this.setRoute(deviceId, name);
+                    }
+                    handler(receivedTopic, message);
+                },
+                options
+            );
+        }
+    }
+
+    /**
+     * Unsubscribe on all transports
+     *
+     * @param {string} topic - Topic pattern (without prefix)
+     * @returns {Promise<void>}
+     */
+    async unsubscribe(topic) {
+        for (const transport of this.transports.values()) {
+            await transport.unsubscribe(topic);
+        }
+    }
+}
+
+module.exports = TransportRouter;
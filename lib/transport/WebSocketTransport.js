@@ -0,0 +1,406 @@
+'use strict';
+
+/**
+ * WebSocket Transport
+ *
+ * Direct connection between adapter and Pi clients without an MQTT broker.
+ * Implements the same interface and topic contract as MqttClient
+ * (display/set, display/line, leds/*, buttons/*, status/*), so it can be used
+ * in its place or next to it (see TransportRouter).
+ *
+ * Wire format: one JSON frame per message
+ *   client → adapter: {type: 'hello', deviceId, token}     (first frame, authentication)
+ *   adapter → client: {type: 'welcome'} | {type: 'error', message}
+ *   both directions:  {type: 'publish', topic, payload, retain}
+ *
+ * Heartbeat: the adapter pings every client each interval and drops clients that
+ * did not answer the previous ping. Clients reconnect on their own.
+ *
+ * @author Felix Hummel
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+/** Default heartbeat interval (ms) */
+const HEARTBEAT_INTERVAL = 15000;
+
+/** Time a client has to authenticate after connecting (ms) */
+const HELLO_TIMEOUT = 5000;
+
+/**
+ * Compare two secrets in constant time
+ *
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean} True if equal
+ */
+function secretEquals(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+class WebSocketTransport {
+    /**
+     * @param {object} adapter - ioBroker adapter instance
+     * @param {object} config - WebSocket configuration
+     * @param {number|string} [config.port] - Listen port (default: 8765)
+     * @param {string} config.token - Shared secret clients must send (required)
+     * @param {number|string} [config.heartbeatInterval] - Ping interval in ms (default: 15000)
+     * @param {string} [config.topicPrefix] - Topic prefix (default: mcdu)
+     * @param {boolean} [config.reportConnection] - Maintain info.connection (when MQTT is not used)
+     */
+    constructor(adapter, config) {
+        this.adapter = adapter;
+        this.config = config || {};
+        this.port = Number(this.config.port) || 8765;
+        this.topicPrefix = this.config.topicPrefix || 'mcdu';
+        this.connected = false;
+
+        /** WebSocketServer instance */
+        this.server = null;
+
+        /** Connected clients by device ID */
+        this.clients = new Map();
+
+        /** Subscriptions: {pattern, handler} */
+        this.handlers = [];
+
+        /** Retained messages by topic (replayed to clients on connect) */
+        this.retained = new Map();
+
+        /** Heartbeat interval timer */
+        this.heartbeatTimer = null;
+
+        /** Called with the device ID when a client authenticates */
+        this.onDeviceConnected = null;
+    }
+
+    /**
+     * Start listening for clients
+     *
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this.server) {
+            return;
+        }
+        // Button events run datapoint writes and macros, so never accept unauthenticated clients
+        if (!this.config.token) {
+            throw new Error('WebSocket transport requires an access token (websocket.token)');
+        }
+
+        const server = await this.listen();
+        server.on('error', (error) => this.adapter.log.error(`WebSocket server error: ${error.message}`));
+        server.on('connection', (socket, request) => this.handleConnection(socket, request));
+        this.server = server;
+        this.connected = true;
+        this.retained.set(
+            `${this.topicPrefix}/adapter/status`,
+            JSON.stringify({ status: 'online', version: this.adapter.version, timestamp: Date.now() })
+        );
+
+        const interval = Number(this.config.heartbeatInterval) || HEARTBEAT_INTERVAL;
+        this.heartbeatTimer = this.adapter.setInterval(() => this.checkHeartbeats(), interval);
+
+        if (this.config.reportConnection) {
+            await this.adapter.setStateAsync('info.connection', true, true);
+        }
+        this.adapter.log.info(`✅ WebSocket transport listening on port ${this.port}`);
+    }
+
+    /**
+     * Open the server on the configured port
+     *
+     * @returns {Promise<WebSocketServer>} Listening server
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            const server = new WebSocketServer({ port: this.port });
+            server.once('listening', () => {
+                server.removeAllListeners('error');
+                resolve(server);
+            });
+            server.once('error', (error) => {
+                server.close();
+                reject(new Error(`WebSocket transport cannot listen on port ${this.port}: ${error.message}`));
+            });
+        });
+    }
+
+    /**
+     * Tell clients the adapter goes offline and stop the server
+     */
+    disconnect() {
+        if (!this.server) {
+            return;
+        }
+
+        const status = JSON.stringify({ status: 'offline', timestamp: Date.now() });
+        for (const socket of this.clients.values()) {
+            this.send(socket, { type: 'publish', topic: `${this.topicPrefix}/adapter/status`, payload: status });
+            socket.close(1001, 'Adapter stopping');
+        }
+        this.clients.clear();
+
+        if (this.heartbeatTimer) {
+            this.adapter.clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        this.server.close();
+        this.server = null;
+        this.connected = false;
+    }
+
+    /**
+     * Handle a new client connection (waits for the hello frame)
+     *
+     * @param {object} socket - WebSocket
+     * @param {object} request - HTTP upgrade request
+     */
+    handleConnection(socket, request) {
+        const remote = request?.socket?.remoteAddress || 'unknown';
+        socket.isAlive = true;
+        socket.deviceId = null;
+
+        const helloTimer = this.adapter.setTimeout(() => {
+            this.adapter.log.warn(`WebSocket client ${remote} did not authenticate in time`);
+            socket.terminate();
+        }, HELLO_TIMEOUT);
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        socket.on('message', (data) => {
+            let frame;
+            try {
+                frame = JSON.parse(data.toString());
+            } catch {
+                this.adapter.log.warn(`Invalid WebSocket frame from ${socket.deviceId || remote}`);
+                return;
+            }
+
+            if (!socket.deviceId) {
+                this.adapter.clearTimeout(helloTimer);
+                this.handleHello(socket, frame, remote);
+                return;
+            }
+            if (frame.type === 'publish' && typeof frame.topic === 'string') {
+                this.handleClientPublish(socket, frame);
+            }
+        });
+
+        socket.on('close', () => {
+            this.adapter.clearTimeout(helloTimer);
+            if (socket.deviceId && this.clients.get(socket.deviceId) === socket) {
+                this.clients.delete(socket.deviceId);
+                this.adapter.log.info(`WebSocket client ${socket.deviceId} disconnected`);
+                // Same as the MQTT last will of the client
+                this.dispatch(
+                    `${this.topicPrefix}/${socket.deviceId}/status/online`,
+                    Buffer.from(JSON.stringify({ status: 'offline', timestamp: Date.now() }))
+                );
+            }
+        });
+
+        socket.on('error', (error) => {
+            this.adapter.log.debug(`WebSocket client ${socket.deviceId || remote} error: ${error.message}`);
+        });
+    }
+
+    /**
+     * Authenticate a client and replay retained messages for it
+     *
+     * @param {object} socket - WebSocket
+     * @param {object} frame - First frame sent by the client
+     * @param {string} remote - Remote address (for logging)
+     */
+    handleHello(socket, frame, remote) {
+        const deviceId = typeof frame.deviceId === 'string' ? frame.deviceId.trim() : '';
+        if (frame.type !== 'hello' || !deviceId || deviceId.includes('/') || /[+#]/.test(deviceId)) {
+            this.send(socket, { type: 'error', message: 'Expected hello frame with deviceId' });
+            socket.close(1008, 'Invalid hello');
+            return;
+        }
+        if (!secretEquals(frame.token || '', this.config.token)) {
+            this.adapter.log.warn(`WebSocket client ${deviceId} (${remote}) rejected: invalid token`);
+            this.send(socket, { type: 'error', message: 'Invalid token' });
+            socket.close(1008, 'Invalid token');
+            return;
+        }
+
+        const previous = this.clients.get(deviceId);
+        this.clients.set(deviceId, socket);
+        socket.deviceId = deviceId;
+        if (previous) {
+            previous.close(1000, 'Replaced by new connection');
+        }
+
+        this.adapter.log.info(`✅ WebSocket client ${deviceId} connected (${remote})`);
+        this.send(socket, { type: 'welcome' });
+        for (const [topic, payload] of this.retained) {
+            if (this.isTopicFor(topic, deviceId)) {
+                this.send(socket, { type: 'publish', topic, payload, retain: true });
+            }
+        }
+        if (this.onDeviceConnected) {
+            this.onDeviceConnected(deviceId);
+        }
+    }
+
+    /**
+     * Handle a message published by a client
+     *
+     * @param {object} socket - Authenticated WebSocket
+     * @param {object} frame - Publish frame
+     */
+    handleClientPublish(socket, frame) {
+        // Clients may only publish below their own device topic
+        if (!frame.topic.startsWith(`${this.topicPrefix}/${socket.deviceId}/`)) {
+            this.adapter.log.warn(`WebSocket client ${socket.deviceId} may not publish to ${frame.topic}`);
+            return;
+        }
+        const payload = typeof frame.payload === 'string' ? frame.payload : JSON.stringify(frame.payload ?? '');
+        this.dispatch(frame.topic, Buffer.from(payload));
+    }
+
+    /**
+     * Deliver an incoming message to matching subscriptions
+     *
+     * @param {string} topic - Full topic
+     * @param {Buffer} message - Payload
+     */
+    dispatch(topic, message) {
+        for (const { pattern, handler } of this.handlers) {
+            if (this.topicMatches(topic, pattern)) {
+                try {
+                    handler(topic, message);
+                } catch (error) {
+                    this.adapter.log.error(`Error in message handler for ${topic}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Send a frame to a socket if it is open
+     *
+     * @param {object} socket - WebSocket
+     * @param {object} frame - Frame to send
+     */
+    send(socket, frame) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(frame));
+        }
+    }
+
+    /**
+     * Ping all clients, dropping those that missed the previous ping
+     */
+    checkHeartbeats() {
+        for (const socket of this.clients.values()) {
+            if (!socket.isAlive) {
+                this.adapter.log.warn(`WebSocket client ${socket.deviceId} missed heartbeat, closing`);
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }
+
+    /**
+     * Whether a device is connected over this transport
+     *
+     * @param {string} deviceId - Device ID
+     * @returns {boolean} True if connected
+     */
+    hasDevice(deviceId) {
+        return this.clients.has(deviceId);
+    }
+
+    /**
+     * Publish a message to the client(s) the topic belongs to
+     *
+     * @param {string} topic - Topic (with or without prefix)
+     * @param {string|Buffer} payload - Message payload
+     * @param {object} [options] - Publish options
+     * @param {boolean} [options.retain] - Keep and replay on reconnect
+     * @returns {Promise<void>}
+     */
+    async publish(topic, payload, options = {}) {
+        const fullTopic = topic.startsWith(`${this.topicPrefix}/`) ? topic : `${this.topicPrefix}/${topic}`;
+        const text = Buffer.isBuffer(payload) ? payload.toString() : String(payload);
+
+        if (options.retain) {
+            this.retained.set(fullTopic, text);
+        }
+
+        for (const [deviceId, socket] of this.clients) {
+            if (this.isTopicFor(fullTopic, deviceId)) {
+                this.send(socket, { type: 'publish', topic: fullTopic, payload: text, retain: !!options.retain });
+            }
+        }
+    }
+
+    /**
+     * Subscribe to messages published by clients
+     *
+     * @param {string} topic - Topic pattern (without prefix, wildcards allowed)
+     * @param {Function} handler - Message handler (topic, message) => void
+     * @returns {Promise<void>}
+     */
+    async subscribe(topic, handler) {
+        const pattern = topic.startsWith(`${this.topicPrefix}/`) ? topic : `${this.topicPrefix}/${topic}`;
+        this.handlers.push({ pattern, handler });
+    }
+
+    /**
+     * Remove all handlers of a topic pattern
+     *
+     * @param {string} topic - Topic pattern (without prefix)
+     * @returns {Promise<void>}
+     */
+    async unsubscribe(topic) {
+        const pattern = topic.startsWith(`${this.topicPrefix}/`) ? topic : `${this.topicPrefix}/${topic}`;
+        this.handlers = this.handlers.filter((entry) => entry.pattern !== pattern);
+    }
+
+    /**
+     * Whether a topic is addressed to a device (its own topics and adapter/*)
+     *
+     * @param {string} topic - Full topic
+     * @param {string} deviceId - Device ID
+     * @returns {boolean} True if the device should receive it
+     */
+    isTopicFor(topic, deviceId) {
+        return topic.startsWith(`${this.topicPrefix}/${deviceId}/`) || topic.startsWith(`${this.topicPrefix}/adapter/`);
+    }
+
+    /**
+     * Check if topic matches pattern (supports MQTT wildcards)
+     *
+     * @param {string} topic - Actual topic
+     * @param {string} pattern - Pattern with wildcards (+, #)
+     * @returns {boolean} True if matching
+     */
+    topicMatches(topic, pattern) {
+        const topicParts = topic.split('/');
+        const patternParts = pattern.split('/');
+
+        for (let i = 0; i < patternParts.length; i++) {
+            if (patternParts[i] === '#') {
+                return true;
+            }
+            if (patternParts[i] !== '+' && patternParts[i] !== topicParts[i]) {
+                return false;
+            }
+        }
+
+        return topicParts.length === patternParts.length;
+    }
+}
+
+module.exports = WebSocketTransport;
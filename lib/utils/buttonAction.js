@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Button action helpers shared by LSK handling and executeButtonAction.
+ *
+ * Confirmation (per button, see ConfirmationDialog):
+ *   { type: 'datapoint', target: 'lock.0.door', confirm: 'hard',
+ *     confirmTitle: 'TUER ENTRIEGELN', confirmDetails: ['Haustuer wird entriegelt'] }
+ *   confirm: none (default) | soft | hard | countdown (confirmSeconds, default 5)
+ *
+ * Datapoint actions (button.action, default toggle):
+ *   toggle                 → invert boolean
+ *   set    { value }       → write a fixed value
+ *   step   { step }        → add step (negative = down), clamped to min/max (button, else common.min/max)
+ *   increment / decrement → step +1 / -1 (or ±step)
+ *   cycle  { values }      → next of values (array or "a,b,c"), else next key of common.states
+ * Values are converted to the datapoint type (common.type) before writing.
+ *
+ * @author Felix Hummel
+ */
+
+const { getMacroSteps, formatMacro } = require('./macro');
+
+/**
+ * Check whether a button must be confirmed before its action runs
+ *
+ * @param {object|null|undefined} button - Button configuration
+ * @returns {boolean}
+ */
+function requiresConfirmation(button) {
+    return !!button?.confirm && button.confirm !== 'none';
+}
+
+/**
+ * Describe what a button does, used as default confirmation details
+ *
+ * @param {object} button - Button configuration
+ * @param {object} [display] - Display config of the same side (datapoint LSKs act on its source)
+ * @returns {string[]} Detail lines
+ */
+function describeButtonAction(button, display = null) {
+    switch (button?.type) {
+        case 'navigation':
+            return [`GEHE ZU ${button.target}`];
+        case 'macro':
+            return formatMacro(getMacroSteps(button)).split('; ');
+        default: {
+            const target = display?.type === 'datapoint' && display.source ? display.source : button?.target;
+            const action = display?.type === 'datapoint' ? 'AENDERN' : (button?.action || 'toggle').toUpperCase();
+            return [`${action} ${target || ''}`.trim()];
+        }
+    }
+}
+
+/** Actions that write a value computed from the button config (not a plain toggle) */
+const VALUE_ACTIONS = ['set', 'step', 'increment', 'decrement', 'cycle'];
+
+/**
+ * Convert a configured value to the datapoint type
+ *
+ * @param {any} value - Configured value (Admin UI values are strings)
+ * @param {string} [type] - common.type of the datapoint
+ * @returns {any}
+ */
+function coerceValue(value, type) {
+    if (type === 'number') {
+        const num = Number(value);
+        if (value === '' || value === null || isNaN(num)) {
+            throw new Error(`"${value}" is not a number`);
+        }
+        return num;
+    }
+    if (type === 'boolean') {
+        return value === true || value === 'true' || value === 1 || value === '1';
+    }
+    if (type === 'string') {
+        return String(value);
+    }
+    return value;
+}
+
+/**
+ * Get the values a cycle action rotates through
+ *
+ * @param {object} button - Button with optional values (array or "a,b,c")
+ * @param {object} meta - Datapoint metadata with states
+ * @returns {Array<any>}
+ */
+function getCycleValues(button, meta) {
+    if (Array.isArray(button.values)) {
+        return button.values;
+    }
+    if (typeof button.values === 'string' && button.values.trim() !== '') {
+        return button.values.split(',').map((value) => value.trim());
+    }
+    const states = meta?.states;
+    if (Array.isArray(states)) {
+        return states.map((label, idx) => idx);
+    }
+    if (typeof states === 'string') {
+        return states.split(';').map((pair) => pair.split(':')[0].trim());
+    }
+    return states && typeof states === 'object' ? Object.keys(states) : [];
+}
+
+/**
+ * Round away floating point noise of repeated steps (e.g. 20.1 + 0.1)
+ *
+ * @param {number} value - Value
+ * @param {number} step - Step size
+ * @returns {number}
+ */
+function roundToStep(value, step) {
+    const decimals = (String(step).split('.')[1] || '').length;
+    return Number(value.toFixed(Math.min(decimals + 2, 10)));
+}
+
+/**
+ * Compute the value a datapoint button writes
+ *
+ * @param {object} button - Button config (action, value, step, min, max, values)
+ * @param {any} current - Current state value
+ * @param {object} [meta] - Datapoint metadata {type, min, max, states}
+ * @returns {any} New value, undefined for unknown actions
+ */
+function computeButtonValue(button, current, meta = {}) {
+    const action = button.action || 'toggle';
+    const type = meta?.type;
+
+    switch (action) {
+        case 'toggle':
+            return !current;
+
+        case 'set':
+            if (button.value === undefined) {
+                throw new Error('set action has no value');
+            }
+            return coerceValue(button.value, type);
+
+        case 'step':
+        case 'increment':
+        case 'decrement': {
+            let step = Math.abs(Number(button.step)) || 1;
+            if (action === 'decrement' || (action === 'step' && Number(button.step) < 0)) {
+                step = -step;
+            }
+            let value = roundToStep((parseFloat(current) || 0) + step, step);
+            const min = button.min ?? meta?.min;
+            const max = button.max ?? meta?.max;
+            if (min !== undefined && min !== null && value < min) {
+                value = min;
+            }
+            if (max !== undefined && max !== null && value > max) {
+                value = max;
+            }
+            return value;
+        }
+
+        case 'cycle': {
+            const values = getCycleValues(button, meta);
+            if (values.length === 0) {
+                throw new Error('cycle action has no values (set values or common.states)');
+            }
+            const idx = values.findIndex((value) => String(value) === String(current));
+            return coerceValue(values[(idx + 1) % values.length], type);
+        }
+
+        default:
+            return undefined;
+    }
+}
+
+module.exports = { VALUE_ACTIONS, requiresConfirmation, describeButtonAction, computeButtonValue };
@@ -0,0 +1,576 @@
+'use strict';
+
+/**
+ * Condition Grammar
+ *
+ * Safe, declarative conditions on a single value (no eval / new Function).
+ * Used by color rules and any other conditional page feature.
+ *
+ * Grammar:
+ *   expr      := and ( ('||' | 'or') and )*
+ *   and       := unary ( ('&&' | 'and') unary )*
+ *   unary     := ('!' | 'not') unary | '(' expr ')' | test
+ *   test      := ['value'] ( op literal
+ *                          | 'between' literal 'and' literal
+ *                          | ['not'] 'in' '[' literal (',' literal)* ']'
+ *                          | ('~' | 'matches') /regex/flags
+ *                          | 'contains' literal )
+ *   op        := '==' | '!=' | '<' | '<=' | '>' | '>='
+ *   literal   := number | 'string' | "string" | true | false | null | bareword
+ *
+ * Examples:
+ *   "< 18"                       "between 18 and 22"
+ *   ">= 18 && < 22"              "in [ON, AUTO]"
+ *   "== 'open' or == 'tilted'"   "~ /^err/i"
+ *
+ * Conditions are parsed into an AST once (memoized per string) and then only evaluated.
+ *
+ * @author Felix Hummel
+ */
+
+const COMPARE_OPS = ['==', '!=', '<=', '>=', '<', '>'];
+
+/** Parsed conditions by source string */
+const cache = new Map();
+
+/**
+ * Split a condition string into tokens
+ *
+ * @param {string} input - Condition string
+ * @returns {Array<{type: string, value: any, pos: number}>} Tokens
+ */
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        const two = input.substring(i, i + 2);
+        if (['==', '!=', '<=', '>=', '&&', '||', '=>'].includes(two)) {
+            tokens.push({ type: 'op', value: two, pos: i });
+            i += 2;
+            continue;
+        }
+        if ('<>!~()[],;'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, pos: i });
+            i++;
+            continue;
+        }
+
+        if (ch === '"' || ch === "'") {
+            let j = i + 1;
+            let text = '';
+            while (j < input.length && input[j] !== ch) {
+                if (input[j] === '\\' && j + 1 < input.length) {
+                    j++;
+                }
+                text += input[j];
+                j++;
+            }
+            if (j >= input.length) {
+                throw new Error(`Unterminated string at position ${i + 1}`);
+            }
+            tokens.push({ type: 'string', value: text, pos: i });
+            i = j + 1;
+            continue;
+        }
+
+        if (ch === '/') {
+            let j = i + 1;
+            let source = '';
+            while (j < input.length && input[j] !== '/') {
+                if (input[j] === '\\' && j + 1 < input.length) {
+                    source += input[j];
+                    j++;
+                }
+                source += input[j];
+                j++;
+            }
+            if (j >= input.length) {
+                throw new Error(`Unterminated regex at position ${i + 1}`);
+            }
+            j++;
+            let flags = '';
+            while (j < input.length && /[a-z]/i.test(input[j])) {
+                flags += input[j];
+                j++;
+            }
+            tokens.push({ type: 'regex', value: { source, flags }, pos: i });
+            i = j;
+            continue;
+        }
+
+        const number = /^-?\d+(\.\d+)?/.exec(input.substring(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), pos: i });
+            i += number[0].length;
+            continue;
+        }
+
+        const word = /^[\p{L}\p{N}_.-]+/u.exec(input.substring(i));
+        if (word) {
+            tokens.push({ type: 'word', value: word[0], pos: i });
+            i += word[0].length;
+            continue;
+        }
+
+        throw new Error(`Unexpected character "${ch}" at position ${i + 1}`);
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive descent parser over a token list
+ */
+class Parser {
+    /**
+     * @param {Array<object>} tokens - Tokens from tokenize()
+     * @param {number} [start] - Start index
+     */
+    constructor(tokens, start = 0) {
+        this.tokens = tokens;
+        this.index = start;
+    }
+
+    /**
+     * @returns {object|undefined} Current token
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * @returns {boolean} True if all tokens are consumed
+     */
+    atEnd() {
+        return this.index >= this.tokens.length;
+    }
+
+    /**
+     * Check whether the current token is an operator or keyword
+     *
+     * @param {...string} values - Accepted operator symbols or keywords (case-insensitive)
+     * @returns {boolean}
+     */
+    is(...values) {
+        const token = this.peek();
+        if (!token || (token.type !== 'op' && token.type !== 'word')) {
+            return false;
+        }
+        return values.includes(String(token.value).toLowerCase());
+    }
+
+    /**
+     * Consume an expected operator or keyword
+     *
+     * @param {string} value - Expected symbol or keyword
+     */
+    expect(value) {
+        if (!this.is(value)) {
+            throw this.error(`Expected "${value}"`);
+        }
+        this.index++;
+    }
+
+    /**
+     * Build a syntax error for the current position
+     *
+     * @param {string} message - Error message
+     * @returns {Error}
+     */
+    error(message) {
+        const token = this.peek();
+        return new Error(token ? `${message} at position ${token.pos + 1}` : `${message} at end of condition`);
+    }
+
+    /**
+     * @returns {object} AST node
+     */
+    parseOr() {
+        const items = [this.parseAnd()];
+        while (this.is('||', 'or')) {
+            this.index++;
+            items.push(this.parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    }
+
+    /**
+     * @returns {object} AST node
+     */
+    parseAnd() {
+        const items = [this.parseUnary()];
+        while (this.is('&&', 'and')) {
+            this.index++;
+            items.push(this.parseUnary());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    }
+
+    /**
+     * @returns {object} AST node
+     */
+    parseUnary() {
+        if (this.is('!') || (this.is('not') && !this.nextIs('in'))) {
+            this.index++;
+            return { type: 'not', expr: this.parseUnary() };
+        }
+        if (this.is('(')) {
+            this.index++;
+            const expr = this.parseOr();
+            this.expect(')');
+            return expr;
+        }
+        return this.parseTest();
+    }
+
+    /**
+     * @param {string} value - Keyword
+     * @returns {boolean} True if the token after the current one is the keyword
+     */
+    nextIs(value) {
+        const token = this.tokens[this.index + 1];
+        return !!token && token.type === 'word' && token.value.toLowerCase() === value;
+    }
+
+    /**
+     * @returns {object} AST node
+     */
+    parseTest() {
+        // Optional subject ("value > 5" reads the same as "> 5")
+        if (this.is('value')) {
+            this.index++;
+        }
+
+        const token = this.peek();
+        if (!token) {
+            throw this.error('Expected comparison');
+        }
+
+        if (token.type === 'op' && COMPARE_OPS.includes(token.value)) {
+            this.index++;
+            return { type: 'compare', op: token.value, value: this.parseLiteral() };
+        }
+        if (this.is('between')) {
+            this.index++;
+            const min = this.parseLiteral();
+            this.expect('and');
+            const max = this.parseLiteral();
+            return { type: 'between', min, max };
+        }
+        if (this.is('not') && this.nextIs('in')) {
+            this.index += 2;
+            return { type: 'in', values: this.parseList(), negate: true };
+        }
+        if (this.is('in')) {
+            this.index++;
+            return { type: 'in', values: this.parseList(), negate: false };
+        }
+        if (this.is('~', 'matches')) {
+            this.index++;
+            const regexToken = this.peek();
+            if (!regexToken || regexToken.type !== 'regex') {
+                throw this.error('Expected /regex/');
+            }
+            this.index++;
+            try {
+                return {
+                    type: 'match',
+                    source: regexToken.value.source,
+                    flags: regexToken.value.flags,
+                    regex: new RegExp(regexToken.value.source, regexToken.value.flags),
+                };
+            } catch (e) {
+                throw new Error(`Invalid regex at position ${regexToken.pos + 1}: ${e.message}`);
+            }
+        }
+        if (this.is('contains')) {
+            this.index++;
+            return { type: 'contains', value: this.parseLiteral() };
+        }
+
+        throw this.error(`Unexpected "${token.value}"`);
+    }
+
+    /**
+     * @returns {Array<any>} Literal values of a [a, b, c] list
+     */
+    parseList() {
+        this.expect('[');
+        const values = [this.parseLiteral()];
+        while (this.is(',')) {
+            this.index++;
+            values.push(this.parseLiteral());
+        }
+        this.expect(']');
+        return values;
+    }
+
+    /**
+     * @returns {any} Literal value
+     */
+    parseLiteral() {
+        const token = this.peek();
+        if (!token || !['number', 'string', 'word'].includes(token.type)) {
+            throw this.error('Expected value');
+        }
+        this.index++;
+
+        if (token.type === 'word') {
+            const lower = token.value.toLowerCase();
+            if (lower === 'true') {
+                return true;
+            }
+            if (lower === 'false') {
+                return false;
+            }
+            if (lower === 'null') {
+                return null;
+            }
+        }
+        return token.value;
+    }
+}
+
+/**
+ * Parse a condition string into an AST (not cached)
+ *
+ * @param {string} condition - Condition string
+ * @returns {object} AST
+ */
+function parseCondition(condition) {
+    if (typeof condition !== 'string' || condition.trim() === '') {
+        throw new Error('Empty condition');
+    }
+    const parser = new Parser(tokenize(condition));
+    const ast = parser.parseOr();
+    if (!parser.atEnd()) {
+        throw parser.error(`Unexpected "${parser.peek().value}"`);
+    }
+    return ast;
+}
+
+/**
+ * Parse a condition once and remember the result
+ *
+ * @param {string} condition - Condition string
+ * @returns {{ast: (object|null), error: (string|null)}} Parsed AST or syntax error message
+ */
+function compileCondition(condition) {
+    const key = String(condition);
+    if (cache.has(key)) {
+        return cache.get(key);
+    }
+    let compiled;
+    try {
+        compiled = { ast: parseCondition(condition), error: null };
+    } catch (e) {
+        compiled = { ast: null, error: e.message };
+    }
+    cache.set(key, compiled);
+    return compiled;
+}
+
+/**
+ * Convert a value to a number if it looks numeric
+ *
+ * @param {any} value - Any value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return isNaN(value) ? null : value;
+    }
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return null;
+}
+
+/**
+ * Compare value and literal for equality (numeric if both are numeric, else as strings)
+ *
+ * @param {any} value - State value
+ * @param {any} literal - Literal from the condition
+ * @returns {boolean}
+ */
+function equals(value, literal) {
+    const a = toNumber(value);
+    const b = toNumber(literal);
+    if (a !== null && b !== null && typeof value !== 'boolean') {
+        return a === b;
+    }
+    return String(value) === String(literal);
+}
+
+/**
+ * Evaluate an AST node against a value
+ *
+ * @param {object} node - AST node
+ * @param {any} value - Value to test
+ * @returns {boolean}
+ */
+function evaluateNode(node, value) {
+    switch (node.type) {
+        case 'or':
+            return node.items.some((item) => evaluateNode(item, value));
+        case 'and':
+            return node.items.every((item) => evaluateNode(item, value));
+        case 'not':
+            return !evaluateNode(node.expr, value);
+        case 'compare': {
+            if (node.op === '==') {
+                return equals(value, node.value);
+            }
+            if (node.op === '!=') {
+                return !equals(value, node.value);
+            }
+            const a = toNumber(value);
+            const b = toNumber(node.value);
+            if (a === null || b === null) {
+                return false;
+            }
+            return (
+                (node.op === '<' && a < b) ||
+                (node.op === '<=' && a <= b) ||
+                (node.op === '>' && a > b) ||
+                (node.op === '>=' && a >= b)
+            );
+        }
+        case 'between': {
+            const n = toNumber(value);
+            const min = toNumber(node.min);
+            const max = toNumber(node.max);
+            return n !== null && min !== null && max !== null && n >= min && n <= max;
+        }
+        case 'in': {
+            const found = node.values.some((literal) => equals(value, literal));
+            return node.negate ? !found : found;
+        }
+        case 'match':
+            node.regex.lastIndex = 0;
+            return node.regex.test(String(value));
+        case 'contains':
+            return String(value).includes(String(node.value));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Evaluate a condition string against a value.
+ * Invalid conditions evaluate to false.
+ *
+ * @param {string} condition - Condition string
+ * @param {any} value - Value to test
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, value) {
+    const { ast } = compileCondition(condition);
+    return ast ? evaluateNode(ast, value) : false;
+}
+
+/**
+ * Parse compact color rules as used in the Admin UI table:
+ *   "< 18 => cyan; between 18 and 22 => green; >= 22 => amber"
+ *
+ * @param {string} input - Compact color rules
+ * @returns {Array<{condition: string, color: string}>} Color rules
+ */
+function parseColorRules(input) {
+    if (typeof input !== 'string' || input.trim() === '') {
+        return [];
+    }
+
+    const tokens = tokenize(input);
+    const rules = [];
+    let start = 0;
+    for (let i = 0; i <= tokens.length; i++) {
+        const token = tokens[i];
+        if (token && !(token.type === 'op' && token.value === ';')) {
+            continue;
+        }
+        const ruleTokens = tokens.slice(start, i);
+        const arrow = ruleTokens.findIndex((t) => t.type === 'op' && t.value === '=>');
+        if (ruleTokens.length > 0) {
+            if (arrow <= 0 || ruleTokens.length !== arrow + 2 || ruleTokens[arrow + 1].type !== 'word') {
+                const pos = ruleTokens[0].pos + 1;
+                throw new Error(`Expected "condition => color" at position ${pos}`);
+            }
+            const endPos = ruleTokens[arrow].pos;
+            rules.push({
+                condition: input.substring(ruleTokens[0].pos, endPos).trim(),
+                color: ruleTokens[arrow + 1].value,
+            });
+        }
+        start = i + 1;
+    }
+    return rules;
+}
+
+/**
+ * Format color rules in the compact Admin UI form
+ *
+ * @param {Array<{condition: string, color: string}>} rules - Color rules
+ * @returns {string}
+ */
+function formatColorRules(rules) {
+    if (!Array.isArray(rules)) {
+        return '';
+    }
+    return rules.map((rule) => `${rule.condition} => ${rule.color}`).join('; ');
+}
+
+/**
+ * Parse every condition in a page configuration (color rules, visibleIf) and collect syntax errors.
+ * Also warms the parse cache, so rendering only evaluates.
+ *
+ * @param {Array<object>} pages - Pages in nested format
+ * @returns {Array<string>} Error messages ("page / row / side: message")
+ */
+function validatePageConditions(pages) {
+    const errors = [];
+    for (const page of Array.isArray(pages) ? pages : []) {
+        for (const line of page.lines || []) {
+            for (const sideName of ['left', 'right']) {
+                const side = line[sideName];
+                const conditions = Array.isArray(side?.display?.colorRules)
+                    ? side.display.colorRules.map((rule) => rule?.condition)
+                    : [];
+                if (side?.visibleIf?.condition) {
+                    conditions.push(side.visibleIf.condition);
+                }
+                for (const step of Array.isArray(side?.button?.steps) ? side.button.steps : []) {
+                    if (step?.if?.condition) {
+                        conditions.push(step.if.condition);
+                    }
+                }
+                for (const condition of conditions) {
+                    const { error } = compileCondition(condition);
+                    if (error) {
+                        errors.push(
+                            `${page.id || page.name} row ${line.row} ${sideName}: "${condition ?? ''}" – ${error}`
+                        );
+                    }
+                }
+            }
+        }
+    }
+    return errors;
+}
+
+module.exports = {
+    parseCondition,
+    compileCondition,
+    evaluateCondition,
+    parseColorRules,
+    formatColorRules,
+    validatePageConditions,
+};
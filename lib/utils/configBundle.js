@@ -0,0 +1,378 @@
+'use strict';
+
+/**
+ * Device configuration bundles (exportConfig / importConfig messages).
+ *
+ * Bundle format (schema-versioned JSON):
+ *   {
+ *     schema: 'mcdu-config', version: 1, exportedAt: '2026-03-01T12:00:00.000Z',
+ *     source: { deviceId: 'kitchen', adapterVersion: '0.2.0' },
+ *     config: {
+ *       pages: [...],                    → nested page format (config.pages)
+ *       functionKeys: [...],             → config.functionKeys
+ *       display: { defaultColor, brightnessStep, startPage },
+ *       ledMapping: [...],               → config.ledMapping
+ *       quickAccess: { title, actions, info }
+ *     }
+ *   }
+ *
+ * Import options:
+ *   remap      → { states: { 'hm-rpc.0.': 'hm-rpc.1.', 'a.0.b': 'a.0.c' }, pages: { home: 'kitchen-home' } }
+ *                state keys ending with "." replace a prefix, other keys match exact IDs
+ *   mode       → 'replace' (default, bundle replaces the device configuration) | 'merge'
+ *   onConflict → merge only, for pages/function keys/LEDs/display/quick access present on both sides:
+ *                'rename' (default, imported page gets a new ID; other parts keep the existing entry)
+ *                | 'keep' (existing wins) | 'overwrite' (bundle wins)
+ *
+ * @author Felix Hummel
+ */
+
+const { getMacroSteps, formatMacro } = require('./macro');
+const { normalizeLedMapping } = require('./ledMapping');
+const { normalizeQuickAccess } = require('./quickAccess');
+
+/** Bundle schema identifier */
+const BUNDLE_SCHEMA = 'mcdu-config';
+
+/** Current bundle schema version (bundles of newer versions are rejected) */
+const BUNDLE_VERSION = 1;
+
+/** Display settings stored in a bundle */
+const DISPLAY_FIELDS = ['defaultColor', 'brightnessStep', 'startPage'];
+
+/**
+ * Bring a bundle config into its complete shape (missing parts become empty)
+ *
+ * @param {object|null|undefined} config - Bundle config
+ * @returns {object} { pages, functionKeys, display, ledMapping, quickAccess }
+ */
+function normalizeBundleConfig(config) {
+    const source = config && typeof config === 'object' ? config : {};
+    const display = source.display && typeof source.display === 'object' ? source.display : {};
+    return {
+        pages: Array.isArray(source.pages) ? source.pages : [],
+        functionKeys: Array.isArray(source.functionKeys) ? source.functionKeys : [],
+        display: {
+            defaultColor: display.defaultColor || 'white',
+            brightnessStep: Number(display.brightnessStep) || 20,
+            startPage: display.startPage || '',
+        },
+        ledMapping: normalizeLedMapping(source.ledMapping),
+        quickAccess: normalizeQuickAccess(source.quickAccess),
+    };
+}
+
+/**
+ * Create a bundle from a device configuration
+ *
+ * @param {object} config - Device configuration (see normalizeBundleConfig)
+ * @param {object} source - Origin info { deviceId, adapterVersion }
+ * @returns {object} Bundle
+ */
+function createBundle(config, source) {
+    return {
+        schema: BUNDLE_SCHEMA,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        source,
+        config: normalizeBundleConfig(config),
+    };
+}
+
+/**
+ * Parse and check a bundle (object or JSON string)
+ *
+ * @param {object|string} input - Bundle
+ * @returns {object} Normalized bundle config
+ * @throws {Error} If the input is not a bundle of a supported version
+ */
+function parseBundle(input) {
+    let bundle = input;
+    if (typeof input === 'string') {
+        try {
+            bundle = JSON.parse(input);
+        } catch (e) {
+            throw new Error(`Bundle is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!bundle || typeof bundle !== 'object' || bundle.schema !== BUNDLE_SCHEMA) {
+        throw new Error(`Not a ${BUNDLE_SCHEMA} bundle`);
+    }
+    if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+        throw new Error(`Unsupported bundle version ${bundle.version} (supported: 1-${BUNDLE_VERSION})`);
+    }
+    return normalizeBundleConfig(bundle.config);
+}
+
+/**
+ * Apply state/page ID mappers to the macro of a button or function key
+ *
+ * @param {object} holder - Button or function key with `steps` or `macro`
+ * @param {object} mappers - { state, page } functions
+ */
+function mapMacro(holder, mappers) {
+    let steps;
+    try {
+        steps = getMacroSteps(holder);
+    } catch {
+        return; // Broken macros are reported by validation, not here
+    }
+    for (const step of steps) {
+        if (step.type === 'setState' && step.id) {
+            step.id = mappers.state(step.id);
+        }
+        if (step.type === 'navigate' && step.target) {
+            step.target = mappers.page(step.target);
+        }
+        if (step.if?.source) {
+            step.if.source = mappers.state(step.if.source);
+        }
+    }
+    if (Array.isArray(holder.steps)) {
+        holder.steps = steps;
+    } else if (holder.macro) {
+        holder.macro = formatMacro(steps);
+    }
+}
+
+/**
+ * Apply state/page ID mappers to a button
+ *
+ * @param {object|null|undefined} button - Button config
+ * @param {object} mappers - { state, page } functions
+ */
+function mapButton(button, mappers) {
+    if (!button?.type) {
+        return;
+    }
+    if (button.type === 'datapoint' && button.target) {
+        button.target = mappers.state(button.target);
+    } else if (button.type === 'navigation' && button.target) {
+        button.target = mappers.page(button.target);
+    } else if (button.type === 'macro') {
+        mapMacro(button, mappers);
+    }
+}
+
+/**
+ * Walk every state ID and page ID reference of a bundle config
+ *
+ * @param {object} config - Normalized bundle config
+ * @param {object} mappers - { state: (id) => id, page: (id) => id }
+ * @returns {object} Copy of the config with mapped IDs
+ */
+function mapConfigIds(config, mappers) {
+    const result = JSON.parse(JSON.stringify(config));
+
+    for (const page of result.pages) {
+        page.id = page.id && mappers.page(page.id);
+        page.parent = page.parent && mappers.page(page.parent);
+        for (const line of page.lines || []) {
+            for (const side of [line.left, line.right]) {
+                if (side?.display?.type === 'datapoint' && side.display.source) {
+                    side.display.source = mappers.state(side.display.source);
+                }
+                if (side?.visibleIf?.source) {
+                    side.visibleIf.source = mappers.state(side.visibleIf.source);
+                }
+                mapButton(side?.button, mappers);
+            }
+        }
+    }
+
+    for (const keyConfig of result.functionKeys) {
+        if (keyConfig.targetPageId) {
+            keyConfig.targetPageId = mappers.page(keyConfig.targetPageId);
+        }
+        if (keyConfig.action === 'macro') {
+            mapMacro(keyConfig, mappers);
+        }
+    }
+
+    result.display.startPage = result.display.startPage && mappers.page(result.display.startPage);
+
+    for (const entry of result.ledMapping) {
+        entry.source = entry.source && mappers.state(entry.source);
+    }
+
+    for (const action of result.quickAccess.actions) {
+        mapButton(action?.button, mappers);
+    }
+    for (const item of result.quickAccess.info) {
+        if (item) {
+            item.source = item.source && mappers.state(item.source);
+            item.target = item.target && mappers.page(item.target);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Remap state and page IDs of a bundle config
+ *
+ * @param {object} config - Normalized bundle config
+ * @param {object} [remap] - { states: { from: to }, pages: { from: to } }
+ * @returns {object} Remapped copy
+ */
+function remapConfig(config, remap = {}) {
+    const states = Object.entries(remap?.states || {});
+    const pages = remap?.pages || {};
+    return mapConfigIds(config, {
+        state: (id) => {
+            for (const [from, to] of states) {
+                if (id === from) {
+                    return to;
+                }
+                if (from.endsWith('.') && id.startsWith(from)) {
+                    return to + id.substring(from.length);
+                }
+            }
+            return id;
+        },
+        page: (id) => (Object.prototype.hasOwnProperty.call(pages, id) ? pages[id] : id),
+    });
+}
+
+/**
+ * Collect all foreign state IDs a bundle config refers to
+ *
+ * @param {object} config - Normalized bundle config
+ * @returns {Array<string>} Unique state IDs
+ */
+function collectStateIds(config) {
+    const ids = new Set();
+    // Disabled LED rows keep their source but do not use it
+    const used = { ...config, ledMapping: config.ledMapping.filter((entry) => entry.enabled) };
+    mapConfigIds(used, {
+        state: (id) => {
+            ids.add(id);
+            return id;
+        },
+        page: (id) => id,
+    });
+    return [...ids];
+}
+
+/**
+ * Give an ID a numbered suffix that is not taken yet
+ *
+ * @param {string} id - Conflicting ID
+ * @param {Set<string>} taken - IDs in use
+ * @returns {string}
+ */
+function uniqueId(id, taken) {
+    let counter = 2;
+    while (taken.has(`${id}-${counter}`)) {
+        counter++;
+    }
+    return `${id}-${counter}`;
+}
+
+/**
+ * Merge an imported configuration into the existing one
+ *
+ * @param {object} existing - Normalized current device config
+ * @param {object} imported - Normalized (remapped) bundle config
+ * @param {object} [options] - { mode: 'replace'|'merge', onConflict: 'rename'|'keep'|'overwrite' }
+ * @returns {{config: object, renamed: object}} Resulting config; renamed page IDs (imported → new)
+ */
+function mergeConfig(existing, imported, options = {}) {
+    if (options.mode !== 'merge') {
+        return { config: imported, renamed: {} };
+    }
+    const onConflict = options.onConflict || 'rename';
+
+    // Rename clashing imported pages first so their references follow
+    const renamed = {};
+    let source = imported;
+    if (onConflict === 'rename') {
+        const taken = new Set([...existing.pages, ...imported.pages].map((p) => p.id));
+        for (const page of imported.pages) {
+            if (existing.pages.some((p) => p.id === page.id)) {
+                renamed[page.id] = uniqueId(page.id, taken);
+                taken.add(renamed[page.id]);
+            }
+        }
+        source = remapConfig(imported, { pages: renamed });
+    }
+
+    const wins = (hasExisting) => !hasExisting || onConflict === 'overwrite';
+
+    const pages = [...existing.pages];
+    for (const page of source.pages) {
+        const idx = pages.findIndex((p) => p.id === page.id);
+        if (idx < 0) {
+            pages.push(page);
+        } else if (onConflict === 'overwrite') {
+            pages[idx] = page;
+        }
+    }
+
+    const functionKeys = [...existing.functionKeys];
+    for (const keyConfig of source.functionKeys) {
+        const idx = functionKeys.findIndex((fk) => fk.key === keyConfig.key);
+        if (idx < 0) {
+            functionKeys.push(keyConfig);
+        } else if (wins(functionKeys[idx].enabled)) {
+            functionKeys[idx] = keyConfig;
+        }
+    }
+
+    const ledMapping = existing.ledMapping.map((entry, i) => {
+        const candidate = source.ledMapping[i];
+        return candidate.enabled && wins(entry.enabled) ? candidate : entry;
+    });
+
+    const display =
+        onConflict === 'overwrite'
+            ? source.display
+            : { ...existing.display, startPage: existing.display.startPage || source.display.startPage };
+
+    const hasQuickAccess = (qa) => qa.actions.some(Boolean) || qa.info.some(Boolean);
+    const quickAccess =
+        hasQuickAccess(source.quickAccess) && wins(hasQuickAccess(existing.quickAccess))
+            ? source.quickAccess
+            : existing.quickAccess;
+
+    return { config: { pages, functionKeys, display, ledMapping, quickAccess }, renamed };
+}
+
+/**
+ * Describe what importing would change
+ *
+ * @param {object} existing - Normalized current device config
+ * @param {object} result - Normalized config after import
+ * @returns {object} { pages: {added, changed, removed}, functionKeys, ledMapping, display, quickAccess }
+ */
+function diffConfig(existing, result) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const diffList = (before, after, keyOf) => {
+        const previous = (item) => before.find((b) => keyOf(b) === keyOf(item));
+        return {
+            added: after.filter((item) => !previous(item)).map(keyOf),
+            changed: after.filter((item) => previous(item) && !same(previous(item), item)).map(keyOf),
+            removed: before.filter((b) => !after.some((a) => keyOf(a) === keyOf(b))).map(keyOf),
+        };
+    };
+
+    return {
+        pages: diffList(existing.pages, result.pages, (p) => p.id),
+        functionKeys: diffList(existing.functionKeys, result.functionKeys, (fk) => fk.key),
+        ledMapping: result.ledMapping.filter((entry, i) => !same(entry, existing.ledMapping[i])).map((e) => e.led),
+        display: DISPLAY_FIELDS.filter((field) => existing.display[field] !== result.display[field]),
+        quickAccess: !same(existing.quickAccess, result.quickAccess),
+    };
+}
+
+module.exports = {
+    BUNDLE_SCHEMA,
+    BUNDLE_VERSION,
+    normalizeBundleConfig,
+    createBundle,
+    parseBundle,
+    remapConfig,
+    collectStateIds,
+    mergeConfig,
+    diffConfig,
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * LED mapping helpers (per-device LED assignments, see LedController).
+ *
+ * Storage format (devices.{id}.config.ledMapping), one entry per indicator LED:
+ *   { led: 'FAIL', enabled: true, source: 'alarm.0.triggered', condition: '== true', brightness: 255, blink: 'fast' }
+ *
+ *   condition  → condition grammar of condition.js, tested against the source value (default "== true")
+ *   brightness → 0-255 while the condition holds (off otherwise)
+ *   blink      → none | slow | fast | pulse
+ *
+ * @author Felix Hummel
+ */
+
+const { compileCondition } = require('./condition');
+
+/** Indicator LEDs that can be assigned (backlights are controlled by BRT/DIM) */
+const LED_NAMES = ['FAIL', 'FM', 'MCDU', 'MENU', 'FM1', 'IND', 'RDY', 'STATUS', 'FM2'];
+
+/** Supported blink patterns */
+const BLINK_PATTERNS = ['none', 'slow', 'fast', 'pulse'];
+
+/** Condition used when none is configured */
+const DEFAULT_CONDITION = '== true';
+
+/**
+ * Normalize a LED mapping: one entry per LED in LED_NAMES order, missing fields filled in
+ *
+ * @param {Array<object>|null|undefined} mapping - Stored or Admin UI mapping
+ * @returns {Array<object>} Entries { led, enabled, source, condition, brightness, blink }
+ */
+function normalizeLedMapping(mapping) {
+    const entries = Array.isArray(mapping) ? mapping : [];
+    return LED_NAMES.map((led) => {
+        const entry = entries.find((e) => String(e?.led || '').toUpperCase() === led) || {};
+        const brightness = Number(entry.brightness ?? 255);
+        return {
+            led,
+            enabled: !!entry.enabled,
+            source: String(entry.source || '').trim(),
+            condition: String(entry.condition || '').trim() || DEFAULT_CONDITION,
+            brightness: Number.isFinite(brightness) ? Math.max(0, Math.min(255, Math.round(brightness))) : 255,
+            blink: BLINK_PATTERNS.includes(entry.blink) ? entry.blink : 'none',
+        };
+    });
+}
+
+/**
+ * Get the entries that drive a LED (enabled and bound to a state)
+ *
+ * @param {Array<object>|null|undefined} mapping - LED mapping
+ * @returns {Array<object>} Active entries
+ */
+function getActiveLedAssignments(mapping) {
+    return normalizeLedMapping(mapping).filter((entry) => entry.enabled && entry.source);
+}
+
+/**
+ * Validate the conditions and blink patterns of a LED mapping
+ *
+ * @param {Array<object>|null|undefined} mapping - LED mapping
+ * @returns {Array<string>} Error messages, empty if valid
+ */
+function validateLedMapping(mapping) {
+    const errors = [];
+    for (const entry of Array.isArray(mapping) ? mapping : []) {
+        if (!entry?.enabled || !entry.source) {
+            continue;
+        }
+        const { error } = compileCondition(String(entry.condition || '').trim() || DEFAULT_CONDITION);
+        if (error) {
+            errors.push(`LED ${entry.led}: "${entry.condition}" – ${error}`);
+        }
+        if (entry.blink && !BLINK_PATTERNS.includes(entry.blink)) {
+            errors.push(`LED ${entry.led}: unknown blink pattern "${entry.blink}"`);
+        }
+    }
+    return errors;
+}
+
+module.exports = { LED_NAMES, BLINK_PATTERNS, normalizeLedMapping, getActiveLedAssignments, validateLedMapping };
@@ -7,12 +7,19 @@
  * and flat format (used in Admin UI table).
  *
  * Nested format:
- *   { row, left: { label, display: { type, text, colLabel, colData }, button: { type, target } }, right: {...} }
+ *   { row, left: { label, display: { type, text, colLabel, colData, sizeLabel?, sizeData? }, button: { type, target } },
+ *     right: {...} }
  *
  * Flat format (Admin UI):
- *   { slot, leftLabel, leftText, leftColLabel, leftColData, leftButtonType, leftTarget, right... }
+ *   { slot, leftLabel, leftText, leftColLabel, leftColData, leftSizeLabel, leftSizeData, leftButtonType, leftTarget, leftMacro,
+ *     leftConfirm, leftConfirmText, leftConfirmSeconds, leftAction, leftActionValue, leftMin, leftMax, right... }
  */
 
+const { normalizeValueMap, formatValueMap } = require('./valueMap');
+const { parseColorRules, formatColorRules } = require('./condition');
+const { parseListSource, formatListSource } = require('./listSource');
+const { parseMacro, formatMacro } = require('./macro');
+
 // --- Slot ↔ Row mapping ---
 // Slots 1-6 map to display rows 3,5,7,9,11,13 (odd rows, row 1 = status bar)
 const DATA_ROWS = new Set([3, 5, 7, 9, 11, 13]);
@@ -57,6 +64,143 @@ function normalizeLine(lineConfig) {
     };
 }
 
+/**
+ * Format a visibleIf condition for the Admin UI table ("alarm.0.armed == true")
+ *
+ * @param {object|undefined} visibleIf - { source, condition }
+ * @returns {string}
+ */
+function formatVisibleIf(visibleIf) {
+    if (!visibleIf?.source) {
+        return '';
+    }
+    return visibleIf.condition ? `${visibleIf.source} ${visibleIf.condition}` : visibleIf.source;
+}
+
+/**
+ * Parse a visibleIf condition from the Admin UI table: state ID, then the condition (default "== true")
+ *
+ * @param {string} text - e.g. "alarm.0.armed == true"
+ * @returns {object|null} { source, condition }
+ */
+function parseVisibleIf(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+        return null;
+    }
+    const idx = trimmed.search(/\s/);
+    if (idx < 0) {
+        return { source: trimmed, condition: '== true' };
+    }
+    return { source: trimmed.substring(0, idx), condition: trimmed.substring(idx + 1).trim() };
+}
+
+/**
+ * Format confirmation title and details for the Admin UI table ("TITLE | detail | detail")
+ *
+ * @param {object|undefined} button - Button with confirmTitle/confirmDetails
+ * @returns {string}
+ */
+function formatConfirmText(button) {
+    const details = button?.confirmDetails;
+    const parts = [button?.confirmTitle || '', ...(Array.isArray(details) ? details : details ? [details] : [])];
+    return parts.some(Boolean) ? parts.join(' | ') : '';
+}
+
+/**
+ * Parse confirmation title and details from the Admin UI table
+ *
+ * @param {string} text - "TITLE | detail | detail" (empty parts use the defaults)
+ * @returns {object} { confirmTitle, confirmDetails } (only the parts that are set)
+ */
+function parseConfirmText(text) {
+    const [title, ...details] = String(text || '')
+        .split('|')
+        .map((part) => part.trim());
+    const filled = details.filter(Boolean);
+    return {
+        ...(title && { confirmTitle: title }),
+        ...(filled.length > 0 && { confirmDetails: filled }),
+    };
+}
+
+/**
+ * Format a datapoint button action for the Admin UI table
+ *
+ * @param {object|undefined} button - Button config
+ * @returns {{action: string, value: string, min: string, max: string}} Action (toggle|set|step|cycle), its value column and the step limits
+ */
+function formatButtonAction(button) {
+    switch (button?.action) {
+        case 'set':
+            return { action: 'set', value: String(button.value ?? ''), min: '', max: '' };
+        case 'step':
+        case 'increment':
+        case 'decrement': {
+            const step = Math.abs(Number(button.step)) || 1;
+            const down = button.action === 'decrement' || Number(button.step) < 0;
+            return {
+                action: 'step',
+                value: String(down ? -step : step),
+                min: String(button.min ?? ''),
+                max: String(button.max ?? ''),
+            };
+        }
+        case 'cycle':
+            return {
+                action: 'cycle',
+                value: Array.isArray(button.values) ? button.values.join(',') : button.values || '',
+                min: '',
+                max: '',
+            };
+        default:
+            return { action: 'toggle', value: '', min: '', max: '' };
+    }
+}
+
+/**
+ * Parse a datapoint button action from the Admin UI table
+ *
+ * @param {string} action - toggle|set|step|cycle
+ * @param {string} value - Value column: fixed value, step size or "a,b,c"
+ * @param {string} [min] - Lower step limit (empty = common.min)
+ * @param {string} [max] - Upper step limit (empty = common.max)
+ * @returns {object} Action fields for the button config (empty for toggle)
+ */
+function parseButtonAction(action, value, min, max) {
+    const text = String(value ?? '').trim();
+    switch (action) {
+        case 'set':
+            return { action: 'set', value: text };
+        case 'step':
+            return { action: 'step', step: Number(text) || 1, ...parseNumber('min', min), ...parseNumber('max', max) };
+        case 'cycle':
+            return {
+                action: 'cycle',
+                ...(text && {
+                    values: text
+                        .split(',')
+                        .map((part) => part.trim())
+                        .filter((part) => part !== ''),
+                }),
+            };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Parse an optional number column (step limits, countdown seconds; empty or not a number = not set)
+ *
+ * @param {string} key - Button field (min|max|confirmSeconds)
+ * @param {string} [text] - Column value
+ * @returns {object} { [key]: number } or empty
+ */
+function parseNumber(key, text) {
+    const trimmed = String(text ?? '').trim();
+    return trimmed !== '' && Number.isFinite(Number(trimmed)) ? { [key]: Number(trimmed) } : {};
+}
+
 /**
  * Get display text from a display config
  *
@@ -90,20 +234,46 @@ function flattenLine(line) {
         leftText: getDisplayText(n.left?.display) || '',
         leftColLabel: n.left?.display?.colLabel || '',
         leftColData: n.left?.display?.colData || '',
+        leftSizeLabel: n.left?.display?.sizeLabel || '',
+        leftSizeData: n.left?.display?.sizeData || '',
         leftButtonType: n.left?.button?.type || 'empty',
         leftTarget: n.left?.button?.target || '',
+        leftMacro: formatMacro(n.left?.button?.steps),
+        leftConfirm: n.left?.button?.confirm || 'none',
+        leftConfirmText: formatConfirmText(n.left?.button),
+        leftConfirmSeconds: String(n.left?.button?.confirmSeconds ?? ''),
+        leftAction: formatButtonAction(n.left?.button).action,
+        leftActionValue: formatButtonAction(n.left?.button).value,
+        leftMin: formatButtonAction(n.left?.button).min,
+        leftMax: formatButtonAction(n.left?.button).max,
         leftSource: n.left?.display?.source || '',
         leftFormat: n.left?.display?.format || '',
         leftUnit: n.left?.display?.unit || '',
+        leftValueMap: formatValueMap(n.left?.display?.valueMap),
+        leftColorRules: formatColorRules(n.left?.display?.colorRules),
+        leftVisibleIf: formatVisibleIf(n.left?.visibleIf),
         rightLabel: n.right?.label || '',
         rightText: getDisplayText(n.right?.display) || '',
         rightColLabel: n.right?.display?.colLabel || '',
         rightColData: n.right?.display?.colData || '',
+        rightSizeLabel: n.right?.display?.sizeLabel || '',
+        rightSizeData: n.right?.display?.sizeData || '',
         rightButtonType: n.right?.button?.type || 'empty',
         rightTarget: n.right?.button?.target || '',
+        rightMacro: formatMacro(n.right?.button?.steps),
+        rightConfirm: n.right?.button?.confirm || 'none',
+        rightConfirmText: formatConfirmText(n.right?.button),
+        rightConfirmSeconds: String(n.right?.button?.confirmSeconds ?? ''),
+        rightAction: formatButtonAction(n.right?.button).action,
+        rightActionValue: formatButtonAction(n.right?.button).value,
+        rightMin: formatButtonAction(n.right?.button).min,
+        rightMax: formatButtonAction(n.right?.button).max,
         rightSource: n.right?.display?.source || '',
         rightFormat: n.right?.display?.format || '',
         rightUnit: n.right?.display?.unit || '',
+        rightValueMap: formatValueMap(n.right?.display?.valueMap),
+        rightColorRules: formatColorRules(n.right?.display?.colorRules),
+        rightVisibleIf: formatVisibleIf(n.right?.visibleIf),
     };
 }
 
@@ -132,16 +302,30 @@ function unflattenLine(flat) {
                 text: leftDisplayType === 'datapoint' ? '' : flat.leftText || '',
                 colLabel: flat.leftColLabel || '',
                 colData: flat.leftColData || '',
+                ...(flat.leftSizeLabel && { sizeLabel: flat.leftSizeLabel }),
+                ...(flat.leftSizeData && { sizeData: flat.leftSizeData }),
                 ...(leftDisplayType === 'datapoint' && {
                     source: flat.leftSource || '',
                     format: flat.leftFormat || '',
                     unit: flat.leftUnit || '',
+                    ...(flat.leftValueMap && { valueMap: normalizeValueMap(flat.leftValueMap) }),
+                    ...(flat.leftColorRules && { colorRules: parseColorRules(flat.leftColorRules) }),
                 }),
             },
             button: {
                 type: flat.leftButtonType || 'empty',
                 target: flat.leftTarget || '',
+                ...(flat.leftButtonType === 'macro' && { steps: parseMacro(flat.leftMacro) }),
+                ...(flat.leftButtonType === 'datapoint' &&
+                    parseButtonAction(flat.leftAction, flat.leftActionValue, flat.leftMin, flat.leftMax)),
+                ...(flat.leftConfirm &&
+                    flat.leftConfirm !== 'none' && {
+                        confirm: flat.leftConfirm,
+                        ...parseConfirmText(flat.leftConfirmText),
+                        ...(flat.leftConfirm === 'countdown' && parseNumber('confirmSeconds', flat.leftConfirmSeconds)),
+                    }),
             },
+            ...(flat.leftVisibleIf && { visibleIf: parseVisibleIf(flat.leftVisibleIf) }),
         },
         right: {
             label: flat.rightLabel || '',
@@ -150,16 +334,31 @@ function unflattenLine(flat) {
                 text: rightDisplayType === 'datapoint' ? '' : flat.rightText || '',
                 colLabel: flat.rightColLabel || '',
                 colData: flat.rightColData || '',
+                ...(flat.rightSizeLabel && { sizeLabel: flat.rightSizeLabel }),
+                ...(flat.rightSizeData && { sizeData: flat.rightSizeData }),
                 ...(rightDisplayType === 'datapoint' && {
                     source: flat.rightSource || '',
                     format: flat.rightFormat || '',
                     unit: flat.rightUnit || '',
+                    ...(flat.rightValueMap && { valueMap: normalizeValueMap(flat.rightValueMap) }),
+                    ...(flat.rightColorRules && { colorRules: parseColorRules(flat.rightColorRules) }),
                 }),
             },
             button: {
                 type: flat.rightButtonType || 'empty',
                 target: flat.rightTarget || '',
+                ...(flat.rightButtonType === 'macro' && { steps: parseMacro(flat.rightMacro) }),
+                ...(flat.rightButtonType === 'datapoint' &&
+                    parseButtonAction(flat.rightAction, flat.rightActionValue, flat.rightMin, flat.rightMax)),
+                ...(flat.rightConfirm &&
+                    flat.rightConfirm !== 'none' && {
+                        confirm: flat.rightConfirm,
+                        ...parseConfirmText(flat.rightConfirmText),
+                        ...(flat.rightConfirm === 'countdown' &&
+                            parseNumber('confirmSeconds', flat.rightConfirmSeconds)),
+                    }),
             },
+            ...(flat.rightVisibleIf && { visibleIf: parseVisibleIf(flat.rightVisibleIf) }),
         },
     };
 }
@@ -177,11 +376,13 @@ function flattenPages(pages) {
     return pages.map((page) => ({
         ...page,
         lines: Array.isArray(page.lines) ? page.lines.map(flattenLine) : [],
+        ...(page.layout === 'list' && { listSource: formatListSource(page.list) }),
     }));
 }
 
 /**
  * Convert flat lines back to nested in all pages (from Admin UI)
+ * Throws with page/slot context if a line cannot be converted (e.g. invalid color rules).
  *
  * @param {Array} pages - Array of page configs with flat lines
  * @returns {Array} Pages with nested lines
@@ -190,9 +391,18 @@ function unflattenPages(pages) {
     if (!Array.isArray(pages)) {
         return pages;
     }
-    return pages.map((page) => ({
+    return pages.map(({ listSource, ...page }) => ({
         ...page,
-        lines: Array.isArray(page.lines) ? page.lines.map(unflattenLine) : [],
+        ...(page.layout === 'list' && { list: { display: page.list?.display, ...parseListSource(listSource) } }),
+        lines: Array.isArray(page.lines)
+            ? page.lines.map((flat) => {
+                  try {
+                      return unflattenLine(flat);
+                  } catch (e) {
+                      throw new Error(`${page.id || page.name} slot ${flat?.slot}: ${e.message}`);
+                  }
+              })
+            : [],
     }));
 }
 
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * List source helpers for `layout: 'list'` pages.
+ *
+ * Storage format (page.list):
+ *   { enums: ['enum.rooms.living', 'enum.functions.light'] }   → members of all enums (intersection)
+ *   { pattern: 'hm-rpc.0.*.STATE' }                             → all states matching the ID pattern
+ *
+ * Admin UI format (page.listSource): "enum.rooms.living & enum.functions.light" or "hm-rpc.0.*.STATE"
+ *
+ * @author Felix Hummel
+ */
+
+/**
+ * Parse the Admin UI list source string
+ *
+ * @param {string} text - Enum IDs joined by "&", or an object ID pattern
+ * @returns {object|null} { enums } or { pattern }, null if empty
+ */
+function parseListSource(text) {
+    const parts = String(text || '')
+        .split('&')
+        .map((part) => part.trim())
+        .filter(Boolean);
+    if (parts.length === 0) {
+        return null;
+    }
+    if (parts.every((part) => part.startsWith('enum.'))) {
+        return { enums: parts };
+    }
+    return { pattern: parts.join('&') };
+}
+
+/**
+ * Format a stored list source for the Admin UI
+ *
+ * @param {object|undefined} list - page.list
+ * @returns {string}
+ */
+function formatListSource(list) {
+    if (Array.isArray(list?.enums) && list.enums.length > 0) {
+        return list.enums.join(' & ');
+    }
+    return list?.pattern || '';
+}
+
+module.exports = { parseListSource, formatListSource };
@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Macro helpers for `macro` buttons and function keys.
+ *
+ * Storage format (button.steps / functionKey.steps), executed in order:
+ *   { type: 'setState',     id: 'hm-rpc.0.light.STATE', value: true }
+ *   { type: 'wait',         ms: 500 }
+ *   { type: 'navigate',     target: 'lights-main' }
+ *   { type: 'notification', text: 'SZENE AKTIV' }
+ *   { type: 'led',          name: 'FAIL', value: 255 }
+ *
+ * Every step may carry:
+ *   if:           { source, condition }  → step is skipped unless the condition holds (see condition.js)
+ *   abortOnError: true                   → a failing step stops the macro (default: log and continue)
+ *
+ * Admin UI format (compact string, steps separated by ";"):
+ *   "set hm-rpc.0.light.STATE=true; wait 500; goto lights-main; notify SZENE AKTIV; led FAIL=255"
+ *   Step prefixes: "if <stateId> [condition] then <step>" (default "== true"), "!" = abort on error
+ *
+ * @author Felix Hummel
+ */
+
+const { compileCondition } = require('./condition');
+
+/**
+ * Parse a compact step value ("true", "42", "'text'", text)
+ *
+ * @param {string} text - Raw value text
+ * @returns {any}
+ */
+function parseValue(text) {
+    const trimmed = text.trim();
+    if (trimmed === 'true' || trimmed === 'false') {
+        return trimmed === 'true';
+    }
+    if (trimmed === 'null') {
+        return null;
+    }
+    if (trimmed !== '' && !isNaN(Number(trimmed))) {
+        return Number(trimmed);
+    }
+    const quoted = trimmed.match(/^(['"])(.*)\1$/);
+    return quoted ? quoted[2] : trimmed;
+}
+
+/**
+ * Format a step value for the compact form (strings that look like other types are quoted)
+ *
+ * @param {any} value - Step value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (typeof value === 'string' && parseValue(value) !== value) {
+        return `'${value}'`;
+    }
+    return String(value);
+}
+
+/**
+ * Split "<key>=<value>" of set/led steps
+ *
+ * @param {string} text - Step argument
+ * @param {string} keyword - Step keyword (for error messages)
+ * @returns {Array<any>} [key, value]
+ */
+function splitAssignment(text, keyword) {
+    const idx = text.indexOf('=');
+    const key = idx > 0 ? text.substring(0, idx).trim() : '';
+    if (!key) {
+        throw new Error(`Expected "${keyword} <name>=<value>"`);
+    }
+    return [key, parseValue(text.substring(idx + 1))];
+}
+
+/**
+ * Parse one compact step
+ *
+ * @param {string} text - e.g. "!if alarm.0.armed == false then set light.0.on=true"
+ * @returns {object} Step object
+ */
+function parseStep(text) {
+    let rest = text.trim();
+    const step = {};
+
+    if (rest.startsWith('!')) {
+        step.abortOnError = true;
+        rest = rest.substring(1).trim();
+    }
+
+    const ifMatch = rest.match(/^if\s+(\S+)\s+(?:(.*?)\s+)?then\s+(.*)$/);
+    if (ifMatch) {
+        step.if = { source: ifMatch[1], condition: ifMatch[2]?.trim() || '== true' };
+        rest = ifMatch[3].trim();
+    } else if (/^if\s/.test(rest)) {
+        throw new Error('Expected "if <stateId> <condition> then <step>"');
+    }
+
+    const space = rest.search(/\s/);
+    const keyword = space < 0 ? rest : rest.substring(0, space);
+    const arg = space < 0 ? '' : rest.substring(space + 1).trim();
+
+    switch (keyword) {
+        case 'set': {
+            const [id, value] = splitAssignment(arg, 'set');
+            return { type: 'setState', id, value, ...step };
+        }
+        case 'wait': {
+            const ms = Number(arg);
+            if (arg === '' || !Number.isFinite(ms) || ms < 0) {
+                throw new Error(`Invalid wait time "${arg}"`);
+            }
+            return { type: 'wait', ms, ...step };
+        }
+        case 'goto':
+            if (!arg) {
+                throw new Error('Expected "goto <pageId>"');
+            }
+            return { type: 'navigate', target: arg, ...step };
+        case 'notify':
+            return { type: 'notification', text: arg, ...step };
+        case 'led': {
+            const [name, value] = splitAssignment(arg, 'led');
+            return { type: 'led', name: name.toUpperCase(), value, ...step };
+        }
+        default:
+            throw new Error(`Unknown macro step "${keyword}"`);
+    }
+}
+
+/**
+ * Parse compact macro steps as used in the Admin UI
+ *
+ * @param {string} input - Steps separated by ";"
+ * @returns {Array<object>} Steps
+ */
+function parseMacro(input) {
+    if (typeof input !== 'string' || input.trim() === '') {
+        return [];
+    }
+    return input
+        .split(';')
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part, idx) => {
+            try {
+                return parseStep(part);
+            } catch (error) {
+                throw new Error(`Macro step ${idx + 1}: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * Format macro steps in the compact Admin UI form
+ *
+ * @param {Array<object>} steps - Steps
+ * @returns {string}
+ */
+function formatMacro(steps) {
+    if (!Array.isArray(steps)) {
+        return '';
+    }
+    return steps
+        .map((step) => {
+            let text;
+            switch (step?.type) {
+                case 'setState':
+                    text = `set ${step.id}=${formatValue(step.value)}`;
+                    break;
+                case 'wait':
+                    text = `wait ${step.ms}`;
+                    break;
+                case 'navigate':
+                    text = `goto ${step.target}`;
+                    break;
+                case 'notification':
+                    text = `notify ${step.text || ''}`.trim();
+                    break;
+                case 'led':
+                    text = `led ${step.name}=${formatValue(step.value)}`;
+                    break;
+                default:
+                    return null;
+            }
+            if (step.if?.source) {
+                text = `if ${step.if.source} ${step.if.condition || '== true'} then ${text}`;
+            }
+            return step.abortOnError ? `!${text}` : text;
+        })
+        .filter(Boolean)
+        .join('; ');
+}
+
+/**
+ * Get the steps of a macro button or function key (stored steps or compact string)
+ *
+ * @param {object} config - Button or function key config with `steps` or `macro`
+ * @returns {Array<object>} Steps
+ */
+function getMacroSteps(config) {
+    if (Array.isArray(config?.steps)) {
+        return config.steps;
+    }
+    return parseMacro(config?.macro);
+}
+
+/**
+ * Validate the macros of function keys (step syntax and step conditions)
+ *
+ * @param {Array<object>} functionKeys - Function key configs
+ * @returns {Array<string>} Error messages, empty if all macros are valid
+ */
+function validateFunctionKeyMacros(functionKeys) {
+    const errors = [];
+    for (const keyConfig of Array.isArray(functionKeys) ? functionKeys : []) {
+        if (keyConfig?.action !== 'macro') {
+            continue;
+        }
+        try {
+            for (const step of getMacroSteps(keyConfig)) {
+                const { error } = step.if?.condition ? compileCondition(step.if.condition) : {};
+                if (error) {
+                    errors.push(`${keyConfig.key}: "${step.if.condition}" – ${error}`);
+                }
+            }
+        } catch (error) {
+            errors.push(`${keyConfig.key}: ${error.message}`);
+        }
+    }
+    return errors;
+}
+
+module.exports = { parseMacro, formatMacro, getMacroSteps, validateFunctionKeyMacros };
@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * Quick Access (DIR) page helpers.
+ *
+ * Storage format (devices.{id}.config.quickAccess), slot index = LSK 1..6:
+ *   {
+ *     title: 'QUICK ACCESS',
+ *     actions: [{ label: 'GUTE NACHT', button: { type: 'macro', macro: 'set scene.0.night=true; goto home' } }],
+ *     info:    [{ label: 'PV LEISTUNG', source: 'pv.0.power', format: '%.1f', unit: 'kW', target: 'energy' }]
+ *   }
+ *   actions → left LSKs, any button (navigation, datapoint, macro; confirm supported)
+ *   info    → right LSKs, live readout of a state (read-only; LSK opens `target` page if set)
+ *
+ * The page is generated per device under QUICK_ACCESS_PAGE_ID and is not part of the device's page list.
+ *
+ * Admin UI format: one table row per slot
+ *   { actionLabel, actionType, actionTarget, actionMacro, actionConfirm,
+ *     infoLabel, infoSource, infoFormat, infoUnit, infoTarget }
+ *
+ * @author Felix Hummel
+ */
+
+const { getMacroSteps } = require('./macro');
+const { EMPTY_SIDE } = require('./lineNormalizer');
+
+/** Page ID of the generated Quick Access page (function key action 'quickAccess') */
+const QUICK_ACCESS_PAGE_ID = 'quick-access';
+
+/** Slots per side (LSK 1-6) */
+const QUICK_ACCESS_SLOTS = 6;
+
+/** Status bar title when none is configured */
+const DEFAULT_TITLE = 'QUICK ACCESS';
+
+/**
+ * Normalize a stored Quick Access config (missing parts become empty)
+ *
+ * @param {object|null|undefined} config - Stored config
+ * @returns {{title: string, actions: Array<object>, info: Array<object>}}
+ */
+function normalizeQuickAccess(config) {
+    const source = config && typeof config === 'object' && !Array.isArray(config) ? config : {};
+    const slots = (list) => (Array.isArray(list) ? list.slice(0, QUICK_ACCESS_SLOTS) : []);
+    return {
+        title: typeof source.title === 'string' && source.title.trim() ? source.title.trim() : DEFAULT_TITLE,
+        actions: slots(source.actions),
+        info: slots(source.info),
+    };
+}
+
+/**
+ * Build the Quick Access page of a device
+ *
+ * @param {object|null|undefined} config - Quick Access config (storage format)
+ * @returns {object} Page config (nested line format)
+ */
+function buildQuickAccessPage(config) {
+    const { title, actions, info } = normalizeQuickAccess(config);
+    const lines = [];
+
+    for (let i = 0; i < QUICK_ACCESS_SLOTS; i++) {
+        const action = actions[i];
+        const item = info[i];
+
+        const left = action?.label
+            ? {
+                  label: '',
+                  display: { type: 'label', text: `<${action.label}`, colData: 'cyan' },
+                  button: action.button || { type: 'empty' },
+              }
+            : EMPTY_SIDE;
+
+        const right = item?.source
+            ? {
+                  label: item.label || '',
+                  display: {
+                      type: 'datapoint',
+                      source: item.source,
+                      format: item.format || '',
+                      unit: item.unit || '',
+                      readOnly: true,
+                  },
+                  button: item.target ? { type: 'navigation', action: 'goto', target: item.target } : { type: 'empty' },
+              }
+            : EMPTY_SIDE;
+
+        if (left !== EMPTY_SIDE || right !== EMPTY_SIDE) {
+            lines.push({ row: 3 + i * 2, left, right });
+        }
+    }
+
+    return { id: QUICK_ACCESS_PAGE_ID, name: title, parent: null, layout: 'quick', lines };
+}
+
+/**
+ * Convert a Quick Access config to Admin UI table rows (always QUICK_ACCESS_SLOTS rows)
+ *
+ * @param {object|null|undefined} config - Quick Access config (storage format)
+ * @returns {Array<object>} Flat rows
+ */
+function flattenQuickAccess(config) {
+    const { actions, info } = normalizeQuickAccess(config);
+    const rows = [];
+    for (let i = 0; i < QUICK_ACCESS_SLOTS; i++) {
+        const button = actions[i]?.button || {};
+        const type = button.type && button.type !== 'empty' ? button.type : '';
+        rows.push({
+            actionLabel: actions[i]?.label || '',
+            actionType: type,
+            actionTarget: type === 'macro' ? '' : button.target || '',
+            actionMacro: type === 'macro' ? button.macro || '' : '',
+            actionConfirm: button.confirm || 'none',
+            infoLabel: info[i]?.label || '',
+            infoSource: info[i]?.source || '',
+            infoFormat: info[i]?.format || '',
+            infoUnit: info[i]?.unit || '',
+            infoTarget: info[i]?.target || '',
+        });
+    }
+    return rows;
+}
+
+/**
+ * Convert Admin UI table rows back to the storage format
+ *
+ * @param {Array<object>} rows - Flat rows (row index = LSK)
+ * @param {string} [title] - Status bar title
+ * @returns {{title: string, actions: Array<object>, info: Array<object>}}
+ */
+function unflattenQuickAccess(rows, title = '') {
+    const actions = [];
+    const info = [];
+    (Array.isArray(rows) ? rows : []).slice(0, QUICK_ACCESS_SLOTS).forEach((row, i) => {
+        const label = String(row?.actionLabel || '').trim();
+        const type = row?.actionType || '';
+        if (label && type) {
+            const button =
+                type === 'macro' ? { type, macro: row.actionMacro || '' } : { type, target: row.actionTarget || '' };
+            if (type === 'navigation') {
+                button.action = 'goto';
+            }
+            if (row.actionConfirm && row.actionConfirm !== 'none') {
+                button.confirm = row.actionConfirm;
+            }
+            actions[i] = { label, button };
+        } else if (label) {
+            actions[i] = { label, button: { type: 'empty' } };
+        }
+
+        const source = String(row?.infoSource || '').trim();
+        if (source) {
+            info[i] = {
+                label: String(row.infoLabel || '').trim(),
+                source,
+                format: row.infoFormat || '',
+                unit: row.infoUnit || '',
+                target: row.infoTarget || '',
+            };
+        }
+    });
+
+    // Keep slot positions: unused slots are null
+    const fill = (list) => Array.from(list, (entry) => entry || null);
+    return normalizeQuickAccess({ title, actions: fill(actions), info: fill(info) });
+}
+
+/**
+ * Validate the action buttons of a Quick Access config
+ *
+ * @param {object|null|undefined} config - Quick Access config (storage format)
+ * @returns {Array<string>} Error messages, empty if valid
+ */
+function validateQuickAccess(config) {
+    const errors = [];
+    normalizeQuickAccess(config).actions.forEach((action, i) => {
+        const button = action?.button;
+        if (button?.type === 'macro') {
+            try {
+                if (getMacroSteps(button).length === 0) {
+                    errors.push(`LSK${i + 1}L: macro has no steps`);
+                }
+            } catch (error) {
+                errors.push(`LSK${i + 1}L: ${error.message}`);
+            }
+        } else if ((button?.type === 'navigation' || button?.type === 'datapoint') && !button.target) {
+            errors.push(`LSK${i + 1}L: ${button.type} action has no target`);
+        }
+    });
+    return errors;
+}
+
+module.exports = {
+    QUICK_ACCESS_PAGE_ID,
+    QUICK_ACCESS_SLOTS,
+    normalizeQuickAccess,
+    buildQuickAccessPage,
+    flattenQuickAccess,
+    unflattenQuickAccess,
+    validateQuickAccess,
+};
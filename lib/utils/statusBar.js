@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Status bar helpers (row 1 widgets, see PageRenderer.renderStatusBar).
+ *
+ * Storage format (devices.{id}.config.statusBar), one entry per widget in display order:
+ *   { type: 'datapoint', position: 'right', color: 'cyan', text: 'OUT', source: 'weather.0.temp', format: '%.0f', unit: '°' }
+ *
+ *   type     → breadcrumb | clock | alerts | online | page | datapoint
+ *   position → left | center | right (widgets of one position are joined by a space)
+ *   color    → widget color (empty = page name color / device default color)
+ *   text     → label (alerts: "MSG", online: "LINK", datapoint: prefix)
+ *   source   → datapoint: state to show; online: state that is true while connected
+ *              (default: info.connection); alerts: counter (default: notifications.unread)
+ *
+ * The breadcrumb takes the space the other widgets leave.
+ *
+ * @author Felix Hummel
+ */
+
+/** Supported widget types */
+const WIDGET_TYPES = ['breadcrumb', 'clock', 'alerts', 'online', 'page', 'datapoint'];
+
+/** Widget positions */
+const POSITIONS = ['left', 'center', 'right'];
+
+/** Layout used when a device has no status bar configured (breadcrumb, page x/y, clock) */
+const DEFAULT_STATUS_BAR = [
+    { type: 'breadcrumb', position: 'left' },
+    { type: 'page', position: 'right' },
+    { type: 'clock', position: 'right' },
+];
+
+/**
+ * Normalize a status bar configuration; unknown widget types are dropped
+ *
+ * @param {Array<object>|null|undefined} widgets - Stored or Admin UI widgets (not set = default layout)
+ * @returns {Array<object>} Widgets { type, position, color, text, source, format, unit }
+ */
+function normalizeStatusBar(widgets) {
+    const entries = Array.isArray(widgets) ? widgets : DEFAULT_STATUS_BAR;
+    return entries
+        .filter((entry) => WIDGET_TYPES.includes(entry?.type))
+        .map((entry) => ({
+            type: entry.type,
+            position: POSITIONS.includes(entry.position)
+                ? entry.position
+                : entry.type === 'breadcrumb'
+                  ? 'left'
+                  : 'right',
+            color: String(entry.color || ''),
+            text: String(entry.text || ''),
+            source: String(entry.source || '').trim(),
+            format: String(entry.format || ''),
+            unit: String(entry.unit || ''),
+        }));
+}
+
+/**
+ * Validate a status bar configuration
+ *
+ * @param {Array<object>|null|undefined} widgets - Status bar widgets
+ * @returns {Array<string>} Error messages, empty if valid
+ */
+function validateStatusBar(widgets) {
+    const errors = [];
+    (Array.isArray(widgets) ? widgets : []).forEach((entry, i) => {
+        if (!WIDGET_TYPES.includes(entry?.type)) {
+            errors.push(`Status bar widget ${i + 1}: unknown type "${entry?.type}"`);
+        } else if (entry.type === 'datapoint' && !String(entry.source || '').trim()) {
+            errors.push(`Status bar widget ${i + 1}: datapoint needs a state`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Lay out rendered widgets on one display row
+ *
+ * @param {Array<object>} parts - Rendered widgets { position, text, color } in display order;
+ *     one part may have fit(maxLength) instead of text to take the remaining space
+ * @param {number} columns - Display columns
+ * @returns {object} Line object {text, color, segments?}
+ */
+function layoutStatusBar(parts, columns) {
+    const visible = parts.filter((part) => part.fit || part.text);
+    const fixedLength = visible.reduce((sum, part) => sum + (part.fit ? 0 : part.text.length), 0);
+    const separators = Math.max(0, visible.length - 1);
+    for (const part of visible.filter((p) => p.fit)) {
+        part.text = part.fit(Math.max(0, columns - fixedLength - separators));
+    }
+
+    const group = (position) => visible.filter((part) => part.position === position && part.text);
+    const left = group('left');
+    const center = group('center');
+    const right = group('right');
+    const width = (list) => list.reduce((sum, part) => sum + part.text.length, 0) + Math.max(0, list.length - 1);
+
+    const chars = Array(columns).fill(' ');
+    const colors = Array(columns).fill(null);
+    const place = (list, start) => {
+        let pos = start;
+        for (const part of list) {
+            for (const char of part.text) {
+                if (pos >= 0 && pos < columns) {
+                    chars[pos] = char;
+                    colors[pos] = part.color;
+                }
+                pos++;
+            }
+            pos++;
+        }
+    };
+
+    const leftWidth = width(left);
+    const rightStart = columns - width(right);
+    const centerWidth = width(center);
+    const centerStart = Math.max(
+        leftWidth > 0 ? leftWidth + 1 : 0,
+        Math.min(Math.floor((columns - centerWidth) / 2), rightStart - 1 - centerWidth)
+    );
+    place(left, 0);
+    place(center, centerStart);
+    place(right, rightStart);
+
+    // Color runs; spaces keep the color of the text before them
+    const firstColor = colors.find((color) => color) || visible[0]?.color || 'white';
+    const segments = [];
+    let current = firstColor;
+    for (let i = 0; i < columns; i++) {
+        current = colors[i] || current;
+        const last = segments[segments.length - 1];
+        if (last && last.color === current) {
+            last.text += chars[i];
+        } else {
+            segments.push({ text: chars[i], color: current });
+        }
+    }
+
+    const result = { text: chars.join(''), color: firstColor };
+    if (segments.length > 1) {
+        result.segments = segments;
+    }
+    return result;
+}
+
+module.exports = {
+    WIDGET_TYPES,
+    POSITIONS,
+    DEFAULT_STATUS_BAR,
+    normalizeStatusBar,
+    validateStatusBar,
+    layoutStatusBar,
+};
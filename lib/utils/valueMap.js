@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Value map helpers for datapoint displays.
+ *
+ * A value map translates raw state values into display text and color:
+ *   { "true": { "text": "EIN", "color": "green" }, "false": "AUS" }
+ *
+ * ioBroker `common.states` is accepted as well, in any of its forms:
+ *   - Object:  { "0": "Aus", "1": "Ein" }
+ *   - Array:   ["Aus", "Ein"] (index = value)
+ *   - String:  "0:Aus;1:Ein" (legacy)
+ *
+ * The Admin UI table edits value maps in the compact string form,
+ * with an optional color per entry: "true:EIN:green;false:AUS".
+ *
+ * @author Felix Hummel
+ */
+
+/**
+ * Normalize a value map or common.states into { key: {text, color} }
+ *
+ * @param {object|Array|string|null|undefined} map - Value map or common.states
+ * @returns {Object<string, {text: string, color: (string|null)}>|null} Normalized map, null if empty/invalid
+ */
+function normalizeValueMap(map) {
+    if (!map) {
+        return null;
+    }
+
+    let entries;
+    if (typeof map === 'string') {
+        entries = map.split(';').flatMap((pair) => {
+            const [key, text, color] = pair.split(':').map((part) => part.trim());
+            if (!key || text === undefined) {
+                return [];
+            }
+            return [[key, { text, color: color || null }]];
+        });
+    } else if (Array.isArray(map)) {
+        entries = map.map((label, idx) => [String(idx), label]);
+    } else if (typeof map === 'object') {
+        entries = Object.entries(map);
+    } else {
+        return null;
+    }
+
+    const normalized = Object.fromEntries(
+        entries
+            .filter(([, entry]) => entry !== null && entry !== undefined)
+            .map(([key, entry]) => [
+                key,
+                typeof entry === 'object'
+                    ? { text: String(entry.text ?? ''), color: entry.color || null }
+                    : { text: String(entry), color: null },
+            ])
+    );
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Look up a state value in a normalized value map.
+ * Keys are matched as strings; numeric values also match numeric keys written differently ("1" vs "1.0").
+ *
+ * @param {object|null} map - Normalized value map (see normalizeValueMap)
+ * @param {any} value - Raw state value
+ * @returns {{text: string, color: (string|null)}|null} Mapped entry, null if not mapped
+ */
+function lookupValue(map, value) {
+    if (!map || value === null || value === undefined) {
+        return null;
+    }
+
+    const key = String(value);
+    if (Object.prototype.hasOwnProperty.call(map, key)) {
+        return map[key];
+    }
+
+    if (typeof value === 'number') {
+        for (const [mapKey, entry] of Object.entries(map)) {
+            if (mapKey.trim() !== '' && Number(mapKey) === value) {
+                return entry;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Format a value map as compact string for the Admin UI ("true:EIN:green;false:AUS")
+ *
+ * @param {object|Array|string|null|undefined} map - Value map in any supported form
+ * @returns {string} Compact string, empty if no map
+ */
+function formatValueMap(map) {
+    const normalized = normalizeValueMap(map);
+    if (!normalized) {
+        return '';
+    }
+    return Object.entries(normalized)
+        .map(([key, entry]) => (entry.color ? `${key}:${entry.text}:${entry.color}` : `${key}:${entry.text}`))
+        .join(';');
+}
+
+module.exports = { normalizeValueMap, lookupValue, formatValueMap };
@@ -10,20 +10,20 @@
  * @license MIT
  */
 
+const path = require('path');
 const utils = require('@iobroker/adapter-core');
 const MqttClient = require('./lib/mqtt/MqttClient');
+const MqttBroker = require('./lib/mqtt/MqttBroker');
+const WebSocketTransport = require('./lib/transport/WebSocketTransport');
+const TransportRouter = require('./lib/transport/TransportRouter');
 const StateTreeManager = require('./lib/state/StateTreeManager');
-const PageRenderer = require('./lib/rendering/PageRenderer');
-const DisplayPublisher = require('./lib/rendering/DisplayPublisher');
+const DeviceSession = require('./lib/state/DeviceSession');
+const ProfileManager = require('./lib/state/ProfileManager');
 const ButtonSubscriber = require('./lib/mqtt/ButtonSubscriber');
 
 // Phase 2: Input System
-const ScratchpadManager = require('./lib/input/ScratchpadManager');
-const InputModeManager = require('./lib/input/InputModeManager');
 const ValidationEngine = require('./lib/input/ValidationEngine');
-
-// Phase 3: Confirmation System
-const ConfirmationDialog = require('./lib/input/ConfirmationDialog');
+const MacroRunner = require('./lib/input/MacroRunner');
 
 // Phase 4: Template System
 const TemplateLoader = require('./lib/templates/TemplateLoader');
@@ -31,6 +31,27 @@ const TemplateLoader = require('./lib/templates/TemplateLoader');
 // Line format conversion (flat ↔ nested for Admin UI)
 const { flattenPages, unflattenPages } = require('./lib/utils/lineNormalizer');
 const { slugifyPageId } = require('./lib/utils/slugify');
+const { validatePageConditions } = require('./lib/utils/condition');
+const { validateFunctionKeyMacros } = require('./lib/utils/macro');
+const { requiresConfirmation, describeButtonAction, computeButtonValue } = require('./lib/utils/buttonAction');
+const {
+    QUICK_ACCESS_PAGE_ID,
+    flattenQuickAccess,
+    unflattenQuickAccess,
+    normalizeQuickAccess,
+    validateQuickAccess,
+} = require('./lib/utils/quickAccess');
+const { normalizeLedMapping, validateLedMapping } = require('./lib/utils/ledMapping');
+const { normalizeStatusBar, validateStatusBar } = require('./lib/utils/statusBar');
+const {
+    normalizeBundleConfig,
+    createBundle,
+    parseBundle,
+    remapConfig,
+    collectStateIds,
+    mergeConfig,
+    diffConfig,
+} = require('./lib/utils/configBundle');
 
 class McduAdapter extends utils.Adapter {
     /**
@@ -44,48 +65,50 @@ class McduAdapter extends utils.Adapter {
 
         this.mqttClient = null;
 
-        this.stateManager = null;
+        /** Embedded MQTT broker (only when config.embeddedBroker.enabled) */
+        this.mqttBroker = null;
 
-        this.pageRenderer = null;
+        /** Direct WebSocket transport (only when config.websocket.enabled) */
+        this.wsTransport = null;
 
-        this.displayPublisher = null;
+        /** Transport used by sessions and subscribers (routes per device to MQTT or WebSocket) */
+        this.transport = null;
 
-        this.buttonSubscriber = null;
-
-        this.scratchpadManager = null;
+        this.stateManager = null;
 
-        this.inputModeManager = null;
+        this.buttonSubscriber = null;
 
         this.validationEngine = null;
 
-        this.confirmationDialog = null;
+        /** Runs macro buttons and function keys (shared by all devices) */
+        this.macroRunner = new MacroRunner(this);
+
+        /** Configuration profiles per device (config.profiles / config.activeProfile) */
+        this.profileManager = new ProfileManager(this);
 
         this.templateLoader = null;
 
+        /** Per-device render sessions (deviceId → DeviceSession) */
+        this.sessions = new Map();
+
         /** Page cache */
         this.pageCache = new Map();
 
         /** Subscribed state IDs */
         this.subscriptions = new Set();
 
+        /** Local cache of subscribed foreign states (kept current by onStateChange) */
+        this.stateCache = new Map();
+
         /** Device registry */
         this.deviceRegistry = new Map();
 
         /** Datapoint metadata cache (source → {write, type, min, max, unit, states}) */
         this.datapointMeta = new Map();
 
-        /** Current breadcrumb path */
-        this.breadcrumb = [];
-
         /** Timeout check interval */
         this.timeoutCheckInterval = null;
 
-        /** Splash screen timeout */
-        this.splashTimeout = null;
-
-        /** Notification auto-clear timeout */
-        this.notificationTimeout = null;
-
         // Bind event handlers
         this.on('ready', this.onReady.bind(this));
         this.on('stateChange', this.onStateChange.bind(this));
@@ -100,7 +123,7 @@ class McduAdapter extends utils.Adapter {
         this.log.info('MCDU Adapter starting...');
 
         // Prevent duplicate initialization if onReady() is called multiple times
-        if (this.mqttClient && this.mqttClient.connected) {
+        if (this.transport && this.transport.connected) {
             this.log.warn('Adapter already initialized, skipping duplicate onReady()');
             return;
         }
@@ -122,49 +145,58 @@ class McduAdapter extends utils.Adapter {
             this.stateManager = new StateTreeManager(this);
             await this.stateManager.setupObjectTree();
 
-            // Phase 2: Connect to MQTT broker
-            this.log.debug('Connecting to MQTT broker...');
-            if (!this.mqttClient) {
-                this.mqttClient = new MqttClient(this, this.config.mqtt);
+            // Phase 2: Connect transports (MQTT broker - optionally the embedded one - and/or WebSocket)
+            let mqttConfig = this.config.mqtt;
+            if (this.config.embeddedBroker?.enabled) {
+                if (!this.mqttBroker) {
+                    this.mqttBroker = new MqttBroker(this, {
+                        ...this.config.embeddedBroker,
+                        retainedFile: path.join(utils.getAbsoluteInstanceDataDir(this), 'mqtt-retained.json'),
+                    });
+                    await this.mqttBroker.start();
+                }
+                mqttConfig = {
+                    ...this.config.mqtt,
+                    broker: '127.0.0.1',
+                    port: this.mqttBroker.port,
+                    protocol: 'mqtt',
+                    username: this.config.embeddedBroker.username,
+                    password: this.config.embeddedBroker.password,
+                };
             }
-            await this.mqttClient.connect();
-
-            // Phase 3: Initialize rendering components
-            this.log.debug('Initializing rendering components...');
-            this.displayPublisher = new DisplayPublisher(this, this.mqttClient);
-            this.pageRenderer = new PageRenderer(this, this.displayPublisher);
-
-            // Phase 3.1: Initialize confirmation system (Phase 3)
-            this.log.debug('Initializing confirmation system...');
-            this.confirmationDialog = new ConfirmationDialog(this, this.displayPublisher);
-            this.log.info('✅ Confirmation system initialized');
+            this.log.debug('Connecting transports...');
+            if (!this.transport) {
+                if (this.config.embeddedBroker?.enabled || this.config.mqtt?.enabled !== false) {
+                    this.mqttClient = new MqttClient(this, mqttConfig);
+                }
+                if (this.config.websocket?.enabled) {
+                    this.wsTransport = new WebSocketTransport(this, {
+                        ...this.config.websocket,
+                        topicPrefix: this.config.mqtt?.topicPrefix,
+                        reportConnection: !this.mqttClient,
+                    });
+                }
+                this.transport = new TransportRouter(this, { mqtt: this.mqttClient, websocket: this.wsTransport });
+            }
+            await this.transport.connect();
 
-            // Phase 3.5: Initialize input system (Phase 2)
+            // Phase 3: Initialize input system (Phase 2)
+            // Rendering, scratchpad, input mode and confirmation components live in
+            // per-device sessions (see getDeviceSession); only the validation engine is shared.
             this.log.debug('Initializing input system...');
-
-            // Create ScratchpadManager
-            this.scratchpadManager = new ScratchpadManager(this, this.displayPublisher);
-
-            // Create ValidationEngine
             this.validationEngine = new ValidationEngine(this);
-
-            // Create InputModeManager
-            this.inputModeManager = new InputModeManager(this, this.scratchpadManager, this.validationEngine);
-
-            // Inject scratchpadManager into PageRenderer
-            this.pageRenderer.setScratchpadManager(this.scratchpadManager);
-
             this.log.info('✅ Input system initialized');
 
             // Phase 4: Initialize template system
             this.log.debug('Initializing template system...');
             this.templateLoader = new TemplateLoader(this);
+            await this.templateLoader.loadUserTemplates();
             this.log.info('✅ Template system initialized');
 
             // Phase 3.6: Setup periodic timeout check (5 seconds)
             this.timeoutCheckInterval = this.setInterval(() => {
-                if (this.inputModeManager) {
-                    this.inputModeManager.checkTimeout().catch((error) => {
+                for (const session of this.sessions.values()) {
+                    session.inputModeManager.checkTimeout().catch((error) => {
                         this.log.error(`Timeout check failed: ${error.message}`);
                     });
                 }
@@ -178,36 +210,32 @@ class McduAdapter extends utils.Adapter {
             // Phase 3.7: Subscribe to device announcements (all devices)
             this.log.debug('Subscribing to device announcements...');
             // Wildcard pattern: mcdu/+/status/announce
-            await this.mqttClient.subscribe('+/status/announce', (topic, message) => {
+            await this.transport.subscribe('+/status/announce', (topic, message) => {
                 this.handleDeviceAnnouncement(message).catch((error) => {
                     this.log.error(`Failed to handle device announcement: ${error.message}`);
                 });
             });
             this.log.info('✅ Device announcement subscription active (all devices)');
 
+            // Full redraw requests (clients send them after a link loss)
+            await this.transport.subscribe('+/status/refresh', (topic) => {
+                this.handleRefreshRequest(topic).catch((error) => {
+                    this.log.error(`Failed to handle refresh request: ${error.message}`);
+                });
+            });
+
             // Phase 4: Setup button event handling
             this.log.debug('Setting up button event handling...');
-            this.buttonSubscriber = new ButtonSubscriber(this, this.mqttClient);
-
-            // Inject InputModeManager into ButtonSubscriber
-            this.buttonSubscriber.setInputModeManager(this.inputModeManager);
-
-            // Inject ConfirmationDialog into ButtonSubscriber
-            this.buttonSubscriber.setConfirmationDialog(this.confirmationDialog);
-
+            // Button events are routed to the session of the originating device
+            this.buttonSubscriber = new ButtonSubscriber(this, this.transport);
             await this.buttonSubscriber.subscribe();
 
             // Phase 5: Subscribe to data sources
             this.log.debug('Subscribing to data sources...');
             await this.subscribeToDataSources();
 
-            // Phase 6: Initialize runtime state
-            this.log.debug('Initializing runtime state...');
-            await this.initializeRuntime();
-
-            // Phase 7: Render initial display
-            this.log.info('Rendering initial display...');
-            await this.renderCurrentPage();
+            // Sessions (and their initial render) are created on device announcement
+            // or on the first button event of a device
 
             // Phase 4.1: Subscribe to automation states (per-device)
             this.log.debug('Subscribing to automation states (all devices)...');
@@ -220,19 +248,22 @@ class McduAdapter extends utils.Adapter {
             this.subscribeStates('devices.*.display.brightness');
             this.subscribeStates('devices.*.display.brightnessStep');
 
-            // Live data re-render timer (status bar time + datapoint refresh)
+            // Live data re-render timer (datapoint refresh; the status bar clock has its own timer)
             // Skips re-render during active input to avoid display flicker
             const reRenderInterval = this.config.performance?.reRenderInterval || 30000;
             this.reRenderInterval = this.setInterval(() => {
-                if (this.inputModeManager && this.inputModeManager.getMode() !== 'normal') {
-                    this.log.debug('Skipping periodic re-render (input mode active)');
-                    return;
+                for (const session of this.sessions.values()) {
+                    if (session.isBusy()) {
+                        this.log.debug(`Skipping periodic re-render on ${session.deviceId} (input active)`);
+                        continue;
+                    }
+                    session.render().catch((error) => {
+                        this.log.error(`Periodic re-render failed: ${error.message}`);
+                    });
                 }
-                this.renderCurrentPage().catch((error) => {
-                    this.log.error(`Periodic re-render failed: ${error.message}`);
-                });
             }, reRenderInterval);
             this.log.debug(`Live re-render interval started (${reRenderInterval}ms)`);
+            this.scheduleStatusBarClock();
 
             this.log.info('✅ MCDU Adapter ready!');
         } catch (error) {
@@ -244,9 +275,10 @@ class McduAdapter extends utils.Adapter {
     /**
      * Subscribe to all data sources configured in pages
      * Supports both old (leftButton/display/rightButton) and new (left/right) line format
+     *
+     * @param {Array<object>} [pages] - Pages to scan (default: adapter config pages)
      */
-    async subscribeToDataSources() {
-        const pages = this.config.pages || [];
+    async subscribeToDataSources(pages = this.config.pages || []) {
         let count = 0;
 
         const subscribeTo = async (stateId) => {
@@ -291,6 +323,9 @@ class McduAdapter extends utils.Adapter {
                         if (side.button?.type === 'datapoint' && side.button.target) {
                             await subscribeTo(side.button.target);
                         }
+                        if (side.visibleIf?.source) {
+                            await subscribeTo(side.visibleIf.source);
+                        }
                     }
                 } else {
                     // Old format
@@ -311,66 +346,184 @@ class McduAdapter extends utils.Adapter {
     }
 
     /**
-     * Initialize runtime state
+     * Get (or create) the render session of a device
+     * New sessions load their pages and navigation state from the object tree.
+     *
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<DeviceSession|null>}
      */
-    async initializeRuntime() {
-        // Set first page as current if not set or if current page no longer exists
-        const currentPageState = await this.getStateAsync('runtime.currentPage');
-        const currentPageId = currentPageState?.val;
-        const pages = this.config.pages || [];
-        const currentPageExists = currentPageId && pages.some((p) => p.id === currentPageId);
-
-        if (!currentPageExists) {
-            const startPage = this.config.startPage;
-            const targetPage = startPage && pages.some((p) => p.id === startPage) ? startPage : pages[0]?.id;
-            if (targetPage) {
-                await this.setStateAsync('runtime.currentPage', targetPage, true);
-                await this.setStateAsync(`pages.${targetPage}.active`, true, true);
-                this.log.info(
-                    `Set current page to ${targetPage} (startPage=${startPage || 'none'}, previous "${currentPageId || ''}" not found in ${pages.length} pages)`
-                );
+    async getDeviceSession(deviceId) {
+        if (!deviceId) {
+            return null;
+        }
+
+        let session = this.sessions.get(deviceId);
+        if (!session) {
+            session = new DeviceSession(this, this.transport, deviceId, this.validationEngine);
+            session.setGeometry(this.deviceRegistry.get(deviceId)?.display);
+            this.sessions.set(deviceId, session);
+            await session.load();
+            await this.subscribeToDataSources(session.getAllPages());
+            await this.startLedAssignments(session);
+            await this.startStatusBar(session);
+            this.log.info(`Created session for device ${deviceId} (${session.pages.length} pages)`);
+        }
+        return session;
+    }
+
+    /**
+     * Subscribe the sources of a session's LED assignments and light the LEDs accordingly
+     *
+     * @param {DeviceSession} session - Device session
+     * @returns {Promise<void>}
+     */
+    async startLedAssignments(session) {
+        const sources = session.ledController.getSources();
+        if (sources.length > 0) {
+            // Pseudo page so sources share subscription and metadata caching with page data sources
+            const lines = sources.map((source) => ({ left: { display: { type: 'datapoint', source } } }));
+            await this.subscribeToDataSources([{ id: `leds-${session.deviceId}`, lines }]);
+        }
+        await session.ledController.refresh();
+    }
+
+    /**
+     * Subscribe the states shown by a session's status bar widgets (alerts, online, datapoint)
+     *
+     * @param {DeviceSession} session - Device session
+     * @returns {Promise<void>}
+     */
+    async startStatusBar(session) {
+        const sources = session.pageRenderer.getStatusBarSources();
+        if (sources.length > 0) {
+            const lines = sources.map((source) => ({ left: { display: { type: 'datapoint', source } } }));
+            await this.subscribeToDataSources([{ id: `statusbar-${session.deviceId}`, lines }]);
+        }
+    }
+
+    /**
+     * Update the status bar clock of all sessions at the start of every minute (single line update)
+     */
+    scheduleStatusBarClock() {
+        const now = new Date();
+        const delay = 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+        this.statusBarClockTimer = this.setTimeout(async () => {
+            for (const session of this.sessions.values()) {
+                // The confirmation dialog draws its own row 1
+                if (session.confirmationDialog.isActive()) {
+                    continue;
+                }
+                try {
+                    await session.pageRenderer.refreshStatusBar();
+                } catch (error) {
+                    this.log.error(`Status bar update failed on ${session.deviceId}: ${error.message}`);
+                }
             }
+            this.scheduleStatusBarClock();
+        }, delay);
+    }
+
+    /**
+     * Switch a device to another configuration profile and re-render it completely
+     *
+     * @param {string} deviceId - Device ID
+     * @param {string} name - Profile name
+     * @returns {Promise<void>}
+     */
+    async switchProfile(deviceId, name) {
+        const { name: profileName, created } = await this.profileManager.switchProfile(deviceId, name);
+        this.log.info(
+            `Device ${deviceId}: profile ${profileName ? `"${profileName}"` : 'none'} active${created ? ' (created from current configuration)' : ''}`
+        );
+
+        const session = this.sessions.get(deviceId);
+        if (session) {
+            await this.reloadSession(session);
+        }
+    }
+
+    /**
+     * Re-read a session's complete configuration from the object tree and re-render it
+     * (after the stored configuration was replaced: profile switch, import)
+     *
+     * @param {DeviceSession} session - Device session
+     * @returns {Promise<void>}
+     */
+    async reloadSession(session) {
+        await session.load();
+        await this.subscribeToDataSources(session.getAllPages());
+        await this.startLedAssignments(session);
+        await this.startStatusBar(session);
+        session.pageRenderer.currentPageOffset = 0;
+        session.displayPublisher.lastContent = null;
+        await session.render();
+    }
+
+    /**
+     * Resolve target sessions: one device, or all sessions when no device is given
+     *
+     * @param {string|null} [deviceId] - Device ID
+     * @returns {Promise<Array<DeviceSession>>}
+     */
+    async resolveSessions(deviceId = null) {
+        if (deviceId) {
+            const session = await this.getDeviceSession(deviceId);
+            return session ? [session] : [];
         }
+        return [...this.sessions.values()];
+    }
 
-        // Runtime state initialization removed — these states were write-only debug telemetry
-        // that generated "has no existing object" warnings. Mode/scratchpad state lives in-memory.
+    /**
+     * Get a foreign state, served from the local cache for subscribed data sources.
+     * Subscribed states are kept current by onStateChange, so only the first read hits the database.
+     *
+     * @param {string} id - Foreign state ID
+     * @returns {Promise<ioBroker.State|null|undefined>}
+     */
+    async getCachedForeignState(id) {
+        if (this.stateCache.has(id)) {
+            return this.stateCache.get(id);
+        }
+        const state = await this.getForeignStateAsync(id);
+        if (this.subscriptions.has(id)) {
+            this.stateCache.set(id, state);
+        }
+        return state;
     }
 
     /**
      * Render current page and send to MCDU
      * Error boundary: Catches and logs rendering errors without crashing
+     *
+     * @param {string|null} [deviceId] - Device to render (default: all sessions)
      */
-    async renderCurrentPage() {
+    async renderCurrentPage(deviceId = null) {
         try {
-            const currentPageState = await this.getStateAsync('runtime.currentPage');
-            const currentPageId = currentPageState?.val;
-
-            if (!currentPageId) {
-                this.log.warn('No current page to render');
-                return;
-            }
-
-            if (!this.pageRenderer) {
-                this.log.error('PageRenderer not initialized');
-                return;
+            for (const session of await this.resolveSessions(deviceId)) {
+                await session.render();
             }
-
-            await this.pageRenderer.renderPage(currentPageId);
         } catch (error) {
             this.log.error(`Failed to render current page: ${error.message}`);
             this.log.error(error.stack);
+        }
+    }
 
-            // Fallback: Try to render a blank display to avoid frozen screen
-            try {
-                if (this.displayPublisher) {
-                    const blankLines = Array(14).fill({ text: ' '.repeat(24), color: 'white' });
-                    await this.displayPublisher.publishFullDisplay(blankLines);
-                    this.log.debug('Blank display rendered as fallback');
-                }
-            } catch (fallbackError) {
-                this.log.error(`Fallback rendering also failed: ${fallbackError.message}`);
-            }
+    /**
+     * Handle a full redraw request of a client ({prefix}/{deviceId}/status/refresh).
+     * Clients send it when the link to the adapter comes back, their display may be stale.
+     *
+     * @param {string} topic - MQTT topic
+     */
+    async handleRefreshRequest(topic) {
+        const deviceId = topic.split('/')[1];
+        const session = await this.getDeviceSession(deviceId);
+        if (!session) {
+            return;
         }
+        this.log.info(`Redraw requested by ${deviceId}`);
+        session.displayPublisher.lastContent = null;
+        await session.render();
+        await session.ledController.refresh();
     }
 
     /**
@@ -378,62 +531,71 @@ class McduAdapter extends utils.Adapter {
      * Error boundary: Handles page switch errors gracefully
      *
      * @param {string} pageId - Target page ID
+     * @param {string|null} [deviceId] - Device to switch (default: all sessions)
      */
-    async switchToPage(pageId) {
+    async switchToPage(pageId, deviceId = null) {
         try {
-            this.log.info(`Switching to page: ${pageId}`);
-
-            // Validate page exists
-            const pageConfig = this.config.pages?.find((p) => p.id === pageId);
-            if (!pageConfig) {
-                this.log.error(`Page not found: ${pageId}`);
-                return;
-            }
+            for (const session of await this.resolveSessions(deviceId)) {
+                this.log.info(`Switching ${session.deviceId} to page: ${pageId}`);
 
-            // Store previous page for back navigation
-            const currentPageState = await this.getStateAsync('runtime.currentPage');
-            const previousPage = currentPageState?.val;
+                // Validate page exists
+                if (!session.findPage(pageId)) {
+                    this.log.error(`Page not found on ${session.deviceId}: ${pageId}`);
+                    continue;
+                }
 
-            if (previousPage && previousPage !== pageId) {
-                await this.setStateAsync('runtime.previousPage', previousPage, true);
-                await this.setStateAsync(`pages.${previousPage}.active`, false, true);
-            }
+                await session.setCurrentPage(pageId);
 
-            // Set new page
-            await this.setStateAsync('runtime.currentPage', pageId, true);
-            await this.setStateAsync(`pages.${pageId}.active`, true, true);
+                // Clear page cache to force re-render
+                this.pageCache.delete(pageId);
 
-            // Update per-device navigation states
-            const activeDeviceId = this.displayPublisher?.deviceId;
-            if (activeDeviceId) {
-                await this.setStateAsync(`devices.${activeDeviceId}.navigation.currentPage`, pageId, true);
-                await this.setStateAsync(`devices.${activeDeviceId}.display.currentPage`, pageId, true);
-                if (previousPage && previousPage !== pageId) {
-                    await this.setStateAsync(`devices.${activeDeviceId}.navigation.previousPage`, previousPage, true);
-                }
+                // Render new page
+                await session.render();
             }
+        } catch (error) {
+            this.log.error(`Failed to switch to page ${pageId}: ${error.message}`);
+            this.log.error(error.stack);
+        }
+    }
 
-            // Build and store breadcrumb
-            this.breadcrumb = this.buildBreadcrumb(pageId);
+    /**
+     * Execute button action, after the configured confirmation (button.confirm) if any
+     * Error boundary: Handles action execution errors gracefully
+     *
+     * @param {object} buttonConfig - Button configuration
+     * @param {string|null} [deviceId] - Originating device ID
+     */
+    async executeButtonAction(buttonConfig, deviceId = null) {
+        if (!requiresConfirmation(buttonConfig)) {
+            await this.runButtonAction(buttonConfig, deviceId);
+            return;
+        }
 
-            // Clear page cache to force re-render
-            this.pageCache.delete(pageId);
+        try {
+            const session = await this.getDeviceSession(deviceId);
+            if (!session) {
+                this.log.warn(`Button requires ${buttonConfig.confirm} confirmation but has no device - not executed`);
+                return;
+            }
 
-            // Render new page
-            await this.renderCurrentPage();
+            // The dialog restores the page first and then runs the action, so a confirmed
+            // navigation is not overwritten by the old page
+            await session.confirmationDialog.showForButton(buttonConfig, describeButtonAction(buttonConfig), () =>
+                this.runButtonAction(buttonConfig, deviceId)
+            );
         } catch (error) {
-            this.log.error(`Failed to switch to page ${pageId}: ${error.message}`);
-            this.log.error(error.stack);
+            this.log.error(`Failed to request confirmation: ${error.message}`);
         }
     }
 
     /**
-     * Execute button action
+     * Run button action without confirmation
      * Error boundary: Handles action execution errors gracefully
      *
      * @param {object} buttonConfig - Button configuration
+     * @param {string|null} [deviceId] - Originating device ID
      */
-    async executeButtonAction(buttonConfig) {
+    async runButtonAction(buttonConfig, deviceId = null) {
         try {
             if (!buttonConfig) {
                 this.log.warn('No button config provided');
@@ -445,7 +607,7 @@ class McduAdapter extends utils.Adapter {
             if (type === 'navigation') {
                 // Switch to target page (action 'goto' is optional/default)
                 if (target) {
-                    await this.switchToPage(target);
+                    await this.switchToPage(target, deviceId);
                 } else {
                     this.log.warn('Navigation button has no target page');
                 }
@@ -458,27 +620,22 @@ class McduAdapter extends utils.Adapter {
                 // Default action for datapoint is 'toggle' (Admin UI flat format omits action field)
                 const dpAction = action || 'toggle';
 
-                if (dpAction === 'toggle') {
-                    // Toggle boolean state
-                    const state = await this.getForeignStateAsync(target);
-                    const newVal = !state?.val;
-                    await this.setForeignStateAsync(target, newVal);
-                    this.log.debug(`Toggled ${target}: ${newVal}`);
-                } else if (dpAction === 'increment') {
-                    // Increment numeric state
-                    const state = await this.getForeignStateAsync(target);
-                    const newVal = (parseFloat(state?.val) || 0) + 1;
-                    await this.setForeignStateAsync(target, newVal);
-                    this.log.debug(`Incremented ${target}: ${newVal}`);
-                } else if (dpAction === 'decrement') {
-                    // Decrement numeric state
-                    const state = await this.getForeignStateAsync(target);
-                    const newVal = (parseFloat(state?.val) || 0) - 1;
-                    await this.setForeignStateAsync(target, newVal);
-                    this.log.debug(`Decremented ${target}: ${newVal}`);
-                } else {
+                // toggle / set / step (clamped to min/max) / cycle, see utils/buttonAction
+                const state = await this.getForeignStateAsync(target);
+                const newVal = computeButtonValue(buttonConfig, state?.val, this.datapointMeta.get(target));
+                if (newVal === undefined) {
                     this.log.warn(`Unknown action: ${dpAction}`);
+                    return;
                 }
+                const session = deviceId ? this.sessions.get(deviceId) : null;
+                if (session) {
+                    await session.writeTracker.write(target, newVal);
+                } else {
+                    await this.setForeignStateAsync(target, newVal);
+                }
+                this.log.debug(`${dpAction} ${target}: ${newVal}`);
+            } else if (type === 'macro') {
+                await this.macroRunner.run(buttonConfig, deviceId);
             } else {
                 this.log.warn(`Unknown button type: ${type}`);
             }
@@ -501,8 +658,14 @@ class McduAdapter extends utils.Adapter {
 
         // Handle data source changes regardless of ack (sensor data always has ack=true)
         if (this.subscriptions.has(id)) {
-            this.log.debug(`Data source changed: ${id}, re-rendering page`);
-            await this.renderCurrentPage();
+            this.stateCache.set(id, state);
+            this.log.debug(`Data source changed: ${id}, re-rendering affected lines`);
+            for (const session of this.sessions.values()) {
+                // Ack completes a pending write before the line is re-rendered (drops the pending color)
+                session.writeTracker.handleStateChange(id, state);
+                await session.renderSourceChange(id);
+                await session.ledController.handleStateChange(id, state);
+            }
         }
 
         // Control states only handle non-ack changes
@@ -523,67 +686,38 @@ class McduAdapter extends utils.Adapter {
         }
 
         try {
-            // Handle control states
-            if (id === `${this.namespace}.control.switchPage`) {
-                await this.switchToPage(state.val);
-                await this.setStateAsync('control.switchPage', state.val, true);
-            } else if (id === `${this.namespace}.control.goBack`) {
-                const previousPageState = await this.getStateAsync('runtime.previousPage');
-                if (previousPageState?.val) {
-                    await this.switchToPage(previousPageState.val);
-                }
-                await this.setStateAsync('control.goBack', false, true);
-            } else if (id === `${this.namespace}.control.refresh`) {
-                await this.renderCurrentPage();
-                await this.setStateAsync('control.refresh', false, true);
-            } else if (id === `${this.namespace}.control.nextPage`) {
-                // Phase 4.1: Extended navigation controls
-                if (state.val === true) {
-                    await this.navigateNext();
-                    await this.setStateAsync('control.nextPage', false, true);
-                }
-            } else if (id === `${this.namespace}.control.previousPage`) {
-                if (state.val === true) {
-                    await this.navigatePrevious();
-                    await this.setStateAsync('control.previousPage', false, true);
-                }
-            } else if (id === `${this.namespace}.control.homePage`) {
-                if (state.val === true) {
-                    await this.navigateHome();
-                    await this.setStateAsync('control.homePage', false, true);
-                }
-            } else if (deviceId && deviceStatePath && deviceStatePath.startsWith('leds.')) {
+            if (deviceId && deviceStatePath && deviceStatePath.startsWith('leds.')) {
                 // Phase 4.1: LED changes (per-device)
                 const ledName = deviceStatePath.split('.').pop();
                 await this.handleLEDChange(deviceId, ledName, state.val);
                 await this.setStateAsync(id.replace(`${this.namespace}.`, ''), state.val, true);
             } else if (deviceId && deviceStatePath === 'control.switchPage') {
                 // Per-device control states
-                await this.switchToPage(state.val);
+                await this.switchToPage(state.val, deviceId);
                 await this.setStateAsync(id.replace(`${this.namespace}.`, ''), state.val, true);
             } else if (deviceId && deviceStatePath === 'control.goBack') {
-                const prev = await this.getStateAsync('runtime.previousPage');
-                if (prev?.val) {
-                    await this.switchToPage(prev.val);
+                const session = await this.getDeviceSession(deviceId);
+                if (session?.previousPage) {
+                    await this.switchToPage(session.previousPage, deviceId);
                 }
                 await this.setStateAsync(id.replace(`${this.namespace}.`, ''), false, true);
             } else if (deviceId && deviceStatePath === 'control.refresh') {
-                await this.renderCurrentPage();
+                await this.renderCurrentPage(deviceId);
                 await this.setStateAsync(id.replace(`${this.namespace}.`, ''), false, true);
             } else if (deviceId && deviceStatePath === 'actions.pressButton') {
                 // Per-device actions states
                 if (state.val) {
-                    await this.triggerButton(state.val);
+                    await this.triggerButton(state.val, deviceId);
                     await this.setStateAsync(id.replace(`${this.namespace}.`, ''), '', true);
                 }
             } else if (deviceId && deviceStatePath === 'actions.confirmAction') {
                 if (state.val === true) {
-                    await this.triggerOVFY();
+                    await this.triggerOVFY(deviceId);
                     await this.setStateAsync(id.replace(`${this.namespace}.`, ''), false, true);
                 }
             } else if (deviceId && deviceStatePath === 'actions.cancelAction') {
                 if (state.val === true) {
-                    await this.triggerCLR();
+                    await this.triggerCLR(deviceId);
                     await this.setStateAsync(id.replace(`${this.namespace}.`, ''), false, true);
                 }
             } else if (deviceId && deviceStatePath === 'notifications.message') {
@@ -594,9 +728,14 @@ class McduAdapter extends utils.Adapter {
                 }
             } else if (deviceId && deviceStatePath === 'notifications.clear') {
                 if (state.val === true) {
-                    await this.clearNotification();
+                    await this.setStateAsync(`devices.${deviceId}.notifications.unread`, 0, true);
+                    await this.clearNotification(deviceId);
                     await this.setStateAsync(id.replace(`${this.namespace}.`, ''), false, true);
                 }
+            } else if (deviceId && deviceStatePath === 'notifications.unread') {
+                // Scripts mark alerts as read by writing 0
+                const unread = Math.max(0, parseInt(state.val, 10) || 0);
+                await this.setStateAsync(id.replace(`${this.namespace}.`, ''), unread, true);
             } else if (deviceId && deviceStatePath === 'display.brightness') {
                 // Per-device display brightness
                 await this.handleLEDChange(deviceId, 'SCREEN_BACKLIGHT', state.val);
@@ -611,54 +750,15 @@ class McduAdapter extends utils.Adapter {
                 // Per-device config.defaultColor
                 const validColors = ['white', 'green', 'blue', 'amber', 'red', 'magenta', 'cyan', 'yellow'];
                 const color = validColors.includes(state.val) ? state.val : 'white';
-                this.config.display.defaultColor = color;
-                if (this.pageRenderer) {
-                    this.pageRenderer.defaultColor = color;
-                }
                 await this.setStateAsync(id.replace(`${this.namespace}.`, ''), color, true);
-                await this.renderCurrentPage();
-                this.log.info(`Default color for ${deviceId} set to ${color}`);
-            } else if (id === `${this.namespace}.scratchpad.content`) {
-                // Phase 4.1: Scratchpad changes
-                this.scratchpadManager.set(state.val);
-                await this.setStateAsync(id, state.val, true);
-                // Update validation states
-                await this.updateScratchpadValidation();
-            } else if (id === `${this.namespace}.scratchpad.clear`) {
-                if (state.val === true) {
-                    this.scratchpadManager.clear();
-                    await this.setStateAsync('scratchpad.content', '', true);
-                    await this.setStateAsync('scratchpad.valid', true, true);
-                    await this.setStateAsync('scratchpad.validationError', '', true);
-                    await this.setStateAsync(id, false, true);
-                }
-            } else if (id === `${this.namespace}.notifications.message`) {
-                // Phase 4.1: Notification changes
-                if (state.val) {
-                    await this.showNotification();
-                    await this.setStateAsync(id, state.val, true);
-                }
-            } else if (id === `${this.namespace}.notifications.clear`) {
-                if (state.val === true) {
-                    await this.clearNotification();
-                    await this.setStateAsync(id, false, true);
-                }
-            } else if (id === `${this.namespace}.actions.pressButton`) {
-                // Phase 4.1: Button triggers
-                if (state.val) {
-                    await this.triggerButton(state.val);
-                    await this.setStateAsync(id, '', true);
-                }
-            } else if (id === `${this.namespace}.actions.confirmAction`) {
-                if (state.val === true) {
-                    await this.triggerOVFY();
-                    await this.setStateAsync(id, false, true);
-                }
-            } else if (id === `${this.namespace}.actions.cancelAction`) {
-                if (state.val === true) {
-                    await this.triggerCLR();
-                    await this.setStateAsync(id, false, true);
+                const session = this.sessions.get(deviceId);
+                if (session) {
+                    session.pageRenderer.defaultColor = color;
+                    await session.render();
                 }
+                this.log.info(`Default color for ${deviceId} set to ${color}`);
+            } else if (deviceId && deviceStatePath === 'config.activeProfile') {
+                await this.switchProfile(deviceId, state.val);
             }
         } catch (error) {
             this.log.error(`Error handling state change ${id}: ${error.message}`);
@@ -667,91 +767,68 @@ class McduAdapter extends utils.Adapter {
 
     /**
      * Navigate to next page in sequence
+     *
+     * @param {string|null} [deviceId] - Device to navigate (default: all sessions)
      */
-    async navigateNext() {
-        const pages = this.config.pages || [];
-        const currentPageState = await this.getStateAsync('runtime.currentPage');
-        const currentPageId = currentPageState?.val;
-        const currentPage = pages.find((p) => p.id === currentPageId);
-
-        if (!currentPage) {
-            return;
+    async navigateNext(deviceId = null) {
+        for (const session of await this.resolveSessions(deviceId)) {
+            const siblings = this.getSiblingPages(session);
+            if (siblings.length <= 1) {
+                continue;
+            } // No siblings to navigate to
+
+            const currentIndex = siblings.findIndex((p) => p.id === session.currentPage);
+            // Circular: wrap from last to first
+            const nextIndex = (currentIndex + 1) % siblings.length;
+            await this.switchToPage(siblings[nextIndex].id, session.deviceId);
         }
-
-        // Find siblings (pages with same parent)
-        const parentId = currentPage.parent || null;
-        const siblings = pages.filter((p) => (p.parent || null) === parentId);
-
-        if (siblings.length <= 1) {
-            return;
-        } // No siblings to navigate to
-
-        const currentIndex = siblings.findIndex((p) => p.id === currentPageId);
-        // Circular: wrap from last to first
-        const nextIndex = (currentIndex + 1) % siblings.length;
-        await this.switchToPage(siblings[nextIndex].id);
     }
 
     /**
      * Navigate to previous page in sequence (circular within siblings)
+     *
+     * @param {string|null} [deviceId] - Device to navigate (default: all sessions)
      */
-    async navigatePrevious() {
-        const pages = this.config.pages || [];
-        const currentPageState = await this.getStateAsync('runtime.currentPage');
-        const currentPageId = currentPageState?.val;
-        const currentPage = pages.find((p) => p.id === currentPageId);
-
-        if (!currentPage) {
-            return;
+    async navigatePrevious(deviceId = null) {
+        for (const session of await this.resolveSessions(deviceId)) {
+            const siblings = this.getSiblingPages(session);
+            if (siblings.length <= 1) {
+                continue;
+            } // No siblings
+
+            const currentIndex = siblings.findIndex((p) => p.id === session.currentPage);
+            // Circular: wrap from first to last
+            const prevIndex = (currentIndex - 1 + siblings.length) % siblings.length;
+            await this.switchToPage(siblings[prevIndex].id, session.deviceId);
         }
-
-        // Find siblings (pages with same parent)
-        const parentId = currentPage.parent || null;
-        const siblings = pages.filter((p) => (p.parent || null) === parentId);
-
-        if (siblings.length <= 1) {
-            return;
-        } // No siblings
-
-        const currentIndex = siblings.findIndex((p) => p.id === currentPageId);
-        // Circular: wrap from first to last
-        const prevIndex = (currentIndex - 1 + siblings.length) % siblings.length;
-        await this.switchToPage(siblings[prevIndex].id);
     }
 
     /**
-     * Navigate to home page (first page)
+     * Get pages sharing the parent of a session's current page
+     *
+     * @param {DeviceSession} session - Device session
+     * @returns {Array<object>} Sibling pages (empty if current page is unknown)
      */
-    async navigateHome() {
-        const pages = this.config.pages || [];
-        if (pages.length > 0) {
-            await this.switchToPage(pages[0].id);
+    getSiblingPages(session) {
+        const currentPage = session.findPage(session.currentPage);
+        if (!currentPage) {
+            return [];
         }
+        const parentId = currentPage.parent || null;
+        return session.pages.filter((p) => (p.parent || null) === parentId);
     }
 
     /**
-     * Build breadcrumb path for a page by walking parent chain
+     * Navigate to home page (first page)
      *
-     * @param {string} pageId - Current page ID
-     * @returns {Array<{id: string, name: string}>} Breadcrumb path from root to current
+     * @param {string|null} [deviceId] - Device to navigate (default: all sessions)
      */
-    buildBreadcrumb(pageId) {
-        const pages = this.config.pages || [];
-        const breadcrumb = [];
-        let currentId = pageId;
-        const visited = new Set(); // Prevent infinite loops
-
-        while (currentId && !visited.has(currentId)) {
-            visited.add(currentId);
-            const page = pages.find((p) => p.id === currentId);
-            if (!page) {
-                break;
+    async navigateHome(deviceId = null) {
+        for (const session of await this.resolveSessions(deviceId)) {
+            if (session.pages.length > 0) {
+                await this.switchToPage(session.pages[0].id, session.deviceId);
             }
-            breadcrumb.unshift({ id: page.id, name: page.name || page.id });
-            currentId = page.parent || null;
         }
-
-        return breadcrumb;
     }
 
     /**
@@ -762,7 +839,8 @@ class McduAdapter extends utils.Adapter {
      * @returns {Promise<void>}
      */
     async showSplashScreen(deviceId) {
-        if (!this.displayPublisher) {
+        const session = await this.getDeviceSession(deviceId);
+        if (!session) {
             return;
         }
 
@@ -770,33 +848,31 @@ class McduAdapter extends utils.Adapter {
         const now = new Date();
         const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}:${String(now.getSeconds()).padStart(2, '0')}`;
 
-        const blank = { text: ' '.repeat(24), color: 'white' };
-        const lines = [
-            { text: '    MCDU SMART HOME     ', color: 'cyan' }, // 1
-            blank, // 2
-            blank, // 3
-            blank, // 4
-            blank, // 5
-            blank, // 6
-            { text: '     INITIALIZING       ', color: 'amber' }, // 7
-            blank, // 8
-            blank, // 9
-            blank, // 10
-            blank, // 11
-            blank, // 12
-            { text: `   v${version}   ${time}  `.substring(0, 24).padEnd(24), color: 'white' }, // 13
-            { text: '________________________', color: 'white' }, // 14
-        ];
-
-        await this.displayPublisher.publishFullDisplay(lines);
+        // Built from the device geometry: title on top, status in the middle, version above the bottom rule
+        const { rows, columns } = session.displayPublisher;
+        const center = (text) =>
+            text
+                .padStart(Math.floor((columns + text.length) / 2))
+                .padEnd(columns)
+                .substring(0, columns);
+        const lines = Array.from({ length: rows }, () => ({ text: ' '.repeat(columns), color: 'white' }));
+        lines[0] = { text: center('MCDU SMART HOME'), color: 'cyan' };
+        lines[Math.floor((rows - 1) / 2)] = { text: center('INITIALIZING'), color: 'amber' };
+        lines[rows - 2] = { text: `   v${version}   ${time}`.substring(0, columns).padEnd(columns), color: 'white' };
+        lines[rows - 1] = { text: '_'.repeat(columns), color: 'white' };
+
+        await session.displayPublisher.publishFullDisplay(lines);
         this.log.info(`Splash screen shown on ${deviceId}`);
 
         // After 3 seconds, render home page
-        this.splashTimeout = this.setTimeout(async () => {
-            this.splashTimeout = null;
+        if (session.splashTimeout) {
+            this.clearTimeout(session.splashTimeout);
+        }
+        session.splashTimeout = this.setTimeout(async () => {
+            session.splashTimeout = null;
             try {
-                this.displayPublisher.lastContent = null; // Force re-render
-                await this.renderCurrentPage();
+                session.displayPublisher.lastContent = null; // Force re-render
+                await session.render();
             } catch (error) {
                 this.log.error(`Post-splash render failed: ${error.message}`);
             }
@@ -843,58 +919,8 @@ class McduAdapter extends utils.Adapter {
             timestamp: Date.now(),
         };
 
-        this.mqttClient.publish(topic, JSON.stringify(payload), { qos: 1 });
-        this.log.info(`LED ${ledName} on device ${deviceId} set to ${brightness}`);
-    }
-
-    /**
-     * Update scratchpad validation states
-     */
-    async updateScratchpadValidation() {
-        // Basic validation - content exists and is within limits
-        const content = this.scratchpadManager.getContent();
-        const isValid = content.length > 0 && content.length <= this.scratchpadManager.maxLength;
-        const error =
-            !isValid && content.length > 0 ? `Content too long (max ${this.scratchpadManager.maxLength})` : '';
-
-        await this.setStateAsync('scratchpad.valid', isValid, true);
-        await this.setStateAsync('scratchpad.validationError', error, true);
-    }
-
-    /**
-     * Show notification on display
-     */
-    async showNotification() {
-        const message = await this.getStateAsync('notifications.message');
-        const type = await this.getStateAsync('notifications.type');
-        const duration = await this.getStateAsync('notifications.duration');
-        const line = await this.getStateAsync('notifications.line');
-
-        // Color mapping
-        const colorMap = {
-            info: 'white',
-            warning: 'amber',
-            error: 'red',
-            success: 'green',
-        };
-
-        const color = colorMap[type?.val] || 'white';
-        const lineNum = line?.val || 13;
-        const durationMs = duration?.val || 3000;
-
-        // Publish notification line via DisplayPublisher (device-scoped topic)
-        await this.displayPublisher.publishLine(lineNum, message.val, color);
-
-        this.log.info(`Notification shown: ${message.val} (${type?.val})`);
-
-        // Auto-clear after duration
-        if (this.notificationTimeout) {
-            this.clearTimeout(this.notificationTimeout);
-        }
-        this.notificationTimeout = this.setTimeout(() => {
-            this.notificationTimeout = null;
-            this.clearNotification();
-        }, durationMs);
+        this.transport.publish(topic, JSON.stringify(payload), { qos: 1 });
+        this.log.debug(`LED ${ledName} on device ${deviceId} set to ${brightness}`);
     }
 
     /**
@@ -905,6 +931,7 @@ class McduAdapter extends utils.Adapter {
      * @param {string} message - Notification message text
      */
     async showNotificationForDevice(deviceId, message) {
+        const session = await this.getDeviceSession(deviceId);
         const type = await this.getStateAsync(`devices.${deviceId}.notifications.type`);
         const duration = await this.getStateAsync(`devices.${deviceId}.notifications.duration`);
 
@@ -918,32 +945,41 @@ class McduAdapter extends utils.Adapter {
         const color = colorMap[type?.val] || 'white';
         const durationMs = duration?.val || 3000;
 
-        await this.displayPublisher.publishLine(13, message, color);
+        // Warnings and errors count as alerts for the status bar until notifications.clear
+        if (type?.val === 'warning' || type?.val === 'error') {
+            const unread = await this.getStateAsync(`devices.${deviceId}.notifications.unread`);
+            await this.setStateAsync(`devices.${deviceId}.notifications.unread`, (Number(unread?.val) || 0) + 1, true);
+        }
+
+        await session.displayPublisher.publishLine(13, message, color);
         this.log.info(`Notification shown on ${deviceId}: ${message} (${type?.val || 'info'})`);
 
-        if (this.notificationTimeout) {
-            this.clearTimeout(this.notificationTimeout);
+        if (session.notificationTimeout) {
+            this.clearTimeout(session.notificationTimeout);
         }
-        this.notificationTimeout = this.setTimeout(() => {
-            this.notificationTimeout = null;
-            this.clearNotification();
+        session.notificationTimeout = this.setTimeout(() => {
+            session.notificationTimeout = null;
+            this.clearNotification(deviceId);
         }, durationMs);
     }
 
     /**
      * Clear notification from display
+     *
+     * @param {string} deviceId - Device ID
      */
-    async clearNotification() {
-        await this.setStateAsync('notifications.message', '', true);
-        await this.renderCurrentPage(); // Restore normal page
+    async clearNotification(deviceId) {
+        await this.setStateAsync(`devices.${deviceId}.notifications.message`, '', true);
+        await this.renderCurrentPage(deviceId); // Restore normal page
     }
 
     /**
      * Trigger button press programmatically
      *
      * @param {string} buttonName - Button name (e.g., "LSK1L")
+     * @param {string} deviceId - Device ID the press is simulated on
      */
-    async triggerButton(buttonName) {
+    async triggerButton(buttonName, deviceId) {
         // Simulate button event
         const event = {
             button: buttonName,
@@ -954,30 +990,37 @@ class McduAdapter extends utils.Adapter {
 
         // Convert to MQTT message format
         const message = Buffer.from(JSON.stringify(event));
-        const activeDeviceId = this.displayPublisher.deviceId || 'script-trigger';
-        const topic = `${this.config.mqtt?.topicPrefix || 'mcdu'}/${activeDeviceId}/buttons/event`;
+        const topic = `${this.config.mqtt?.topicPrefix || 'mcdu'}/${deviceId}/buttons/event`;
 
         await this.buttonSubscriber.handleButtonEvent(topic, message);
-        this.log.debug(`Button triggered: ${buttonName}`);
+        this.log.debug(`Button triggered on ${deviceId}: ${buttonName}`);
     }
 
     /**
      * Trigger OVFY (confirm) key
+     *
+     * @param {string} deviceId - Device ID
      */
-    async triggerOVFY() {
+    async triggerOVFY(deviceId) {
+        const session = await this.getDeviceSession(deviceId);
         // Check if confirmation is pending
-        if (this.confirmationDialog && this.confirmationDialog.isPending()) {
-            await this.confirmationDialog.handleResponse('OVFY');
+        if (session && session.confirmationDialog.isPending()) {
+            await session.confirmationDialog.handleResponse('OVFY');
         } else {
-            this.log.warn('No confirmation pending - OVFY ignored');
+            this.log.warn(`No confirmation pending on ${deviceId} - OVFY ignored`);
         }
     }
 
     /**
      * Trigger CLR (cancel) key
+     *
+     * @param {string} deviceId - Device ID
      */
-    async triggerCLR() {
-        await this.inputModeManager.handleCLR();
+    async triggerCLR(deviceId) {
+        const session = await this.getDeviceSession(deviceId);
+        if (session) {
+            await session.inputModeManager.handleCLR();
+        }
     }
 
     /**
@@ -998,6 +1041,19 @@ class McduAdapter extends utils.Adapter {
                     this.handleLoadTemplate(obj);
                     break;
 
+                case 'getTemplateList':
+                    this.handleGetTemplateList(obj);
+                    break;
+                case 'saveAsTemplate':
+                    this.handleSaveAsTemplate(obj);
+                    break;
+                case 'renameTemplate':
+                    this.handleRenameTemplate(obj);
+                    break;
+                case 'deleteTemplate':
+                    this.handleDeleteTemplate(obj);
+                    break;
+
                 case 'getPageList':
                 case 'browsePages':
                     this.handleGetPageList(obj);
@@ -1022,6 +1078,20 @@ class McduAdapter extends utils.Adapter {
                     this.handleSaveFunctionKeys(obj);
                     break;
 
+                case 'loadQuickAccess':
+                    this.handleLoadQuickAccess(obj);
+                    break;
+                case 'saveQuickAccess':
+                    this.handleSaveQuickAccess(obj);
+                    break;
+
+                case 'exportConfig':
+                    this.handleExportConfig(obj);
+                    break;
+                case 'importConfig':
+                    this.handleImportConfig(obj);
+                    break;
+
                 case 'browseStates':
                     this.handleBrowseStates(obj);
                     break;
@@ -1039,50 +1109,181 @@ class McduAdapter extends utils.Adapter {
                     this.sendTo(obj.from, obj.command, { error: 'Unknown command' }, obj.callback);
             }
         } catch (error) {
-            this.log.error(`Error handling message ${obj.command}: ${error.message}`);
+            this.log.error(`Error handling message ${obj.command}: ${error.message}`);
+            this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+        }
+    }
+
+    /**
+     * Handle loadTemplate command from admin UI
+     * Substitutes the template parameters with the supplied state IDs only. Parameters without
+     * a value stay empty and carry role-based suggestions from the object database to choose from.
+     *
+     * @param {object} obj - Message object with templateId and optional parameters
+     *   (object name → state ID, or Admin UI rows [{ name, value }])
+     */
+    async handleLoadTemplate(obj) {
+        const templateId = obj.message?.templateId;
+
+        if (!templateId) {
+            this.sendTo(obj.from, obj.command, { error: 'No templateId provided' }, obj.callback);
+            return;
+        }
+
+        if (!this.templateLoader) {
+            this.sendTo(obj.from, obj.command, { error: 'Template loader not initialized' }, obj.callback);
+            return;
+        }
+
+        const template = this.templateLoader.getTemplate(templateId);
+
+        if (!template) {
+            this.sendTo(obj.from, obj.command, { error: 'Template not found' }, obj.callback);
+            return;
+        }
+
+        try {
+            const supplied = obj.message.parameters;
+            const values = {};
+            if (Array.isArray(supplied)) {
+                for (const row of supplied) {
+                    if (row?.name && row.value) {
+                        values[row.name] = row.value;
+                    }
+                }
+            } else if (supplied && typeof supplied === 'object') {
+                Object.assign(values, supplied);
+            }
+
+            const parameters = this.templateLoader.getParameters(templateId);
+            const suggestions = await this.templateLoader.suggestParameters(
+                parameters.filter((param) => !values[param.name])
+            );
+            for (const param of parameters) {
+                param.suggestions = suggestions[param.name] || [];
+                param.value = values[param.name] || '';
+            }
+
+            const pages = this.templateLoader.mergeTemplate([], templateId, values);
+
+            // Return as native-shaped object so admin can merge it
+            this.sendTo(
+                obj.from,
+                obj.command,
+                {
+                    native: {
+                        pages: flattenPages(pages),
+                        templateParameters: parameters.map(({ name, label, role, value, suggestions }) => ({
+                            name,
+                            label,
+                            role,
+                            value,
+                            suggestions: suggestions.join(', '),
+                        })),
+                    },
+                    parameters,
+                },
+                obj.callback
+            );
+
+            this.log.info(`Template '${template.name}' loaded successfully (${parameters.length} parameters)`);
+        } catch (error) {
+            this.log.error(`Error in loadTemplate: ${error.message}`);
             this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
         }
     }
 
     /**
-     * Handle loadTemplate command from admin UI
+     * Handle getTemplateList command (built-in and user templates)
+     * Entries carry label/value so the list also feeds selectSendTo dropdowns.
      *
-     * @param {object} obj - Message object with templateId
+     * @param {object} obj - Message object
      */
-    async handleLoadTemplate(obj) {
-        const templateId = obj.message?.templateId;
-
-        if (!templateId) {
-            this.sendTo(obj.from, obj.command, { error: 'No templateId provided' }, obj.callback);
-            return;
-        }
-
+    handleGetTemplateList(obj) {
         if (!this.templateLoader) {
             this.sendTo(obj.from, obj.command, { error: 'Template loader not initialized' }, obj.callback);
             return;
         }
+        const list = this.templateLoader.getTemplateList().map((entry) => ({
+            label: entry.user ? `${entry.name} (user)` : entry.name,
+            value: entry.id,
+            ...entry,
+        }));
+        this.sendTo(obj.from, obj.command, list, obj.callback);
+    }
 
-        const template = this.templateLoader.getTemplate(templateId);
+    /**
+     * Handle saveAsTemplate command
+     * Stores selected pages of a device as user template.
+     *
+     * @param {object} obj - Message object { deviceId, pageIds, name, description, datapoints }
+     */
+    async handleSaveAsTemplate(obj) {
+        try {
+            const msg = obj.message || {};
+            const deviceId = msg.deviceId || msg.selectedDevice;
+            if (!deviceId) {
+                this.sendTo(obj.from, obj.command, { error: 'No deviceId provided' }, obj.callback);
+                return;
+            }
 
-        if (!template) {
-            this.sendTo(obj.from, obj.command, { error: 'Template not found' }, obj.callback);
-            return;
-        }
+            const stateId = `devices.${deviceId}.config.pages`;
+            const state = await this.getStateAsync(stateId);
+            let pages = [];
+            if (state && state.val) {
+                try {
+                    pages = JSON.parse(state.val);
+                } catch (e) {
+                    this.log.warn(`Invalid JSON in ${stateId}: ${e.message}`);
+                }
+            }
 
-        // Flatten template pages for Admin UI
-        const flatPages = flattenPages(template.pages || []);
+            // No selection = all pages of the device
+            const pageIds = Array.isArray(msg.pageIds) ? msg.pageIds.filter(Boolean) : [];
+            const selected = pageIds.length > 0 ? pages.filter((p) => pageIds.includes(p.id)) : pages;
 
-        // Return as native-shaped object so admin can merge it
-        this.sendTo(
-            obj.from,
-            obj.command,
-            {
-                native: { pages: flatPages },
-            },
-            obj.callback
-        );
+            const templateId = await this.templateLoader.saveUserTemplate({
+                name: msg.name ?? msg.templateName,
+                description: msg.description || '',
+                pages: selected,
+                datapoints: msg.datapoints || msg.templateDatapoints || 'parameterize',
+            });
+            this.sendTo(obj.from, obj.command, { success: true, templateId }, obj.callback);
+        } catch (error) {
+            this.log.error(`Error in saveAsTemplate: ${error.message}`);
+            this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+        }
+    }
+
+    /**
+     * Handle renameTemplate command (user templates only)
+     *
+     * @param {object} obj - Message object { templateId, name }
+     */
+    async handleRenameTemplate(obj) {
+        try {
+            const msg = obj.message || {};
+            await this.templateLoader.renameUserTemplate(msg.templateId, msg.name ?? msg.templateName);
+            this.sendTo(obj.from, obj.command, { success: true }, obj.callback);
+        } catch (error) {
+            this.log.error(`Error in renameTemplate: ${error.message}`);
+            this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+        }
+    }
 
-        this.log.info(`Template '${template.name}' loaded successfully`);
+    /**
+     * Handle deleteTemplate command (user templates only)
+     *
+     * @param {object} obj - Message object { templateId }
+     */
+    async handleDeleteTemplate(obj) {
+        try {
+            await this.templateLoader.deleteUserTemplate(obj.message?.templateId);
+            this.sendTo(obj.from, obj.command, { success: true }, obj.callback);
+        } catch (error) {
+            this.log.error(`Error in deleteTemplate: ${error.message}`);
+            this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+        }
     }
 
     /**
@@ -1305,10 +1506,33 @@ class McduAdapter extends utils.Adapter {
                 );
             }
 
+            // LED assignments (one row per LED for the Admin UI table)
+            const ledMappingState = await this.getStateAsync(`devices.${deviceId}.config.ledMapping`);
+            let ledMapping = [];
+            if (ledMappingState && ledMappingState.val) {
+                try {
+                    ledMapping = JSON.parse(ledMappingState.val);
+                } catch (e) {
+                    this.log.warn(`Invalid JSON in devices.${deviceId}.config.ledMapping: ${e.message}`);
+                }
+            }
+
+            // Status bar widgets (empty state = default layout)
+            const statusBarState = await this.getStateAsync(`devices.${deviceId}.config.statusBar`);
+            let statusBar = null;
+            if (statusBarState && statusBarState.val) {
+                try {
+                    statusBar = JSON.parse(statusBarState.val);
+                } catch (e) {
+                    this.log.warn(`Invalid JSON in devices.${deviceId}.config.statusBar: ${e.message}`);
+                }
+            }
+
             // Load per-device display settings from device state
             const defaultColorState = await this.getStateAsync(`devices.${deviceId}.config.defaultColor`);
             const brightnessStepState = await this.getStateAsync(`devices.${deviceId}.display.brightnessStep`);
             const startPageState = await this.getStateAsync(`devices.${deviceId}.config.startPage`);
+            const activeProfile = await this.profileManager.getActiveProfile(deviceId);
 
             this.log.info(`loadDevicePages: Loaded ${pages.length} pages for device ${deviceId}`);
             this.sendTo(
@@ -1318,9 +1542,12 @@ class McduAdapter extends utils.Adapter {
                     native: {
                         pages: flatPages,
                         functionKeys,
+                        ledMapping: normalizeLedMapping(ledMapping),
+                        statusBar: normalizeStatusBar(statusBar),
                         'display.defaultColor': defaultColorState?.val || 'white',
                         'display.brightnessStep': brightnessStepState?.val || 20,
                         'display.startPage': startPageState?.val || '',
+                        activeProfile,
                         _deviceConfigLoaded: true,
                     },
                 },
@@ -1342,7 +1569,7 @@ class McduAdapter extends utils.Adapter {
         try {
             // jsonData sends the full form data as obj.message (all native config fields)
             // Also support direct {deviceId, pages} for programmatic calls
-            let deviceId, pages, functionKeys;
+            let deviceId, pages, functionKeys, ledMapping, statusBar;
 
             const msg = obj.message || {};
             if (msg.selectedDevice) {
@@ -1350,11 +1577,15 @@ class McduAdapter extends utils.Adapter {
                 deviceId = msg.selectedDevice;
                 pages = msg.pages;
                 functionKeys = msg.functionKeys;
+                ledMapping = msg.ledMapping;
+                statusBar = msg.statusBar;
             } else if (msg.deviceId) {
                 // Direct programmatic call
                 deviceId = msg.deviceId;
                 pages = msg.pages;
                 functionKeys = msg.functionKeys;
+                ledMapping = msg.ledMapping;
+                statusBar = msg.statusBar;
             }
 
             this.log.info(
@@ -1392,31 +1623,74 @@ class McduAdapter extends utils.Adapter {
                 }
             }
 
+            // Reject conditions that do not parse, so the Admin UI shows what is wrong
+            const conditionErrors = [
+                ...validatePageConditions(nestedPages),
+                ...validateFunctionKeyMacros(functionKeys),
+                ...validateLedMapping(ledMapping),
+                ...validateStatusBar(statusBar),
+            ];
+            if (conditionErrors.length > 0) {
+                this.log.warn(`saveDevicePages: invalid conditions: ${conditionErrors.join('; ')}`);
+                this.sendTo(
+                    obj.from,
+                    obj.command,
+                    { error: `Invalid condition: ${conditionErrors.join('\n')}` },
+                    obj.callback
+                );
+                return;
+            }
+
             // Auto-resolve format/unit from ioBroker object metadata before storing
             await this.resolveDatapointDefaults(nestedPages);
 
             const stateId = `devices.${deviceId}.config.pages`;
             await this.setStateAsync(stateId, JSON.stringify(nestedPages), true);
 
-            // Update active config if this is the active device
-            if (this.displayPublisher && this.displayPublisher.deviceId === deviceId) {
-                this.config.pages = nestedPages;
-                await this.subscribeToDataSources(); // picks up new/changed sources
-                await this.renderCurrentPage();
+            // Update the device's session if it is running
+            const session = this.sessions.get(deviceId);
+            if (session) {
+                session.setPages(nestedPages);
+                await this.subscribeToDataSources(nestedPages); // picks up new/changed sources
+                await session.ensureValidPage();
+                await session.render();
             }
 
             // Also save function keys if present
             if (Array.isArray(functionKeys)) {
                 const fkStateId = `devices.${deviceId}.config.functionKeys`;
                 await this.setStateAsync(fkStateId, JSON.stringify(functionKeys), true);
-                if (this.displayPublisher && this.displayPublisher.deviceId === deviceId) {
-                    this.config.functionKeys = functionKeys;
+                if (session) {
+                    session.functionKeys = functionKeys;
                 }
                 this.log.info(
                     `saveDevicePages: Also saved ${functionKeys.length} function keys for device ${deviceId}`
                 );
             }
 
+            // Also save LED assignments if present
+            if (Array.isArray(ledMapping)) {
+                const normalized = normalizeLedMapping(ledMapping);
+                await this.setStateAsync(`devices.${deviceId}.config.ledMapping`, JSON.stringify(normalized), true);
+                if (session) {
+                    await session.ledController.setMapping(normalized);
+                    await this.startLedAssignments(session);
+                }
+                this.log.info(`saveDevicePages: Also saved LED assignments for device ${deviceId}`);
+            }
+
+            // Also save status bar widgets if present
+            if (Array.isArray(statusBar)) {
+                const normalized = normalizeStatusBar(statusBar);
+                await this.setStateAsync(`devices.${deviceId}.config.statusBar`, JSON.stringify(normalized), true);
+                if (session) {
+                    session.pageRenderer.setStatusBar(normalized);
+                    await this.startStatusBar(session);
+                    await session.pageRenderer.refreshStatusBar();
+                }
+                this.log.info(`saveDevicePages: Also saved status bar for device ${deviceId}`);
+            }
+
             // Save per-device display settings
             const displayDefaultColor = msg['display.defaultColor'];
             const displayBrightnessStep = msg['display.brightnessStep'];
@@ -1430,8 +1704,17 @@ class McduAdapter extends utils.Adapter {
             }
             if (displayStartPage !== undefined) {
                 await this.setStateAsync(`devices.${deviceId}.config.startPage`, displayStartPage, true);
-                if (this.displayPublisher && this.displayPublisher.deviceId === deviceId) {
-                    this.config.startPage = displayStartPage;
+                if (session) {
+                    session.startPage = displayStartPage;
+                }
+            }
+
+            // Keep the saved configuration in the active profile (a new name stores it as new profile)
+            if (msg.activeProfile !== undefined) {
+                const profileName = String(msg.activeProfile || '').trim();
+                await this.profileManager.storeProfile(deviceId, profileName);
+                if (profileName) {
+                    this.log.info(`saveDevicePages: Stored configuration as profile "${profileName}" for ${deviceId}`);
                 }
             }
 
@@ -1499,8 +1782,9 @@ class McduAdapter extends utils.Adapter {
             }
             const stateId = `devices.${deviceId}.config.functionKeys`;
             await this.setStateAsync(stateId, JSON.stringify(functionKeys), true);
-            if (this.displayPublisher && this.displayPublisher.deviceId === deviceId) {
-                this.config.functionKeys = functionKeys;
+            const session = this.sessions.get(deviceId);
+            if (session) {
+                session.functionKeys = functionKeys;
             }
             this.log.info(`saveFunctionKeys: Saved ${functionKeys.length} keys for device ${deviceId}`);
             this.sendTo(obj.from, obj.command, { success: true }, obj.callback);
@@ -1510,6 +1794,265 @@ class McduAdapter extends utils.Adapter {
         }
     }
 
+    /**
+     * Handle loadQuickAccess command from admin UI
+     * Returns the device's Quick Access slots as table rows
+     *
+     * @param {object} obj - Message object with deviceId
+     */
+    async handleLoadQuickAccess(obj) {
+        try {
+            const deviceId = obj.message?.deviceId;
+            if (!deviceId) {
+                this.sendTo(obj.from, obj.command, { error: 'No deviceId provided' }, obj.callback);
+                return;
+            }
+            const stateId = `devices.${deviceId}.config.quickAccess`;
+            const state = await this.getStateAsync(stateId);
+            let quickAccess = null;
+            if (state && state.val) {
+                try {
+                    quickAccess = JSON.parse(state.val);
+                } catch (e) {
+                    this.log.warn(`Invalid JSON in ${stateId}: ${e.message}`);
+                }
+            }
+            const normalized = normalizeQuickAccess(quickAccess);
+            this.log.info(`loadQuickAccess: Loaded quick access for device ${deviceId}`);
+            this.sendTo(
+                obj.from,
+                obj.command,
+                {
+                    native: {
+                        quickAccess: flattenQuickAccess(normalized),
+                        quickAccessTitle: normalized.title,
+                        _quickAccessLoaded: true,
+                    },
+                },
+                obj.callback
+            );
+        } catch (error) {
+            this.log.error(`Error in loadQuickAccess: ${error.message}`);
+            this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+        }
+    }
+
+    /**
+     * Handle saveQuickAccess command from admin UI
+     * Accepts table rows (Admin UI) or the storage format (programmatic calls)
+     *
+     * @param {object} obj - Message object with deviceId and quickAccess
+     */
+    async handleSaveQuickAccess(obj) {
+        try {
+            const msg = obj.message || {};
+            const deviceId = msg.deviceId || msg.selectedDevice;
+            if (!deviceId) {
+                this.sendTo(obj.from, obj.command, { error: 'No device selected' }, obj.callback);
+                return;
+            }
+
+            // Admin UI sends flat table rows, scripts may send { title, actions, info }
+            const quickAccess = Array.isArray(msg.quickAccess)
+                ? unflattenQuickAccess(msg.quickAccess, msg.quickAccessTitle)
+                : normalizeQuickAccess(msg.quickAccess);
+
+            const errors = validateQuickAccess(quickAccess);
+            if (errors.length > 0) {
+                this.log.warn(`saveQuickAccess: invalid slots: ${errors.join('; ')}`);
+                this.sendTo(obj.from, obj.command, { error: `Invalid slot: ${errors.join('\n')}` }, obj.callback);
+                return;
+            }
+
+            await this.setStateAsync(`devices.${deviceId}.config.quickAccess`, JSON.stringify(quickAccess), true);
+
+            const session = this.sessions.get(deviceId);
+            if (session) {
+                session.setQuickAccess(quickAccess);
+                await this.subscribeToDataSources([session.quickAccessPage]);
+                if (session.currentPage === QUICK_ACCESS_PAGE_ID) {
+                    await session.render();
+                }
+            }
+
+            this.log.info(`saveQuickAccess: Saved quick access for device ${deviceId}`);
+            this.sendTo(obj.from, obj.command, { success: true }, obj.callback);
+        } catch (error) {
+            this.log.error(`Error in saveQuickAccess: ${error.message}`);
+            this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+        }
+    }
+
+    /**
+     * Read the complete configuration of a device (bundle config format)
+     *
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<object>} Normalized bundle config
+     */
+    async readDeviceConfig(deviceId) {
+        const profile = await this.profileManager.captureProfile(deviceId);
+        const stepState = await this.getStateAsync(`devices.${deviceId}.display.brightnessStep`);
+        const quickAccessId = `devices.${deviceId}.config.quickAccess`;
+        const quickAccessState = await this.getStateAsync(quickAccessId);
+        let quickAccess = null;
+        if (quickAccessState && quickAccessState.val) {
+            try {
+                quickAccess = JSON.parse(quickAccessState.val);
+            } catch (e) {
+                this.log.warn(`Invalid JSON in ${quickAccessId}: ${e.message}`);
+            }
+        }
+
+        return normalizeBundleConfig({
+            pages: profile.pages,
+            // Devices without own function keys use the adapter defaults
+            functionKeys: profile.functionKeys.length > 0 ? profile.functionKeys : this.config.functionKeys || [],
+            display: {
+                defaultColor: profile.defaultColor,
+                brightnessStep: stepState?.val,
+                startPage: profile.startPage,
+            },
+            ledMapping: profile.ledMapping,
+            quickAccess,
+        });
+    }
+
+    /**
+     * Handle exportConfig command
+     * Returns the device configuration as a schema-versioned bundle
+     *
+     * @param {object} obj - Message object with deviceId
+     */
+    async handleExportConfig(obj) {
+        try {
+            const deviceId = obj.message?.deviceId || obj.message?.selectedDevice;
+            if (!deviceId) {
+                this.sendTo(obj.from, obj.command, { error: 'No deviceId provided' }, obj.callback);
+                return;
+            }
+
+            const config = await this.readDeviceConfig(deviceId);
+            const bundle = createBundle(config, {
+                deviceId,
+                adapterVersion: require('./package.json').version || '0.0.0',
+            });
+
+            this.log.info(`exportConfig: Exported ${config.pages.length} pages of device ${deviceId}`);
+            this.sendTo(obj.from, obj.command, { bundle }, obj.callback);
+        } catch (error) {
+            this.log.error(`Error in exportConfig: ${error.message}`);
+            this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+        }
+    }
+
+    /**
+     * Handle importConfig command
+     * Applies a bundle to a device (remap, merge/replace); dryRun only reports the changes.
+     *
+     * @param {object} obj - Message object { deviceId, bundle, remap, mode, onConflict, dryRun, ignoreMissingStates }
+     */
+    async handleImportConfig(obj) {
+        try {
+            const msg = obj.message || {};
+            const deviceId = msg.deviceId || msg.selectedDevice;
+            if (!deviceId) {
+                this.sendTo(obj.from, obj.command, { error: 'No deviceId provided' }, obj.callback);
+                return;
+            }
+
+            let imported;
+            try {
+                imported = remapConfig(parseBundle(msg.bundle), msg.remap);
+            } catch (error) {
+                this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+                return;
+            }
+
+            const existing = await this.readDeviceConfig(deviceId);
+            const { config, renamed } = mergeConfig(existing, imported, {
+                mode: msg.mode,
+                onConflict: msg.onConflict,
+            });
+            const diff = diffConfig(existing, config);
+
+            // Referenced states must exist on this system (unless remapped or explicitly ignored)
+            const missingStates = [];
+            for (const stateId of collectStateIds(imported)) {
+                const stateObj = await this.getForeignObjectAsync(stateId);
+                if (!stateObj) {
+                    missingStates.push(stateId);
+                }
+            }
+
+            if (msg.dryRun) {
+                this.sendTo(obj.from, obj.command, { dryRun: true, diff, renamed, missingStates }, obj.callback);
+                return;
+            }
+
+            if (missingStates.length > 0 && !msg.ignoreMissingStates) {
+                this.log.warn(`importConfig: missing states for ${deviceId}: ${missingStates.join(', ')}`);
+                this.sendTo(
+                    obj.from,
+                    obj.command,
+                    { error: `Unknown states: ${missingStates.join(', ')}`, missingStates },
+                    obj.callback
+                );
+                return;
+            }
+
+            const errors = [
+                ...validatePageConditions(config.pages),
+                ...validateFunctionKeyMacros(config.functionKeys),
+                ...validateLedMapping(config.ledMapping),
+                ...validateQuickAccess(config.quickAccess),
+            ];
+            if (errors.length > 0) {
+                this.log.warn(`importConfig: invalid configuration: ${errors.join('; ')}`);
+                this.sendTo(
+                    obj.from,
+                    obj.command,
+                    { error: `Invalid configuration: ${errors.join('\n')}` },
+                    obj.callback
+                );
+                return;
+            }
+
+            await this.resolveDatapointDefaults(config.pages);
+            await this.profileManager.applyProfile(deviceId, {
+                pages: config.pages,
+                functionKeys: config.functionKeys,
+                startPage: config.display.startPage,
+                ledMapping: config.ledMapping,
+                defaultColor: config.display.defaultColor,
+            });
+            await this.setStateAsync(`devices.${deviceId}.display.brightnessStep`, config.display.brightnessStep, true);
+            await this.setStateAsync(
+                `devices.${deviceId}.config.quickAccess`,
+                JSON.stringify(config.quickAccess),
+                true
+            );
+
+            // Keep the active profile in sync with the imported configuration
+            const activeProfile = await this.profileManager.getActiveProfile(deviceId);
+            if (activeProfile) {
+                await this.profileManager.storeProfile(deviceId, activeProfile);
+            }
+
+            const session = this.sessions.get(deviceId);
+            if (session) {
+                await this.reloadSession(session);
+            }
+
+            this.log.info(
+                `importConfig: Imported ${config.pages.length} pages into device ${deviceId} (${msg.mode === 'merge' ? 'merge' : 'replace'})`
+            );
+            this.sendTo(obj.from, obj.command, { success: true, diff, renamed, missingStates }, obj.callback);
+        } catch (error) {
+            this.log.error(`Error in importConfig: ${error.message}`);
+            this.sendTo(obj.from, obj.command, { error: error.message }, obj.callback);
+        }
+    }
+
     /**
      * Handle browseStates command from admin UI
      * Returns list of all ioBroker states for selection in UI
@@ -1833,6 +2376,8 @@ class McduAdapter extends utils.Adapter {
                     hostname: native.hostname || 'unknown',
                     ipAddress: native.ipAddress || 'unknown',
                     version: native.version || 'unknown',
+                    model: native.model || null,
+                    display: native.display || null,
                     firstSeen: native.firstSeen || Date.now(),
                     lastSeen: Date.now(),
                 });
@@ -1888,14 +2433,16 @@ class McduAdapter extends utils.Adapter {
     async handleDeviceAnnouncement(message) {
         try {
             const announcement = JSON.parse(message.toString());
-            const { deviceId, hostname, ipAddress, version } = announcement;
+            const { deviceId, hostname, ipAddress, version, model, display } = announcement;
 
             if (!deviceId) {
                 this.log.warn('Device announcement missing deviceId');
                 return;
             }
 
-            this.log.info(`📡 Device announcement: ${deviceId} (${hostname || 'unknown'} @ ${ipAddress || 'unknown'})`);
+            this.log.info(
+                `📡 Device announcement: ${deviceId} (${hostname || 'unknown'} @ ${ipAddress || 'unknown'}${model ? `, ${model}` : ''}) via ${this.transport.getDeviceTransport(deviceId)}`
+            );
 
             // Check if device is already registered
             const existingDevice = this.deviceRegistry.get(deviceId);
@@ -1906,16 +2453,16 @@ class McduAdapter extends utils.Adapter {
                 existingDevice.hostname = hostname || existingDevice.hostname;
                 existingDevice.ipAddress = ipAddress || existingDevice.ipAddress;
                 existingDevice.version = version || existingDevice.version;
+                existingDevice.model = model || existingDevice.model;
+                existingDevice.display = display || existingDevice.display;
 
                 this.log.debug(`Updated existing device: ${deviceId}`);
 
-                // Load device pages into active config
-                await this.loadDevicePagesIntoConfig(deviceId);
-                await this.initializeRuntime();
+                // Apply the announced geometry before the splash renders
+                await this.applyDeviceProfile(deviceId);
 
-                // Set device for display publishing and show splash
-                this.displayPublisher.setDevice(deviceId);
-                this.displayPublisher.lastContent = null;
+                // Reload device pages into its session and show splash
+                await this.loadDeviceSession(deviceId);
                 await this.showSplashScreen(deviceId);
 
                 // Update lastSeen state
@@ -1927,6 +2474,8 @@ class McduAdapter extends utils.Adapter {
                     hostname: hostname || 'unknown',
                     ipAddress: ipAddress || 'unknown',
                     version: version || 'unknown',
+                    model: model || null,
+                    display: display || null,
                     firstSeen: Date.now(),
                     lastSeen: Date.now(),
                 });
@@ -1941,18 +2490,14 @@ class McduAdapter extends utils.Adapter {
                 });
 
                 this.log.debug(`Created ioBroker objects for device ${deviceId}`);
+                await this.applyDeviceProfile(deviceId);
 
                 // Migration: if device has no pages yet, copy from native.pages
                 await this.migrateDevicePages(deviceId);
                 await this.migrateDeviceFunctionKeys(deviceId);
 
-                // Load device pages into active config
-                await this.loadDevicePagesIntoConfig(deviceId);
-                await this.initializeRuntime();
-
-                // Set device for display publishing and show splash
-                this.displayPublisher.setDevice(deviceId);
-                this.displayPublisher.lastContent = null;
+                // Load device pages into its session and show splash
+                await this.loadDeviceSession(deviceId);
                 await this.showSplashScreen(deviceId);
             }
 
@@ -1966,6 +2511,29 @@ class McduAdapter extends utils.Adapter {
         }
     }
 
+    /**
+     * Store the announced model and display geometry and apply the geometry to the session
+     *
+     * @param {string} deviceId - Device ID
+     * @returns {Promise<void>}
+     */
+    async applyDeviceProfile(deviceId) {
+        const device = this.deviceRegistry.get(deviceId);
+        if (!device) {
+            return;
+        }
+
+        await this.extendObjectAsync(`devices.${deviceId}`, {
+            native: { model: device.model, display: device.display },
+        });
+        await this.setStateAsync(`devices.${deviceId}.info.model`, device.model || '', true);
+
+        const session = this.sessions.get(deviceId);
+        if (session && session.setGeometry(device.display)) {
+            session.pageRenderer.currentPageOffset = 0;
+        }
+    }
+
     /**
      * Migrate native.pages to device's config.pages (one-time migration)
      *
@@ -2010,45 +2578,16 @@ class McduAdapter extends utils.Adapter {
     }
 
     /**
-     * Load device's pages into active config
+     * Load (or reload) a device's configuration into its session.
+     * Persists the adapter's default function keys if the device has none yet.
      *
      * @param {string} deviceId - Device ID
      */
-    async loadDevicePagesIntoConfig(deviceId) {
+    async loadDeviceSession(deviceId) {
         try {
-            const state = await this.getStateAsync(`devices.${deviceId}.config.pages`);
-            if (state && state.val) {
-                const pages = JSON.parse(state.val);
-                if (Array.isArray(pages) && pages.length > 0) {
-                    this.config.pages = pages;
-                    this.log.info(`Loaded ${pages.length} pages from device ${deviceId}`);
-                    // Re-subscribe to data sources now that pages are loaded
-                    await this.subscribeToDataSources();
-                }
-            }
-
-            // Load start page preference
-            const startPageState = await this.getStateAsync(`devices.${deviceId}.config.startPage`);
-            if (startPageState?.val) {
-                this.config.startPage = startPageState.val;
-            } else {
-                this.config.startPage = '';
-            }
-
-            // Also load function keys (fall back to native if device has none)
             const fkState = await this.getStateAsync(`devices.${deviceId}.config.functionKeys`);
-            let fks = [];
-            if (fkState && fkState.val) {
-                try {
-                    fks = JSON.parse(fkState.val);
-                } catch (e) {
-                    this.log.warn(`Invalid function keys JSON for device ${deviceId}: ${e.message}`);
-                }
-            }
-            if (Array.isArray(fks) && fks.length > 0) {
-                this.config.functionKeys = fks;
-                this.log.info(`Loaded ${fks.length} function keys from device ${deviceId}`);
-            } else if (this.config.functionKeys && this.config.functionKeys.length > 0) {
+            const hasDeviceFks = fkState && fkState.val && fkState.val !== '[]';
+            if (!hasDeviceFks && this.config.functionKeys && this.config.functionKeys.length > 0) {
                 // Device has no FK stored — keep native defaults and persist them
                 this.log.info(`No function keys on device ${deviceId}, using native defaults and persisting`);
                 await this.setStateAsync(
@@ -2057,6 +2596,18 @@ class McduAdapter extends utils.Adapter {
                     true
                 );
             }
+
+            const existing = this.sessions.get(deviceId);
+            const session = await this.getDeviceSession(deviceId);
+            if (existing) {
+                // Existing session: re-read configuration (pages may have changed while offline)
+                await session.load();
+                await this.subscribeToDataSources(session.getAllPages());
+                await this.startLedAssignments(session);
+                await this.startStatusBar(session);
+            }
+            session.displayPublisher.lastContent = null;
+            this.log.info(`Loaded ${session.pages.length} pages from device ${deviceId}`);
         } catch (error) {
             this.log.error(`Failed to load pages from device ${deviceId}: ${error.message}`);
         }
@@ -2078,32 +2629,35 @@ class McduAdapter extends utils.Adapter {
                 this.timeoutCheckInterval = null;
                 this.log.debug('Timeout check interval cleared');
             }
-            if (this.splashTimeout) {
-                this.clearTimeout(this.splashTimeout);
-                this.splashTimeout = null;
-            }
-            if (this.notificationTimeout) {
-                this.clearTimeout(this.notificationTimeout);
-                this.notificationTimeout = null;
-            }
 
             if (this.reRenderInterval) {
                 this.clearInterval(this.reRenderInterval);
                 this.reRenderInterval = null;
                 this.log.debug('Re-render interval cleared');
             }
+            if (this.statusBarClockTimer) {
+                this.clearTimeout(this.statusBarClockTimer);
+                this.statusBarClockTimer = null;
+            }
 
-            // Phase 2: Clear confirmation dialog countdown timers
-            if (this.confirmationDialog) {
-                this.confirmationDialog.clear().catch((error) => {
-                    this.log.error(`Failed to clear confirmation dialog: ${error.message}`);
-                });
+            // Phase 2: Stop per-device session timers (splash, notifications, dialog countdowns)
+            if (this.sessions) {
+                for (const session of this.sessions.values()) {
+                    session.dispose();
+                }
+                this.sessions.clear();
+                this.log.debug('Device sessions disposed');
             }
 
             // Phase 3: Disconnect MQTT client gracefully
-            if (this.mqttClient) {
-                this.mqttClient.disconnect();
-                this.log.debug('MQTT client disconnected');
+            if (this.transport) {
+                this.transport.disconnect();
+                this.log.debug('Transports disconnected');
+            }
+            if (this.mqttBroker) {
+                this.mqttBroker.stop();
+                this.mqttBroker = null;
+                this.log.debug('Embedded MQTT broker stopped');
             }
 
             // Phase 4: Clear page cache to free memory
@@ -2117,6 +2671,9 @@ class McduAdapter extends utils.Adapter {
                 this.subscriptions.clear();
                 this.log.debug('Subscriptions cleared');
             }
+            if (this.stateCache) {
+                this.stateCache.clear();
+            }
 
             // Phase 6: Clear device registry
             if (this.deviceRegistry) {
@@ -59,8 +59,11 @@ if [ "$(uname)" = "Linux" ]; then
     echo ""
     echo "Installing udev rule for WinWing MCDU..."
     cat <<'UDEV' | sudo tee /etc/udev/rules.d/99-winwing-mcdu.rules > /dev/null
-# WinWing MCDU-32-CAPTAIN: allow plugdev group access to hidraw device
+# WinWing MCDU-32 (Captain, First Officer, Observer) and PFP-3N: allow plugdev group access to hidraw device
 SUBSYSTEM=="hidraw", ATTRS{idVendor}=="4098", ATTRS{idProduct}=="bb36", MODE="0660", GROUP="plugdev"
+SUBSYSTEM=="hidraw", ATTRS{idVendor}=="4098", ATTRS{idProduct}=="bb3e", MODE="0660", GROUP="plugdev"
+SUBSYSTEM=="hidraw", ATTRS{idVendor}=="4098", ATTRS{idProduct}=="bb3a", MODE="0660", GROUP="plugdev"
+SUBSYSTEM=="hidraw", ATTRS{idVendor}=="4098", ATTRS{idProduct}=="bb35", MODE="0660", GROUP="plugdev"
 UDEV
     sudo udevadm control --reload-rules
     sudo udevadm trigger
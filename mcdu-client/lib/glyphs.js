@@ -0,0 +1,124 @@
+/**
+ * Glyph encoder - maps text to the characters of the MCDU font
+ *
+ * The WinWing font has printable ASCII plus a few special glyphs (degree, delta,
+ * arrows, boxes, ...), which the firmware takes as UTF-8. Any other byte > 0x7F
+ * drops the whole display frame, so every text is encoded before it reaches the
+ * display buffer:
+ *   1. Named tokens: {deg}, {left}, {box}, ... -> glyph of the profile
+ *   2. Unicode glyphs of the font pass; look-alikes (☐, ⇒, ►, º, ...) are mapped to them
+ *   3. Transliteration: Ä -> AE, ß -> ss, é -> e, – -> -, ...
+ *   4. Anything else -> '?'
+ *
+ * Tokens and transliteration change the text length. fitWidth() keeps padded
+ * lines and segments at their width by resizing the widest run of spaces (the
+ * padding or the gap between left and right column).
+ */
+
+// {name} - unknown names are left as they are
+const TOKEN = /\{([a-z]+)\}/gi;
+
+// Unicode look-alikes -> glyph name
+const ALIASES = {
+    'º': 'deg',
+    '˚': 'deg',
+    '∆': 'delta',
+    '⇐': 'left',
+    '⟵': 'left',
+    '⇒': 'right',
+    '⟶': 'right',
+    '⇑': 'up',
+    '⇓': 'down',
+    '◄': 'lefttri',
+    '◁': 'lefttri',
+    '►': 'righttri',
+    '▷': 'righttri',
+    '☐': 'box',
+    '▢': 'box',
+    '⬜': 'box',
+    '◆': 'diamond',
+    '♦': 'diamond',
+    '◊': 'diamond'
+};
+
+// Characters without glyph -> ASCII (accents without entry lose their diacritic)
+const TRANSLITERATION = {
+    'Ä': 'AE',
+    'Ö': 'OE',
+    'Ü': 'UE',
+    'ä': 'ae',
+    'ö': 'oe',
+    'ü': 'ue',
+    'ß': 'ss',
+    'ẞ': 'SS',
+    'Æ': 'AE',
+    'æ': 'ae',
+    'Œ': 'OE',
+    'œ': 'oe',
+    'Ø': 'O',
+    'ø': 'o',
+    '–': '-',
+    '—': '-',
+    '‘': '\'',
+    '’': '\'',
+    '“': '"',
+    '”': '"',
+    '„': '"',
+    '…': '...',
+    '•': '*',
+    '·': '.',
+    '\u00a0': ' '
+};
+
+/**
+ * Create the encoder for a font
+ *
+ * @param {object} glyphs - Glyph name -> character sent to the firmware (profile.glyphs)
+ * @returns {Function} encode(text) -> text with font characters only
+ */
+function createEncoder(glyphs) {
+    const font = new Set(Object.values(glyphs));
+
+    function encodeChar(char) {
+        if (char.charCodeAt(0) <= 0x7F || font.has(char)) return char;
+        if (ALIASES[char] && glyphs[ALIASES[char]]) return glyphs[ALIASES[char]];
+        if (TRANSLITERATION[char] !== undefined) return TRANSLITERATION[char];
+        const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        return /^[\x20-\x7E]+$/.test(base) ? base : '?';
+    }
+
+    return function encode(text) {
+        // NFC first: a decomposed 'e' + U+0301 is one character, not 'e' and '?'
+        const expanded = String(text)
+            .normalize('NFC')
+            .replace(TOKEN, (token, name) => glyphs[name.toLowerCase()] || token);
+        let encoded = '';
+        for (const char of expanded) encoded += encodeChar(char);
+        return encoded;
+    };
+}
+
+/**
+ * Bring encoded text back to a width by resizing its widest run of spaces
+ *
+ * @param {string} text - Encoded text
+ * @param {number} width - Target width
+ * @returns {string} Text of exactly width characters
+ */
+function fitWidth(text, width) {
+    const delta = width - text.length;
+    let gap = null;
+    for (const run of text.matchAll(/ {2,}/g)) {
+        if (!gap || run[0].length > gap[0].length) gap = run;
+    }
+    if (delta !== 0 && gap) {
+        const start = gap.index;
+        const end = start + gap[0].length;
+        const inner = start > 0 && end < text.length;
+        const length = Math.max(inner ? 1 : 0, gap[0].length + delta);
+        text = text.slice(0, start) + ' '.repeat(length) + text.slice(end);
+    }
+    return text.length > width ? text.substring(0, width) : text.padEnd(width, ' ');
+}
+
+module.exports = { ALIASES, TRANSLITERATION, createEncoder, fitWidth };
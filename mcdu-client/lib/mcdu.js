@@ -6,79 +6,99 @@
  * - Linux: hidraw → kernel sends SET_REPORT control transfers for output reports
  *
  * Both paths result in the SET_REPORT control transfers the WinWing firmware requires.
+ *
+ * Model-specific data (USB IDs, geometry, colors, init packets, LED map) comes from
+ * the device profile, see lib/profiles.
+ *
+ * Every character carries a color and a font size (large/small). The firmware selects
+ * the small font by the color code plus the profile's smallFontOffset.
+ *
+ * Hot-plug: a failed read/write marks the device detached ('detach' event). The driver
+ * then polls for the device, re-runs INIT_PACKETS on re-attach and restores the last
+ * display/LED buffer ('attach' event). Writes never throw: an unplug during an LED or
+ * display update must not end the client.
  */
 
-const PAGE_LINES = 14;
-const PAGE_CHARS_PER_LINE = 24;
-
-const VENDOR_ID = 0x4098;
-const PRODUCT_ID = 0xbb36;
-
-const COLORS = {
-    'L': 0x0000,
-    'A': 0x0021,
-    'W': 0x0042,
-    'B': 0x0063,
-    'G': 0x0084,
-    'M': 0x00A5,
-    'R': 0x00C6,
-    'Y': 0x00E7,
-    'E': 0x0108,
-};
-
-const LEDS = {
-    BACKLIGHT: 0,
-    SCREEN_BACKLIGHT: 1,
-    FAIL: 8,
-    FM: 9,
-    MCDU: 10,
-    MENU: 11,
-    FM1: 12,
-    IND: 13,
-    RDY: 14,
-    STATUS: 15,
-    FM2: 16,
-};
-
-const INIT_PACKETS = [
-    [0xf0, 0x0, 0x1, 0x38, 0x32, 0xbb, 0x0, 0x0, 0x1e, 0x1, 0x0, 0x0, 0xc4, 0x24, 0xa, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x18, 0x1, 0x0, 0x0, 0xc4, 0x24, 0xa, 0x0, 0x0, 0x8, 0x0, 0x0, 0x0, 0x34, 0x0, 0x18, 0x0, 0xe, 0x0, 0x18, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0xc4, 0x24, 0xa, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x2, 0x38, 0x0, 0x0, 0x0, 0x1, 0x0, 0x5, 0x0, 0x0, 0x0, 0x2, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0xc4, 0x24, 0xa, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x1, 0x0, 0x6, 0x0, 0x0, 0x0, 0x3, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x3, 0x38, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0x0, 0x0, 0x0, 0xff, 0x4, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0x0, 0xa5, 0xff, 0xff, 0x5, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x4, 0x38, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0xff, 0xff, 0xff, 0xff, 0x6, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0xff, 0xff, 0x0, 0xff, 0x7, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x5, 0x38, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0x3d, 0xff, 0x0, 0xff, 0x8, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0xff, 0x63, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x6, 0x38, 0xff, 0xff, 0x9, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0x0, 0x0, 0xff, 0xff, 0xa, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x7, 0x38, 0x0, 0x0, 0x2, 0x0, 0x0, 0xff, 0xff, 0xff, 0xb, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0x42, 0x5c, 0x61, 0xff, 0xc, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x8, 0x38, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0x77, 0x77, 0x77, 0xff, 0xd, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x2, 0x0, 0x5e, 0x73, 0x79, 0xff, 0xe, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x9, 0x38, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0x20, 0x20, 0x20, 0xff, 0xf, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0x0, 0xa5, 0xff, 0xff, 0x10, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0xa, 0x38, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0xff, 0xff, 0xff, 0xff, 0x11, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0xff, 0xff, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0xb, 0x38, 0xff, 0x12, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0x3d, 0xff, 0x0, 0xff, 0x13, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0xc, 0x38, 0x0, 0x3, 0x0, 0xff, 0x63, 0xff, 0xff, 0x14, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0x0, 0x0, 0xff, 0xff, 0x15, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0xd, 0x38, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0x0, 0xff, 0xff, 0xff, 0x16, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0x42, 0x5c, 0x61, 0xff, 0x17, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0xe, 0x38, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0x77, 0x77, 0x77, 0xff, 0x18, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x3, 0x0, 0x5e, 0x73, 0x79, 0xff, 0x19, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0xf, 0x38, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x4, 0x0, 0x0, 0x0, 0x0, 0x0, 0x1a, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x4, 0x0, 0x1, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x10, 0x38, 0x1b, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x19, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0xe, 0x0, 0x0, 0x0, 0x4, 0x0, 0x2, 0x0, 0x0, 0x0, 0x1c, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x32, 0xbb, 0x0, 0x0, 0x1a, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0x1, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0],
-    [0xf0, 0x0, 0x11, 0x12, 0x2, 0x32, 0xbb, 0x0, 0x0, 0x1c, 0x1, 0x0, 0x0, 0x76, 0x72, 0x19, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0, 0x0],
-];
-
-class MCDU {
-    constructor() {
+const EventEmitter = require('events');
+const { DEFAULT_PROFILE, getProfile, findProfile } = require('./profiles');
+const { COLORS, LEDS } = require('./profiles/mcdu-32');
+const { createEncoder, fitWidth } = require('./glyphs');
+
+// Firmware settle time after INIT_PACKETS before display data is accepted
+const INIT_SETTLE_MS = 3000;
+
+class MCDU extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.profile] - Device profile (default: MCDU-32 Captain)
+     * @param {number} [options.vendorId] - USB vendor ID override (default: from profile)
+     * @param {number} [options.productId] - USB product ID override (default: from profile)
+     * @param {string} [options.serial] - Open the device with this HID serial number
+     * @param {string} [options.path] - Open the device with this HID path (e.g. /dev/hidraw1)
+     */
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.profile = options.profile || getProfile(DEFAULT_PROFILE);
+        this.rows = this.profile.rows;
+        this.encode = createEncoder(this.profile.glyphs);
+        this.columns = this.profile.columns;
         this._hidDevice = null;
         this._buttonPollInterval = null;
+        this._hotplugInterval = null;
+        this._settleTimer = null;
         this.buttonCallback = null;
         this._previouslyPressed = new Set();
+        this.ready = false;
+        this.devicePath = null;
+        this.serialNumber = null;
         this.page = this._createEmptyPage();
         this.colors = this._createEmptyColorBuffer();
+        this.fonts = this._createEmptyFontBuffer();
+        this.ledState = {};
+    }
+
+    /**
+     * List attached devices with a known profile (or the given product ID)
+     *
+     * @returns {Array<{path: string, serialNumber: string, product: string, vendorId: number, productId: number, profile: string|null}>}
+     */
+    static list(vendorId, productId) {
+        const HID = require('node-hid');
+        const seen = new Set();
+        return HID.devices()
+            .filter(info => productId
+                ? info.vendorId === vendorId && info.productId === productId
+                : !!findProfile(info.vendorId, info.productId))
+            .filter(info => info.path && !seen.has(info.path) && seen.add(info.path))
+            .map(info => {
+                const profile = findProfile(info.vendorId, info.productId);
+                return {
+                    path: info.path,
+                    serialNumber: info.serialNumber || '',
+                    product: info.product || '',
+                    vendorId: info.vendorId,
+                    productId: info.productId,
+                    profile: profile ? profile.id : null
+                };
+            });
     }
 
     _createEmptyColorBuffer() {
         const buf = [];
-        for (let i = 0; i < PAGE_LINES; i++) buf.push(Array(PAGE_CHARS_PER_LINE).fill('W'));
+        for (let i = 0; i < this.rows; i++) buf.push(Array(this.columns).fill('W'));
+        return buf;
+    }
+
+    _createEmptyFontBuffer() {
+        const buf = [];
+        for (let i = 0; i < this.rows; i++) buf.push(Array(this.columns).fill('L'));
         return buf;
     }
 
     _createEmptyPage() {
         const page = [];
-        for (let i = 0; i < PAGE_LINES; i++) page.push(' '.repeat(PAGE_CHARS_PER_LINE));
+        for (let i = 0; i < this.rows; i++) page.push(' '.repeat(this.columns));
         return page;
     }
 
@@ -86,11 +106,33 @@ class MCDU {
     // Connection
     // -------------------------------------------------------------------------
 
+    /**
+     * Find the configured device (by path, serial or the first match)
+     */
+    _findDevice() {
+        const devices = MCDU.list(
+            this.options.vendorId || this.profile.vendorId,
+            this.options.productId || this.profile.productId
+        );
+        if (this.options.path) return devices.find(info => info.path === this.options.path) || null;
+        if (this.options.serial) return devices.find(info => info.serialNumber === this.options.serial) || null;
+        return devices[0] || null;
+    }
+
     connect() {
         try {
             const HID = require('node-hid');
-            this._hidDevice = new HID.HID(VENDOR_ID, PRODUCT_ID);
-            console.log(`✓ Connected (node-hid on ${process.platform})`);
+            const info = this._findDevice();
+            if (!info) {
+                const selector = this.options.path || this.options.serial;
+                console.error(`✗ Connect failed: no MCDU found${selector ? ` matching ${selector}` : ''}`);
+                return false;
+            }
+            this._hidDevice = new HID.HID(info.path);
+            this.devicePath = info.path;
+            this.serialNumber = info.serialNumber;
+            this.ready = true;
+            console.log(`✓ Connected (node-hid on ${process.platform}, path ${info.path}, serial ${info.serialNumber || '-'})`);
             return true;
         } catch (err) {
             console.error('✗ Connect failed:', err.message);
@@ -98,14 +140,91 @@ class MCDU {
         }
     }
 
+    isConnected() {
+        return !!this._hidDevice;
+    }
+
+    // -------------------------------------------------------------------------
+    // Hot-plug
+    // -------------------------------------------------------------------------
+
+    /**
+     * Device gone (read/write failed): drop the handle and wait for re-attach
+     */
+    _handleDetach(err) {
+        if (!this._hidDevice) return;
+        console.error(`[HID] device detached: ${err.message}`);
+        try {
+            this._hidDevice.close();
+        } catch (e) {
+            // Handle is already invalid after unplug
+        }
+        this._hidDevice = null;
+        this.ready = false;
+        this._previouslyPressed = new Set();
+        this._clearSettleTimer();
+        this.emit('detach', err);
+    }
+
+    /**
+     * Poll for the device while detached; on re-attach run init and restore the buffers
+     *
+     * @param {number} [intervalMs] - Poll interval (default: 2000)
+     */
+    startHotplug(intervalMs) {
+        this.stopHotplug();
+        this._hotplugInterval = setInterval(() => {
+            if (this._hidDevice || !this._findDevice()) return;
+            if (!this.connect()) return;
+            this.ready = false;
+            if (!this.initDisplay()) return;
+            // Firmware needs to settle after init; display/LED writes are buffered meanwhile
+            this._settleTimer = setTimeout(() => {
+                this.ready = true;
+                this.restore();
+                if (this._hidDevice) this.emit('attach');
+            }, INIT_SETTLE_MS);
+        }, intervalMs || 2000);
+    }
+
+    stopHotplug() {
+        if (this._hotplugInterval) {
+            clearInterval(this._hotplugInterval);
+            this._hotplugInterval = null;
+        }
+        this._clearSettleTimer();
+    }
+
+    _clearSettleTimer() {
+        if (this._settleTimer) {
+            clearTimeout(this._settleTimer);
+            this._settleTimer = null;
+        }
+    }
+
+    /**
+     * Send the buffered page and LED state to the device again
+     */
+    restore() {
+        this.updateDisplay();
+        for (const [ledId, brightness] of Object.entries(this.ledState)) {
+            this.setLED(Number(ledId), brightness);
+        }
+    }
+
     // -------------------------------------------------------------------------
     // Low-level write (node-hid, synchronous on all platforms)
     // -------------------------------------------------------------------------
 
+    /**
+     * Write a report; a failed write marks the device detached instead of throwing
+     *
+     * @returns {boolean} False if the device is gone
+     */
     _write(packet) {
         if (!this._hidDevice) {
             console.error('[HID] write skipped — no device handle');
-            return;
+            return false;
         }
         const buf = Buffer.from(packet);
         console.log(`[HID] write ${buf.length}B  reportId=0x${buf[0].toString(16).padStart(2,'0')}  first8=${buf.slice(0,8).toString('hex')}`);
@@ -115,35 +234,48 @@ class MCDU {
         } catch (err) {
             console.error(`[HID] write FAILED  reportId=0x${buf[0].toString(16).padStart(2,'0')}  error=${err.message}`);
             console.error('[HID] write error stack:', err.stack);
-            throw err;
+            this._handleDetach(err);
+            return false;
         }
         if (result !== buf.length) {
             console.error(`[HID] write short: expected ${buf.length}B, got ${result}B`);
         }
         console.log(`[HID] write result: ${result}`);
+        return true;
     }
 
     // -------------------------------------------------------------------------
     // Display
     // -------------------------------------------------------------------------
 
+    /**
+     * Send the profile's INIT_PACKETS
+     *
+     * @returns {boolean} False if the device went away during init
+     */
     initDisplay() {
-        console.log(`[INIT] Starting display init — ${INIT_PACKETS.length} packets`);
-        for (let i = 0; i < INIT_PACKETS.length; i++) {
-            console.log(`[INIT] Sending packet ${i + 1}/${INIT_PACKETS.length}`);
-            this._write(INIT_PACKETS[i]);
+        const initPackets = this.profile.initPackets;
+        console.log(`[INIT] Starting display init — ${initPackets.length} packets (${this.profile.name})`);
+        for (let i = 0; i < initPackets.length; i++) {
+            console.log(`[INIT] Sending packet ${i + 1}/${initPackets.length}`);
+            if (!this._write(initPackets[i])) return false;
             this._sleepMs(10);
             console.log(`[INIT] Packet ${i + 1} done`);
         }
         console.log('✓ Display initialized');
+        return true;
     }
 
     updateDisplay() {
+        // Detached or settling after init: keep the buffer, restore() sends it later
+        if (!this._hidDevice || !this.ready) return;
+        const colors = this.profile.colors;
         const tmpArray = [];
         for (let lineIdx = 0; lineIdx < this.page.length; lineIdx++) {
             const line = this.page[lineIdx];
-            for (let charIdx = 0; charIdx < PAGE_CHARS_PER_LINE; charIdx++) {
-                const colorCode = COLORS[this.colors[lineIdx][charIdx]] || COLORS.W;
+            for (let charIdx = 0; charIdx < this.columns; charIdx++) {
+                const fontOffset = this.fonts[lineIdx][charIdx] === 'S' ? this.profile.smallFontOffset : 0;
+                const colorCode = (colors[this.colors[lineIdx][charIdx]] || colors.W) + fontOffset;
                 const char = line[charIdx] || ' ';
                 const charCode = char.charCodeAt(0);
                 // Multi-byte UTF-8 characters (degree, arrows, etc.) — firmware supports them natively
@@ -164,11 +296,9 @@ class MCDU {
         for (let i = 0; i < tmpArray.length; i += 63) {
             const pktNum = i / 63 + 1;
             console.log(`[DISPLAY] packet ${pktNum}/${totalPackets}`);
-            try {
-                this._write([0xf2, ...tmpArray.slice(i, i + 63)]);
-            } catch (err) {
-                console.error(`[DISPLAY] packet ${pktNum}/${totalPackets} FAILED: ${err.message}`);
-                throw err;
+            if (!this._write([0xf2, ...tmpArray.slice(i, i + 63)])) {
+                console.error(`[DISPLAY] packet ${pktNum}/${totalPackets} FAILED, device detached`);
+                return;
             }
             this._sleepMs(40);
         }
@@ -183,44 +313,53 @@ class MCDU {
     clear() {
         this.page = this._createEmptyPage();
         this.colors = this._createEmptyColorBuffer();
+        this.fonts = this._createEmptyFontBuffer();
         return this.updateDisplay();
     }
 
     // -------------------------------------------------------------------------
-    // ASCII sanitization
+    // Text encoding
     // -------------------------------------------------------------------------
 
     /**
-     * Replace unsupported non-ASCII characters with ASCII equivalents.
-     * WinWing firmware supports a limited set of multi-byte UTF-8 characters:
-     * °, Δ, ←, ↑, →, ↓, ▶, ◀, □, ◇
-     * All other non-ASCII is replaced to prevent display frame drops.
+     * Encode text for the font of the profile (glyph tokens, look-alikes,
+     * transliteration, see lib/glyphs.js). Anything the firmware cannot show
+     * becomes '?', because unknown bytes > 0x7F drop the whole display frame.
+     *
+     * @param {string} text - Text (may contain {deg}, {left}, {box}, ... tokens)
+     * @param {number} width - Width to keep (the length of the padded source text)
+     * @returns {string}
      */
-    sanitizeAscii(text) {
-        return text
-            .replace(/[äàáâãåÄÀÁÂÃÅ]/g, c => c === c.toUpperCase() ? 'A' : 'a')
-            .replace(/[éèêëÉÈÊË]/g, c => c === c.toUpperCase() ? 'E' : 'e')
-            .replace(/[íìîïÍÌÎÏ]/g, c => c === c.toUpperCase() ? 'I' : 'i')
-            .replace(/[öóòôõÖÓÒÔÕ]/g, c => c === c.toUpperCase() ? 'O' : 'o')
-            .replace(/[üúùûÜÚÙÛ]/g, c => c === c.toUpperCase() ? 'U' : 'u')
-            .replace(/ß/g, 'ss')
-            .replace(/[^\x00-\x7F°Δ←↑→↓▶◀□◇]/g, '?');
+    encodeText(text, width) {
+        return fitWidth(this.encode(text), width);
     }
 
     // -------------------------------------------------------------------------
-    // Lines / colors
+    // Lines / colors / font size
     // -------------------------------------------------------------------------
 
-    setLine(lineNum, textOrSegments, color = 'W') {
-        if (lineNum < 0 || lineNum >= PAGE_LINES) return;
+    /**
+     * Set a display line
+     *
+     * @param {number} lineNum - Line index (0-based)
+     * @param {string|Array<{text: string, color: string, size: string}>} textOrSegments - Text or segments
+     * @param {string} [color] - Color of a text line
+     * @param {string} [size] - Font size of a text line ('large' or 'small')
+     */
+    setLine(lineNum, textOrSegments, color = 'W', size = 'large') {
+        if (lineNum < 0 || lineNum >= this.rows) return;
         if (Array.isArray(textOrSegments)) {
             this._setLineSegments(lineNum, textOrSegments);
         } else {
-            const sanitized = this.sanitizeAscii(textOrSegments);
-            const padded = (sanitized + ' '.repeat(PAGE_CHARS_PER_LINE)).substring(0, PAGE_CHARS_PER_LINE);
-            this.page[lineNum] = padded;
+            const source = String(textOrSegments || '');
+            const encoded = this.encodeText(source, Math.min(source.length, this.columns));
+            this.page[lineNum] = encoded.padEnd(this.columns, ' ');
             const c = this._normalizeColor(color);
-            for (let i = 0; i < PAGE_CHARS_PER_LINE; i++) this.colors[lineNum][i] = c;
+            const f = this._normalizeSize(size);
+            for (let i = 0; i < this.columns; i++) {
+                this.colors[lineNum][i] = c;
+                this.fonts[lineNum][i] = f;
+            }
         }
     }
 
@@ -228,20 +367,27 @@ class MCDU {
         let text = '';
         let charIdx = 0;
         for (const seg of segments) {
-            const t = this.sanitizeAscii(seg.text || '');
+            const t = this.encodeText(seg.text || '', (seg.text || '').length);
             const c = this._normalizeColor(seg.color || 'W');
-            for (let i = 0; i < t.length && charIdx < PAGE_CHARS_PER_LINE; i++) {
+            const f = this._normalizeSize(seg.size);
+            for (let i = 0; i < t.length && charIdx < this.columns; i++) {
                 text += t[i];
+                this.fonts[lineNum][charIdx] = f;
                 this.colors[lineNum][charIdx++] = c;
             }
         }
-        while (charIdx < PAGE_CHARS_PER_LINE) {
+        while (charIdx < this.columns) {
             text += ' ';
+            this.fonts[lineNum][charIdx] = 'L';
             this.colors[lineNum][charIdx++] = 'W';
         }
         this.page[lineNum] = text;
     }
 
+    _normalizeSize(size) {
+        return size === 'small' || size === 'S' ? 'S' : 'L';
+    }
+
     _normalizeColor(color) {
         const map = { white: 'W', amber: 'A', cyan: 'B', blue: 'B', green: 'G', magenta: 'M', red: 'R', yellow: 'Y', grey: 'E', gray: 'E' };
         const n = color.toString().toLowerCase();
@@ -253,8 +399,14 @@ class MCDU {
     // -------------------------------------------------------------------------
 
     setLED(ledId, brightness) {
-        if (typeof ledId === 'string') ledId = LEDS[ledId.toUpperCase()] || 0;
-        const data = [0x02, 0x32, 0xbb, 0, 0, 3, 0x49, ledId, brightness, 0, 0, 0, 0, 0];
+        if (typeof ledId === 'string') {
+            const index = this.profile.leds[ledId.toUpperCase()];
+            if (index === undefined) return; // LED not present on this model
+            ledId = index;
+        }
+        this.ledState[ledId] = brightness;
+        if (!this._hidDevice || !this.ready) return;
+        const data = [...this.profile.ledReport, ledId, brightness, 0, 0, 0, 0, 0];
         this._write(data);
     }
 
@@ -268,7 +420,7 @@ class MCDU {
                 this.setLED(name, brightness);
             }
         } else {
-            for (const id of Object.values(LEDS)) {
+            for (const id of Object.values(this.profile.leds)) {
                 this.setLED(id, ledsObj);
             }
         }
@@ -283,6 +435,7 @@ class MCDU {
         // readTimeout(0): returns immediately, does NOT set O_NONBLOCK on the fd
         // (avoids EAGAIN during updateDisplay bursts)
         this._buttonPollInterval = setInterval(() => {
+            if (!this._hidDevice) return;
             try {
                 let data;
                 while ((data = this._hidDevice.readTimeout(0)) && data.length >= 13) {
@@ -293,6 +446,7 @@ class MCDU {
             } catch (e) {
                 if (e.message && !e.message.includes('timeout')) {
                     console.error('[HID] button read error:', e.message);
+                    this._handleDetach(e);
                 }
             }
         }, pollIntervalMs || 50);
@@ -334,6 +488,7 @@ class MCDU {
     // -------------------------------------------------------------------------
 
     close() {
+        this.stopHotplug();
         this.stopButtonReading();
         if (this._hidDevice) {
             this._hidDevice.close();
@@ -2,8 +2,9 @@
  * MQTT Handler - Manages MQTT connection and message routing
  */
 
-const mqtt = require('mqtt');
 const EventEmitter = require('events');
+const { applyTlsOptions } = require('./mqtt-tls');
+const { createTransport } = require('./transport');
 
 class MqttHandler extends EventEmitter {
     constructor(config) {
@@ -41,7 +42,11 @@ class MqttHandler extends EventEmitter {
             options.password = this.config.mqtt.password;
         }
 
-        this.client = mqtt.connect(this.config.mqtt.broker, options);
+        // CA / client certificate for mqtts:// and wss:// brokers
+        applyTlsOptions(options, this.config.mqtt.broker, this.config.mqtt);
+
+        // MQTT broker or direct WebSocket connection (config.transport.type)
+        this.client = createTransport(this.config.transport, this.config.mqtt.broker, options);
 
         this.client.on('connect', () => this._onConnect());
         this.client.on('message', (topic, message) => this._onMessage(topic, message));
@@ -0,0 +1,47 @@
+/**
+ * MQTT TLS Options - Adds CA, client certificate and key to mqtt.connect() options
+ *
+ * Only applied for TLS brokers (mqtts:// and wss:// URLs).
+ */
+
+const fs = require('fs');
+
+/**
+ * Read a PEM file, with a readable error on failure
+ */
+function readPem(filePath, label) {
+    try {
+        return fs.readFileSync(filePath);
+    } catch (err) {
+        throw new Error(`Cannot read TLS ${label} file "${filePath}": ${err.message}`);
+    }
+}
+
+/**
+ * Add TLS options for the broker URL
+ *
+ * @param {object} options - mqtt.connect() options (modified in place)
+ * @param {string} brokerUrl - Broker URL (mqtt://, mqtts://, ws://, wss://)
+ * @param {object} tls - { caFile, certFile, keyFile, rejectUnauthorized }
+ * @returns {object} options
+ */
+function applyTlsOptions(options, brokerUrl, tls = {}) {
+    if (!/^(mqtts|wss):\/\//i.test(brokerUrl)) {
+        return options;
+    }
+
+    if (tls.caFile) {
+        options.ca = readPem(tls.caFile, 'CA');
+    }
+    if (tls.certFile) {
+        options.cert = readPem(tls.certFile, 'certificate');
+    }
+    if (tls.keyFile) {
+        options.key = readPem(tls.keyFile, 'key');
+    }
+    options.rejectUnauthorized = tls.rejectUnauthorized !== false;
+
+    return options;
+}
+
+module.exports = { applyTlsOptions };
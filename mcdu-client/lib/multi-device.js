@@ -0,0 +1,87 @@
+/**
+ * Multi-MCDU - one worker process per configured MCDU
+ *
+ * MCDU_DEVICES=captain=serial:ABC123,fo=path:/dev/hidraw1
+ *
+ * Each worker runs the regular single-device client with its own device ID
+ * (topic namespace) and HID selector. Separate processes keep the blocking
+ * display writes of one MCDU (~560ms per frame) from stalling the others.
+ */
+
+const { fork } = require('child_process');
+
+const RESTART_DELAY = 5000;
+
+/**
+ * Parse MCDU_DEVICES
+ *
+ * @param {string} spec - Comma-separated deviceId=serial:XXX | deviceId=path:XXX | deviceId=XXX (serial)
+ * @returns {Array<{id: string, serial: string, path: string}>}
+ */
+function parseDevices(spec) {
+    const devices = [];
+    for (const entry of (spec || '').split(',').map(e => e.trim()).filter(Boolean)) {
+        const idx = entry.indexOf('=');
+        if (idx < 1 || idx === entry.length - 1) {
+            throw new Error(`Invalid MCDU_DEVICES entry "${entry}" (expected deviceId=serial:XXX or deviceId=path:XXX)`);
+        }
+        const id = entry.substring(0, idx).trim();
+        const selector = entry.substring(idx + 1).trim();
+        if (devices.some(device => device.id === id)) {
+            throw new Error(`Duplicate device ID "${id}" in MCDU_DEVICES`);
+        }
+        devices.push(selector.startsWith('path:')
+            ? { id, serial: '', path: selector.substring(5) }
+            : { id, serial: selector.replace(/^serial:/, ''), path: '' });
+    }
+    return devices;
+}
+
+/**
+ * Start a worker per device and restart workers that exit
+ *
+ * @param {string} script - Client script to run in the workers
+ * @param {Array<{id: string, serial: string, path: string}>} devices - Configured devices
+ * @param {object} log - Logger
+ * @returns {{stop: Function}} Supervisor; stop(callback) terminates all workers
+ */
+function superviseDevices(script, devices, log) {
+    const workers = new Map();
+    let stopping = false;
+
+    function start(device) {
+        const worker = fork(script, process.argv.slice(2), {
+            env: {
+                ...process.env,
+                MCDU_DEVICES: '',
+                MQTT_CLIENT_ID: device.id,
+                MCDU_HID_SERIAL: device.serial,
+                MCDU_HID_PATH: device.path
+            }
+        });
+        workers.set(device.id, worker);
+        log.info(`Worker ${device.id} started (pid ${worker.pid}, ${device.path ? `path ${device.path}` : `serial ${device.serial}`})`);
+
+        worker.on('exit', (code, signal) => {
+            workers.delete(device.id);
+            if (stopping) return;
+            log.warn(`Worker ${device.id} exited (${signal || code}), restarting in ${RESTART_DELAY / 1000}s`);
+            setTimeout(() => !stopping && start(device), RESTART_DELAY);
+        });
+    }
+
+    devices.forEach(start);
+
+    return {
+        stop(callback) {
+            stopping = true;
+            if (workers.size === 0) return callback && callback();
+            for (const worker of workers.values()) {
+                worker.once('exit', () => workers.size === 0 && callback && callback());
+                worker.kill('SIGTERM');
+            }
+        }
+    };
+}
+
+module.exports = { parseDevices, superviseDevices };
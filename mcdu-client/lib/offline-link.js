@@ -0,0 +1,86 @@
+/**
+ * Offline link - link state and key presses while the adapter is unreachable
+ *
+ * The link is up while the transport is connected and the adapter reports
+ * online (mcdu/adapter/status). While it is down, key presses are
+ *   - reject (default): not sent, the client flashes the FAIL LED
+ *   - buffer: kept (at most bufferSize, the oldest is dropped) and replayed
+ *     after reconnect. Presses older than maxAge seconds are dropped on replay,
+ *     so a press from long ago does not act on whatever page is open by then.
+ */
+
+/**
+ * Create the link state
+ *
+ * @param {object} options - {buttons: 'buffer'|'reject', bufferSize, maxAge (s)}
+ * @param {object} handlers - {onOffline(), onOnline()} called when the link state changes
+ * @param {Function} [now] - Clock (ms), for tests
+ * @returns {object} Link
+ */
+function createLink(options, handlers, now = Date.now) {
+    const link = {
+        transport: false,   // Transport connected
+        adapter: true,      // Adapter online (assumed until the retained status says otherwise)
+        offline: false,     // Link down (overlay shown)
+        // Button presses while offline
+        buffer: /** @type {Array<{button: string, action: string, timestamp: number}>} */ ([]),
+
+        /**
+         * Transport connected / disconnected
+         */
+        setTransport(connected) {
+            link.transport = connected;
+            update();
+        },
+
+        /**
+         * Adapter status (mcdu/adapter/status)
+         */
+        setAdapter(online) {
+            link.adapter = online;
+            update();
+        },
+
+        /**
+         * Key press while offline
+         *
+         * @returns {string|null} 'buffered', 'rejected' or null (releases are ignored)
+         */
+        press(button, action) {
+            if (action !== 'press') return null;
+            if (options.buttons !== 'buffer') return 'rejected';
+            link.buffer.push({button, action, timestamp: now()});
+            if (link.buffer.length > options.bufferSize) {
+                link.buffer.shift();
+            }
+            return 'buffered';
+        },
+
+        /**
+         * Take the buffered presses to replay (empties the buffer)
+         *
+         * @returns {{replay: Array<object>, dropped: number}} Presses younger than maxAge, number of stale ones
+         */
+        takeBuffered() {
+            const buffered = link.buffer.splice(0);
+            const oldest = now() - options.maxAge * 1000;
+            const replay = buffered.filter(event => event.timestamp >= oldest);
+            return {replay, dropped: buffered.length - replay.length};
+        }
+    };
+
+    function update() {
+        const online = link.transport && link.adapter;
+        if (!online && !link.offline) {
+            link.offline = true;
+            handlers.onOffline();
+        } else if (online && link.offline) {
+            link.offline = false;
+            handlers.onOnline();
+        }
+    }
+
+    return link;
+}
+
+module.exports = { createLink };
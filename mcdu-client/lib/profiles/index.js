@@ -0,0 +1,52 @@
+/**
+ * Device Profiles - hardware description per WinWing CDU model
+ *
+ * A profile bundles everything model-specific:
+ *   - USB IDs (vendorId, productId)
+ *   - Display geometry (rows, columns), color table, small font offset and glyphs
+ *   - Init packets and LED report header
+ *   - LED map and button map (logical name -> HID index/code)
+ *
+ * Names are the logical names the adapter understands (LSK1L, MENU, FAIL, ...),
+ * so every model drives the same pages, function keys and LED assignments.
+ * The geometry is announced to the adapter (status/announce).
+ *
+ * Experimental profiles (USB IDs and codes not captured from real hardware) are
+ * never auto-detected; they are only used when selected with MCDU_PROFILE.
+ */
+
+const mcdu32 = require('./mcdu-32');
+const pfp3n = require('./pfp-3n');
+
+const DEFAULT_PROFILE = 'mcdu-32-captain';
+
+const PROFILES = {};
+for (const profile of [mcdu32.captain, mcdu32.firstOfficer, mcdu32.observer, pfp3n]) {
+    PROFILES[profile.id] = profile;
+}
+
+/**
+ * Get a profile by ID
+ *
+ * @param {string} id - Profile ID (e.g. mcdu-32-fo)
+ * @returns {object} Profile
+ */
+function getProfile(id) {
+    const profile = PROFILES[id];
+    if (!profile) {
+        throw new Error(`Unknown device profile "${id}" (available: ${Object.keys(PROFILES).join(', ')})`);
+    }
+    return profile;
+}
+
+/**
+ * Find the profile of an attached device by its USB IDs (experimental profiles excluded)
+ *
+ * @returns {object|null} Profile or null for unknown devices
+ */
+function findProfile(vendorId, productId) {
+    return Object.values(PROFILES).find(profile =>
+        !profile.experimental && profile.vendorId === vendorId && profile.productId === productId) || null;
+}
+
+module.exports = { PROFILES, DEFAULT_PROFILE, getProfile, findProfile };
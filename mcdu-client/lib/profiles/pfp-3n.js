@@ -0,0 +1,50 @@
+/**
+ * Device profile: WinWing PFP-3N (Boeing-style CDU)
+ *
+ * Same display controller as the MCDU-32 (14 x 24, same init sequence and
+ * frame format). Keys and annunciators are mapped to the logical names the
+ * adapter uses, so pages and function keys work unchanged:
+ *   INIT REF -> INIT, RTE -> FPLN, LEGS -> DIR, DEP ARR -> AIRPORT,
+ *   PREV/NEXT PAGE -> SLEW_LEFT/SLEW_RIGHT, EXEC -> OVFY, DEL -> CLR
+ *
+ * EXPERIMENTAL: not verified against a real PFP-3N. The product ID, the key
+ * codes of the Boeing keys and the LED indices are assumptions derived from
+ * the MCDU-32, so the profile is never auto-detected: it is only used with
+ * MCDU_PROFILE=pfp-3n. If a key does nothing, run the client with
+ * LOG_LEVEL=debug to see the raw code of unmapped keys and adjust here.
+ */
+
+const mcdu32 = require('./mcdu-32');
+
+const BUTTONS = {
+    ...mcdu32.captain.buttons,
+    DIR: 12,        // LEGS
+    INIT: 15,       // INIT REF
+    FPLN: 19,       // RTE
+    AIRPORT: 26,    // DEP ARR
+    SLEW_LEFT: 28,  // PREV PAGE
+    SLEW_RIGHT: 30, // NEXT PAGE
+    OVFY: 72,       // EXEC
+    CLR: 73         // DEL / CLR
+};
+
+// Annunciators mapped to the adapter's LED names
+const LEDS = {
+    BACKLIGHT: 0,
+    SCREEN_BACKLIGHT: 1,
+    MCDU: 3,    // CALL
+    IND: 4,     // DSPY
+    FAIL: 5,    // FAIL
+    STATUS: 6,  // MSG
+    RDY: 7      // EXEC
+};
+
+module.exports = {
+    ...mcdu32.captain,
+    id: 'pfp-3n',
+    name: 'WinWing PFP-3N',
+    productId: 0xbb35,      // unverified
+    experimental: true,
+    leds: LEDS,
+    buttons: BUTTONS
+};
@@ -0,0 +1,30 @@
+/**
+ * Transport factory - MQTT broker or direct WebSocket connection to the adapter
+ *
+ * Both return an object with the mqtt.js client API used by the client
+ * (publish/subscribe/end and connect/message/offline/reconnect/error events).
+ */
+
+const mqtt = require('mqtt');
+const WebSocketTransport = require('./ws-transport');
+
+/**
+ * Create the configured transport
+ *
+ * @param {object} transport - { type: 'mqtt'|'websocket', url, token, heartbeatInterval }
+ * @param {string} broker - MQTT broker URL (type mqtt)
+ * @param {object} mqttOptions - mqtt.connect() options; clientId is the device ID
+ * @returns {object} Connected (connecting) client
+ */
+function createTransport(transport, broker, mqttOptions) {
+    if (transport && transport.type === 'websocket') {
+        return new WebSocketTransport(transport.url, {
+            deviceId: mqttOptions.clientId,
+            token: transport.token,
+            heartbeatInterval: transport.heartbeatInterval
+        });
+    }
+    return mqtt.connect(broker, mqttOptions);
+}
+
+module.exports = { createTransport };
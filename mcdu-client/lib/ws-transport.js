@@ -0,0 +1,186 @@
+/**
+ * WebSocket Transport - Direct connection to the adapter without MQTT broker
+ *
+ * Exposes the subset of the mqtt.js client API used by the client
+ * (publish/subscribe/end, events connect/message/offline/reconnect/close/error),
+ * so it can be used wherever an mqtt.js client is expected.
+ *
+ * Protocol: see lib/transport/WebSocketTransport.js in the adapter.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const MAX_RECONNECT_PERIOD = 30000;
+
+class WebSocketTransport extends EventEmitter {
+    /**
+     * @param {string} url - Adapter WebSocket URL (ws://host:8765)
+     * @param {object} options
+     * @param {string} options.deviceId - Device ID (topic namespace)
+     * @param {string} [options.token] - Access token configured in the adapter
+     * @param {number} [options.heartbeatInterval] - Adapter ping interval in ms (default: 15000)
+     * @param {number} [options.reconnectPeriod] - First reconnect delay in ms, doubled up to 30s (default: 1000)
+     */
+    constructor(url, options) {
+        super();
+        this.url = url;
+        this.options = options;
+        this.connected = false;
+        /** @type {WebSocket|null} */
+        this.socket = null;
+        this.subscriptions = new Set();
+        this.reconnectDelay = options.reconnectPeriod || 1000;
+        /** @type {NodeJS.Timeout|undefined} */
+        this.reconnectTimer = undefined;
+        /** @type {NodeJS.Timeout|undefined} */
+        this.heartbeatTimer = undefined;
+        this.ending = false;
+
+        this._open();
+    }
+
+    _open() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.on('open', () => {
+            socket.send(JSON.stringify({
+                type: 'hello',
+                deviceId: this.options.deviceId,
+                token: this.options.token || ''
+            }));
+            this._resetHeartbeat(socket);
+        });
+
+        socket.on('ping', () => this._resetHeartbeat(socket));
+
+        socket.on('message', (data) => {
+            let frame;
+            try {
+                frame = JSON.parse(data.toString());
+            } catch (err) {
+                this.emit('error', new Error(`Invalid frame from adapter: ${err.message}`));
+                return;
+            }
+
+            if (frame.type === 'welcome') {
+                this.connected = true;
+                this.reconnectDelay = this.options.reconnectPeriod || 1000;
+                this.emit('connect');
+            } else if (frame.type === 'error') {
+                this.emit('error', new Error(frame.message));
+            } else if (frame.type === 'publish' && this._isSubscribed(frame.topic)) {
+                this.emit('message', frame.topic, Buffer.from(String(frame.payload)), { retain: !!frame.retain });
+            }
+        });
+
+        socket.on('error', (err) => this.emit('error', err));
+
+        socket.on('close', () => {
+            clearTimeout(this.heartbeatTimer);
+            const wasConnected = this.connected;
+            this.connected = false;
+            if (wasConnected) {
+                this.emit('offline');
+            }
+            this.emit('close');
+            this._scheduleReconnect();
+        });
+    }
+
+    /**
+     * Drop the connection when the adapter stops pinging
+     *
+     * @param {WebSocket} socket - Current connection
+     */
+    _resetHeartbeat(socket) {
+        clearTimeout(this.heartbeatTimer);
+        const interval = this.options.heartbeatInterval || 15000;
+        this.heartbeatTimer = setTimeout(() => {
+            this.emit('error', new Error('Adapter heartbeat lost'));
+            socket.terminate();
+        }, interval * 2.5);
+    }
+
+    _scheduleReconnect() {
+        if (this.ending) {
+            return;
+        }
+        this.reconnectTimer = setTimeout(() => {
+            this.emit('reconnect');
+            this._open();
+        }, this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_PERIOD);
+    }
+
+    _isSubscribed(topic) {
+        for (const pattern of this.subscriptions) {
+            const patternParts = pattern.split('/');
+            const topicParts = topic.split('/');
+            const matches = patternParts.every((part, i) => part === '#' || part === '+' || part === topicParts[i]);
+            if (matches && (patternParts.includes('#') || patternParts.length === topicParts.length)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Reconnect now instead of waiting for the scheduled attempt
+     */
+    reconnect() {
+        if (this.connected || this.ending || (this.socket && this.socket.readyState !== WebSocket.CLOSED)) {
+            return this;
+        }
+        clearTimeout(this.reconnectTimer);
+        this.emit('reconnect');
+        this._open();
+        return this;
+    }
+
+    publish(topic, payload, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+        if (!this.connected || !this.socket) {
+            if (callback) callback(new Error('Not connected'));
+            return this;
+        }
+        this.socket.send(JSON.stringify({
+            type: 'publish',
+            topic,
+            payload: Buffer.isBuffer(payload) ? payload.toString() : String(payload),
+            retain: !!(options && options.retain)
+        }), (err) => callback && callback(err || null));
+        return this;
+    }
+
+    subscribe(topics, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+        }
+        (Array.isArray(topics) ? topics : [topics]).forEach(topic => this.subscriptions.add(topic));
+        if (callback) callback(null);
+        return this;
+    }
+
+    end(force, callback) {
+        if (typeof force === 'function') {
+            callback = force;
+        }
+        this.ending = true;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.heartbeatTimer);
+        if (this.socket && this.socket.readyState !== WebSocket.CLOSED) {
+            this.socket.once('close', () => callback && callback());
+            this.socket.close(1000, 'Client stopping');
+        } else if (callback) {
+            callback();
+        }
+        return this;
+    }
+}
+
+module.exports = WebSocketTransport;
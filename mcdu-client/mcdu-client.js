@@ -9,15 +9,19 @@ require('dotenv').config({ path: require('path').join(__dirname, 'config.env') }
  * Contract: See ../PHASE3A-SPEC.md for MQTT topics and message formats.
  */
 
-const mqtt = require('mqtt');
 const fs = require('fs');
 const path = require('path');
 
 // Import hardware driver (from Phase 2)
 const { MCDU } = require('./lib/mcdu');
+const { parseDevices, superviseDevices } = require('./lib/multi-device');
 
-// Import button mapping (from Phase 2.5)
-const BUTTON_MAP = require('./lib/button-map.json');
+// Device profiles (USB IDs, geometry, LED and button map per model)
+const { DEFAULT_PROFILE, getProfile } = require('./lib/profiles');
+
+const { applyTlsOptions } = require('./lib/mqtt-tls');
+const { createTransport } = require('./lib/transport');
+const { createLink } = require('./lib/offline-link');
 
 // ============================================================================
 // CONFIGURATION
@@ -31,15 +35,46 @@ const CONFIG = {
     password: process.env.MQTT_PASSWORD || '',
     clientId: process.env.MQTT_CLIENT_ID || `mcdu-client-${require('os').hostname()}`,
     keepalive: parseInt(process.env.MQTT_KEEPALIVE) || 60,
-    topicPrefix: process.env.MQTT_TOPIC_PREFIX || 'mcdu'
+    topicPrefix: process.env.MQTT_TOPIC_PREFIX || 'mcdu',
+    // TLS (mqtts:// and wss:// only)
+    tls: {
+      caFile: process.env.MQTT_CA_FILE || '',
+      certFile: process.env.MQTT_CERT_FILE || '',
+      keyFile: process.env.MQTT_KEY_FILE || '',
+      rejectUnauthorized: process.env.MQTT_REJECT_UNAUTHORIZED !== 'false'
+    }
+  },
+  
+  // Transport: 'mqtt' (via broker) or 'websocket' (direct to the adapter)
+  transport: {
+    type: process.env.MCDU_TRANSPORT || 'mqtt',
+    url: process.env.MCDU_WS_URL || 'ws://localhost:8765',
+    token: process.env.MCDU_WS_TOKEN || '',
+    heartbeatInterval: parseInt(process.env.MCDU_WS_HEARTBEAT) || 15000
+  },
+  
+  // Link loss handling (adapter offline or transport disconnected)
+  offline: {
+    text: process.env.OFFLINE_TEXT || 'LINK LOST',                          // Overlay headline
+    buttons: process.env.OFFLINE_BUTTONS === 'buffer' ? 'buffer' : 'reject', // reject|buffer
+    bufferSize: parseInt(process.env.OFFLINE_BUFFER_SIZE) || 10,             // Buffered presses
+    bufferMaxAge: parseInt(process.env.OFFLINE_BUFFER_MAX_AGE) || 30,        // Seconds a buffered press stays valid
+    retryInterval: parseInt(process.env.OFFLINE_RETRY_INTERVAL) || 10        // Seconds between retries
   },
   
   // Hardware
   hardware: {
-    vendorId: parseInt(process.env.MCDU_VENDOR_ID || '0x4098'),
-    productId: parseInt(process.env.MCDU_PRODUCT_ID || '0xbb36')
+    profile: process.env.MCDU_PROFILE || '',                                 // Device profile (default: auto-detect)
+    vendorId: parseInt(process.env.MCDU_VENDOR_ID) || null,                  // USB ID overrides (default: from profile)
+    productId: parseInt(process.env.MCDU_PRODUCT_ID) || null,
+    serial: process.env.MCDU_HID_SERIAL || '',                               // Select MCDU by HID serial
+    path: process.env.MCDU_HID_PATH || '',                                   // Select MCDU by HID path
+    hotplugInterval: parseInt(process.env.MCDU_HOTPLUG_INTERVAL) || 2000     // Re-attach poll (ms)
   },
   
+  // Several MCDUs on one Pi: deviceId=serial:XXX,deviceId=path:XXX (one worker each)
+  devices: process.env.MCDU_DEVICES || '',
+  
   // Performance (Pi 1 optimizations)
   performance: {
     buttonPollRate: parseInt(process.env.BUTTON_POLL_RATE) || 50,      // Hz
@@ -71,6 +106,52 @@ const log = {
   error: (...args) => console.error('[ERROR]', new Date().toISOString(), ...args)
 };
 
+// ============================================================================
+// DEVICES AND PROFILE
+// ============================================================================
+
+// MCDU_DEVICES: several devices run as worker processes (see main),
+// a single entry is handled in this process
+let DEVICES = [];
+try {
+  DEVICES = parseDevices(CONFIG.devices);
+} catch (err) {
+  log.error(err.message);
+  process.exit(1);
+}
+if (DEVICES.length === 1) {
+  CONFIG.mqtt.clientId = DEVICES[0].id;
+  CONFIG.hardware.serial = DEVICES[0].serial;
+  CONFIG.hardware.path = DEVICES[0].path;
+}
+
+/**
+ * Profile from MCDU_PROFILE, else detected from the attached device's USB IDs
+ */
+function resolveProfile() {
+  try {
+    if (CONFIG.hardware.profile) {
+      return getProfile(CONFIG.hardware.profile);
+    }
+    if (!CONFIG.mockMode && DEVICES.length <= 1 && !process.argv.includes('--list')) {
+      const device = MCDU.list().find(info =>
+        CONFIG.hardware.path ? info.path === CONFIG.hardware.path :
+        CONFIG.hardware.serial ? info.serialNumber === CONFIG.hardware.serial : true);
+      if (device) {
+        return getProfile(device.profile);
+      }
+    }
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  return getProfile(DEFAULT_PROFILE);
+}
+
+const PROFILE = resolveProfile();
+const ROWS = PROFILE.rows;
+const COLUMNS = PROFILE.columns;
+
 // ============================================================================
 // STATE MANAGEMENT
 // ============================================================================
@@ -78,29 +159,33 @@ const log = {
 let hardwareReady = false;
 let displayReadyResolve = null;
 
-// Display cache (14 lines × 24 chars)
+// Display cache (ROWS lines × COLUMNS chars, 14 × 24 on the MCDU)
 const displayCache = {
-  lines: Array(14).fill(null).map(() => ({
-    text: '                        ', // 24 spaces
+  lines: Array(ROWS).fill(null).map(() => ({
+    text: ' '.repeat(COLUMNS),
     color: 'white'
   })),
   lastUpdate: 0
 };
 
-// LED cache (11 LEDs)
-const ledCache = {
-  FAIL: false,
-  FM: false,
-  MCDU: false,
-  MENU: false,
-  FM1: false,
-  IND: false,
-  RDY: false,
-  STATUS: false,
-  FM2: false,
-  BACKLIGHT: true,      // Default on
-  SCREEN_BACKLIGHT: true // Default on
-};
+// LED cache (LEDs of the profile; backlights default on)
+const ledCache = defaultLEDs();
+
+function defaultLEDs() {
+  const leds = {};
+  for (const name of Object.keys(PROFILE.leds)) {
+    leds[name] = name === 'BACKLIGHT' || name === 'SCREEN_BACKLIGHT';
+  }
+  return leds;
+}
+
+// Link state: transport connection + adapter status (mcdu/adapter/status), see lib/offline-link.js
+const link = createLink(
+  {buttons: CONFIG.offline.buttons, bufferSize: CONFIG.offline.bufferSize, maxAge: CONFIG.offline.bufferMaxAge},
+  {onOffline: goOffline, onOnline: goOnline}
+);
+let retryAt = 0;        // Next retry (ms timestamp)
+let retryTimer = null;  // Overlay countdown timer
 
 // Statistics
 const stats = {
@@ -116,9 +201,9 @@ const stats = {
 // ============================================================================
 
 /**
- * Pad or truncate text to exactly 24 characters
+ * Pad or truncate text to exactly one display line (24 characters on the MCDU)
  */
-function padOrTruncate(text, length = 24) {
+function padOrTruncate(text, length = COLUMNS) {
   if (!text) return ' '.repeat(length);
   if (text.length > length) return text.substring(0, length);
   return text.padEnd(length, ' ');
@@ -132,6 +217,13 @@ function validateColor(color) {
   return validColors.includes(color) ? color : 'white';
 }
 
+/**
+ * Validate font size (large is the display default)
+ */
+function validateSize(size) {
+  return size === 'small' ? 'small' : 'large';
+}
+
 /**
  * Build MQTT topic with prefix and deviceId
  * Format: mcdu/{deviceId}/{suffix}
@@ -140,6 +232,14 @@ function topic(suffix) {
   return `${CONFIG.mqtt.topicPrefix}/${CONFIG.mqtt.clientId}/${suffix}`;
 }
 
+/**
+ * Center text on the display line
+ */
+function center(text, length = COLUMNS) {
+  const pad = Math.max(0, Math.floor((length - text.length) / 2));
+  return padOrTruncate(' '.repeat(pad) + text, length);
+}
+
 // ============================================================================
 // MQTT CLIENT
 // ============================================================================
@@ -147,7 +247,11 @@ function topic(suffix) {
 let mqttClient = null;
 
 function connectMQTT() {
-  log.info('Connecting to MQTT broker:', CONFIG.mqtt.broker);
+  if (CONFIG.transport.type === 'websocket') {
+    log.info('Connecting to adapter via WebSocket:', CONFIG.transport.url);
+  } else {
+    log.info('Connecting to MQTT broker:', CONFIG.mqtt.broker);
+  }
   
   const options = {
     clientId: CONFIG.mqtt.clientId,
@@ -167,7 +271,16 @@ function connectMQTT() {
     options.password = CONFIG.mqtt.password;
   }
   
-  mqttClient = mqtt.connect(CONFIG.mqtt.broker, options);
+  // CA / client certificate for mqtts:// and wss:// brokers
+  try {
+    applyTlsOptions(options, CONFIG.mqtt.broker, CONFIG.mqtt.tls);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  
+  // MQTT client or WebSocket transport (same client API)
+  mqttClient = createTransport(CONFIG.transport, CONFIG.mqtt.broker, options);
   
   mqttClient.on('connect', () => {
     log.info('MQTT connected');
@@ -183,25 +296,17 @@ function connectMQTT() {
     }), {qos: 1, retain: true});
     
     // Announce device to adapter (Phase 1: Device Registration)
-    const deviceAnnouncement = {
-      deviceId: CONFIG.mqtt.clientId,
-      hostname: require('os').hostname(),
-      ipAddress: getLocalIPAddress(),
-      version: '1.0.0',
-      timestamp: Date.now()
-    };
-    
-    mqttClient.publish(topic('status/announce'), JSON.stringify(deviceAnnouncement), {qos: 1});
-    log.info('📡 Device announced:', deviceAnnouncement.deviceId);
+    publishAnnouncement();
     
-    // Subscribe to command topics
+    // Subscribe to command topics and the adapter status
     const topics = [
       topic('display/set'),
       topic('display/line'),
       topic('display/clear'),
       topic('leds/set'),
       topic('leds/single'),
-      topic('status/ping')
+      topic('status/ping'),
+      adapterStatusTopic()
     ];
     
     mqttClient.subscribe(topics, {qos: 1}, (err) => {
@@ -211,6 +316,8 @@ function connectMQTT() {
         log.info('Subscribed to topics:', topics);
       }
     });
+    
+    link.setTransport(true);
   });
   
   mqttClient.on('message', handleMQTTMessage);
@@ -221,6 +328,11 @@ function connectMQTT() {
   
   mqttClient.on('offline', () => {
     log.warn('MQTT offline, will auto-reconnect...');
+    link.setTransport(false);
+  });
+  
+  mqttClient.on('close', () => {
+    link.setTransport(false);
   });
   
   mqttClient.on('reconnect', () => {
@@ -244,6 +356,11 @@ function handleMQTTMessage(topicStr, message) {
     return;
   }
   
+  if (topicStr === adapterStatusTopic()) {
+    handleAdapterStatus(data);
+    return;
+  }
+  
   // Route to handler
   // Topic format: mcdu/{deviceId}/{command}
   // Extract command part (everything after deviceId)
@@ -275,11 +392,167 @@ function handleMQTTMessage(topicStr, message) {
 }
 
 /**
- * Handle mcdu/display/set - full display update (14 lines)
+ * Publish the device announcement (adapter registers the device and renders it)
+ */
+function publishAnnouncement() {
+  const deviceAnnouncement = {
+    deviceId: CONFIG.mqtt.clientId,
+    hostname: require('os').hostname(),
+    ipAddress: getLocalIPAddress(),
+    version: '1.0.0',
+    model: PROFILE.id,
+    display: {rows: ROWS, columns: COLUMNS},
+    timestamp: Date.now()
+  };
+  
+  mqttClient.publish(topic('status/announce'), JSON.stringify(deviceAnnouncement), {qos: 1});
+  log.info('📡 Device announced:', deviceAnnouncement.deviceId, `(${PROFILE.name}, ${ROWS}x${COLUMNS})`);
+}
+
+// ============================================================================
+// LINK LOSS (ADAPTER OFFLINE / NO CONNECTION)
+// ============================================================================
+
+/**
+ * Adapter status topic (published retained by the adapter, last will: offline)
+ */
+function adapterStatusTopic() {
+  return `${CONFIG.mqtt.topicPrefix}/adapter/status`;
+}
+
+/**
+ * Handle mcdu/adapter/status - adapter online/offline
+ */
+function handleAdapterStatus(data) {
+  log.info('Adapter status:', data.status);
+  link.setAdapter(data.status !== 'offline');
+}
+
+/**
+ * Link lost: show the offline overlay with the retry countdown
+ */
+function goOffline() {
+  log.warn(link.transport ? 'Adapter offline' : 'Connection lost', '- showing offline overlay');
+  retryAt = Date.now() + CONFIG.offline.retryInterval * 1000;
+  retryTimer = setInterval(() => {
+    if (Date.now() >= retryAt) {
+      retryLink();
+      retryAt = Date.now() + CONFIG.offline.retryInterval * 1000;
+    }
+    renderOfflineOverlay();
+  }, 1000);
+  renderOfflineOverlay();
+}
+
+/**
+ * Link restored: remove the overlay, request a redraw and replay buffered presses
+ */
+function goOnline() {
+  log.info('Link restored - requesting full redraw');
+  clearInterval(retryTimer);
+  retryTimer = null;
+  
+  // Put the last page back until the adapter's redraw arrives
+  restoreCachedDisplay();
+  mqttClient.publish(topic('status/refresh'), JSON.stringify({timestamp: Date.now()}), {qos: 1});
+  
+  // Replay button presses buffered while offline (stale ones are dropped)
+  const {replay, dropped} = link.takeBuffered();
+  if (dropped > 0) {
+    log.info('Dropped', dropped, `buffered button presses older than ${CONFIG.offline.bufferMaxAge}s`);
+  }
+  if (replay.length > 0) {
+    log.info('Replaying', replay.length, 'buffered button presses');
+    replay.forEach(event => publishButtonEvent(event.button, event.action, event.timestamp));
+  }
+}
+
+/**
+ * Retry while offline: reconnect the transport, or re-announce to wake the adapter side
+ */
+function retryLink() {
+  if (!link.transport) {
+    if (mqttClient && typeof mqttClient.reconnect === 'function' && !mqttClient.reconnecting && !mqttClient.connected) {
+      log.info('Retrying connection...');
+      mqttClient.reconnect();
+    }
+  } else {
+    publishAnnouncement();
+  }
+}
+
+/**
+ * Draw the offline overlay over the (stale) page
+ */
+function renderOfflineOverlay() {
+  if (!hardwareReady || CONFIG.mockMode || !mcdu) return;
+  
+  const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+  const overlay = {
+    5: {text: '', color: 'white'},
+    6: {text: center(CONFIG.offline.text), color: 'red'},
+    7: {text: center(link.transport ? 'ADAPTER OFFLINE' : 'NO CONNECTION'), color: 'amber'},
+    8: {text: center(`RETRY IN ${seconds}S`), color: 'white'},
+    9: {text: '', color: 'white'},
+    [ROWS - 1]: {text: link.buffer.length > 0 ? `${link.buffer.length} KEYS QUEUED` : '', color: 'amber'}
+  };
+  
+  displayCache.lines.forEach((line, i) => {
+    const entry = overlay[i] || line;
+    if (entry.segments) {
+      mcdu.setLine(i, entry.segments);
+    } else {
+      mcdu.setLine(i, padOrTruncate(entry.text), entry.color, entry.size);
+    }
+  });
+  updateDisplay();
+}
+
+/**
+ * Render the cached page again (after the overlay)
+ */
+function restoreCachedDisplay() {
+  if (!hardwareReady || CONFIG.mockMode || !mcdu) return;
+  displayCache.lines.forEach((line, i) => {
+    if (line.segments) {
+      mcdu.setLine(i, line.segments);
+    } else {
+      mcdu.setLine(i, line.text, line.color, line.size);
+    }
+  });
+  updateDisplay();
+}
+
+/**
+ * Button pressed while offline: buffer it, or reject it with a FAIL LED flash
+ */
+function handleOfflineButton(button, action) {
+  const result = link.press(button, action);
+  if (result === 'buffered') {
+    log.debug('Offline, buffered button:', button);
+    renderOfflineOverlay();
+    return;
+  }
+  if (result !== 'rejected') return;
+  
+  log.debug('Offline, rejected button:', button);
+  if (!CONFIG.mockMode && mcdu) {
+    mcdu.setLED('FAIL', 255);
+    setTimeout(() => mcdu.setLED('FAIL', ledBrightness(ledCache.FAIL)), 300);
+  }
+}
+
+function ledBrightness(value) {
+  if (typeof value === 'boolean') return value ? 255 : 0;
+  return typeof value === 'number' ? value : 0;
+}
+
+/**
+ * Handle mcdu/display/set - full display update (one entry per row, 14 on the MCDU)
  */
 function handleDisplaySet(data) {
-  if (!Array.isArray(data.lines) || data.lines.length !== 14) {
-    log.error('Invalid display/set: expected 14 lines');
+  if (!Array.isArray(data.lines) || data.lines.length !== ROWS) {
+    log.error(`Invalid display/set: expected ${ROWS} lines`);
     return;
   }
 
@@ -293,23 +566,31 @@ function handleDisplaySet(data) {
   log.info('Display set received:', data.lines.length, 'lines, line0:', (data.lines[0] && data.lines[0].text || '').trim());
 
   data.lines.forEach((line, i) => {
-    const text = padOrTruncate(line.text, 24);
+    const text = padOrTruncate(line.text);
     const color = validateColor(line.color);
+    const size = validateSize(line.size);
 
     if (line.segments && Array.isArray(line.segments)) {
       // Per-side color segments
       const validSegments = line.segments.map(seg => ({
         text: seg.text || '',
-        color: validateColor(seg.color)
+        color: validateColor(seg.color),
+        size: validateSize(seg.size)
       }));
-      displayCache.lines[i] = {text, color, segments: validSegments};
-      if (!CONFIG.mockMode && mcdu) mcdu.setLine(i, validSegments);
+      displayCache.lines[i] = {text, color, size, segments: validSegments};
+      if (!CONFIG.mockMode && mcdu && !link.offline) mcdu.setLine(i, validSegments);
     } else {
-      displayCache.lines[i] = {text, color};
-      if (!CONFIG.mockMode && mcdu) mcdu.setLine(i, text, color);
+      displayCache.lines[i] = {text, color, size};
+      if (!CONFIG.mockMode && mcdu && !link.offline) mcdu.setLine(i, text, color, size);
     }
   });
 
+  // Offline: keep the overlay on top of the updated page
+  if (link.offline) {
+    renderOfflineOverlay();
+    return;
+  }
+
   // Render directly — bypass throttle for explicit full-screen updates from adapter
   if (!CONFIG.mockMode && mcdu) {
     try {
@@ -326,11 +607,11 @@ function handleDisplaySet(data) {
 
 /**
  * Handle mcdu/display/line - single line update
- * Supports both simple (text + color) and segments (array of {text, color})
+ * Supports both simple (text + color + size) and segments (array of {text, color, size})
  */
 function handleDisplayLine(data) {
   // Validate
-  if (data.lineNumber < 1 || data.lineNumber > 14) {
+  if (data.lineNumber < 1 || data.lineNumber > ROWS) {
     log.error('Invalid lineNumber:', data.lineNumber);
     return;
   }
@@ -344,31 +625,37 @@ function handleDisplayLine(data) {
     // Validate segments
     const validSegments = data.segments.map(seg => ({
       text: seg.text || '',
-      color: validateColor(seg.color)
+      color: validateColor(seg.color),
+      size: validateSize(seg.size)
     }));
     
     // Cache as segments (for display state tracking)
     displayCache.lines[idx] = {segments: validSegments};
     
-    if (!CONFIG.mockMode) {
+    if (!CONFIG.mockMode && !link.offline) {
       mcdu.setLine(idx, validSegments);
     }
   } else {
     // Simple mode: single color for entire line (backward compatible)
     log.debug('Display line:', data.lineNumber, data.text);
     
-    const text = padOrTruncate(data.text, 24);
+    const text = padOrTruncate(data.text);
     const color = validateColor(data.color);
+    const size = validateSize(data.size);
     
-    displayCache.lines[idx] = {text, color};
+    displayCache.lines[idx] = {text, color, size};
     
-    if (!CONFIG.mockMode) {
-      mcdu.setLine(idx, text, color);
+    if (!CONFIG.mockMode && !link.offline) {
+      mcdu.setLine(idx, text, color, size);
     }
   }
   
-  // Render (throttled)
-  updateDisplay();
+  // Render (throttled); offline the overlay stays on top
+  if (link.offline) {
+    renderOfflineOverlay();
+  } else {
+    updateDisplay();
+  }
 }
 
 /**
@@ -380,12 +667,14 @@ function handleDisplayClear(data) {
   // Reset cache
   displayCache.lines.forEach((line, i) => {
     displayCache.lines[i] = {
-      text: '                        ',
+      text: ' '.repeat(COLUMNS),
       color: 'white'
     };
   });
   
-  if (!CONFIG.mockMode) {
+  if (link.offline) {
+    renderOfflineOverlay();
+  } else if (!CONFIG.mockMode) {
     mcdu.clear();
   }
   
@@ -571,10 +860,12 @@ function handleButtonCodes(buttonCodes) {
 function connectHardwareEarly() {
   if (CONFIG.mockMode) return;
   try {
-    mcdu = new MCDU();
+    mcdu = new MCDU({...CONFIG.hardware, profile: PROFILE});
+    mcdu.on('detach', handleDetach);
+    mcdu.on('attach', handleAttach);
+    mcdu.startHotplug(CONFIG.hardware.hotplugInterval);
     if (!mcdu.connect()) {
-      log.error('Failed to open MCDU USB device — running without hardware');
-      mcdu = null;
+      log.warn('MCDU USB device not found — waiting for it to be plugged in');
       return;
     }
     log.info('MCDU connected');
@@ -586,6 +877,21 @@ function connectHardwareEarly() {
   }
 }
 
+/**
+ * MCDU unplugged: display/LED updates keep going to the driver buffer
+ */
+function handleDetach(err) {
+  log.warn('MCDU detached:', err.message, '— waiting for re-attach');
+  stats.errors++;
+}
+
+/**
+ * MCDU plugged in again: the driver re-ran init and restored display + LEDs
+ */
+function handleAttach() {
+  log.info('MCDU attached (path', mcdu.devicePath + ') — display and LEDs restored');
+}
+
 function renderInitialDisplay(displayData) {
   if (CONFIG.mockMode) {
     startMockButtonEvents();
@@ -594,22 +900,24 @@ function renderInitialDisplay(displayData) {
   if (!mcdu) return;
   try {
     const lines = (displayData && displayData.lines) ||
-      Array(14).fill({text: '                        ', color: 'white'});
+      Array(ROWS).fill({text: ' '.repeat(COLUMNS), color: 'white'});
 
     lines.forEach((line, i) => {
-      const text = padOrTruncate(line.text, 24);
+      const text = padOrTruncate(line.text);
       const color = validateColor(line.color);
+      const size = validateSize(line.size);
 
       if (line.segments && Array.isArray(line.segments)) {
         const validSegments = line.segments.map(seg => ({
           text: seg.text || '',
-          color: validateColor(seg.color)
+          color: validateColor(seg.color),
+          size: validateSize(seg.size)
         }));
-        displayCache.lines[i] = {text, color, segments: validSegments};
+        displayCache.lines[i] = {text, color, size, segments: validSegments};
         mcdu.setLine(i, validSegments);
       } else {
-        displayCache.lines[i] = {text, color};
-        mcdu.setLine(i, text, color);
+        displayCache.lines[i] = {text, color, size};
+        mcdu.setLine(i, text, color, size);
       }
     });
 
@@ -632,7 +940,7 @@ function renderInitialDisplay(displayData) {
  * Reverse button map (code → name)
  */
 const BUTTON_CODE_TO_NAME = {};
-for (const [name, code] of Object.entries(BUTTON_MAP)) {
+for (const [name, code] of Object.entries(PROFILE.buttons)) {
   BUTTON_CODE_TO_NAME[code] = name;
 }
 
@@ -642,7 +950,11 @@ for (const [name, code] of Object.entries(BUTTON_MAP)) {
  * @returns {string|null} - Button name or null
  */
 function getButtonName(code) {
-  return BUTTON_CODE_TO_NAME[code] || null;
+  const name = BUTTON_CODE_TO_NAME[code] || null;
+  if (!name) {
+    log.debug('Unmapped button code:', code, `(${PROFILE.id})`);
+  }
+  return name;
 }
 
 /**
@@ -653,11 +965,19 @@ function handleButtonEvent(button, action) {
     log.debug('Button:', button, action);
   }
   
-  // Publish to MQTT
+  if (link.offline) {
+    handleOfflineButton(button, action);
+    return;
+  }
+  
+  publishButtonEvent(button, action, Date.now());
+}
+
+function publishButtonEvent(button, action, timestamp) {
   mqttClient.publish(topic('buttons/event'), JSON.stringify({
     button,
     action,
-    timestamp: Date.now()
+    timestamp
   }), {qos: 1});
   
   stats.buttonsSent++;
@@ -713,6 +1033,7 @@ function getLocalIPAddress() {
  */
 function publishError(message, code, err) {
   stats.errors++;
+  if (!mqttClient) return;
   
   mqttClient.publish(topic('status/error'), JSON.stringify({
     error: message,
@@ -727,6 +1048,7 @@ function publishError(message, code, err) {
 // ============================================================================
 
 let shuttingDown = false;
+let supervisor = null;
 
 function shutdown() {
   if (shuttingDown) return;
@@ -734,28 +1056,27 @@ function shutdown() {
   
   log.info('Shutting down...');
   
+  // Multi-MCDU: stop the workers (each shuts its device down)
+  if (supervisor) {
+    supervisor.stop(() => process.exit(0));
+    setTimeout(() => {
+      log.warn('Forced exit after timeout');
+      process.exit(1);
+    }, 5000);
+    return;
+  }
+  
   // CRITICAL: Stop button reading FIRST to clean up the node-hid read thread.
   // If the process exits with an active data listener, node-hid's read thread
   // can corrupt the USB endpoint state, making the display unresponsive on next open.
   if (!CONFIG.mockMode && mcdu) {
     try {
+      mcdu.stopHotplug();
       mcdu.stopButtonReading();
       log.info('Button reading stopped');
 
       // Turn off LEDs — do NOT send display data (0xf2) before exit.
-      mcdu.setAllLEDs({
-        FAIL: false,
-        FM: false,
-        MCDU: false,
-        MENU: false,
-        FM1: false,
-        IND: false,
-        RDY: false,
-        STATUS: false,
-        FM2: false,
-        BACKLIGHT: true,
-        SCREEN_BACKLIGHT: true
-      });
+      mcdu.setAllLEDs(defaultLEDs());
     } catch (err) {
       log.error('Error during shutdown cleanup:', err.message);
     }
@@ -795,12 +1116,42 @@ process.on('uncaughtException', (err) => {
 // MAIN
 // ============================================================================
 
+/**
+ * --list: print attached MCDUs with serial and path (for MCDU_DEVICES / MCDU_HID_*)
+ */
+function listDevices() {
+  const devices = MCDU.list(CONFIG.hardware.vendorId, CONFIG.hardware.productId);
+  if (devices.length === 0) {
+    console.log('No MCDU found');
+  }
+  devices.forEach(device => {
+    console.log(`serial:${device.serialNumber || '-'}  path:${device.path}  ${device.profile || 'unknown profile'}  ${device.product}`);
+  });
+}
+
 async function main() {
+  if (process.argv.includes('--list')) {
+    listDevices();
+    return;
+  }
+  
+  // Several MCDUs: one worker process per device
+  if (DEVICES.length > 1) {
+    log.info('=== MCDU MQTT Client v1.0.0 ===');
+    log.info('Devices:', DEVICES.map(device => device.id).join(', '));
+    supervisor = superviseDevices(__filename, DEVICES, log);
+    return;
+  }
+  
   log.info('=== MCDU MQTT Client v1.0.0 ===');
   log.info('Platform:', require('os').platform(), require('os').arch());
   log.info('Node.js:', process.version);
   log.info('Hostname:', require('os').hostname());
   log.info('Mock mode:', CONFIG.mockMode);
+  log.info('Profile:', PROFILE.name, `(${ROWS}x${COLUMNS})`);
+  if (PROFILE.experimental) {
+    log.warn(`Profile ${PROFILE.id} is experimental (USB IDs, key codes and LEDs not verified on hardware)`);
+  }
   log.info('===============================');
 
   // 1. Init hardware (just init, no wait yet)
@@ -836,6 +1187,11 @@ async function main() {
 
   hardwareReady = true;
   log.info('Ready');
+  
+  // Link lost during startup: show the overlay now that the display is ready
+  if (link.offline) {
+    renderOfflineOverlay();
+  }
 }
 
 // Start
@@ -0,0 +1,87 @@
+'use strict';
+
+const { expect } = require('chai');
+const { computeButtonValue } = require('../../lib/utils/buttonAction');
+
+describe('Button Actions', () => {
+    const number = { type: 'number', min: 0, max: 100 };
+
+    describe('toggle', () => {
+        it('should invert the current value (default action)', () => {
+            expect(computeButtonValue({ type: 'datapoint' }, true)).to.equal(false);
+            expect(computeButtonValue({ type: 'datapoint', action: 'toggle' }, null)).to.equal(true);
+        });
+    });
+
+    describe('set', () => {
+        it('should write the fixed value converted to the datapoint type', () => {
+            expect(computeButtonValue({ action: 'set', value: '21.5' }, 18, { type: 'number' })).to.equal(21.5);
+            expect(computeButtonValue({ action: 'set', value: 'false' }, true, { type: 'boolean' })).to.equal(false);
+            expect(computeButtonValue({ action: 'set', value: 3 }, '', { type: 'string' })).to.equal('3');
+        });
+
+        it('should reject values that do not fit the type', () => {
+            expect(() => computeButtonValue({ action: 'set', value: 'abc' }, 1, { type: 'number' })).to.throw(
+                'not a number'
+            );
+            expect(() => computeButtonValue({ action: 'set' }, 1, {})).to.throw('no value');
+        });
+    });
+
+    describe('step', () => {
+        it('should add the step and clamp to common.min/max', () => {
+            expect(computeButtonValue({ action: 'step', step: 10 }, 50, number)).to.equal(60);
+            expect(computeButtonValue({ action: 'step', step: 10 }, 95, number)).to.equal(100);
+            expect(computeButtonValue({ action: 'step', step: -10 }, 5, number)).to.equal(0);
+        });
+
+        it('should prefer button limits over common.min/max', () => {
+            expect(computeButtonValue({ action: 'step', step: 10, max: 80 }, 75, number)).to.equal(80);
+        });
+
+        it('should avoid floating point noise for fractional steps', () => {
+            expect(computeButtonValue({ action: 'step', step: 0.1 }, 20.1, { type: 'number' })).to.equal(20.2);
+            expect(computeButtonValue({ action: 'step', step: 0.5 }, 21, { type: 'number' })).to.equal(21.5);
+        });
+
+        it('should treat increment/decrement as steps of 1 with limits', () => {
+            expect(computeButtonValue({ action: 'increment' }, 4, number)).to.equal(5);
+            expect(computeButtonValue({ action: 'decrement' }, 0, number)).to.equal(0);
+            expect(computeButtonValue({ action: 'decrement', step: 5 }, 20, number)).to.equal(15);
+        });
+
+        it('should start from 0 for non-numeric values', () => {
+            expect(computeButtonValue({ action: 'step', step: 2 }, null, {})).to.equal(2);
+        });
+    });
+
+    describe('cycle', () => {
+        it('should rotate through common.states', () => {
+            const meta = { type: 'number', states: { 0: 'AUS', 1: 'AUTO', 2: 'MANUELL' } };
+            expect(computeButtonValue({ action: 'cycle' }, 0, meta)).to.equal(1);
+            expect(computeButtonValue({ action: 'cycle' }, 2, meta)).to.equal(0);
+        });
+
+        it('should support array and legacy string states', () => {
+            expect(computeButtonValue({ action: 'cycle' }, 1, { type: 'number', states: ['A', 'B', 'C'] })).to.equal(2);
+            expect(
+                computeButtonValue({ action: 'cycle' }, 'on', { type: 'string', states: 'off:Aus;on:Ein' })
+            ).to.equal('off');
+        });
+
+        it('should prefer a user list and start at the first value for unknown current values', () => {
+            const button = { action: 'cycle', values: '0,50,100' };
+            expect(computeButtonValue(button, 50, { type: 'number' })).to.equal(100);
+            expect(computeButtonValue(button, 33, { type: 'number' })).to.equal(0);
+            expect(computeButtonValue({ action: 'cycle', values: ['eco', 'comfort'] }, 'comfort', {})).to.equal('eco');
+        });
+
+        it('should fail without values', () => {
+            expect(() => computeButtonValue({ action: 'cycle' }, 1, { type: 'number' })).to.throw('no values');
+        });
+    });
+
+    it('should return undefined for unknown actions', () => {
+        expect(computeButtonValue({ action: 'explode' }, 1, {})).to.equal(undefined);
+    });
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const { expect } = require('chai');
+const ConfirmationDialog = require('../../lib/input/ConfirmationDialog');
+const { requiresConfirmation, describeButtonAction } = require('../../lib/utils/buttonAction');
+const { createMockAdapter, createMockDisplayPublisher, loadAdapterClass } = require('./testHelper');
+
+describe('Button Confirmation', () => {
+    describe('requiresConfirmation', () => {
+        it('should require confirmation for soft, hard and countdown', () => {
+            for (const confirm of ['soft', 'hard', 'countdown']) {
+                expect(requiresConfirmation({ type: 'datapoint', confirm })).to.be.true;
+            }
+        });
+
+        it('should not require confirmation for none or missing config', () => {
+            expect(requiresConfirmation({ type: 'datapoint', confirm: 'none' })).to.be.false;
+            expect(requiresConfirmation({ type: 'datapoint' })).to.be.false;
+            expect(requiresConfirmation(null)).to.be.false;
+        });
+    });
+
+    describe('describeButtonAction', () => {
+        it('should describe navigation, datapoint and macro buttons', () => {
+            expect(describeButtonAction({ type: 'navigation', target: 'klima' })).to.deep.equal(['GEHE ZU klima']);
+            expect(describeButtonAction({ type: 'datapoint', action: 'toggle', target: 'a.0.b' })).to.deep.equal([
+                'TOGGLE a.0.b',
+            ]);
+            expect(describeButtonAction({ type: 'macro', macro: 'set a.0.b=1; goto home' })).to.deep.equal([
+                'set a.0.b=1',
+                'goto home',
+            ]);
+        });
+
+        it('should use the datapoint display source for datapoint LSKs', () => {
+            const button = { type: 'datapoint', target: '' };
+            const display = { type: 'datapoint', source: 'lock.0.door' };
+            expect(describeButtonAction(button, display)).to.deep.equal(['AENDERN lock.0.door']);
+        });
+    });
+
+    describe('ConfirmationDialog.showForButton', () => {
+        let adapter;
+        let displayPublisher;
+        let dialog;
+
+        beforeEach(() => {
+            adapter = createMockAdapter();
+            displayPublisher = createMockDisplayPublisher();
+            dialog = new ConfirmationDialog(adapter, displayPublisher);
+        });
+
+        afterEach(async () => {
+            await dialog.clear();
+        });
+
+        it('should show a soft confirmation with custom title and details', async () => {
+            await dialog.showForButton(
+                { confirm: 'soft', confirmTitle: 'ALLE LICHTER AUS', confirmDetails: ['12 LAMPEN'] },
+                ['DEFAULT'],
+                async () => {}
+            );
+
+            expect(dialog.dialogType).to.equal('soft');
+            expect(dialog.title).to.equal('ALLE LICHTER AUS');
+            expect(dialog.details).to.deep.equal(['12 LAMPEN']);
+        });
+
+        it('should fall back to default title and details', async () => {
+            await dialog.showForButton({ confirm: 'soft' }, ['GEHE ZU home'], async () => {});
+
+            expect(dialog.title).to.equal('AKTION BESTAETIGEN');
+            expect(dialog.details).to.deep.equal(['GEHE ZU home']);
+        });
+
+        it('should only accept OVFY for hard confirmation', async () => {
+            let confirmed = false;
+            await dialog.showForButton({ confirm: 'hard', confirmTitle: 'TUER ENTRIEGELN' }, [], async () => {
+                confirmed = true;
+            });
+            adapter.setTimeout = () => null;
+
+            await dialog.handleResponse('LSK6R');
+            expect(confirmed).to.be.false;
+
+            await dialog.handleResponse('OVFY');
+            expect(confirmed).to.be.true;
+            expect(dialog.isActive()).to.be.false;
+        });
+
+        it('should start a countdown with the configured seconds', async () => {
+            await dialog.showForButton({ confirm: 'countdown', confirmSeconds: 3 }, [], async () => {});
+
+            expect(dialog.dialogType).to.equal('countdown');
+            expect(dialog.countdownSeconds).to.equal(3);
+        });
+
+        it('should not run the action on cancel', async () => {
+            let confirmed = false;
+            await dialog.showForButton({ confirm: 'soft' }, [], async () => {
+                confirmed = true;
+            });
+
+            await dialog.handleResponse('LSK6L');
+            expect(confirmed).to.be.false;
+            expect(dialog.isActive()).to.be.false;
+        });
+    });
+
+    describe('executeButtonAction', () => {
+        let adapter;
+        let dialog;
+        let calls;
+        let context;
+
+        beforeEach(() => {
+            adapter = createMockAdapter();
+            dialog = new ConfirmationDialog(adapter, createMockDisplayPublisher());
+            calls = [];
+            adapter.renderCurrentPage = async (deviceId) => {
+                calls.push(['render', deviceId]);
+            };
+            context = {
+                log: adapter.log,
+                getDeviceSession: async (deviceId) => (deviceId ? { deviceId, confirmationDialog: dialog } : null),
+                runButtonAction: async (button, deviceId) => {
+                    calls.push(['run', button.target, deviceId]);
+                },
+            };
+        });
+
+        afterEach(async () => {
+            await dialog.clear();
+        });
+
+        let McduAdapter;
+        before(() => {
+            McduAdapter = loadAdapterClass();
+        });
+
+        const execute = (button, deviceId) => McduAdapter.prototype.executeButtonAction.call(context, button, deviceId);
+
+        it('should run buttons without confirmation directly', async () => {
+            await execute({ type: 'navigation', target: 'home' }, 'dev1');
+
+            expect(dialog.isActive()).to.be.false;
+            expect(calls).to.deep.equal([['run', 'home', 'dev1']]);
+        });
+
+        it('should run the action on confirm after the page is restored', async () => {
+            await execute({ type: 'navigation', target: 'klima', confirm: 'soft' }, 'dev1');
+            expect(dialog.isActive()).to.be.true;
+            expect(dialog.details).to.deep.equal(['GEHE ZU klima']);
+            expect(calls).to.deep.equal([]);
+
+            await dialog.handleResponse('OVFY');
+            expect(calls).to.deep.equal([
+                ['render', undefined],
+                ['run', 'klima', 'dev1'],
+            ]);
+        });
+
+        it('should not run the action on cancel', async () => {
+            await execute({ type: 'macro', macro: 'goto home', confirm: 'countdown' }, 'dev1');
+            expect(dialog.dialogType).to.equal('countdown');
+
+            await dialog.handleResponse('LSK6L');
+            expect(calls.filter((call) => call[0] === 'run')).to.deep.equal([]);
+            expect(dialog.isActive()).to.be.false;
+        });
+
+        it('should refuse buttons requiring confirmation without a device', async () => {
+            await execute({ type: 'macro', macro: 'goto home', confirm: 'hard' }, null);
+
+            expect(dialog.isActive()).to.be.false;
+            expect(calls).to.deep.equal([]);
+        });
+    });
+});
@@ -2,6 +2,7 @@
 
 const { expect } = require('chai');
 const ButtonSubscriber = require('../../lib/mqtt/ButtonSubscriber');
+const DeviceSession = require('../../lib/state/DeviceSession');
 const { createMockAdapter, createMockMqttClient } = require('./testHelper');
 
 describe('ButtonSubscriber', () => {
@@ -229,6 +230,18 @@ describe('ButtonSubscriber', () => {
             expect(switchedTo).to.equal(null);
         });
 
+        it('should run the configured macro as macro button', async () => {
+            adapter.config.functionKeys = [{ key: 'DIR', enabled: true, action: 'macro', macro: 'goto lights' }];
+            let executed = null;
+            adapter.executeButtonAction = async (config) => {
+                executed = config;
+            };
+
+            await subscriber.handleFunctionKey('DIR');
+            expect(executed.type).to.equal('macro');
+            expect(executed.macro).to.equal('goto lights');
+        });
+
         it('should handle missing functionKeys config gracefully', async () => {
             adapter.config.functionKeys = undefined;
             // Should not throw
@@ -374,4 +387,42 @@ describe('ButtonSubscriber', () => {
             expect(modeSet).to.be.null; // not called
         });
     });
+
+    describe('LSK with hidden lines', () => {
+        it('should never trigger a line hidden by visibleIf', async () => {
+            const pages = [
+                {
+                    id: 'alarm',
+                    name: 'Alarm',
+                    lines: [
+                        {
+                            row: 3,
+                            left: {
+                                label: '',
+                                display: { type: 'label', text: 'DISARM' },
+                                button: { type: 'navigation', action: 'goto', target: 'disarm' },
+                                visibleIf: { source: 'alarm.0.armed', condition: '== true' },
+                            },
+                            right: { label: '', display: { type: 'empty' }, button: { type: 'empty' } },
+                        },
+                    ],
+                },
+            ];
+            adapter._states['devices.panel.config.pages'] = { val: JSON.stringify(pages) };
+            const session = new DeviceSession(adapter, mqttClient, 'panel');
+            await session.load();
+
+            const executed = [];
+            adapter.executeButtonAction = async (config) => executed.push(config.target);
+
+            adapter._setForeignState('alarm.0.armed', false);
+            await subscriber.handleLskButton('LSK1L', session);
+            expect(executed).to.deep.equal([]);
+
+            adapter._setForeignState('alarm.0.armed', true);
+            await session.render();
+            await subscriber.handleLskButton('LSK1L', session);
+            expect(executed).to.deep.equal(['disarm']);
+        });
+    });
 });
@@ -0,0 +1,22 @@
+'use strict';
+
+const { expect } = require('chai');
+const { PROFILES, getProfile, findProfile } = require('../../mcdu-client/lib/profiles');
+
+describe('Client Device Profiles', () => {
+    it('should detect the MCDU-32 variants by their USB IDs', () => {
+        for (const id of ['mcdu-32-captain', 'mcdu-32-fo', 'mcdu-32-observer']) {
+            const profile = getProfile(id);
+            expect(findProfile(profile.vendorId, profile.productId), id).to.equal(profile);
+        }
+        expect(findProfile(0x4098, 0x1234)).to.be.null;
+    });
+
+    it('should never detect experimental profiles', () => {
+        const experimental = Object.values(PROFILES).filter((profile) => profile.experimental);
+        expect(experimental.map((profile) => profile.id)).to.deep.equal(['pfp-3n']);
+
+        const pfp = getProfile('pfp-3n');
+        expect(findProfile(pfp.vendorId, pfp.productId)).to.be.null;
+    });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const { expect } = require('chai');
+const {
+    parseCondition,
+    compileCondition,
+    evaluateCondition,
+    parseColorRules,
+    formatColorRules,
+    validatePageConditions,
+} = require('../../lib/utils/condition');
+
+describe('condition', () => {
+    describe('comparison', () => {
+        it('should compare numbers', () => {
+            expect(evaluateCondition('< 18', 17.5)).to.be.true;
+            expect(evaluateCondition('< 18', 18)).to.be.false;
+            expect(evaluateCondition('>= 18', '18')).to.be.true;
+            expect(evaluateCondition('value > -5', -4)).to.be.true;
+        });
+
+        it('should compare strings and booleans for equality', () => {
+            expect(evaluateCondition("== 'open'", 'open')).to.be.true;
+            expect(evaluateCondition('== open', 'closed')).to.be.false;
+            expect(evaluateCondition('!= "open"', 'closed')).to.be.true;
+            expect(evaluateCondition('== true', true)).to.be.true;
+            expect(evaluateCondition('== 1', '1.0')).to.be.true;
+        });
+
+        it('should not match ordering operators on non-numeric values', () => {
+            expect(evaluateCondition('> 5', 'abc')).to.be.false;
+            expect(evaluateCondition('< 5', null)).to.be.false;
+        });
+    });
+
+    describe('between / in / regex / contains', () => {
+        it('should test inclusive ranges', () => {
+            expect(evaluateCondition('between 18 and 22', 18)).to.be.true;
+            expect(evaluateCondition('between 18 and 22', 22)).to.be.true;
+            expect(evaluateCondition('between 18 and 22', 22.1)).to.be.false;
+        });
+
+        it('should test list membership', () => {
+            expect(evaluateCondition('in [ON, AUTO]', 'AUTO')).to.be.true;
+            expect(evaluateCondition('in [1, 2, 3]', 2)).to.be.true;
+            expect(evaluateCondition('not in [1, 2, 3]', 4)).to.be.true;
+        });
+
+        it('should match regular expressions with flags', () => {
+            expect(evaluateCondition('~ /^err/i', 'ERROR 5')).to.be.true;
+            expect(evaluateCondition('matches /^\\d+$/', 'a1')).to.be.false;
+        });
+
+        it('should test substrings', () => {
+            expect(evaluateCondition("contains 'low'", 'battery low')).to.be.true;
+        });
+    });
+
+    describe('logic', () => {
+        it('should combine with and/or and respect precedence', () => {
+            expect(evaluateCondition('>= 18 && < 22', 20)).to.be.true;
+            expect(evaluateCondition('>= 18 and < 22', 25)).to.be.false;
+            expect(evaluateCondition('< 0 || > 100 && < 200', -1)).to.be.true;
+            expect(evaluateCondition('(< 0 or > 100) and < 200', 150)).to.be.true;
+            expect(evaluateCondition('not (between 0 and 10)', 11)).to.be.true;
+        });
+    });
+
+    describe('safety and errors', () => {
+        it('should not execute JavaScript', () => {
+            const { error } = compileCondition('process.exit(1)');
+            expect(error).to.be.a('string');
+            expect(evaluateCondition('process.exit(1)', 1)).to.be.false;
+            expect(evaluateCondition('== 1; globalThis.x = 1', 1)).to.be.false;
+            expect(globalThis.x).to.equal(undefined);
+        });
+
+        it('should report the position of syntax errors', () => {
+            expect(() => parseCondition('between 1 or 2')).to.throw(/Expected "and" at position 11/);
+            expect(() => parseCondition('< ')).to.throw(/end of condition/);
+            expect(() => parseCondition('~ /[/')).to.throw(/Invalid regex/);
+        });
+
+        it('should parse each condition string only once', () => {
+            expect(compileCondition('> 42')).to.equal(compileCondition('> 42'));
+        });
+    });
+
+    describe('color rules', () => {
+        it('should parse the compact Admin UI form', () => {
+            expect(parseColorRules("< 18 => cyan; == 'a;b' => red; ~ /x;y/ => amber")).to.deep.equal([
+                { condition: '< 18', color: 'cyan' },
+                { condition: "== 'a;b'", color: 'red' },
+                { condition: '~ /x;y/', color: 'amber' },
+            ]);
+        });
+
+        it('should round-trip through formatColorRules', () => {
+            const compact = '< 18 => cyan; between 18 and 22 => green';
+            expect(formatColorRules(parseColorRules(compact))).to.equal(compact);
+        });
+
+        it('should reject rules without color', () => {
+            expect(() => parseColorRules('< 18 cyan')).to.throw(/condition => color/);
+        });
+
+        it('should collect invalid conditions from pages', () => {
+            const pages = [
+                {
+                    id: 'klima',
+                    lines: [
+                        {
+                            row: 3,
+                            left: { display: { type: 'datapoint', colorRules: [{ condition: '>> 5', color: 'red' }] } },
+                            right: { display: { type: 'datapoint', colorRules: [{ condition: '> 5', color: 'red' }] } },
+                        },
+                    ],
+                },
+            ];
+            const errors = validatePageConditions(pages);
+            expect(errors).to.have.length(1);
+            expect(errors[0]).to.match(/^klima row 3 left: ">> 5"/);
+        });
+    });
+});
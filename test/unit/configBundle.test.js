@@ -0,0 +1,123 @@
+'use strict';
+
+const { expect } = require('chai');
+const {
+    BUNDLE_SCHEMA,
+    normalizeBundleConfig,
+    createBundle,
+    parseBundle,
+    remapConfig,
+    collectStateIds,
+    mergeConfig,
+    diffConfig,
+} = require('../../lib/utils/configBundle');
+
+describe('Config Bundles', () => {
+    const config = normalizeBundleConfig({
+        pages: [
+            {
+                id: 'home',
+                name: 'Home',
+                lines: [
+                    {
+                        row: 3,
+                        left: {
+                            display: { type: 'datapoint', source: 'hm-rpc.0.temp' },
+                            button: { type: 'navigation', action: 'goto', target: 'lights' },
+                        },
+                        right: {
+                            display: { type: 'label', text: 'SCENE' },
+                            button: { type: 'macro', macro: 'set hm-rpc.0.light=true; goto lights' },
+                            visibleIf: { source: 'alarm.0.armed', condition: '== false' },
+                        },
+                    },
+                ],
+            },
+            { id: 'lights', name: 'Lights', parent: 'home', lines: [] },
+        ],
+        functionKeys: [{ key: 'MENU', enabled: true, action: 'gotoPage', targetPageId: 'home' }],
+        display: { defaultColor: 'green', startPage: 'home' },
+        ledMapping: [
+            { led: 'FAIL', enabled: true, source: 'alarm.0.on' },
+            { led: 'RDY', source: 'old.0.state' },
+        ],
+    });
+
+    describe('createBundle / parseBundle', () => {
+        it('should round-trip through JSON', () => {
+            const bundle = createBundle(config, { deviceId: 'kitchen', adapterVersion: '0.2.0' });
+            expect(bundle).to.include({ schema: BUNDLE_SCHEMA, version: 1 });
+            expect(parseBundle(JSON.stringify(bundle))).to.deep.equal(config);
+        });
+
+        it('should reject foreign and newer bundles', () => {
+            expect(() => parseBundle('{nope')).to.throw(/not valid JSON/);
+            expect(() => parseBundle({ schema: 'other', version: 1 })).to.throw(/Not a mcdu-config bundle/);
+            expect(() => parseBundle({ schema: BUNDLE_SCHEMA, version: 99 })).to.throw(/Unsupported bundle version 99/);
+        });
+    });
+
+    describe('remapConfig / collectStateIds', () => {
+        it('should remap state prefixes and page IDs everywhere they are referenced', () => {
+            const result = remapConfig(config, {
+                states: { 'hm-rpc.0.': 'hm-rpc.1.', 'alarm.0.on': 'alarm.1.on' },
+                pages: { home: 'start' },
+            });
+
+            const [home, lights] = result.pages;
+            expect(home.id).to.equal('start');
+            expect(lights.parent).to.equal('start');
+            expect(home.lines[0].left.display.source).to.equal('hm-rpc.1.temp');
+            expect(home.lines[0].right.button.macro).to.equal('set hm-rpc.1.light=true; goto lights');
+            expect(result.functionKeys[0].targetPageId).to.equal('start');
+            expect(result.display.startPage).to.equal('start');
+            expect(result.ledMapping[0].source).to.equal('alarm.1.on');
+            expect(config.pages[0].id).to.equal('home'); // input untouched
+        });
+
+        it('should collect the states in use, skipping disabled LED rows', () => {
+            expect(collectStateIds(config).sort()).to.deep.equal([
+                'alarm.0.armed',
+                'alarm.0.on',
+                'hm-rpc.0.light',
+                'hm-rpc.0.temp',
+            ]);
+        });
+    });
+
+    describe('mergeConfig / diffConfig', () => {
+        const existing = normalizeBundleConfig({
+            pages: [{ id: 'home', name: 'Old Home', lines: [] }],
+            functionKeys: [{ key: 'MENU', enabled: true, action: 'navigateHome' }],
+            display: { defaultColor: 'white', startPage: '' },
+        });
+
+        it('should replace the configuration by default', () => {
+            const { config: result } = mergeConfig(existing, config);
+            expect(result).to.equal(config);
+            expect(diffConfig(existing, result)).to.deep.include({
+                pages: { added: ['lights'], changed: ['home'], removed: [] },
+                display: ['defaultColor', 'startPage'],
+            });
+        });
+
+        it('should rename clashing pages and keep existing entries on merge', () => {
+            const { config: result, renamed } = mergeConfig(existing, config, { mode: 'merge' });
+
+            expect(renamed).to.deep.equal({ home: 'home-2' });
+            expect(result.pages.map((p) => p.id)).to.deep.equal(['home', 'home-2', 'lights']);
+            expect(result.pages[2].parent).to.equal('home-2');
+            expect(result.functionKeys[0].action).to.equal('navigateHome');
+            expect(result.display).to.include({ defaultColor: 'white', startPage: 'home-2' });
+            expect(result.ledMapping[0].source).to.equal('alarm.0.on');
+        });
+
+        it('should let the bundle win with onConflict overwrite', () => {
+            const { config: result } = mergeConfig(existing, config, { mode: 'merge', onConflict: 'overwrite' });
+
+            expect(result.pages.map((p) => p.name)).to.deep.equal(['Home', 'Lights']);
+            expect(result.functionKeys[0].targetPageId).to.equal('home');
+            expect(result.display.defaultColor).to.equal('green');
+        });
+    });
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const { expect } = require('chai');
+const DeviceSession = require('../../lib/state/DeviceSession');
+const { createMockAdapter, createMockMqttClient } = require('./testHelper');
+
+describe('DeviceSession', () => {
+    let adapter;
+    let mqttClient;
+
+    const pages = [
+        { id: 'home-main', name: 'Home', lines: [] },
+        { id: 'klima-main', name: 'Klima', parent: 'home-main', lines: [] },
+        { id: 'licht-main', name: 'Licht', parent: 'home-main', lines: [] },
+    ];
+
+    beforeEach(() => {
+        adapter = createMockAdapter({ functionKeys: [{ key: 'MENU', enabled: true, action: 'navigateHome' }] });
+        mqttClient = createMockMqttClient();
+        adapter._states['devices.kitchen.config.pages'] = { val: JSON.stringify(pages) };
+        adapter._states['devices.hallway.config.pages'] = { val: JSON.stringify(pages) };
+    });
+
+    async function createSession(deviceId) {
+        const session = new DeviceSession(adapter, mqttClient, deviceId);
+        await session.load();
+        return session;
+    }
+
+    describe('load', () => {
+        it('should load pages from device config state', async () => {
+            const session = await createSession('kitchen');
+            expect(session.pages).to.have.length(3);
+        });
+
+        it('should default to first page when no current page is stored', async () => {
+            const session = await createSession('kitchen');
+            expect(session.currentPage).to.equal('home-main');
+            expect(adapter._states['devices.kitchen.navigation.currentPage'].val).to.equal('home-main');
+        });
+
+        it('should prefer configured start page', async () => {
+            adapter._states['devices.kitchen.config.startPage'] = { val: 'licht-main' };
+            const session = await createSession('kitchen');
+            expect(session.currentPage).to.equal('licht-main');
+        });
+
+        it('should restore current page from navigation state', async () => {
+            adapter._states['devices.kitchen.navigation.currentPage'] = { val: 'klima-main' };
+            const session = await createSession('kitchen');
+            expect(session.currentPage).to.equal('klima-main');
+            expect(session.breadcrumb.map((b) => b.id)).to.deep.equal(['home-main', 'klima-main']);
+        });
+
+        it('should replace a stale current page that no longer exists', async () => {
+            adapter._states['devices.kitchen.navigation.currentPage'] = { val: 'deleted-page' };
+            const session = await createSession('kitchen');
+            expect(session.currentPage).to.equal('home-main');
+        });
+
+        it('should fall back to adapter function keys when device has none', async () => {
+            const session = await createSession('kitchen');
+            expect(session.functionKeys).to.have.length(1);
+            expect(session.functionKeys[0].key).to.equal('MENU');
+        });
+
+        it('should survive invalid pages JSON', async () => {
+            adapter._states['devices.kitchen.config.pages'] = { val: '{not json' };
+            const session = await createSession('kitchen');
+            expect(session.pages).to.deep.equal([]);
+            expect(session.currentPage).to.equal(null);
+        });
+    });
+
+    describe('setCurrentPage', () => {
+        it('should persist current and previous page per device', async () => {
+            const session = await createSession('kitchen');
+            await session.setCurrentPage('klima-main');
+
+            expect(session.previousPage).to.equal('home-main');
+            expect(adapter._states['devices.kitchen.navigation.currentPage'].val).to.equal('klima-main');
+            expect(adapter._states['devices.kitchen.navigation.previousPage'].val).to.equal('home-main');
+            expect(adapter._states['devices.kitchen.display.currentPage'].val).to.equal('klima-main');
+        });
+
+        it('should reset pagination offset on page change', async () => {
+            const session = await createSession('kitchen');
+            session.pageRenderer.currentPageOffset = 2;
+            await session.setCurrentPage('klima-main');
+            expect(session.pageRenderer.currentPageOffset).to.equal(0);
+        });
+    });
+
+    describe('isolation', () => {
+        it('should keep page, scratchpad and input mode separate per device', async () => {
+            const kitchen = await createSession('kitchen');
+            const hallway = await createSession('hallway');
+
+            await kitchen.setCurrentPage('klima-main');
+            await kitchen.inputModeManager.handleKeyInput('5');
+
+            expect(hallway.currentPage).to.equal('home-main');
+            expect(hallway.scratchpadManager.getContent()).to.equal('');
+            expect(hallway.inputModeManager.getMode()).to.equal('normal');
+            expect(kitchen.scratchpadManager.getContent()).to.equal('5');
+            expect(kitchen.inputModeManager.getMode()).to.equal('input');
+        });
+
+        it('should publish to the device topic of its own session', async () => {
+            const kitchen = await createSession('kitchen');
+            await kitchen.render();
+
+            expect(mqttClient._published).to.have.length(1);
+            expect(mqttClient._published[0].topic).to.equal('kitchen/display/set');
+        });
+
+        it('should not render over an active confirmation dialog', async () => {
+            const kitchen = await createSession('kitchen');
+            kitchen.confirmationDialog.active = true;
+            await kitchen.render();
+
+            expect(mqttClient._published).to.have.length(0);
+        });
+    });
+
+    describe('font size', () => {
+        it('should publish small sub-labels and keep large data lines implicit', async () => {
+            const sizePages = [
+                {
+                    id: 'home-main',
+                    name: 'Home',
+                    lines: [
+                        {
+                            row: 3,
+                            left: {
+                                label: 'TEMP',
+                                display: { type: 'label', text: '21.5' },
+                                button: { type: 'empty' },
+                            },
+                            right: { label: '', display: { type: 'empty' }, button: { type: 'empty' } },
+                        },
+                    ],
+                },
+            ];
+            adapter._states['devices.kitchen.config.pages'] = { val: JSON.stringify(sizePages) };
+            const kitchen = await createSession('kitchen');
+
+            await kitchen.render();
+
+            const payload = JSON.parse(mqttClient._published[0].payload);
+            expect(payload.lines[1]).to.include({ size: 'small' });
+            expect(payload.lines[1].text).to.include('TEMP');
+            expect(payload.lines[2]).to.not.have.property('size');
+        });
+    });
+
+    describe('setGeometry', () => {
+        it('should apply the announced columns to renderer and publisher', async () => {
+            const kitchen = await createSession('kitchen');
+
+            expect(kitchen.setGeometry({ rows: 14, columns: 20 })).to.be.true;
+            await kitchen.render();
+
+            const payload = JSON.parse(mqttClient._published[0].payload);
+            expect(kitchen.pageRenderer.halfWidth).to.equal(10);
+            expect(payload.lines).to.have.length(14);
+            expect(payload.lines.every((line) => line.text.length === 20)).to.be.true;
+        });
+
+        it('should keep the layout for unsupported geometry', async () => {
+            const kitchen = await createSession('kitchen');
+
+            expect(kitchen.setGeometry({ rows: 8, columns: 20 })).to.be.false;
+            expect(kitchen.setGeometry(null)).to.be.false;
+            expect(kitchen.pageRenderer.rows).to.equal(14);
+            expect(kitchen.displayPublisher.columns).to.equal(24);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const { expect } = require('chai');
+const { createEncoder, fitWidth } = require('../../mcdu-client/lib/glyphs');
+const { GLYPHS } = require('../../mcdu-client/lib/profiles/mcdu-32');
+
+describe('Client Glyph Encoder', () => {
+    const encode = createEncoder(GLYPHS);
+
+    describe('createEncoder', () => {
+        it('should expand tokens case-insensitively', () => {
+            expect(encode('21{deg}C')).to.equal('21°C');
+            expect(encode('{BOX}{Box}{box}')).to.equal('□□□');
+            expect(encode('{left} BACK')).to.equal('← BACK');
+        });
+
+        it('should leave unknown tokens unchanged', () => {
+            expect(encode('{foo} {deg2} {}')).to.equal('{foo} {deg2} {}');
+        });
+
+        it('should pass ASCII and font glyphs', () => {
+            expect(encode('SET 22.5 ↑ Δ ◇')).to.equal('SET 22.5 ↑ Δ ◇');
+        });
+
+        it('should map look-alikes to the font glyphs', () => {
+            expect(encode('☐ ⇒ ► º ◆')).to.equal('□ → ▶ ° ◇');
+        });
+
+        it('should transliterate umlauts and punctuation', () => {
+            expect(encode('Küche – Straße „AUS“…')).to.equal('Kueche - Strasse "AUS"...');
+            expect(encode('Æ œ Ø')).to.equal('AE oe O');
+        });
+
+        it('should strip diacritics (NFD) and replace the rest with ?', () => {
+            expect(encode('Café Señor Łódź')).to.equal('Cafe Senor ?odz');
+            expect(encode('Cafe\u0301')).to.equal('Cafe');
+            expect(encode('OK ☺ 😀')).to.equal('OK ? ?');
+        });
+    });
+
+    describe('fitWidth', () => {
+        it('should widen the gap between left and right column', () => {
+            const source = 'TEMP 21{deg}      ON';
+            expect(fitWidth(encode(source), source.length)).to.equal('TEMP 21°          ON');
+        });
+
+        it('should shrink an inner gap to at least one space, then truncate', () => {
+            expect(fitWidth(encode('KÜCHE  ON'), 9)).to.equal('KUECHE ON');
+            expect(fitWidth(encode('ÄÄÄ  ON'), 7)).to.equal('AEAEAE ');
+        });
+
+        it('should keep right-aligned values at the edge', () => {
+            const source = '    21{deg}';
+            expect(fitWidth(encode(source), source.length)).to.equal('        21°');
+            expect(fitWidth(encode('  ÄÖ'), 4)).to.equal('AEOE');
+        });
+
+        it('should keep trailing padding at the width', () => {
+            const source = '{deg}C    ';
+            expect(fitWidth(encode(source), source.length)).to.equal('°C        ');
+        });
+
+        it('should pad or truncate text without a gap', () => {
+            expect(fitWidth('AB', 4)).to.equal('AB  ');
+            expect(fitWidth('ABCDEF', 4)).to.equal('ABCD');
+        });
+    });
+});
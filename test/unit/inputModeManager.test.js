@@ -289,6 +289,86 @@ describe('InputModeManager', () => {
         });
     });
 
+    describe('Value Actions', () => {
+        it('should run a step action on the displayed datapoint instead of writing the scratchpad', async () => {
+            adapter.config.pages[0].lines[0].left.button = { type: 'datapoint', target: '', action: 'step', step: 0.5 };
+            scratchpad.set('25');
+            let executed = null;
+            adapter.executeButtonAction = async (field) => {
+                executed = field;
+            };
+
+            await inputManager.handleLSK('left', 3);
+
+            expect(executed).to.include({ action: 'step', step: 0.5, target: 'test.temperature' });
+            expect(adapter._foreignStates['test.temperature'].val).to.equal(21.5);
+        });
+
+        it('should treat macro buttons with steps as actionable', () => {
+            expect(inputManager.isActionableButton({ type: 'macro', macro: 'goto home' })).to.be.true;
+            expect(inputManager.isActionableButton({ type: 'macro', steps: [] })).to.be.false;
+        });
+    });
+
+    describe('Button Confirmation', () => {
+        let shown;
+
+        beforeEach(() => {
+            shown = null;
+            inputManager.session = {
+                deviceId: 'dev1',
+                confirmationDialog: {
+                    showForButton: async (button, details, onConfirm) => {
+                        shown = { button, details, onConfirm };
+                    },
+                },
+                writeTracker: {
+                    write: (id, val) => adapter.setForeignStateAsync(id, val),
+                },
+            };
+        });
+
+        it('should ask before toggling a boolean datapoint', async () => {
+            const button = { type: 'datapoint', target: '', confirm: 'hard', confirmTitle: 'LICHT' };
+            await inputManager.handleDatapointLSK({ type: 'datapoint', source: 'test.light' }, button);
+
+            expect(shown.button).to.equal(button);
+            expect(shown.details).to.deep.equal(['AENDERN test.light']);
+            expect(adapter._foreignStates['test.light'].val).to.equal(true);
+
+            await shown.onConfirm();
+            expect(adapter._foreignStates['test.light'].val).to.equal(false);
+        });
+
+        it('should ask before writing the scratchpad value', async () => {
+            scratchpad.set('22');
+            await inputManager.handleDatapointLSK(
+                { type: 'datapoint', source: 'test.temperature' },
+                { type: 'datapoint', confirm: 'soft' }
+            );
+            expect(adapter._foreignStates['test.temperature'].val).to.equal(21.5);
+
+            await shown.onConfirm();
+            expect(adapter._foreignStates['test.temperature'].val).to.equal(22);
+        });
+
+        it('should not ask when nothing would be written', async () => {
+            await inputManager.handleDatapointLSK(
+                { type: 'datapoint', source: 'test.temperature' },
+                { type: 'datapoint', confirm: 'soft' }
+            );
+            expect(shown).to.equal(null);
+        });
+
+        it('should not write without a session to confirm on', async () => {
+            inputManager.session = null;
+            adapter.config.pages[0].lines[1].left.button = { type: 'datapoint', target: '', confirm: 'soft' };
+
+            await inputManager.handleLSK('left', 5);
+            expect(adapter._foreignStates['test.light'].val).to.equal(true);
+        });
+    });
+
     describe('Airbus Error Pattern (CLR)', () => {
         it('should restore rejected input on CLR after error', async () => {
             scratchpad.set('999');
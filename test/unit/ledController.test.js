@@ -0,0 +1,144 @@
+'use strict';
+
+const { expect } = require('chai');
+const LedController = require('../../lib/rendering/LedController');
+const { normalizeLedMapping, validateLedMapping, LED_NAMES } = require('../../lib/utils/ledMapping');
+const { createMockAdapter } = require('./testHelper');
+
+describe('LED Assignments', () => {
+    describe('normalizeLedMapping / validateLedMapping', () => {
+        it('should return one entry per LED with defaults', () => {
+            const mapping = normalizeLedMapping([
+                { led: 'fail', enabled: true, source: ' alarm.0.on ', brightness: 999 },
+            ]);
+
+            expect(mapping.map((e) => e.led)).to.deep.equal(LED_NAMES);
+            expect(mapping[0]).to.deep.equal({
+                led: 'FAIL',
+                enabled: true,
+                source: 'alarm.0.on',
+                condition: '== true',
+                brightness: 255,
+                blink: 'none',
+            });
+            expect(mapping[1].enabled).to.be.false;
+        });
+
+        it('should report invalid conditions and blink patterns of active entries only', () => {
+            const errors = validateLedMapping([
+                { led: 'FAIL', enabled: true, source: 'a.0.b', condition: '>> 1' },
+                { led: 'FM', enabled: true, source: 'a.0.c', blink: 'strobe' },
+                { led: 'RDY', enabled: false, source: 'a.0.d', condition: '>> 1' },
+            ]);
+            expect(errors).to.have.length(2);
+            expect(errors[0]).to.match(/^LED FAIL: ">> 1"/);
+            expect(errors[1]).to.equal('LED FM: unknown blink pattern "strobe"');
+        });
+    });
+
+    describe('LedController', () => {
+        let adapter;
+        let output;
+        let intervals;
+        let controller;
+
+        beforeEach(() => {
+            adapter = createMockAdapter();
+            output = [];
+            intervals = [];
+            adapter.handleLEDChange = async (deviceId, led, value) => output.push([led, value]);
+            adapter.setInterval = (cb, ms) => {
+                const timer = { cb, ms, cleared: false };
+                intervals.push(timer);
+                return timer;
+            };
+            adapter.clearInterval = (timer) => {
+                timer.cleared = true;
+            };
+            controller = new LedController(adapter, 'dev1');
+        });
+
+        it('should light a LED while its condition holds', async () => {
+            await controller.setMapping([
+                { led: 'FAIL', enabled: true, source: 'hm.0.temp', condition: '> 25', brightness: 128 },
+            ]);
+            adapter._setForeignState('hm.0.temp', 30);
+            await controller.refresh();
+
+            expect(output).to.deep.equal([['FAIL', 128]]);
+            expect(adapter._states['devices.dev1.leds.FAIL']).to.deep.equal({ val: true, ack: true });
+
+            await controller.handleStateChange('hm.0.temp', { val: 28, ack: true });
+            expect(output).to.have.length(1); // unchanged
+
+            await controller.handleStateChange('hm.0.temp', { val: 20, ack: true });
+            expect(output).to.deep.equal([
+                ['FAIL', 128],
+                ['FAIL', 0],
+            ]);
+        });
+
+        it('should switch a LED off when its source is missing', async () => {
+            await controller.setMapping([{ led: 'RDY', enabled: true, source: 'missing.0.state' }]);
+            await controller.refresh();
+            expect(output).to.deep.equal([['RDY', 0]]);
+        });
+
+        it('should blink adapter-side and stop when the condition clears', async () => {
+            await controller.setMapping([{ led: 'IND', enabled: true, source: 'alarm.0.on', blink: 'fast' }]);
+            await controller.handleStateChange('alarm.0.on', { val: true, ack: true });
+
+            expect(intervals).to.have.length(1);
+            expect(intervals[0].ms).to.equal(125);
+            intervals[0].cb();
+            intervals[0].cb();
+            expect(output).to.deep.equal([
+                ['IND', 255],
+                ['IND', 0],
+                ['IND', 255],
+            ]);
+
+            await controller.handleStateChange('alarm.0.on', { val: false, ack: true });
+            expect(intervals[0].cleared).to.be.true;
+            expect(output[output.length - 1]).to.deep.equal(['IND', 0]);
+        });
+
+        it('should ramp brightness for pulse', async () => {
+            await controller.setMapping([
+                { led: 'MENU', enabled: true, source: 'a.0.b', blink: 'pulse', brightness: 100 },
+            ]);
+            await controller.handleStateChange('a.0.b', { val: true, ack: true });
+            for (let i = 0; i < 4; i++) {
+                intervals[0].cb();
+            }
+            expect(output.map(([, value]) => value)).to.deep.equal([20, 40, 60, 80, 100]);
+        });
+
+        it('should switch off LEDs whose assignment was removed', async () => {
+            await controller.setMapping([{ led: 'FM1', enabled: true, source: 'a.0.b' }]);
+            await controller.handleStateChange('a.0.b', { val: true, ack: true });
+
+            await controller.setMapping([]);
+            expect(output).to.deep.equal([
+                ['FM1', 255],
+                ['FM1', 0],
+            ]);
+            expect(controller.getSources()).to.deep.equal([]);
+        });
+
+        it('should ignore disabled entries and collect unique sources', async () => {
+            await controller.setMapping([
+                { led: 'FAIL', enabled: true, source: 'a.0.b' },
+                { led: 'FM', enabled: true, source: 'a.0.b', condition: '== false' },
+                { led: 'RDY', enabled: false, source: 'a.0.c' },
+            ]);
+            expect(controller.getSources()).to.deep.equal(['a.0.b']);
+
+            await controller.handleStateChange('a.0.b', { val: false, ack: true });
+            expect(output).to.deep.equal([
+                ['FAIL', 0],
+                ['FM', 255],
+            ]);
+        });
+    });
+});
@@ -1,7 +1,7 @@
 'use strict';
 
 const { expect } = require('chai');
-const { flattenLine, unflattenLine } = require('../../lib/utils/lineNormalizer');
+const { flattenLine, unflattenLine, flattenPages, unflattenPages } = require('../../lib/utils/lineNormalizer');
 
 describe('lineNormalizer', () => {
     describe('flattenLine() with datapoint display', () => {
@@ -226,6 +226,25 @@ describe('lineNormalizer', () => {
             expect(roundTripped.slot).to.equal(original.slot);
         });
 
+        it('should preserve value map and color rules through round-trip', () => {
+            const original = {
+                slot: 3,
+                leftButtonType: 'datapoint',
+                leftSource: '0_userdata.0.mcdu_test.light_kitchen',
+                leftValueMap: 'true:EIN:green;false:AUS',
+                leftColorRules: '== false => grey',
+                rightButtonType: 'empty',
+            };
+
+            const nested = unflattenLine(original);
+            expect(nested.left.display.valueMap.true).to.deep.equal({ text: 'EIN', color: 'green' });
+
+            const roundTripped = flattenLine(nested);
+            expect(roundTripped.leftValueMap).to.equal(original.leftValueMap);
+            expect(roundTripped.leftColorRules).to.equal(original.leftColorRules);
+            expect(roundTripped.rightValueMap).to.equal('');
+        });
+
         it('should preserve navigation fields through round-trip', () => {
             const original = {
                 slot: 2,
@@ -255,4 +274,161 @@ describe('lineNormalizer', () => {
             expect(roundTripped.leftSource).to.equal('');
         });
     });
+
+    describe('visibleIf', () => {
+        it('should parse state ID and condition from the Admin UI column', () => {
+            const nested = unflattenLine({ slot: 1, leftText: 'DISARM', leftVisibleIf: 'alarm.0.armed != false' });
+            expect(nested.left.visibleIf).to.deep.equal({ source: 'alarm.0.armed', condition: '!= false' });
+            expect(flattenLine(nested).leftVisibleIf).to.equal('alarm.0.armed != false');
+        });
+
+        it('should default the condition to "== true"', () => {
+            const nested = unflattenLine({ slot: 1, rightText: 'DISARM', rightVisibleIf: 'alarm.0.armed' });
+            expect(nested.right.visibleIf).to.deep.equal({ source: 'alarm.0.armed', condition: '== true' });
+            expect(nested.left.visibleIf).to.equal(undefined);
+        });
+    });
+
+    describe('macro buttons', () => {
+        it('should parse the macro column into steps', () => {
+            const nested = unflattenLine({
+                slot: 2,
+                leftButtonType: 'macro',
+                leftMacro: 'set hm.0.light=false; goto home',
+            });
+            expect(nested.left.button.steps).to.deep.equal([
+                { type: 'setState', id: 'hm.0.light', value: false },
+                { type: 'navigate', target: 'home' },
+            ]);
+            expect(flattenLine(nested).leftMacro).to.equal('set hm.0.light=false; goto home');
+        });
+
+        it('should ignore the macro column for other button types', () => {
+            const nested = unflattenLine({ slot: 1, rightButtonType: 'navigation', rightMacro: 'goto home' });
+            expect(nested.right.button.steps).to.equal(undefined);
+        });
+    });
+
+    describe('datapoint button actions', () => {
+        it('should parse set, step and cycle from the action columns', () => {
+            const base = { slot: 1, leftButtonType: 'datapoint', leftSource: 'hm.0.dimmer' };
+            expect(unflattenLine({ ...base, leftAction: 'set', leftActionValue: ' 50 ' }).left.button).to.include({
+                action: 'set',
+                value: '50',
+            });
+            expect(unflattenLine({ ...base, leftAction: 'step', leftActionValue: '-0.5' }).left.button).to.include({
+                action: 'step',
+                step: -0.5,
+            });
+            expect(
+                unflattenLine({ ...base, leftAction: 'cycle', leftActionValue: 'eco, comfort' }).left.button.values
+            ).to.deep.equal(['eco', 'comfort']);
+            expect(unflattenLine({ ...base, leftAction: 'toggle', leftActionValue: '1' }).left.button).to.deep.equal({
+                type: 'datapoint',
+                target: '',
+            });
+        });
+
+        it('should format actions for the Admin UI', () => {
+            const line = (button) => flattenLine({ row: 3, left: { button } });
+            expect(line({ type: 'datapoint', action: 'step', step: 10 })).to.include({
+                leftAction: 'step',
+                leftActionValue: '10',
+            });
+            expect(line({ type: 'datapoint', action: 'decrement' })).to.include({ leftActionValue: '-1' });
+            expect(line({ type: 'datapoint', action: 'cycle', values: [0, 50] })).to.include({
+                leftActionValue: '0,50',
+            });
+            expect(line({ type: 'datapoint' })).to.include({ leftAction: 'toggle', leftActionValue: '' });
+        });
+
+        it('should keep the step limits through round-trip', () => {
+            const button = { type: 'datapoint', target: 'hm.0.dimmer', action: 'step', step: 10, min: 0, max: 100 };
+            const flat = flattenLine({ row: 3, left: { button } });
+            expect(flat).to.include({ leftMin: '0', leftMax: '100' });
+            expect(unflattenLine(flat).left.button).to.deep.equal(button);
+        });
+
+        it('should leave out empty or invalid step limits', () => {
+            const base = { slot: 1, leftButtonType: 'datapoint', leftAction: 'step', leftActionValue: '5' };
+            const button = unflattenLine({ ...base, leftMin: '', leftMax: 'abc' }).left.button;
+            expect(button).to.not.have.property('min');
+            expect(button).to.not.have.property('max');
+            expect(unflattenLine({ ...base, leftAction: 'set', leftMin: '0' }).left.button).to.not.have.property('min');
+        });
+    });
+
+    describe('button confirmation', () => {
+        it('should parse confirm type, title and details', () => {
+            const nested = unflattenLine({
+                slot: 1,
+                leftButtonType: 'datapoint',
+                leftSource: 'lock.0.door',
+                leftConfirm: 'hard',
+                leftConfirmText: 'TUER ENTRIEGELN | Haustuer | wird entriegelt',
+            });
+            expect(nested.left.button).to.include({ confirm: 'hard', confirmTitle: 'TUER ENTRIEGELN' });
+            expect(nested.left.button.confirmDetails).to.deep.equal(['Haustuer', 'wird entriegelt']);
+
+            const flat = flattenLine(nested);
+            expect(flat.leftConfirm).to.equal('hard');
+            expect(flat.leftConfirmText).to.equal('TUER ENTRIEGELN | Haustuer | wird entriegelt');
+        });
+
+        it('should omit confirm settings for none', () => {
+            const nested = unflattenLine({
+                slot: 1,
+                rightButtonType: 'navigation',
+                rightTarget: 'home',
+                rightConfirm: 'none',
+                rightConfirmText: 'IGNORED',
+            });
+            expect(nested.right.button).to.deep.equal({ type: 'navigation', target: 'home' });
+            expect(flattenLine(nested).rightConfirm).to.equal('none');
+        });
+
+        it('should keep default title when only details are given', () => {
+            const nested = unflattenLine({
+                slot: 1,
+                leftButtonType: 'macro',
+                leftConfirm: 'soft',
+                leftConfirmText: '| 3 Lampen',
+            });
+            expect(nested.left.button.confirmTitle).to.equal(undefined);
+            expect(nested.left.button.confirmDetails).to.deep.equal(['3 Lampen']);
+        });
+
+        it('should keep the countdown seconds through round-trip', () => {
+            const button = { type: 'macro', target: '', steps: [], confirm: 'countdown', confirmSeconds: 10 };
+            const flat = flattenLine({ row: 3, right: { button } });
+            expect(flat.rightConfirmSeconds).to.equal('10');
+            expect(unflattenLine(flat).right.button).to.deep.equal(button);
+        });
+
+        it('should only keep the seconds for countdown confirmation', () => {
+            const base = { slot: 1, leftButtonType: 'navigation', leftTarget: 'home', leftConfirmSeconds: '10' };
+            expect(unflattenLine({ ...base, leftConfirm: 'soft' }).left.button).to.not.have.property('confirmSeconds');
+            expect(
+                unflattenLine({ ...base, leftConfirm: 'countdown', leftConfirmSeconds: '' }).left.button
+            ).to.not.have.property('confirmSeconds');
+        });
+    });
+
+    describe('unflattenPages()', () => {
+        it('should convert the list source of list pages', () => {
+            const [page] = unflattenPages([
+                { id: 'licht', layout: 'list', listSource: 'enum.rooms.living & enum.functions.light', lines: [] },
+            ]);
+            expect(page.list.enums).to.deep.equal(['enum.rooms.living', 'enum.functions.light']);
+            expect(page).to.not.have.property('listSource');
+            expect(flattenPages([page])[0].listSource).to.equal('enum.rooms.living & enum.functions.light');
+        });
+
+        it('should report page and slot of invalid color rules', () => {
+            const pages = [
+                { id: 'klima', lines: [{ slot: 2, leftButtonType: 'datapoint', leftColorRules: '< 18 cyan' }] },
+            ];
+            expect(() => unflattenPages(pages)).to.throw(/^klima slot 2: Expected "condition => color"/);
+        });
+    });
 });
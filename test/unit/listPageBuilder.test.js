@@ -0,0 +1,130 @@
+'use strict';
+
+const { expect } = require('chai');
+const ListPageBuilder = require('../../lib/rendering/ListPageBuilder');
+const PageRenderer = require('../../lib/rendering/PageRenderer');
+const { parseListSource, formatListSource } = require('../../lib/utils/listSource');
+const { createMockAdapter, createMockDisplayPublisher } = require('./testHelper');
+
+describe('ListPageBuilder', () => {
+    let adapter;
+    let builder;
+
+    const state = (name, role = 'switch', write = true) => ({ type: 'state', common: { name, role, write } });
+
+    beforeEach(() => {
+        adapter = createMockAdapter();
+        builder = new ListPageBuilder(adapter);
+        Object.assign(adapter._foreignObjects, {
+            'enum.rooms.living': {
+                type: 'enum',
+                common: { members: ['hm-rpc.0.LAMP1', 'hm-rpc.0.LAMP2', 'hm-rpc.0.TEMP'] },
+            },
+            'enum.functions.light': {
+                type: 'enum',
+                common: { members: ['hm-rpc.0.LAMP1.1', 'hm-rpc.0.LAMP2', 'hm-rpc.0.LAMP3'] },
+            },
+            'hm-rpc.0.LAMP1': { type: 'device', common: { name: 'Stehlampe' } },
+            'hm-rpc.0.LAMP1.1': { type: 'channel', common: { name: 'Stehlampe Kanal' } },
+            'hm-rpc.0.LAMP1.1.WORKING': state('Working', 'indicator', false),
+            'hm-rpc.0.LAMP1.1.STATE': state('Stehlampe:1.STATE'),
+            'hm-rpc.0.LAMP2': { type: 'channel', common: { name: { en: 'Ceiling', de: 'Decke' } } },
+            'hm-rpc.0.LAMP2.LEVEL': state('Level', 'level.dimmer'),
+            'hm-rpc.0.LAMP3': { type: 'channel', common: { name: 'Flur' } },
+            'hm-rpc.0.LAMP3.STATE': state('Flur'),
+            'hm-rpc.0.TEMP': { type: 'channel', common: { name: 'Temperatur' } },
+        });
+    });
+
+    describe('enums', () => {
+        it('should intersect enum members and keep the more specific ID', async () => {
+            const members = await builder.resolveEnumMembers(['enum.rooms.living', 'enum.functions.light']);
+            expect(members).to.deep.equal(['hm-rpc.0.LAMP1.1', 'hm-rpc.0.LAMP2']);
+        });
+
+        it('should expand channels to their primary state and use the channel name', async () => {
+            const items = await builder.resolveItems({ enums: ['enum.rooms.living', 'enum.functions.light'] });
+            expect(items).to.deep.equal([
+                { id: 'hm-rpc.0.LAMP2.LEVEL', name: 'Decke' },
+                { id: 'hm-rpc.0.LAMP1.1.STATE', name: 'Stehlampe Kanal' },
+            ]);
+        });
+    });
+
+    describe('pattern', () => {
+        it('should list all states matching the pattern', async () => {
+            const items = await builder.resolveItems({ pattern: 'hm-rpc.0.*.STATE' });
+            expect(items.map((i) => i.id)).to.deep.equal(['hm-rpc.0.LAMP3.STATE', 'hm-rpc.0.LAMP1.1.STATE']);
+        });
+    });
+
+    describe('buildLines', () => {
+        it('should generate datapoint rows with name and subscribe them', async () => {
+            const subscribed = [];
+            adapter.subscribeToDataSources = async (pages) => subscribed.push(...pages[0].lines);
+
+            const lines = await builder.buildLines({
+                id: 'licht',
+                layout: 'list',
+                list: { pattern: 'hm-rpc.0.*.STATE' },
+            });
+
+            expect(lines.map((l) => l.row)).to.deep.equal([3, 5]);
+            expect(lines[0].left.display).to.deep.include({
+                type: 'datapoint',
+                source: 'hm-rpc.0.LAMP3.STATE',
+                text: 'Flur',
+            });
+            expect(subscribed).to.have.length(2);
+        });
+
+        it('should cache resolved items until invalidated', async () => {
+            const page = { id: 'licht', layout: 'list', list: { pattern: 'hm-rpc.0.*.STATE' } };
+            await builder.buildLines(page);
+            adapter._foreignObjects['hm-rpc.0.LAMP4.STATE'] = state('Bad');
+
+            expect(await builder.buildLines(page)).to.have.length(2);
+            builder.invalidate('licht');
+            expect(await builder.buildLines(page)).to.have.length(3);
+        });
+    });
+
+    describe('rendering', () => {
+        it('should paginate generated rows with totalPages/currentPageOffset', async () => {
+            for (let i = 1; i <= 8; i++) {
+                adapter._foreignObjects[`zigbee.0.lamp${i}.state`] = state(`Lampe ${i}`);
+                adapter._setForeignState(`zigbee.0.lamp${i}.state`, i % 2 === 0);
+            }
+            adapter.config.pages = [
+                { id: 'alle', name: 'Alle', layout: 'list', list: { pattern: 'zigbee.0.*.state' } },
+            ];
+            const displayPublisher = createMockDisplayPublisher();
+            const renderer = new PageRenderer(adapter, displayPublisher);
+
+            await renderer.renderPage('alle');
+            expect(renderer.totalPages).to.equal(2);
+            expect(displayPublisher._published[0][2].text).to.match(/^Lampe 1 false/);
+
+            renderer.currentPageOffset = 1;
+            await renderer.renderPage('alle');
+            expect(displayPublisher._published[1][2].text).to.match(/^Lampe 7 false/);
+            expect((await renderer.getLineAtRow('alle', 5)).left.display.source).to.equal('zigbee.0.lamp8.state');
+        });
+    });
+
+    describe('listSource', () => {
+        it('should parse enum intersections and patterns', () => {
+            expect(parseListSource('enum.rooms.living & enum.functions.light')).to.deep.equal({
+                enums: ['enum.rooms.living', 'enum.functions.light'],
+            });
+            expect(parseListSource('hm-rpc.0.*.STATE')).to.deep.equal({ pattern: 'hm-rpc.0.*.STATE' });
+            expect(parseListSource('  ')).to.equal(null);
+        });
+
+        it('should format back to the Admin UI string', () => {
+            expect(formatListSource({ enums: ['enum.a', 'enum.b'] })).to.equal('enum.a & enum.b');
+            expect(formatListSource({ pattern: 'x.*' })).to.equal('x.*');
+            expect(formatListSource(undefined)).to.equal('');
+        });
+    });
+});
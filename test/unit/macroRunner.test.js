@@ -0,0 +1,157 @@
+'use strict';
+
+const { expect } = require('chai');
+const MacroRunner = require('../../lib/input/MacroRunner');
+const { parseMacro, formatMacro, getMacroSteps, validateFunctionKeyMacros } = require('../../lib/utils/macro');
+const { createMockAdapter } = require('./testHelper');
+
+describe('Macros', () => {
+    describe('parseMacro / formatMacro', () => {
+        it('should parse all step types', () => {
+            const steps = parseMacro('set hm.0.light=true; wait 500; goto lights; notify SZENE AKTIV; led fail=255');
+            expect(steps).to.deep.equal([
+                { type: 'setState', id: 'hm.0.light', value: true },
+                { type: 'wait', ms: 500 },
+                { type: 'navigate', target: 'lights' },
+                { type: 'notification', text: 'SZENE AKTIV' },
+                { type: 'led', name: 'FAIL', value: 255 },
+            ]);
+        });
+
+        it('should parse conditions and abort-on-error', () => {
+            const [step] = parseMacro('!if alarm.0.armed == false then set door.0.lock=false');
+            expect(step).to.deep.equal({
+                type: 'setState',
+                id: 'door.0.lock',
+                value: false,
+                abortOnError: true,
+                if: { source: 'alarm.0.armed', condition: '== false' },
+            });
+        });
+
+        it('should keep quoted strings as strings', () => {
+            const [step] = parseMacro("set scene.0.name='42'");
+            expect(step.value).to.equal('42');
+        });
+
+        it('should report the failing step', () => {
+            expect(() => parseMacro('wait 100; jump home')).to.throw('Macro step 2: Unknown macro step "jump"');
+            expect(() => parseMacro('wait soon')).to.throw('Invalid wait time');
+            expect(() => parseMacro('set =1')).to.throw('Expected "set <name>=<value>"');
+        });
+
+        it('should round-trip through the compact form', () => {
+            const text = "!set hm.0.light=true; wait 500; if hm.0.temp < 18 then set hm.0.mode='1'; led FAIL=0";
+            expect(formatMacro(parseMacro(text))).to.equal(text);
+        });
+
+        it('should prefer stored steps over the compact string', () => {
+            const steps = [{ type: 'wait', ms: 1 }];
+            expect(getMacroSteps({ steps, macro: 'wait 2' })).to.equal(steps);
+            expect(getMacroSteps({ macro: 'wait 2' })).to.deep.equal([{ type: 'wait', ms: 2 }]);
+            expect(getMacroSteps({})).to.deep.equal([]);
+        });
+
+        it('should validate function key macros', () => {
+            const errors = validateFunctionKeyMacros([
+                { key: 'MENU', action: 'navigateHome' },
+                { key: 'DIR', action: 'macro', macro: 'goto home' },
+                { key: 'PROG', action: 'macro', macro: 'jump' },
+                { key: 'PERF', action: 'macro', macro: 'if a.0.b >> 1 then wait 1' },
+            ]);
+            expect(errors).to.have.length(2);
+            expect(errors[0]).to.match(/^PROG: /);
+            expect(errors[1]).to.match(/^PERF: "/);
+        });
+    });
+
+    describe('MacroRunner', () => {
+        let adapter;
+        let runner;
+        let calls;
+
+        beforeEach(() => {
+            adapter = createMockAdapter();
+            calls = [];
+            adapter.resolveSessions = async (deviceId) => [{ deviceId: deviceId || 'dev1' }];
+            adapter.switchToPage = async (pageId, deviceId) => calls.push(['navigate', pageId, deviceId]);
+            adapter.showNotificationForDevice = async (deviceId, text) => calls.push(['notify', deviceId, text]);
+            adapter.handleLEDChange = async (deviceId, name, value) => calls.push(['led', deviceId, name, value]);
+            adapter.setTimeout = (cb, ms) => {
+                calls.push(['wait', ms]);
+                return setTimeout(cb, 0);
+            };
+            runner = new MacroRunner(adapter);
+        });
+
+        it('should run steps in order', async () => {
+            const ok = await runner.run(
+                { macro: 'set hm.0.light=true; wait 500; goto lights; notify DONE; led FAIL=255' },
+                'dev1'
+            );
+
+            expect(ok).to.be.true;
+            expect(adapter._foreignStates['hm.0.light'].val).to.be.true;
+            expect(calls).to.deep.equal([
+                ['wait', 500],
+                ['navigate', 'lights', 'dev1'],
+                ['notify', 'dev1', 'DONE'],
+                ['led', 'dev1', 'FAIL', 255],
+            ]);
+            expect(adapter._states['devices.dev1.leds.FAIL']).to.deep.equal({ val: 255, ack: true });
+        });
+
+        it('should skip steps whose condition is not met', async () => {
+            adapter._setForeignState('alarm.0.armed', true);
+            await runner.run(
+                { macro: 'if alarm.0.armed == false then set door.0.lock=false; if alarm.0.armed then goto alarm' },
+                'dev1'
+            );
+
+            expect(adapter._foreignStates['door.0.lock']).to.be.undefined;
+            expect(calls).to.deep.equal([['navigate', 'alarm', 'dev1']]);
+        });
+
+        it('should skip conditional steps when the source state is missing', async () => {
+            await runner.run({ macro: 'if missing.0.state == 1 then goto home' }, 'dev1');
+            expect(calls).to.deep.equal([]);
+        });
+
+        it('should continue after a failing step by default', async () => {
+            adapter.setForeignStateAsync = async () => {
+                throw new Error('not writable');
+            };
+            const ok = await runner.run({ macro: 'set hm.0.x=1; goto home' }, 'dev1');
+
+            expect(ok).to.be.true;
+            expect(calls).to.deep.equal([['navigate', 'home', 'dev1']]);
+        });
+
+        it('should stop after a failing step with abortOnError', async () => {
+            adapter.setForeignStateAsync = async () => {
+                throw new Error('not writable');
+            };
+            const ok = await runner.run({ macro: '!set hm.0.x=1; goto home' }, 'dev1');
+
+            expect(ok).to.be.false;
+            expect(calls).to.deep.equal([]);
+        });
+
+        it('should ignore a second run on the same device while one is running', async () => {
+            const first = runner.run({ macro: 'wait 10; goto a' }, 'dev1');
+            const second = await runner.run({ macro: 'goto b' }, 'dev1');
+            await first;
+
+            expect(second).to.be.false;
+            expect(calls.filter((c) => c[0] === 'navigate')).to.deep.equal([['navigate', 'a', 'dev1']]);
+
+            // Released after the macro finished
+            expect(await runner.run({ macro: 'goto c' }, 'dev1')).to.be.true;
+        });
+
+        it('should not run invalid or empty macros', async () => {
+            expect(await runner.run({ macro: 'jump' }, 'dev1')).to.be.false;
+            expect(await runner.run({ steps: [] }, 'dev1')).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,244 @@
+'use strict';
+
+const Module = require('module');
+const { expect } = require('chai');
+const { MCDU } = require('../../mcdu-client/lib/mcdu');
+const { getProfile } = require('../../mcdu-client/lib/profiles');
+
+const PROFILE = getProfile('mcdu-32-captain');
+const DEVICE = {
+    path: '/dev/hidraw1',
+    serialNumber: 'ABC123',
+    vendorId: PROFILE.vendorId,
+    productId: PROFILE.productId,
+};
+
+/**
+ * Stand-in for node-hid: attached devices and opened handles
+ *
+ * @returns {object} Fake module ({devices(), HID}) with attached/opened lists
+ */
+function createFakeHid() {
+    const hid = {
+        attached: [DEVICE],
+        opened: [],
+        devices: () => hid.attached,
+        HID: class {
+            constructor(path) {
+                this.path = path;
+                this.writes = [];
+                this.unplugged = false;
+                hid.opened.push(this);
+            }
+
+            write(buf) {
+                if (this.unplugged) {
+                    throw new Error('could not write to HID device');
+                }
+                this.writes.push([...buf]);
+                return buf.length;
+            }
+
+            readTimeout() {
+                return [];
+            }
+
+            close() {}
+        },
+    };
+    return hid;
+}
+
+/**
+ * Manual clock for setTimeout/setInterval
+ *
+ * @returns {object} Clock with timer functions and tick(ms)
+ */
+function createClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map();
+    const clock = {
+        setTimeout: (fn, ms) => {
+            timers.set(nextId, { fn, at: now + ms });
+            return nextId++;
+        },
+        setInterval: (fn, ms) => {
+            timers.set(nextId, { fn, at: now + ms, interval: ms });
+            return nextId++;
+        },
+        clear: (id) => timers.delete(id),
+        tick(ms) {
+            const end = now + ms;
+            for (;;) {
+                const due = [...timers].filter(([, t]) => t.at <= end).sort((a, b) => a[1].at - b[1].at);
+                if (due.length === 0) {
+                    break;
+                }
+                const [id, timer] = due[0];
+                now = timer.at;
+                if (timer.interval) {
+                    timer.at += timer.interval;
+                } else {
+                    timers.delete(id);
+                }
+                timer.fn();
+            }
+            now = end;
+        },
+    };
+    return clock;
+}
+
+describe('Client MCDU Hot-Plug', () => {
+    const originals = {};
+    let hid;
+    let clock;
+    let mcdu;
+    let events;
+
+    /**
+     * LED reports written to a handle: LED index → brightness
+     *
+     * @param {object} handle - Fake HID handle
+     * @returns {object} Written LED values
+     */
+    function ledWrites(handle) {
+        const offset = PROFILE.ledReport.length;
+        const leds = {};
+        for (const packet of handle.writes.filter((p) => p[0] === PROFILE.ledReport[0])) {
+            leds[packet[offset]] = packet[offset + 1];
+        }
+        return leds;
+    }
+
+    beforeEach(() => {
+        hid = createFakeHid();
+        clock = createClock();
+        Object.assign(originals, {
+            load: Module._load,
+            setTimeout: global.setTimeout,
+            setInterval: global.setInterval,
+            clearTimeout: global.clearTimeout,
+            clearInterval: global.clearInterval,
+            log: console.log,
+            error: console.error,
+        });
+        Module._load = function (request, ...rest) {
+            return request === 'node-hid' ? hid : originals.load.call(this, request, ...rest);
+        };
+        Object.assign(global, {
+            setTimeout: clock.setTimeout,
+            setInterval: clock.setInterval,
+            clearTimeout: clock.clear,
+            clearInterval: clock.clear,
+        });
+        console.log = () => {};
+        console.error = () => {};
+
+        mcdu = new MCDU({ profile: PROFILE });
+        mcdu._sleepMs = () => {};
+        events = [];
+        mcdu.on('detach', () => events.push('detach'));
+        mcdu.on('attach', () => events.push('attach'));
+        expect(mcdu.connect()).to.be.true;
+    });
+
+    afterEach(() => {
+        mcdu.close();
+        Module._load = originals.load;
+        Object.assign(global, {
+            setTimeout: originals.setTimeout,
+            setInterval: originals.setInterval,
+            clearTimeout: originals.clearTimeout,
+            clearInterval: originals.clearInterval,
+        });
+        console.log = originals.log;
+        console.error = originals.error;
+    });
+
+    it('should mark the device detached on a failed write instead of throwing', () => {
+        hid.opened[0].unplugged = true;
+
+        expect(() => mcdu.setAllLEDs({ FAIL: true, RDY: 128 })).to.not.throw();
+        expect(events).to.deep.equal(['detach']);
+        expect(mcdu.isConnected()).to.be.false;
+        expect(mcdu.ledState).to.include({ [PROFILE.leds.FAIL]: 255, [PROFILE.leds.RDY]: 128 });
+
+        mcdu.setLine(0, 'HELLO');
+        expect(() => mcdu.updateDisplay()).to.not.throw();
+        expect(events).to.deep.equal(['detach']);
+    });
+
+    it('should stop a display update when the device goes away', () => {
+        let writes = 0;
+        hid.opened[0].write = (buf) => {
+            if (++writes > 2) {
+                throw new Error('could not write to HID device');
+            }
+            return buf.length;
+        };
+
+        expect(() => mcdu.updateDisplay()).to.not.throw();
+        expect(writes).to.equal(3);
+        expect(events).to.deep.equal(['detach']);
+    });
+
+    it('should re-init and restore the buffers after re-attach and settle', () => {
+        mcdu.startHotplug(100);
+        mcdu.setLED('FAIL', 255);
+        hid.opened[0].unplugged = true;
+        hid.attached = [];
+        mcdu.setLED('RDY', 128);
+        mcdu.setLine(0, 'HELLO', 'green');
+        expect(events).to.deep.equal(['detach']);
+
+        clock.tick(100);
+        expect(hid.opened).to.have.length(1);
+
+        hid.attached = [DEVICE];
+        clock.tick(100);
+        expect(hid.opened).to.have.length(2);
+        const handle = hid.opened[1];
+        expect(handle.writes).to.deep.equal(PROFILE.initPackets.map((packet) => [...packet]));
+
+        // Settling: updates only go to the buffer
+        mcdu.setLED('MCDU', 255);
+        mcdu.updateDisplay();
+        clock.tick(2999);
+        expect(handle.writes).to.have.length(PROFILE.initPackets.length);
+        expect(events).to.deep.equal(['detach']);
+
+        clock.tick(1);
+        expect(events).to.deep.equal(['detach', 'attach']);
+        // Display frame: color (2 bytes) + character per cell
+        const frame = handle.writes.filter((packet) => packet[0] === 0xf2).flatMap((packet) => packet.slice(1));
+        const text = String.fromCharCode(...frame.filter((byte, i) => i % 3 === 2).slice(0, PROFILE.columns));
+        expect(text.trim()).to.equal('HELLO');
+        expect(ledWrites(handle)).to.deep.equal({
+            [PROFILE.leds.FAIL]: 255,
+            [PROFILE.leds.RDY]: 128,
+            [PROFILE.leds.MCDU]: 255,
+        });
+    });
+
+    it('should wait for the next poll when the device fails during init', () => {
+        mcdu.startHotplug(100);
+        hid.opened[0].unplugged = true;
+        mcdu.setLED('FAIL', 255);
+
+        const Handle = hid.HID;
+        hid.HID = class extends Handle {
+            constructor(path) {
+                super(path);
+                this.unplugged = hid.opened.length === 2;
+            }
+        };
+        clock.tick(100);
+        expect(events).to.deep.equal(['detach', 'detach']);
+
+        clock.tick(100 + 3000);
+        expect(hid.opened).to.have.length(3);
+        expect(events).to.deep.equal(['detach', 'detach', 'attach']);
+    });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mqtt = require('mqtt');
+const MqttBroker = require('../../lib/mqtt/MqttBroker');
+const { createMockAdapter } = require('./testHelper');
+
+const PORT = 28830;
+const CREDENTIALS = { username: 'mcdu', password: 'secret' };
+
+/**
+ * Connect a client and resolve with it, or reject on connection error
+ *
+ * @param {object} [options] - mqtt.connect() options
+ * @returns {Promise<object>} Connected client
+ */
+function connectClient(options = {}) {
+    return new Promise((resolve, reject) => {
+        const client = mqtt.connect(`mqtt://127.0.0.1:${PORT}`, { reconnectPeriod: 0, ...options });
+        client.once('connect', () => resolve(client));
+        client.once('error', (error) => {
+            client.end(true);
+            reject(error);
+        });
+    });
+}
+
+describe('MqttBroker', () => {
+    let adapter;
+    let dir;
+    let broker;
+
+    beforeEach(() => {
+        adapter = createMockAdapter();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcdu-broker-'));
+    });
+
+    afterEach(() => {
+        if (broker) {
+            broker.stop();
+            broker = null;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should reject clients with wrong credentials', async () => {
+        broker = new MqttBroker(adapter, { port: PORT, username: 'mcdu', password: 'secret', persistence: false });
+        await broker.start();
+
+        let error = null;
+        try {
+            await connectClient({ username: 'mcdu', password: 'wrong' });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.not.be.null;
+
+        const client = await connectClient({ username: 'mcdu', password: 'secret' });
+        await client.endAsync();
+    });
+
+    it('should refuse to start without credentials', async () => {
+        for (const credentials of [{}, { username: 'mcdu' }, { password: 'secret' }]) {
+            const unsecured = new MqttBroker(adapter, { port: PORT, persistence: false, ...credentials });
+            let error = null;
+            try {
+                await unsecured.start();
+            } catch (e) {
+                error = e;
+            }
+            expect(error?.message).to.match(/requires a username and password/);
+            expect(unsecured.server).to.be.null;
+        }
+    });
+
+    it('should keep retained messages across restarts', async () => {
+        const retainedFile = path.join(dir, 'retained.json');
+        broker = new MqttBroker(adapter, { port: PORT, ...CREDENTIALS, retainedFile });
+        await broker.start();
+
+        const publisher = await connectClient(CREDENTIALS);
+        await publisher.publishAsync('mcdu/kitchen/status/online', 'online', { qos: 1, retain: true });
+        await publisher.endAsync();
+
+        broker.stop();
+        expect(JSON.parse(fs.readFileSync(retainedFile, 'utf8'))).to.have.property('mcdu/kitchen/status/online');
+
+        broker = new MqttBroker(adapter, { port: PORT, ...CREDENTIALS, retainedFile });
+        await broker.start();
+
+        const subscriber = await connectClient(CREDENTIALS);
+        const message = new Promise((resolve) => subscriber.on('message', (topic, payload) => resolve(payload)));
+        await subscriber.subscribeAsync('mcdu/+/status/online');
+        expect((await message).toString()).to.equal('online');
+        await subscriber.endAsync();
+    });
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MqttClient = require('../../lib/mqtt/MqttClient');
+const { createMockAdapter } = require('./testHelper');
+
+describe('MqttClient', () => {
+    let adapter;
+
+    beforeEach(() => {
+        adapter = createMockAdapter();
+        adapter.instance = 0;
+    });
+
+    describe('buildConnection', () => {
+        it('should default to plain MQTT with the instance client ID', () => {
+            const client = new MqttClient(adapter, { broker: 'localhost', port: 1883, clientId: ' ' });
+            const { url, options } = client.buildConnection();
+
+            expect(url).to.equal('mqtt://localhost:1883');
+            expect(options.clientId).to.equal('iobroker-mcdu-0');
+            expect(options).to.not.have.property('rejectUnauthorized');
+        });
+
+        it('should build WebSocket URLs with path and default port', () => {
+            const client = new MqttClient(adapter, { broker: 'broker.local', protocol: 'wss', wsPath: 'ws' });
+            const { url, options } = client.buildConnection();
+
+            expect(url).to.equal('wss://broker.local:443/ws');
+            expect(options.rejectUnauthorized).to.be.true;
+        });
+
+        it('should load TLS files and apply the client ID override', () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcdu-tls-'));
+            const caFile = path.join(dir, 'ca.pem');
+            fs.writeFileSync(caFile, 'CA');
+            try {
+                const client = new MqttClient(adapter, {
+                    broker: 'broker.local',
+                    port: 8883,
+                    protocol: 'mqtts',
+                    clientId: 'kitchen-adapter',
+                    caFile,
+                    rejectUnauthorized: false,
+                });
+                const { url, options } = client.buildConnection();
+
+                expect(url).to.equal('mqtts://broker.local:8883');
+                expect(options.clientId).to.equal('kitchen-adapter');
+                expect(options.ca.toString()).to.equal('CA');
+                expect(options.rejectUnauthorized).to.be.false;
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should report unreadable TLS files', () => {
+            const client = new MqttClient(adapter, {
+                broker: 'broker.local',
+                protocol: 'mqtts',
+                keyFile: '/nonexistent/client.key',
+            });
+            expect(() => client.buildConnection()).to.throw(/Cannot read TLS key file "\/nonexistent\/client.key"/);
+        });
+    });
+});
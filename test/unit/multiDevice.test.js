@@ -0,0 +1,32 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parseDevices } = require('../../mcdu-client/lib/multi-device');
+
+describe('Client Multi-Device', () => {
+    describe('parseDevices', () => {
+        it('should parse serial and path selectors', () => {
+            expect(parseDevices('captain=serial:ABC123, fo=path:/dev/hidraw1,observer=XYZ')).to.deep.equal([
+                { id: 'captain', serial: 'ABC123', path: '' },
+                { id: 'fo', serial: '', path: '/dev/hidraw1' },
+                { id: 'observer', serial: 'XYZ', path: '' },
+            ]);
+        });
+
+        it('should return no devices for an empty setting', () => {
+            expect(parseDevices('')).to.deep.equal([]);
+            expect(parseDevices(undefined)).to.deep.equal([]);
+            expect(parseDevices(' , ')).to.deep.equal([]);
+        });
+
+        it('should reject entries without device ID or selector', () => {
+            for (const spec of ['captain', '=serial:ABC', 'captain=']) {
+                expect(() => parseDevices(spec), spec).to.throw(/Invalid MCDU_DEVICES entry/);
+            }
+        });
+
+        it('should reject duplicate device IDs', () => {
+            expect(() => parseDevices('captain=A,captain=B')).to.throw(/Duplicate device ID "captain"/);
+        });
+    });
+});
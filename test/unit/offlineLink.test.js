@@ -0,0 +1,93 @@
+'use strict';
+
+const { expect } = require('chai');
+const { createLink } = require('../../mcdu-client/lib/offline-link');
+
+describe('Client Offline Link', () => {
+    let events;
+    let clock;
+
+    /**
+     * Create a link with a fake clock that records offline/online changes
+     *
+     * @param {object} options - Link options
+     * @returns {object} Link
+     */
+    function create(options = {}) {
+        return createLink(
+            { buttons: 'buffer', bufferSize: 3, maxAge: 30, ...options },
+            { onOffline: () => events.push('offline'), onOnline: () => events.push('online') },
+            () => clock
+        );
+    }
+
+    beforeEach(() => {
+        events = [];
+        clock = 1000000;
+    });
+
+    describe('link state', () => {
+        it('should go offline when the transport drops and online when it returns', () => {
+            const link = create();
+            link.setTransport(true);
+            expect(events).to.deep.equal([]);
+
+            link.setTransport(false);
+            expect(link.offline).to.be.true;
+            link.setTransport(false);
+            link.setTransport(true);
+
+            expect(link.offline).to.be.false;
+            expect(events).to.deep.equal(['offline', 'online']);
+        });
+
+        it('should stay offline while the adapter reports offline', () => {
+            const link = create();
+            link.setTransport(true);
+            link.setAdapter(false);
+            link.setTransport(false);
+            link.setTransport(true);
+            expect(link.offline).to.be.true;
+
+            link.setAdapter(true);
+            expect(events).to.deep.equal(['offline', 'online']);
+        });
+    });
+
+    describe('key presses', () => {
+        it('should reject presses unless buffering is configured', () => {
+            const link = create({ buttons: 'reject' });
+            expect(link.press('LSK1L', 'press')).to.equal('rejected');
+            expect(link.buffer).to.have.length(0);
+        });
+
+        it('should ignore releases', () => {
+            const link = create();
+            expect(link.press('LSK1L', 'release')).to.be.null;
+            expect(link.buffer).to.have.length(0);
+        });
+
+        it('should drop the oldest press when the buffer overflows', () => {
+            const link = create();
+            for (const button of ['LSK1L', 'LSK2L', 'LSK3L', 'LSK4L']) {
+                expect(link.press(button, 'press')).to.equal('buffered');
+            }
+            expect(link.buffer.map((event) => event.button)).to.deep.equal(['LSK2L', 'LSK3L', 'LSK4L']);
+        });
+
+        it('should replay fresh presses in order and drop stale ones', () => {
+            const link = create();
+            link.press('LSK1L', 'press');
+            clock += 20000;
+            link.press('LSK2L', 'press');
+            link.press('OVFY', 'press');
+            clock += 15000;
+
+            const { replay, dropped } = link.takeBuffered();
+            expect(replay.map((event) => event.button)).to.deep.equal(['LSK2L', 'OVFY']);
+            expect(replay[0].timestamp).to.equal(1020000);
+            expect(dropped).to.equal(1);
+            expect(link.buffer).to.have.length(0);
+        });
+    });
+});
@@ -321,6 +321,47 @@ describe('PageRenderer', () => {
         });
     });
 
+    describe('Font Size', () => {
+        it('should render sub-labels in small and data in large font by default', async () => {
+            await renderer.renderPage('left-right-page');
+
+            const lines = displayPublisher._published[0];
+            expect(lines[1].size).to.equal('small'); // Row 2: sub-labels LINKS / RECHTS
+            expect(lines[1].segments).to.be.undefined;
+            expect(lines[2].size).to.be.undefined; // Row 3: data (large is the default)
+            expect(lines[2].segments.every((seg) => seg.size === undefined)).to.be.true;
+        });
+
+        it('should apply per-side size overrides as segments', async () => {
+            adapter.config.pages.push({
+                id: 'size-page',
+                name: 'Size',
+                lines: [
+                    {
+                        row: 3,
+                        left: {
+                            label: 'FROM',
+                            display: { type: 'label', text: 'EDDF', sizeLabel: 'large' },
+                            button: { type: 'empty' },
+                        },
+                        right: {
+                            label: 'TO',
+                            display: { type: 'label', text: 'EDDM', sizeData: 'small' },
+                            button: { type: 'empty' },
+                        },
+                    },
+                ],
+            });
+
+            await renderer.renderPage('size-page');
+
+            const lines = displayPublisher._published[displayPublisher._published.length - 1];
+            expect(lines[1].segments.map((seg) => seg.size)).to.deep.equal([undefined, 'small']);
+            expect(lines[2].segments.map((seg) => seg.size)).to.deep.equal([undefined, 'small']);
+            expect(lines[2].segments[1].text).to.include('EDDM');
+        });
+    });
+
     describe('Status Bar (Row 1)', () => {
         it('should render status bar on row 1 (index 0)', async () => {
             await renderer.renderPage('home-main');
@@ -382,6 +423,13 @@ describe('PageRenderer', () => {
             const result = renderer.renderStatusBar('x');
             expect(result.text.length).to.equal(24);
         });
+
+        it('should leave umlauts, look-alikes and glyph tokens to the client encoder', () => {
+            adapter.config.pages.push({ id: 'kueche', name: 'Küche {deg} ► \u0007', lines: [] });
+            const result = renderer.renderStatusBar('kueche');
+            expect(result.text).to.match(/^KÜCHE \{DEG\} ► /);
+            expect(result.text).to.have.lengthOf(24);
+        });
     });
 
     describe('Breadcrumb Status Bar', () => {
@@ -419,6 +467,65 @@ describe('PageRenderer', () => {
         });
     });
 
+    describe('Status Bar Widgets', () => {
+        it('should place widgets left, center and right with their colors', async () => {
+            adapter._setForeignState('weather.0.temp', 7.4);
+            renderer.setStatusBar([
+                { type: 'breadcrumb', position: 'left' },
+                { type: 'online', position: 'center', color: 'green' },
+                {
+                    type: 'datapoint',
+                    position: 'right',
+                    color: 'cyan',
+                    source: 'weather.0.temp',
+                    format: '%.0f',
+                    unit: 'C',
+                },
+            ]);
+            await renderer.loadStatusBarValues();
+
+            const result = renderer.renderStatusBar('home-main');
+            expect(result.text).to.have.lengthOf(24);
+            expect(result.text.startsWith('HOME')).to.be.true;
+            expect(result.text.endsWith(' 7C')).to.be.true;
+            expect(result.text).to.include('LINK');
+            expect(result.segments.map((s) => s.color)).to.deep.equal(['white', 'amber', 'cyan']);
+        });
+
+        it('should show the unread alert count only when there are alerts', async () => {
+            renderer.setStatusBar([{ type: 'alerts', source: 'mcdu.0.devices.test.notifications.unread' }]);
+            await renderer.loadStatusBarValues();
+            expect(renderer.renderStatusBar('home-main').text.trim()).to.equal('');
+
+            adapter._setForeignState('mcdu.0.devices.test.notifications.unread', 3);
+            await renderer.loadStatusBarValues();
+            const result = renderer.renderStatusBar('home-main');
+            expect(result.text.trim()).to.equal('MSG 3');
+            expect(result.color).to.equal('amber');
+        });
+
+        it('should shorten the breadcrumb to the space the other widgets leave', () => {
+            adapter.config.pages.push({ id: 'x', name: 'A Very Long Page Name That Exceeds', lines: [] });
+            const result = renderer.renderStatusBar('x');
+            expect(result.text).to.have.lengthOf(24);
+            expect(result.text).to.match(/^A VERY LONG PAGE N \d{2}:\d{2}$/);
+        });
+
+        it('should update only row 1 when a status bar source changes', async () => {
+            renderer.setStatusBar([{ type: 'datapoint', source: 'weather.0.temp' }]);
+            adapter._setForeignState('weather.0.temp', 5);
+            await renderer.renderPage('home-main');
+            adapter._setForeignState('weather.0.temp', 6);
+
+            await renderer.renderSourceChange('weather.0.temp');
+
+            expect(displayPublisher._publishedLines).to.have.length(1);
+            expect(displayPublisher._publishedLines[0].lineNum).to.equal(1);
+            expect(displayPublisher._publishedLines[0].text.trim()).to.equal('6');
+            expect(displayPublisher._published).to.have.length(1);
+        });
+    });
+
     describe('Pagination', () => {
         it('should paginate pages with >6 items', async () => {
             await renderer.renderPage('long-page');
@@ -586,4 +693,236 @@ describe('PageRenderer', () => {
             expect(hasError).to.be.true;
         });
     });
+
+    describe('Incremental Line Updates', () => {
+        beforeEach(() => {
+            adapter.config.pages.push({
+                id: 'sensors',
+                name: 'Sensors',
+                lines: [
+                    {
+                        row: 3,
+                        left: {
+                            label: '',
+                            display: { type: 'datapoint', source: 'sensor.temp', format: '%.1f', unit: 'C' },
+                            button: { type: 'empty' },
+                        },
+                        right: {
+                            label: '',
+                            display: { type: 'datapoint', source: 'sensor.hum', unit: '%' },
+                            button: { type: 'empty' },
+                        },
+                    },
+                    {
+                        row: 5,
+                        left: {
+                            label: '',
+                            display: { type: 'datapoint', source: 'sensor.temp', format: '%.0f' },
+                            button: { type: 'empty' },
+                        },
+                        right: { label: '', display: { type: 'empty' }, button: { type: 'empty' } },
+                    },
+                ],
+            });
+            adapter._setForeignState('sensor.temp', 21.5);
+            adapter._setForeignState('sensor.hum', 40);
+        });
+
+        it('should index rows by data source', async () => {
+            await renderer.renderPage('sensors');
+
+            expect([...renderer.sourceRows.get('sensor.temp')]).to.deep.equal([3, 5]);
+            expect([...renderer.sourceRows.get('sensor.hum')]).to.deep.equal([3]);
+        });
+
+        it('should publish only lines depending on the changed state', async () => {
+            await renderer.renderPage('sensors');
+            adapter._setForeignState('sensor.hum', 55);
+
+            const published = await renderer.renderSourceChange('sensor.hum');
+
+            expect(published).to.equal(1);
+            expect(displayPublisher._publishedLines).to.have.length(1);
+            expect(displayPublisher._publishedLines[0].lineNum).to.equal(3);
+            expect(displayPublisher._publishedLines[0].text).to.include('55');
+            expect(displayPublisher._published).to.have.length(1);
+        });
+
+        it('should skip lines whose rendered output did not change', async () => {
+            await renderer.renderPage('sensors');
+            adapter._setForeignState('sensor.temp', 21.54);
+
+            await renderer.renderSourceChange('sensor.temp');
+
+            // Row 3 (%.1f) unchanged, row 5 (%.0f) unchanged
+            expect(displayPublisher._publishedLines).to.have.length(0);
+        });
+
+        it('should ignore states not shown on the current page', async () => {
+            await renderer.renderPage('home-main');
+
+            const published = await renderer.renderSourceChange('sensor.temp');
+
+            expect(published).to.equal(0);
+            expect(displayPublisher._publishedLines).to.have.length(0);
+        });
+
+        it('should reset the index when an error page is rendered', async () => {
+            await renderer.renderPage('sensors');
+            await renderer.renderPage('nonexistent');
+
+            expect(renderer.sourceRows.size).to.equal(0);
+            expect(await renderer.renderSourceChange('sensor.temp')).to.equal(0);
+        });
+    });
+
+    describe('Value Maps', () => {
+        async function renderSingle(display) {
+            adapter.config.pages.push({
+                id: 'mapped',
+                name: 'Mapped',
+                lines: [
+                    {
+                        row: 3,
+                        left: { label: '', display, button: { type: 'empty' } },
+                        right: { label: '', display: { type: 'empty' }, button: { type: 'empty' } },
+                    },
+                ],
+            });
+            await renderer.renderPage('mapped');
+            return displayPublisher._published[0][2];
+        }
+
+        it('should map boolean values to text and color', async () => {
+            adapter._setForeignState('test.light', true);
+            const line = await renderSingle({
+                type: 'datapoint',
+                source: 'test.light',
+                valueMap: { true: { text: 'EIN', color: 'green' }, false: { text: 'AUS', color: 'white' } },
+            });
+
+            expect(line.text.trim()).to.equal('EIN');
+            expect(line.color).to.equal('green');
+        });
+
+        it('should not append the unit to mapped values', async () => {
+            adapter._setForeignState('test.mode', 1);
+            const line = await renderSingle({
+                type: 'datapoint',
+                source: 'test.mode',
+                format: '%.1f',
+                unit: 'X',
+                valueMap: '0:AUS;1:AUTO',
+            });
+
+            expect(line.text.trim()).to.equal('AUTO');
+        });
+
+        it('should fall back to common.states from datapoint metadata', async () => {
+            adapter.datapointMeta = new Map([['test.mode', { type: 'number', states: { 0: 'AUS', 2: 'HEIZEN' } }]]);
+            adapter._setForeignState('test.mode', 2);
+            const line = await renderSingle({ type: 'datapoint', source: 'test.mode', colData: 'cyan' });
+
+            expect(line.text.trim()).to.equal('HEIZEN');
+            expect(line.color).to.equal('cyan');
+        });
+
+        it('should let color rules override the mapped color', async () => {
+            adapter._setForeignState('test.mode', 2);
+            const line = await renderSingle({
+                type: 'datapoint',
+                source: 'test.mode',
+                valueMap: { 2: { text: 'HEIZEN', color: 'green' } },
+                colorRules: [
+                    { condition: 'in [3, 4]', color: 'red' },
+                    { condition: 'between 1 and 2', color: 'amber' },
+                ],
+            });
+
+            expect(line.text.trim()).to.equal('HEIZEN');
+            expect(line.color).to.equal('amber');
+        });
+
+        it('should format unmapped values as before', async () => {
+            adapter._setForeignState('test.mode', 7);
+            const line = await renderSingle({ type: 'datapoint', source: 'test.mode', unit: 'X', valueMap: '0:AUS' });
+
+            expect(line.text.trim()).to.equal('7 X');
+        });
+    });
+
+    describe('Conditional Visibility', () => {
+        const item = (row, text, visibleIf) => ({
+            row,
+            left: { label: '', display: { type: 'label', text }, button: { type: 'empty' }, visibleIf },
+            right: { label: '', display: { type: 'empty' }, button: { type: 'empty' } },
+        });
+        const armed = { source: 'alarm.0.armed', condition: '== true' };
+
+        beforeEach(() => {
+            adapter.config.pages.push({
+                id: 'alarm',
+                name: 'Alarm',
+                lines: [item(3, 'STATUS'), item(5, 'ALARM DISARM', armed)],
+            });
+            adapter.config.pages.push({
+                id: 'alarm-long',
+                name: 'Alarm Long',
+                lines: [1, 2, 3, 4, 5, 6].map((n) => item(100 + n, `ITEM ${n}`)).concat(item(107, 'DISARM', armed)),
+            });
+        });
+
+        it('should hide a side whose condition is false', async () => {
+            adapter._setForeignState('alarm.0.armed', false);
+            await renderer.renderPage('alarm');
+
+            expect(displayPublisher._published[0][4].text.trim()).to.equal('');
+            expect(renderer.rowLines.has(5)).to.be.false;
+        });
+
+        it('should show a side whose condition is true', async () => {
+            adapter._setForeignState('alarm.0.armed', true);
+            await renderer.renderPage('alarm');
+
+            expect(displayPublisher._published[0][4].text).to.include('ALARM DISARM');
+        });
+
+        it('should hide sides whose visibility state does not exist', async () => {
+            await renderer.renderPage('alarm');
+
+            expect(displayPublisher._published[0][4].text.trim()).to.equal('');
+        });
+
+        it('should not count hidden lines for pagination', async () => {
+            adapter._setForeignState('alarm.0.armed', false);
+            await renderer.renderPage('alarm-long');
+            expect(renderer.totalPages).to.equal(1);
+
+            adapter._setForeignState('alarm.0.armed', true);
+            await renderer.renderPage('alarm-long');
+            expect(renderer.totalPages).to.equal(2);
+        });
+
+        it('should re-render the whole page when a visibility state changes', async () => {
+            adapter._setForeignState('alarm.0.armed', false);
+            await renderer.renderPage('alarm');
+            adapter._setForeignState('alarm.0.armed', true);
+
+            await renderer.renderSourceChange('alarm.0.armed');
+
+            expect(displayPublisher._published).to.have.length(2);
+            expect(displayPublisher._published[1][4].text).to.include('ALARM DISARM');
+        });
+
+        it('should resolve LSK rows with visibility and pagination applied', async () => {
+            adapter._setForeignState('alarm.0.armed', false);
+            expect(await renderer.getLineAtRow('alarm', 5)).to.equal(null);
+
+            adapter._setForeignState('alarm.0.armed', true);
+            expect((await renderer.getLineAtRow('alarm-long', 3)).left.display.text).to.equal('ITEM 1');
+            renderer.currentPageOffset = 1;
+            await renderer.renderPage('alarm-long');
+            expect((await renderer.getLineAtRow('alarm-long', 3)).left.display.text).to.equal('DISARM');
+        });
+    });
 });
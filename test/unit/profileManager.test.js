@@ -0,0 +1,79 @@
+'use strict';
+
+const { expect } = require('chai');
+const ProfileManager = require('../../lib/state/ProfileManager');
+const { createMockAdapter } = require('./testHelper');
+
+describe('ProfileManager', () => {
+    const prefix = 'devices.kitchen.config';
+    let adapter;
+    let manager;
+
+    const dayPages = [{ id: 'home', name: 'Home', lines: [] }];
+    const nightPages = [{ id: 'night', name: 'Night', lines: [] }];
+
+    beforeEach(() => {
+        adapter = createMockAdapter();
+        manager = new ProfileManager(adapter);
+        adapter._states[`${prefix}.pages`] = { val: JSON.stringify(dayPages) };
+        adapter._states[`${prefix}.startPage`] = { val: 'home' };
+        adapter._states[`${prefix}.defaultColor`] = { val: 'green' };
+    });
+
+    it('should capture the live configuration with defaults for missing states', async () => {
+        const profile = await manager.captureProfile('kitchen');
+        expect(profile).to.deep.equal({
+            pages: dayPages,
+            functionKeys: [],
+            startPage: 'home',
+            ledMapping: [],
+            defaultColor: 'green',
+        });
+    });
+
+    it('should create an unknown profile from the live configuration', async () => {
+        const result = await manager.switchProfile('kitchen', ' Day ');
+
+        expect(result).to.deep.equal({ name: 'Day', created: true });
+        expect(await manager.getActiveProfile('kitchen')).to.equal('Day');
+        expect((await manager.getProfiles('kitchen')).Day.pages).to.deep.equal(dayPages);
+        expect(adapter._states[`${prefix}.pages`].val).to.equal(JSON.stringify(dayPages));
+    });
+
+    it('should keep the active profile and apply the target profile', async () => {
+        adapter._states[`${prefix}.activeProfile`] = { val: 'Day' };
+        adapter._states[`${prefix}.profiles`] = {
+            val: JSON.stringify({ Night: { pages: nightPages, startPage: 'night', defaultColor: 'amber' } }),
+        };
+
+        const result = await manager.switchProfile('kitchen', 'Night');
+
+        expect(result.created).to.be.false;
+        expect(JSON.parse(adapter._states[`${prefix}.pages`].val)).to.deep.equal(nightPages);
+        expect(adapter._states[`${prefix}.startPage`].val).to.equal('night');
+        expect(adapter._states[`${prefix}.defaultColor`].val).to.equal('amber');
+        expect(adapter._states[`${prefix}.functionKeys`].val).to.equal('[]');
+
+        // The previous live configuration was kept as "Day"
+        const profiles = await manager.getProfiles('kitchen');
+        expect(profiles.Day).to.include({ startPage: 'home', defaultColor: 'green' });
+
+        await manager.switchProfile('kitchen', 'Day');
+        expect(JSON.parse(adapter._states[`${prefix}.pages`].val)).to.deep.equal(dayPages);
+    });
+
+    it('should store the saved configuration under the given profile name', async () => {
+        await manager.storeProfile('kitchen', 'Guest');
+        expect(await manager.getActiveProfile('kitchen')).to.equal('Guest');
+        expect((await manager.getProfiles('kitchen')).Guest.startPage).to.equal('home');
+
+        await manager.storeProfile('kitchen', '');
+        expect(await manager.getActiveProfile('kitchen')).to.equal('');
+        expect(Object.keys(await manager.getProfiles('kitchen'))).to.deep.equal(['Guest']);
+    });
+
+    it('should ignore invalid profile JSON', async () => {
+        adapter._states[`${prefix}.profiles`] = { val: '{broken' };
+        expect(await manager.getProfiles('kitchen')).to.deep.equal({});
+    });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const { expect } = require('chai');
+const DeviceSession = require('../../lib/state/DeviceSession');
+const ButtonSubscriber = require('../../lib/mqtt/ButtonSubscriber');
+const {
+    QUICK_ACCESS_PAGE_ID,
+    buildQuickAccessPage,
+    flattenQuickAccess,
+    unflattenQuickAccess,
+    validateQuickAccess,
+} = require('../../lib/utils/quickAccess');
+const { createMockAdapter, createMockMqttClient } = require('./testHelper');
+
+describe('Quick Access', () => {
+    const config = {
+        title: 'SCHNELL',
+        actions: [
+            { label: 'GUTE NACHT', button: { type: 'macro', macro: 'set scene.0.night=true; goto home' } },
+            null,
+            { label: 'LICHT', button: { type: 'datapoint', target: 'hm.0.light', confirm: 'soft' } },
+        ],
+        info: [{ label: 'PV', source: 'pv.0.power', format: '%.1f', unit: 'kW', target: 'energy' }],
+    };
+
+    describe('buildQuickAccessPage', () => {
+        it('should put actions on the left and info readouts on the right', () => {
+            const page = buildQuickAccessPage(config);
+
+            expect(page).to.include({ id: QUICK_ACCESS_PAGE_ID, name: 'SCHNELL', layout: 'quick' });
+            expect(page.lines.map((l) => l.row)).to.deep.equal([3, 7]);
+
+            const [first, third] = page.lines;
+            expect(first.left.display).to.include({ type: 'label', text: '<GUTE NACHT' });
+            expect(first.left.button.type).to.equal('macro');
+            expect(first.right.label).to.equal('PV');
+            expect(first.right.display).to.include({ type: 'datapoint', source: 'pv.0.power', readOnly: true });
+            expect(first.right.button).to.deep.equal({ type: 'navigation', action: 'goto', target: 'energy' });
+            expect(third.left.button.target).to.equal('hm.0.light');
+            expect(third.right.display.type).to.equal('empty');
+        });
+
+        it('should build an empty page with default title when nothing is configured', () => {
+            const page = buildQuickAccessPage(null);
+            expect(page.name).to.equal('QUICK ACCESS');
+            expect(page.lines).to.deep.equal([]);
+        });
+    });
+
+    describe('flatten / unflatten', () => {
+        it('should always return six table rows', () => {
+            const rows = flattenQuickAccess(config);
+            expect(rows).to.have.length(6);
+            expect(rows[0]).to.include({ actionLabel: 'GUTE NACHT', actionType: 'macro', infoSource: 'pv.0.power' });
+            expect(rows[1]).to.include({ actionLabel: '', actionType: '', infoSource: '' });
+            expect(rows[2]).to.include({ actionType: 'datapoint', actionTarget: 'hm.0.light', actionConfirm: 'soft' });
+        });
+
+        it('should keep slot positions through a round-trip', () => {
+            const restored = unflattenQuickAccess(flattenQuickAccess(config), 'SCHNELL');
+            const page = buildQuickAccessPage(restored);
+
+            expect(restored.title).to.equal('SCHNELL');
+            expect(restored.actions[1]).to.equal(null);
+            expect(restored.actions[2].button).to.deep.equal({
+                type: 'datapoint',
+                target: 'hm.0.light',
+                confirm: 'soft',
+            });
+            expect(page.lines.map((l) => l.row)).to.deep.equal([3, 7]);
+        });
+    });
+
+    describe('validateQuickAccess', () => {
+        it('should report broken macros and missing targets per slot', () => {
+            const errors = validateQuickAccess({
+                actions: [
+                    { label: 'A', button: { type: 'macro', macro: 'jump' } },
+                    { label: 'B', button: { type: 'navigation', target: '' } },
+                    { label: 'C', button: { type: 'macro', macro: 'goto home' } },
+                ],
+            });
+            expect(errors).to.have.length(2);
+            expect(errors[0]).to.match(/^LSK1L: Macro step 1/);
+            expect(errors[1]).to.equal('LSK2L: navigation action has no target');
+        });
+    });
+
+    describe('DeviceSession', () => {
+        let adapter;
+
+        beforeEach(() => {
+            adapter = createMockAdapter();
+            adapter._states['devices.kitchen.config.pages'] = {
+                val: JSON.stringify([{ id: 'home', name: 'Home', lines: [] }]),
+            };
+            adapter._states['devices.kitchen.config.quickAccess'] = { val: JSON.stringify(config) };
+        });
+
+        it('should load the quick access page next to the configured pages', async () => {
+            const session = new DeviceSession(adapter, createMockMqttClient(), 'kitchen');
+            await session.load();
+
+            expect(session.pages.map((p) => p.id)).to.deep.equal(['home']);
+            expect(session.findPage(QUICK_ACCESS_PAGE_ID).name).to.equal('SCHNELL');
+            expect(session.getAllPages().map((p) => p.id)).to.deep.equal(['home', QUICK_ACCESS_PAGE_ID]);
+        });
+
+        it('should open the info page instead of writing the readout datapoint', async () => {
+            const session = new DeviceSession(adapter, createMockMqttClient(), 'kitchen');
+            await session.load();
+            await session.setCurrentPage(QUICK_ACCESS_PAGE_ID);
+            adapter._setForeignState('pv.0.power', 4.2);
+            adapter.datapointMeta = new Map([['pv.0.power', { type: 'number', write: true }]]);
+            session.scratchpadManager.set('99');
+            let executed = null;
+            adapter.executeButtonAction = async (button) => {
+                executed = button;
+            };
+
+            await session.inputModeManager.handleLSK('right', 3);
+
+            expect(executed).to.include({ type: 'navigation', target: 'energy' });
+            expect(adapter._foreignStates['pv.0.power'].val).to.equal(4.2);
+        });
+    });
+
+    describe('function key', () => {
+        it('should open the quick access page', async () => {
+            const adapter = createMockAdapter({ functionKeys: [{ key: 'DIR', enabled: true, action: 'quickAccess' }] });
+            let switchedTo = null;
+            adapter.switchToPage = async (pageId) => {
+                switchedTo = pageId;
+            };
+            const subscriber = new ButtonSubscriber(adapter, createMockMqttClient());
+
+            await subscriber.handleFunctionKey('DIR');
+            expect(switchedTo).to.equal(QUICK_ACCESS_PAGE_ID);
+        });
+    });
+});
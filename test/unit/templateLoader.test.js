@@ -0,0 +1,231 @@
+'use strict';
+
+const { expect } = require('chai');
+const TemplateLoader = require('../../lib/templates/TemplateLoader');
+const { createMockAdapter, loadAdapterClass } = require('./testHelper');
+
+describe('TemplateLoader', () => {
+    let adapter;
+    let loader;
+
+    beforeEach(() => {
+        adapter = createMockAdapter();
+        loader = new TemplateLoader(adapter);
+    });
+
+    describe('getParameters', () => {
+        it('should list the declared parameters of the bundled templates', () => {
+            for (const id of ['home', 'climate', 'lights']) {
+                const parameters = loader.getParameters(id);
+                expect(parameters.length, id).to.be.greaterThan(0);
+                expect(
+                    parameters.every((p) => p.role && p.label),
+                    id
+                ).to.be.true;
+            }
+            expect(loader.getParameters('lights')[0]).to.deep.equal({
+                name: 'livingRoomLight',
+                label: 'Living room light',
+                role: 'switch.light',
+                type: 'boolean',
+            });
+        });
+
+        it('should add placeholders that are used but not declared', () => {
+            loader.templates.custom = {
+                name: 'Custom',
+                pages: [{ id: 'p', lines: [{ row: 3, left: { display: { source: '{{ outside }}' } } }] }],
+            };
+            expect(loader.getParameters('custom')).to.deep.equal([
+                { name: 'outside', label: 'outside', role: '', type: '' },
+            ]);
+        });
+    });
+
+    describe('mergeTemplate', () => {
+        it('should substitute supplied values and leave unresolved placeholders empty', () => {
+            const pages = loader.mergeTemplate([], 'lights', { livingRoomLight: 'hm-rpc.0.ABC.STATE' });
+
+            const living = pages[0].lines.find((l) => l.row === 5).left;
+            const kitchen = pages[0].lines.find((l) => l.row === 7).left;
+            expect(living.display.source).to.equal('hm-rpc.0.ABC.STATE');
+            expect(living.button.target).to.equal('hm-rpc.0.ABC.STATE');
+            expect(kitchen.display.source).to.equal('');
+            expect(JSON.stringify(pages)).to.not.include('{{');
+            expect(JSON.stringify(loader.templates.lights.pages)).to.include('{{livingRoomLight}}');
+        });
+
+        it('should keep existing pages with the same ID', () => {
+            const existing = [{ id: 'lights-main', name: 'Mine', lines: [] }];
+            const pages = loader.mergeTemplate(existing, 'lights');
+            expect(pages[0]).to.equal(existing[0]);
+            expect(pages.filter((p) => p.id === 'lights-main')).to.have.length(1);
+        });
+    });
+
+    describe('suggestParameters', () => {
+        it('should rank states by role, type and name words', async () => {
+            const state = (role, type, name) => ({ type: 'state', common: { role, type, name } });
+            Object.assign(adapter._foreignObjects, {
+                'hm-rpc.0.KITCHEN.STATE': state('switch.light', 'boolean', 'Kitchen ceiling'),
+                'hm-rpc.0.LIVING.STATE': state('switch.light', 'boolean', 'Living room'),
+                'zigbee.0.plug.state': state('switch', 'boolean', 'Living room plug'),
+                'hm-rpc.0.DIMMER.LEVEL': state('level.dimmer', 'number', 'Living room dimmer'),
+                'hm-rpc.0.BROKEN.STATE': state('switch.light', 'string', 'Living room'),
+                'mcdu.0.devices.x.leds.FAIL': state('switch.light', 'boolean', 'Living room'),
+            });
+
+            const suggestions = await loader.suggestParameters([
+                { name: 'livingRoomLight', role: 'switch.light', type: 'boolean' },
+                { name: 'free', role: '', type: '' },
+            ]);
+
+            expect(suggestions.livingRoomLight).to.deep.equal([
+                'hm-rpc.0.LIVING.STATE',
+                'hm-rpc.0.KITCHEN.STATE',
+                'zigbee.0.plug.state',
+            ]);
+            expect(suggestions.free).to.deep.equal([]);
+        });
+    });
+
+    describe('loadTemplate command', () => {
+        it('should bind supplied states only and suggest the others', async () => {
+            adapter._foreignObjects['hm-rpc.0.LIVING.STATE'] = {
+                type: 'state',
+                common: { role: 'switch.light', type: 'boolean', name: 'Living room' },
+            };
+            const replies = [];
+            const context = {
+                templateLoader: loader,
+                log: adapter.log,
+                sendTo: (from, command, reply) => replies.push(reply),
+            };
+
+            await loadAdapterClass().prototype.handleLoadTemplate.call(context, {
+                from: 'system.adapter.admin.0',
+                command: 'loadTemplate',
+                message: {
+                    templateId: 'lights',
+                    parameters: [{ name: 'kitchenLight', value: 'hm-rpc.0.KITCHEN.STATE' }],
+                },
+            });
+
+            const { native, parameters } = replies[0];
+            const lines = native.pages[0].lines;
+            expect(lines.find((line) => line.slot === 2).leftSource).to.equal('');
+            expect(lines.find((line) => line.slot === 3).leftSource).to.equal('hm-rpc.0.KITCHEN.STATE');
+            expect(JSON.stringify(native.pages)).to.not.include('hm-rpc.0.LIVING.STATE');
+
+            const living = parameters.find((param) => param.name === 'livingRoomLight');
+            expect(living).to.include({ value: '' });
+            expect(living.suggestions).to.deep.equal(['hm-rpc.0.LIVING.STATE']);
+            expect(native.templateParameters.find((param) => param.name === 'livingRoomLight')).to.deep.equal({
+                name: 'livingRoomLight',
+                label: 'Living room light',
+                role: 'switch.light',
+                value: '',
+                suggestions: 'hm-rpc.0.LIVING.STATE',
+            });
+            expect(native.templateParameters.find((param) => param.name === 'kitchenLight').value).to.equal(
+                'hm-rpc.0.KITCHEN.STATE'
+            );
+        });
+    });
+
+    describe('user templates', () => {
+        let files;
+
+        beforeEach(() => {
+            files = {};
+            adapter.setForeignObjectNotExistsAsync = async () => {};
+            adapter.writeFileAsync = async (ns, path, data) => {
+                files[path] = data;
+            };
+            adapter.readFileAsync = async (ns, path) => ({ file: Buffer.from(files[path]) });
+            adapter.readDirAsync = async (ns, dir) =>
+                Object.keys(files)
+                    .filter((path) => path.startsWith(`${dir}/`))
+                    .map((path) => ({ file: path.substring(dir.length + 1), isDir: false }));
+            adapter.delFileAsync = async (ns, path) => {
+                delete files[path];
+            };
+            adapter._foreignObjects['hm-rpc.0.ABC.STATE'] = {
+                type: 'state',
+                common: { role: 'switch.light', type: 'boolean' },
+            };
+        });
+
+        const pages = [
+            {
+                id: 'kitchen',
+                name: 'Kitchen',
+                lines: [
+                    {
+                        row: 3,
+                        left: {
+                            label: 'DECKE',
+                            display: { type: 'datapoint', source: 'hm-rpc.0.ABC.STATE' },
+                            button: { type: 'datapoint', action: 'toggle', target: 'hm-rpc.0.ABC.STATE' },
+                        },
+                        right: {
+                            display: { type: 'label', text: 'SCENE' },
+                            button: { type: 'macro', macro: 'set scene.0.cooking=true' },
+                        },
+                    },
+                ],
+            },
+        ];
+
+        it('should save pages with datapoints turned into parameters', async () => {
+            const id = await loader.saveUserTemplate({ name: 'Küche', pages });
+
+            expect(id).to.equal('user-kueche');
+            expect(files).to.have.property('templates/user-kueche.json');
+            expect(loader.getParameters(id)).to.deep.equal([
+                { name: 'decke', label: 'DECKE', role: 'switch.light', type: 'boolean' },
+                { name: 'sceneCooking', label: 'scene.0.cooking', role: '', type: '' },
+            ]);
+
+            const resolved = loader.mergeTemplate([], id, { decke: 'zigbee.0.lamp.state', sceneCooking: 'x.0.y' });
+            expect(resolved[0].lines[0].left.button.target).to.equal('zigbee.0.lamp.state');
+            expect(resolved[0].lines[0].right.button.macro).to.equal('set x.0.y=true');
+        });
+
+        it('should strip datapoints on request', async () => {
+            const id = await loader.saveUserTemplate({ name: 'Plain', pages, datapoints: 'strip' });
+            const template = loader.getTemplate(id);
+            expect(template.parameters).to.deep.equal([]);
+            expect(template.pages[0].lines[0].left.display.source).to.equal('');
+        });
+
+        it('should list, reload, rename and delete user templates', async () => {
+            const id = await loader.saveUserTemplate({ name: 'Kitchen', pages });
+            const second = await loader.saveUserTemplate({ name: 'Kitchen', pages });
+            expect(second).to.equal('user-kitchen-2');
+
+            const reloaded = new TemplateLoader(adapter);
+            await reloaded.loadUserTemplates();
+            const list = reloaded.getTemplateList();
+            expect(list.filter((t) => t.user).map((t) => t.id)).to.deep.equal([id, second]);
+            expect(list.find((t) => t.id === 'lights').user).to.be.false;
+
+            await reloaded.renameUserTemplate(id, 'Cooking');
+            expect(JSON.parse(files[`templates/${id}.json`]).name).to.equal('Cooking');
+
+            await reloaded.deleteUserTemplate(second);
+            expect(files).to.not.have.property(`templates/${second}.json`);
+            expect(reloaded.getTemplateList().filter((t) => t.user)).to.have.length(1);
+        });
+
+        it('should refuse to change built-in templates', async () => {
+            let error = null;
+            try {
+                await loader.deleteUserTemplate('lights');
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.match(/built-in/);
+        });
+    });
+});
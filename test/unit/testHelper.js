@@ -4,9 +4,12 @@
  * Test helper - mock adapter and display publisher for unit tests
  */
 
+const Module = require('module');
+
 function createMockAdapter(config = {}) {
     const states = {};
     const foreignStates = {};
+    const foreignObjects = {};
 
     return {
         config: {
@@ -36,10 +39,28 @@ function createMockAdapter(config = {}) {
         getForeignStateAsync: async (id) => {
             return foreignStates[id] || null;
         },
+        getCachedForeignState: async (id) => {
+            return foreignStates[id] || null;
+        },
+        getForeignObjectAsync: async (id) => {
+            return foreignObjects[id] || null;
+        },
+        getForeignObjectsAsync: async (pattern, type) => {
+            const regex = new RegExp(`^${pattern.replace(/\./g, '\\.').replace(/\*/g, '.*')}$`);
+            const result = {};
+            for (const [id, obj] of Object.entries(foreignObjects)) {
+                if (regex.test(id) && (!type || obj.type === type)) {
+                    result[id] = obj;
+                }
+            }
+            return result;
+        },
+        subscribeToDataSources: async () => {},
         renderCurrentPage: async () => {},
         switchToPage: async () => {},
         navigateHome: async () => {},
         executeButtonAction: async () => {},
+        getDeviceSession: async () => null,
         subscribeForeignStates: () => {},
         subscribeStates: () => {},
         setTimeout: (cb, ms) => setTimeout(cb, ms),
@@ -49,6 +70,7 @@ function createMockAdapter(config = {}) {
         // Test helpers
         _states: states,
         _foreignStates: foreignStates,
+        _foreignObjects: foreignObjects,
         _setForeignState: (id, val, q) => {
             foreignStates[id] = { val, ack: true, q: q || 0x00 };
         },
@@ -63,8 +85,8 @@ function createMockDisplayPublisher() {
         publishFullDisplay: async (lines) => {
             published.push(lines);
         },
-        publishLine: async (lineNum, text, color) => {
-            publishedLines.push({ lineNum, text, color });
+        publishLine: async (lineNum, text, color, segments) => {
+            publishedLines.push({ lineNum, text, color, segments });
         },
         lastContent: null,
         deviceId: 'test-device',
@@ -92,8 +114,39 @@ function createMockMqttClient() {
     };
 }
 
+/**
+ * Load the adapter class without js-controller (adapter-core replaced by a minimal base class)
+ *
+ * @returns {Function} McduAdapter class
+ */
+function loadAdapterClass() {
+    const corePath = require.resolve('@iobroker/adapter-core');
+    const mainPath = require.resolve('../../main');
+    const original = require.cache[corePath];
+    const core = new Module(corePath);
+    core.loaded = true;
+    core.exports = {
+        Adapter: class {
+            on() {}
+        },
+    };
+    require.cache[corePath] = core;
+    try {
+        delete require.cache[mainPath];
+        return Object.getPrototypeOf(require('../../main')({})).constructor;
+    } finally {
+        delete require.cache[mainPath];
+        if (original) {
+            require.cache[corePath] = original;
+        } else {
+            delete require.cache[corePath];
+        }
+    }
+}
+
 module.exports = {
     createMockAdapter,
     createMockDisplayPublisher,
     createMockMqttClient,
+    loadAdapterClass,
 };
@@ -0,0 +1,67 @@
+'use strict';
+
+const { expect } = require('chai');
+const { normalizeValueMap, lookupValue, formatValueMap } = require('../../lib/utils/valueMap');
+
+describe('valueMap', () => {
+    describe('normalizeValueMap', () => {
+        it('should normalize object maps with text/color entries and plain strings', () => {
+            const map = normalizeValueMap({ true: { text: 'EIN', color: 'green' }, false: 'AUS' });
+            expect(map).to.deep.equal({
+                true: { text: 'EIN', color: 'green' },
+                false: { text: 'AUS', color: null },
+            });
+        });
+
+        it('should accept common.states arrays (index = value)', () => {
+            const map = normalizeValueMap(['AUS', 'AUTO', 'EIN']);
+            expect(map['2']).to.deep.equal({ text: 'EIN', color: null });
+        });
+
+        it('should parse compact strings with optional color', () => {
+            const map = normalizeValueMap('0:Aus;1:Ein:green');
+            expect(map).to.deep.equal({
+                0: { text: 'Aus', color: null },
+                1: { text: 'Ein', color: 'green' },
+            });
+        });
+
+        it('should return null for empty or invalid input', () => {
+            expect(normalizeValueMap(null)).to.equal(null);
+            expect(normalizeValueMap('')).to.equal(null);
+            expect(normalizeValueMap({})).to.equal(null);
+            expect(normalizeValueMap(42)).to.equal(null);
+        });
+    });
+
+    describe('lookupValue', () => {
+        const map = normalizeValueMap({ true: 'EIN', 1: 'STUFE 1', '2.0': 'STUFE 2' });
+
+        it('should match booleans by their string form', () => {
+            expect(lookupValue(map, true).text).to.equal('EIN');
+        });
+
+        it('should match numbers against differently written numeric keys', () => {
+            expect(lookupValue(map, 1).text).to.equal('STUFE 1');
+            expect(lookupValue(map, 2).text).to.equal('STUFE 2');
+        });
+
+        it('should return null for unmapped values', () => {
+            expect(lookupValue(map, false)).to.equal(null);
+            expect(lookupValue(map, null)).to.equal(null);
+            expect(lookupValue(null, true)).to.equal(null);
+        });
+    });
+
+    describe('formatValueMap', () => {
+        it('should round-trip through the compact string form', () => {
+            const compact = formatValueMap({ true: { text: 'EIN', color: 'green' }, false: 'AUS' });
+            expect(compact).to.equal('true:EIN:green;false:AUS');
+            expect(formatValueMap(compact)).to.equal(compact);
+        });
+
+        it('should return empty string without map', () => {
+            expect(formatValueMap(undefined)).to.equal('');
+        });
+    });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const { expect } = require('chai');
+const WebSocket = require('ws');
+const WebSocketTransport = require('../../lib/transport/WebSocketTransport');
+const TransportRouter = require('../../lib/transport/TransportRouter');
+const { createMockAdapter } = require('./testHelper');
+
+const PORT = 28765;
+
+/**
+ * Open a client socket and send the hello frame
+ *
+ * @param {object} hello - Hello frame fields
+ * @returns {Promise<{socket: object, frames: object[], next: Function}>} Client with received frames
+ */
+function openClient(hello) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(`ws://127.0.0.1:${PORT}`);
+        const frames = [];
+        const waiting = [];
+        socket.on('message', (data) => {
+            const frame = JSON.parse(data.toString());
+            const waiter = waiting.shift();
+            waiter ? waiter(frame) : frames.push(frame);
+        });
+        const next = () => (frames.length > 0 ? Promise.resolve(frames.shift()) : new Promise((r) => waiting.push(r)));
+        socket.once('open', () => {
+            socket.send(JSON.stringify({ type: 'hello', ...hello }));
+            resolve({ socket, frames, next });
+        });
+        socket.once('error', reject);
+    });
+}
+
+describe('WebSocketTransport', () => {
+    let adapter;
+    let transport;
+
+    beforeEach(async () => {
+        adapter = createMockAdapter();
+        transport = new WebSocketTransport(adapter, { port: PORT, token: 'secret', topicPrefix: 'mcdu' });
+        await transport.connect();
+    });
+
+    afterEach(() => {
+        transport.disconnect();
+    });
+
+    it('should reject clients with a wrong token', async () => {
+        const client = await openClient({ deviceId: 'kitchen', token: 'nope' });
+        expect(await client.next()).to.deep.equal({ type: 'error', message: 'Invalid token' });
+        expect(transport.hasDevice('kitchen')).to.be.false;
+        client.socket.close();
+    });
+
+    it('should refuse to start without a token', async () => {
+        const open = new WebSocketTransport(adapter, { port: PORT + 1, token: '' });
+        let error = null;
+        try {
+            await open.connect();
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.match(/requires an access token/);
+        expect(open.server).to.be.null;
+    });
+
+    it('should replay retained messages and route publishes to the device', async () => {
+        await transport.publish('kitchen/display/set', '{"lines":[]}', { retain: true });
+
+        const client = await openClient({ deviceId: 'kitchen', token: 'secret' });
+        expect((await client.next()).type).to.equal('welcome');
+        const replayed = [await client.next(), await client.next()].map((f) => f.topic).sort();
+        expect(replayed).to.deep.equal(['mcdu/adapter/status', 'mcdu/kitchen/display/set']);
+
+        await transport.publish('mcdu/office/leds/single', '{}');
+        await transport.publish('mcdu/kitchen/leds/single', '{"name":"FAIL"}');
+        expect(await client.next()).to.deep.include({ topic: 'mcdu/kitchen/leds/single', payload: '{"name":"FAIL"}' });
+        client.socket.close();
+    });
+
+    it('should dispatch client publishes to subscribers and emulate the last will', async () => {
+        const received = [];
+        await transport.subscribe('+/buttons/event', (topic, message) => received.push([topic, message.toString()]));
+        await transport.subscribe('+/status/online', (topic, message) => received.push([topic, message.toString()]));
+
+        const client = await openClient({ deviceId: 'kitchen', token: 'secret' });
+        await client.next(); // welcome
+        client.socket.send(JSON.stringify({ type: 'publish', topic: 'mcdu/office/buttons/event', payload: '{}' }));
+        client.socket.send(
+            JSON.stringify({ type: 'publish', topic: 'mcdu/kitchen/buttons/event', payload: '{"a":1}' })
+        );
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        expect(received).to.deep.equal([['mcdu/kitchen/buttons/event', '{"a":1}']]);
+
+        client.socket.close();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        expect(received[1][0]).to.equal('mcdu/kitchen/status/online');
+        expect(JSON.parse(received[1][1]).status).to.equal('offline');
+    });
+});
+
+describe('TransportRouter', () => {
+    /**
+     * Minimal transport recording publishes and keeping subscription handlers
+     *
+     * @returns {object} Fake transport
+     */
+    function fakeTransport() {
+        return {
+            topicPrefix: 'mcdu',
+            connected: true,
+            published: [],
+            handlers: [],
+            publish: async function (topic) {
+                this.published.push(topic);
+            },
+            subscribe: async function (topic, handler) {
+                this.handlers.push(handler);
+            },
+        };
+    }
+
+    it('should route device topics to the transport the device talks over', async () => {
+        const mqtt = fakeTransport();
+        const websocket = fakeTransport();
+        const router = new TransportRouter(createMockAdapter(), { mqtt, websocket });
+        const seen = [];
+        await router.subscribe('+/status/announce', (topic) => seen.push(topic));
+
+        await router.publish('kitchen/display/set', '{}');
+        expect(mqtt.published).to.deep.equal(['kitchen/display/set']);
+
+        websocket.handlers[0]('mcdu/kitchen/status/announce', Buffer.from('{}'));
+        expect(seen).to.deep.equal(['mcdu/kitchen/status/announce']);
+        expect(router.getDeviceTransport('kitchen')).to.equal('websocket');
+
+        await router.publish('mcdu/kitchen/display/set', '{}');
+        await router.publish('adapter/status', '{}');
+        expect(websocket.published).to.deep.equal(['mcdu/kitchen/display/set', 'adapter/status']);
+        expect(mqtt.published).to.deep.equal(['kitchen/display/set', 'adapter/status']);
+    });
+
+    it('should require at least one transport', () => {
+        expect(() => new TransportRouter(createMockAdapter(), { mqtt: null })).to.throw(/No transport enabled/);
+    });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+const { expect } = require('chai');
+const WriteTracker = require('../../lib/input/WriteTracker');
+const PageRenderer = require('../../lib/rendering/PageRenderer');
+const { createMockAdapter, createMockDisplayPublisher } = require('./testHelper');
+
+/**
+ * Wait for real timers (mock adapter maps setTimeout to the real one)
+ *
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('WriteTracker', () => {
+    let adapter;
+    let errors;
+    let rendered;
+    let tracker;
+
+    beforeEach(() => {
+        adapter = createMockAdapter({ writeAck: { timeout: 20, retries: 0 } });
+        errors = [];
+        rendered = [];
+        tracker = new WriteTracker(adapter, {
+            showError: async (message, color) => errors.push([message, color]),
+        });
+        tracker.setSession({ renderSourceChange: async (id) => rendered.push(id) });
+    });
+
+    afterEach(() => {
+        tracker.dispose();
+    });
+
+    it('should write and mark the state as pending', async () => {
+        await tracker.write('hm.0.light', true);
+
+        expect(adapter._foreignStates['hm.0.light'].val).to.be.true;
+        expect(tracker.isPending('hm.0.light')).to.be.true;
+        expect(rendered).to.deep.equal(['hm.0.light']);
+    });
+
+    it('should complete on an ack=true update only', async () => {
+        await tracker.write('hm.0.light', true);
+
+        expect(tracker.handleStateChange('hm.0.light', { val: true, ack: false })).to.be.false;
+        expect(tracker.isPending('hm.0.light')).to.be.true;
+
+        expect(tracker.handleStateChange('hm.0.light', { val: true, ack: true })).to.be.true;
+        expect(tracker.isPending('hm.0.light')).to.be.false;
+
+        await sleep(40);
+        expect(errors).to.deep.equal([]);
+    });
+
+    it('should complete on an ack that arrives before the write returns', async () => {
+        adapter.setForeignStateAsync = async (id, value) => {
+            tracker.handleStateChange(id, { val: value, ack: true });
+        };
+
+        await tracker.write('hm.0.light', true);
+        expect(tracker.isPending('hm.0.light')).to.be.false;
+
+        await sleep(40);
+        expect(errors).to.deep.equal([]);
+    });
+
+    it('should show NO ACK in amber after the timeout', async () => {
+        await tracker.write('hm.0.light', true);
+        await sleep(40);
+
+        expect(errors).to.deep.equal([['NO ACK', 'amber']]);
+        expect(tracker.isPending('hm.0.light')).to.be.false;
+        expect(rendered).to.deep.equal(['hm.0.light', 'hm.0.light']);
+    });
+
+    it('should retry before showing NO ACK', async () => {
+        adapter.config.writeAck = { timeout: 50, retries: 1 };
+        let writes = 0;
+        adapter.setForeignStateAsync = async () => writes++;
+
+        await tracker.write('hm.0.light', true);
+        await sleep(75);
+        expect(writes).to.equal(2);
+        expect(errors).to.deep.equal([]);
+
+        await sleep(60);
+        expect(errors).to.deep.equal([['NO ACK', 'amber']]);
+    });
+
+    it('should not track when the timeout is 0', async () => {
+        adapter.config.writeAck.timeout = 0;
+        await tracker.write('hm.0.light', true);
+
+        expect(adapter._foreignStates['hm.0.light'].val).to.be.true;
+        expect(tracker.isPending('hm.0.light')).to.be.false;
+    });
+
+    it('should not track user and script states', async () => {
+        await tracker.write('0_userdata.0.mcdu_test.light', true);
+        await tracker.write('javascript.0.scene', 'off');
+        await sleep(40);
+
+        expect(adapter._foreignStates['0_userdata.0.mcdu_test.light'].val).to.be.true;
+        expect(tracker.isPending('0_userdata.0.mcdu_test.light')).to.be.false;
+        expect(errors).to.deep.equal([]);
+        expect(rendered).to.deep.equal([]);
+    });
+
+    it('should throw write errors without tracking', async () => {
+        adapter.setForeignStateAsync = async () => {
+            throw new Error('not writable');
+        };
+
+        let error = null;
+        try {
+            await tracker.write('hm.0.light', true);
+        } catch (e) {
+            error = e;
+        }
+        expect(error?.message).to.equal('not writable');
+        expect(tracker.isPending('hm.0.light')).to.be.false;
+
+        await sleep(40);
+        expect(errors).to.deep.equal([]);
+    });
+
+    it('should draw pending datapoints in the pending color', async () => {
+        const renderer = new PageRenderer(adapter, createMockDisplayPublisher());
+        renderer.setSession({ writeTracker: tracker });
+        adapter._setForeignState('hm.0.temp', 21);
+        const display = { type: 'datapoint', source: 'hm.0.temp', colData: 'green' };
+
+        expect((await renderer.renderDatapoint(display, 3)).color).to.equal('green');
+
+        await tracker.write('hm.0.temp', 22);
+        expect((await renderer.renderDatapoint(display, 3)).color).to.equal(WriteTracker.PENDING_COLOR);
+    });
+});